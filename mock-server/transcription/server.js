@@ -0,0 +1,262 @@
+/**
+ * @file server.js
+ *
+ * @description Local stand-in for the transcription service. Implements the
+ * `/upload`, `/transcript` and `/transcript/:id` endpoints of the AssemblyAI
+ * protocol and answers them with canned fixtures, so the transcript UI can be
+ * developed and tested without an API key or network access.
+ *
+ * The server is configured with the following environment variables:
+ *
+ * - MOCK_TRANSCRIPTION_PORT the port to listen on, defaults to 5050
+ * - MOCK_TRANSCRIPTION_DELAY milliseconds to wait before every response
+ * - MOCK_TRANSCRIPTION_PROCESSING_POLLS polls answered with `processing`
+ * before a job settles
+ * - MOCK_TRANSCRIPTION_SCENARIO `completed` or `error`, how every job settles
+ * - MOCK_TRANSCRIPTION_FIXTURE the name of the fixture completed jobs return
+ *
+ * The scenario and fixture can also be chosen per job with the `scenario` and
+ * `fixture` query parameters of `POST /v2/transcript`.
+ *
+ * @requires node:http
+ * @requires node:fs
+ * @requires node:crypto
+ *
+ * @exports createMockTranscriptionServer
+ */
+
+import http from "node:http";
+import { readFileSync, readdirSync } from "node:fs";
+import { randomUUID } from "node:crypto";
+import { fileURLToPath } from "node:url";
+
+const FIXTURES_DIRECTORY = new URL("./fixtures/", import.meta.url);
+const FIXTURES = new Set(
+  readdirSync(FIXTURES_DIRECTORY)
+    .filter((fileName) => fileName.endsWith(".json"))
+    .map((fileName) => fileName.slice(0, -".json".length))
+);
+const SCENARIOS = new Set(["completed", "error"]);
+
+const DEFAULT_OPTIONS = {
+  port: Number(process.env.MOCK_TRANSCRIPTION_PORT ?? 5050),
+  delay: Number(process.env.MOCK_TRANSCRIPTION_DELAY ?? 250),
+  processingPolls: Number(process.env.MOCK_TRANSCRIPTION_PROCESSING_POLLS ?? 2),
+  scenario: process.env.MOCK_TRANSCRIPTION_SCENARIO ?? "completed",
+  fixture: process.env.MOCK_TRANSCRIPTION_FIXTURE ?? "session",
+};
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers": "Authorization, Content-Type",
+};
+
+/**
+ * @function loadFixture
+ *
+ * @description Reads a canned transcript response from the fixtures folder.
+ * Only the files of the folder are read, never a path built from the name.
+ *
+ * @param {string} name the name of the fixture without its extension
+ *
+ * @returns {object} representing the body of a completed transcript
+ */
+const loadFixture = (name) => {
+  if (!FIXTURES.has(name)) throw new Error(`Unknown fixture ${name}`);
+
+  return JSON.parse(
+    readFileSync(new URL(`${name}.json`, FIXTURES_DIRECTORY), "utf8")
+  );
+};
+
+/**
+ * @function sendJSON
+ *
+ * @description Writes a JSON response along with the CORS headers the browser
+ * needs to call the server from the development server.
+ *
+ * @param {http.ServerResponse} response the response to write to
+ * @param {number} statusCode the HTTP status of the response
+ * @param {object} body the body to serialize
+ */
+const sendJSON = (response, statusCode, body) => {
+  response.writeHead(statusCode, {
+    ...CORS_HEADERS,
+    "Content-Type": "application/json",
+  });
+  response.end(JSON.stringify(body));
+};
+
+/**
+ * @function readBody
+ *
+ * @description Collects the full body of a request.
+ *
+ * @param {http.IncomingMessage} request the request to read
+ *
+ * @returns {Promise<Buffer>} the raw body of the request
+ */
+const readBody = (request) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    request.on("data", (chunk) => chunks.push(chunk));
+    request.on("end", () => resolve(Buffer.concat(chunks)));
+    request.on("error", reject);
+  });
+
+/**
+ * @function createMockTranscriptionServer
+ *
+ * @description Creates the stand-in server without starting it, so tests can
+ * listen on a port of their choosing and inspect the jobs it holds.
+ *
+ * @param {object} [overrides] replaces any of the environment configuration
+ *
+ * @returns {{ server: http.Server, jobs: Map<string, object>, options: object }}
+ * the server, the jobs it has received and its resolved options
+ */
+export const createMockTranscriptionServer = (overrides = {}) => {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+  const uploads = new Map();
+  const jobs = new Map();
+
+  /**
+   * @function describeJob
+   *
+   * @description Advances a job by one poll and builds its response body.
+   *
+   * @param {object} job the job being polled
+   *
+   * @returns {object} representing the body of a `/transcript/:id` response
+   */
+  const describeJob = (job) => {
+    const base = { id: job.id, audio_url: job.audioUrl };
+
+    job.polls += 1;
+
+    if (job.polls <= options.processingPolls) {
+      return { ...base, status: job.polls === 1 ? "queued" : "processing" };
+    }
+
+    if (job.scenario === "error") {
+      return {
+        ...base,
+        status: "error",
+        error: "Mock transcription failed: the audio file could not be decoded",
+      };
+    }
+
+    return { ...loadFixture(job.fixture), ...base, status: "completed" };
+  };
+
+  /**
+   * @function route
+   *
+   * @description Dispatches a request to the endpoint it targets.
+   *
+   * @param {http.IncomingMessage} request the incoming request
+   * @param {http.ServerResponse} response the response to write to
+   */
+  const route = async (request, response) => {
+    const url = new URL(request.url, `http://${request.headers.host}`);
+    const [, version, resource, id] = url.pathname.split("/");
+
+    if (request.method === "OPTIONS") {
+      response.writeHead(204, CORS_HEADERS);
+      response.end();
+      return;
+    }
+
+    if (version !== "v2") {
+      sendJSON(response, 404, { error: `Unknown path ${url.pathname}` });
+      return;
+    }
+
+    if (request.method === "POST" && resource === "upload") {
+      const uploadId = randomUUID();
+      uploads.set(uploadId, await readBody(request));
+      sendJSON(response, 200, {
+        upload_url: `${url.origin}/v2/files/${uploadId}`,
+      });
+      return;
+    }
+
+    if (request.method === "POST" && resource === "transcript" && !id) {
+      const body = JSON.parse((await readBody(request)).toString() || "{}");
+
+      if (!body.audio_url) {
+        sendJSON(response, 400, { error: "audio_url is required" });
+        return;
+      }
+
+      const scenario = url.searchParams.get("scenario") ?? options.scenario;
+      const fixture = url.searchParams.get("fixture") ?? options.fixture;
+
+      if (!SCENARIOS.has(scenario)) {
+        sendJSON(response, 400, { error: `Unknown scenario ${scenario}` });
+        return;
+      }
+
+      if (!FIXTURES.has(fixture)) {
+        sendJSON(response, 400, { error: `Unknown fixture ${fixture}` });
+        return;
+      }
+
+      const job = {
+        id: randomUUID(),
+        audioUrl: body.audio_url,
+        request: body,
+        polls: 0,
+        scenario,
+        fixture,
+      };
+      jobs.set(job.id, job);
+      sendJSON(response, 200, { id: job.id, status: "queued" });
+      return;
+    }
+
+    if (resource === "transcript" && id) {
+      const job = jobs.get(id);
+
+      if (!job) {
+        sendJSON(response, 404, { error: "Transcript not found" });
+        return;
+      }
+
+      if (request.method === "GET") {
+        sendJSON(response, 200, describeJob(job));
+        return;
+      }
+
+      if (request.method === "DELETE") {
+        jobs.delete(id);
+        sendJSON(response, 200, { id, status: "error", error: "Deleted" });
+        return;
+      }
+    }
+
+    sendJSON(response, 404, { error: `Unknown path ${url.pathname}` });
+  };
+
+  const server = http.createServer((request, response) => {
+    setTimeout(() => {
+      route(request, response).catch((error) =>
+        sendJSON(response, 500, { error: error.message })
+      );
+    }, options.delay);
+  });
+
+  return { server, jobs, options };
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const { server, options } = createMockTranscriptionServer();
+
+  server.listen(options.port, () => {
+    console.log(
+      `Mock transcription server listening on http://localhost:${options.port}/v2 ` +
+        `(scenario: ${options.scenario}, fixture: ${options.fixture})`
+    );
+  });
+}
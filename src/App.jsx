@@ -32,6 +32,8 @@ import StartRecording from "./pages/start-recording/StartRecording";
 import ForgotPassword from "./pages/forgot-password/ForgotPassword";
 import ProtectedRoute from "./components/protected-routes/ProtectedRoute";
 import DisplayAnalytics from "./pages/display-analytics/DisplayAnalytics";
+import Clients from "./pages/clients/Clients";
+import ClientDetails from "./pages/client-details/ClientDetails";
 
 /**
  * @component AnimatedRoutes
@@ -81,6 +83,8 @@ const AnimatedRoutes = ({ children }) => {
           <Route path="/start-recording" element={<ProtectedRoute><StartRecording /></ProtectedRoute>} />
           <Route path="/editor" element={<ProtectedRoute><EditTranscript /></ProtectedRoute>} />
           <Route path="/display-analytics" element={<ProtectedRoute><DisplayAnalytics /></ProtectedRoute>} />
+          <Route path="/clients" element={<ProtectedRoute><Clients /></ProtectedRoute>} />
+          <Route path="/clients/:id" element={<ProtectedRoute><ClientDetails /></ProtectedRoute>} />
           <Route path="/support-FAQ" element={<ProtectedRoute><SupportFAQ /></ProtectedRoute>} />
           <Route path="/settings" element={<ProtectedRoute><Settings /></ProtectedRoute>} />
         </AnimatedRoutes>
@@ -1,30 +1,224 @@
 /**
- * @file DisplayAnalytics.jsx
+ * @file Analytics.jsx
  *
- * @description This function is responsible for rendering the analytics page
- * that displays the analytics of the current transcript.
+ * @description This component is responsible for rendering the analytics of
+ * a session. Every transcript the signed in user saved is a session that can
+ * be picked from the selector, and the selected session is kept in the
+ * `session` search parameter so a session can be linked to directly. The
+ * recording of the session plays back the words the reports point at.
  *
  * @requires react
+ * @requires react-router-dom
+ * @requires context/AuthContext
+ * @requires hooks/local-collection/useLocalCollection
+ * @requires hooks/segment-playback/useSegmentPlayback
+ * @requires hooks/repository/useRepository
+ * @requires services/storage/indexedDB
+ * @requires services/storage/offlineStore
+ * @requires services/transcription/savedTranscripts
+ * @requires LanguageSampleReport
+ * @requires TimingReport
+ * @requires ArticulationReport
  * @requires analytics.module.scss
  *
  * @exports Analytics
  */
 
-import React from "react";
+import React, { useState, useEffect, useMemo, useRef } from "react";
+import { useSearchParams } from "react-router-dom";
 import styles from "./analytics.module.scss";
+import { useAuth } from "../../context/AuthContext";
+import useLocalCollection from "../../hooks/local-collection/useLocalCollection";
+import useSegmentPlayback from "../../hooks/segment-playback/useSegmentPlayback";
+import useRepository from "../../hooks/repository/useRepository";
+import { STORES } from "../../services/storage/indexedDB";
+import { findOfflineRecord } from "../../services/storage/offlineStore";
+import {
+  SAVED_TRANSCRIPTS_COLLECTION,
+  listSavedTranscripts,
+} from "../../services/transcription/savedTranscripts";
+import LanguageSampleReport from "../language-sample/LanguageSampleReport";
+import TimingReport from "../timing-report/TimingReport";
+import ArticulationReport from "../articulation-report/ArticulationReport";
 
 /**
- * @TODO - Was only implemented as a valid route for routing users
+ * @function findRecordingURL
  *
- * Responsible for rendering the analytics page
+ * @description Finds the recording a session was transcribed from, the copy
+ * kept on this device first and the copy in the user's account otherwise.
+ *
+ * @param {SavedTranscript} session the session
+ * @param {UserRepository|null} repository the repository of the signed in
+ * user
+ *
+ * @returns {Promise<string|null>} the URL of the recording, null when the
+ * session has none
+ */
+const findRecordingURL = async (session, repository) => {
+  const recordingId =
+    session.recordingId ??
+    (await findOfflineRecord(STORES.transcripts, session.id))?.recordingId;
+  if (!recordingId) return null;
+
+  const recording = await findOfflineRecord(STORES.recordings, recordingId);
+  if (recording?.blob) return URL.createObjectURL(recording.blob);
+
+  return repository ? repository.getRecordingURL(recordingId) : null;
+};
+
+/**
+ * @component SessionAudio
+ *
+ * @description Responsible for rendering the player of the session
+ * recording. The recording the session was transcribed from is loaded, from
+ * this device or the user's account, and one can be attached from a local
+ * file when the session has none.
+ *
+ * @param {SavedTranscript} session the selected session
+ * @param {React.MutableRefObject<HTMLAudioElement>} audioRef ref to the audio
+ * element
+ *
+ * @returns {JSX.Element} representing the session player
+ */
+const SessionAudio = ({ session, audioRef }) => {
+  const repository = useRepository();
+  const [audioUrl, setAudioUrl] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  /**
+   * @useEffect
+   *
+   * @description useEffect that loads the recording of the selected session
+   */
+  useEffect(() => {
+    let isCurrent = true;
+
+    setAudioUrl(null);
+    setIsLoading(true);
+    findRecordingURL(session, repository)
+      .catch(() => null)
+      .then((url) => {
+        if (!isCurrent) {
+          if (url) URL.revokeObjectURL(url);
+          return;
+        }
+
+        setAudioUrl(url);
+        setIsLoading(false);
+      });
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [session.id, session.recordingId, repository]);
+
+  /**
+   * @useEffect
+   *
+   * @description useEffect that releases the object URL of a recording once
+   * it is replaced or detached
+   */
+  useEffect(() => () => audioUrl && URL.revokeObjectURL(audioUrl), [audioUrl]);
+
+  return (
+    <div className={styles.sessionAudio}>
+      <audio ref={audioRef} src={audioUrl ?? undefined} controls />
+      {isLoading && <span>Loading the recording...</span>}
+      {!isLoading && !audioUrl && (
+        <label>
+          Attach recording
+          <input
+            type="file"
+            accept="audio/*"
+            onChange={(event) => {
+              const input = event.target;
+              const [file] = input.files;
+              if (file) setAudioUrl(URL.createObjectURL(file));
+              input.value = "";
+            }}
+          />
+        </label>
+      )}
+    </div>
+  );
+};
+
+/**
+ * @component Analytics
+ *
+ * @description Responsible for rendering the session selector and the
+ * reports of the selected session.
  *
  * @returns {JSX.Element} The component that displays the analytics page
  */
 const Analytics = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { currentUser } = useAuth();
+  const savedTranscripts = useLocalCollection(SAVED_TRANSCRIPTS_COLLECTION);
+  const audioRef = useRef(null);
+  const playSegment = useSegmentPlayback(audioRef);
+
+  const sessions = useMemo(
+    () =>
+      listSavedTranscripts(currentUser?.uid ?? null, savedTranscripts).sort(
+        (a, b) => b.savedAt.localeCompare(a.savedAt)
+      ),
+    [savedTranscripts, currentUser]
+  );
+  const session =
+    sessions.find(({ id }) => id === searchParams.get("session")) ??
+    sessions[0];
+
   return (
     <div className={styles.analyticsContainer}>
-      <h1>Displays Analytics</h1>
+      <header>
+        <h1>Analytics</h1>
+
+        {session && (
+          <select
+            value={session.id}
+            onChange={(event) =>
+              setSearchParams({ session: event.target.value })
+            }
+            aria-label="Session"
+          >
+            {sessions.map((eachSession) => (
+              <option key={eachSession.id} value={eachSession.id}>
+                {eachSession.fileName} —{" "}
+                {new Date(eachSession.savedAt).toLocaleDateString()}
+              </option>
+            ))}
+          </select>
+        )}
+      </header>
+
+      {session ? (
+        <div className={styles.reports}>
+          <SessionAudio session={session} audioRef={audioRef} />
+          <LanguageSampleReport
+            transcript={session.transcript}
+            sessionName={session.fileName}
+          />
+          <TimingReport
+            transcript={session.transcript}
+            sessionName={session.fileName}
+          />
+          <ArticulationReport
+            transcript={session.transcript}
+            sessionName={session.fileName}
+            onReplay={(error) => {
+              const offset = (session.trimStart ?? 0) * 1_000;
+              playSegment(error.start + offset, error.end + offset);
+            }}
+          />
+        </div>
+      ) : (
+        <p className={styles.empty}>
+          Transcribe a recording to see the analytics of the session.
+        </p>
+      )}
     </div>
   );
 };
+
 export default Analytics;
@@ -0,0 +1,310 @@
+/**
+ * @file ArticulationReport.jsx
+ *
+ * @description This component is responsible for rendering the articulation
+ * analysis of a session: Percent Consonants Correct, Percent Phonemes
+ * Correct, the error inventory per sound, the phonological processes and the
+ * list of tagged errors. Clicking an error or a process occurrence replays
+ * the word it was found in.
+ *
+ * @requires react
+ * @requires context/AuthContext
+ * @requires utils/downloadBlob
+ * @requires services/phonetics
+ * @requires services/analysis
+ * @requires services/export/analysisReports
+ * @requires services/transcription
+ * @requires articulation-report.module.scss
+ *
+ * @exports ArticulationReport
+ */
+
+import React, { useState, useEffect, useMemo } from "react";
+import styles from "./articulation-report.module.scss";
+import { useAuth } from "../../context/AuthContext";
+import downloadBlob from "../../utils/downloadBlob";
+import {
+  ERROR_TYPES,
+  WORD_POSITIONS,
+  analyzeArticulation,
+} from "../../services/phonetics/articulation";
+import { analyzePhonologicalProcesses } from "../../services/phonetics/phonologicalProcesses";
+import { hasPhoneticTier } from "../../services/phonetics/phoneticTier";
+import { findClientSpeaker } from "../../services/analysis/languageSample";
+import {
+  findSessionAnalysis,
+  saveSessionAnalysis,
+} from "../../services/analysis/sessionAnalyses";
+import { toArticulationCSV } from "../../services/export/analysisReports";
+import { getSpeakerLabel } from "../../services/transcription/speakers";
+import { formatClockTime } from "../../services/transcription/transcriptTime";
+
+/**
+ * @component ArticulationReport
+ *
+ * @description Responsible for rendering the articulation analysis of a
+ * transcript.
+ *
+ * @param {Transcript} transcript the analyzed transcript
+ * @param {string} sessionName the name of the session, used for exports
+ * @param {(tag: ArticulationError|ProcessOccurrence) => void} onReplay plays
+ * back the word of an error or a process occurrence
+ *
+ * @returns {JSX.Element} representing the articulation report
+ */
+const ArticulationReport = ({ transcript, sessionName, onReplay }) => {
+  const { currentUser } = useAuth();
+  const userId = currentUser?.uid ?? null;
+  const [speaker, setSpeaker] = useState(() => findClientSpeaker(transcript));
+  const [savedAt, setSavedAt] = useState(null);
+
+  /**
+   * @useEffect
+   *
+   * @description useEffect that restores the saved speaker whenever another
+   * session is analyzed
+   */
+  useEffect(() => {
+    const saved = findSessionAnalysis(transcript.id, "articulation", userId);
+
+    setSpeaker(saved?.data.speaker ?? findClientSpeaker(transcript));
+    setSavedAt(saved?.savedAt ?? null);
+  }, [transcript.id, userId]);
+
+  const analysis = useMemo(
+    () => analyzeArticulation(transcript, { speaker }),
+    [transcript, speaker]
+  );
+  const processAnalysis = useMemo(
+    () => analyzePhonologicalProcesses(transcript, { speaker }),
+    [transcript, speaker]
+  );
+
+  /**
+   * @function handleSave
+   *
+   * @description Saves the scores, the error inventory and the process counts
+   * with the session.
+   */
+  const handleSave = () => {
+    const { scores, ...results } = analysis;
+
+    saveSessionAnalysis(
+      transcript.id,
+      "articulation",
+      {
+        ...results,
+        processes: processAnalysis.processes.map(
+          ({ id, opportunities, occurrences, percentage }) => ({
+            id,
+            opportunities,
+            occurrences: occurrences.length,
+            percentage,
+          })
+        ),
+      },
+      userId
+    );
+    setSavedAt(new Date().toISOString());
+  };
+
+  /**
+   * @function handleExport
+   *
+   * @description Downloads the analysis as a CSV file.
+   */
+  const handleExport = () => {
+    const csv = toArticulationCSV(analysis, {
+      session: sessionName,
+      speaker: getSpeakerLabel(transcript, speaker),
+      processes: processAnalysis.processes,
+    });
+
+    downloadBlob(
+      new Blob([csv], { type: "text/csv;charset=utf-8" }),
+      `articulation-${transcript.id}.csv`
+    );
+  };
+
+  if (!hasPhoneticTier(transcript)) {
+    return (
+      <section className={styles.articulationReport}>
+        <h2>Articulation</h2>
+        <p className={styles.hint}>
+          Show the phonetic tier of the transcript and transcribe the produced
+          forms to score articulation.
+        </p>
+      </section>
+    );
+  }
+
+  return (
+    <section className={styles.articulationReport}>
+      <header>
+        <h2>Articulation</h2>
+        <span className={styles.actions}>
+          {savedAt && <small>Saved {new Date(savedAt).toLocaleString()}</small>}
+          <button onClick={handleSave}>Save analysis</button>
+          <button onClick={handleExport}>Export CSV</button>
+        </span>
+      </header>
+
+      <label className={styles.speaker}>
+        Speaker
+        <select
+          value={speaker ?? ""}
+          onChange={(event) => setSpeaker(event.target.value)}
+        >
+          {transcript.speakers.map((eachSpeaker) => (
+            <option key={eachSpeaker.id} value={eachSpeaker.id}>
+              {getSpeakerLabel(transcript, eachSpeaker.id)}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <dl className={styles.measures}>
+        <div>
+          <dt>Percent Consonants Correct</dt>
+          <dd>{analysis.percentConsonantsCorrect.toFixed(1)}%</dd>
+        </div>
+        <div>
+          <dt>Percent Phonemes Correct</dt>
+          <dd>{analysis.percentPhonemesCorrect.toFixed(1)}%</dd>
+        </div>
+        <div>
+          <dt>Consonants correct</dt>
+          <dd>
+            {analysis.consonants.correct} / {analysis.consonants.total}
+          </dd>
+        </div>
+        <div>
+          <dt>Words transcribed</dt>
+          <dd>
+            {analysis.transcribedWords} / {analysis.words}
+          </dd>
+        </div>
+      </dl>
+
+      <table className={styles.inventory}>
+        <thead>
+          <tr>
+            <th>Sound</th>
+            <th>Correct</th>
+            {ERROR_TYPES.filter(({ id }) => id !== "addition").map(
+              (eachType) => (
+                <th key={eachType.id}>{eachType.label}s</th>
+              )
+            )}
+            {WORD_POSITIONS.map((eachPosition) => (
+              <th key={eachPosition}>{eachPosition}</th>
+            ))}
+            <th>Substituted with</th>
+          </tr>
+        </thead>
+        <tbody>
+          {analysis.inventory.map((eachSound) => (
+            <tr
+              key={eachSound.sound}
+              className={
+                eachSound.correct < eachSound.opportunities
+                  ? styles.erred
+                  : undefined
+              }
+            >
+              <td className={styles.ipa}>{eachSound.sound}</td>
+              <td>
+                {eachSound.correct} / {eachSound.opportunities}
+              </td>
+              <td>{eachSound.errors.substitution}</td>
+              <td>{eachSound.errors.omission}</td>
+              <td>{eachSound.errors.distortion}</td>
+              {WORD_POSITIONS.map((eachPosition) => (
+                <td key={eachPosition}>
+                  {eachSound.positions[eachPosition].opportunities
+                    ? `${eachSound.positions[eachPosition].errors} / ${eachSound.positions[eachPosition].opportunities}`
+                    : "–"}
+                </td>
+              ))}
+              <td className={styles.ipa}>
+                {Object.entries(eachSound.substitutes)
+                  .map(([produced, count]) => `${produced} (${count})`)
+                  .join(", ")}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {analysis.additions.length > 0 && (
+        <p className={styles.hint}>
+          Additions:{" "}
+          <span className={styles.ipa}>
+            {analysis.additions
+              .map(({ sound, count }) => `${sound} (${count})`)
+              .join(", ")}
+          </span>
+        </p>
+      )}
+
+      <h3>Phonological processes</h3>
+      <table className={styles.processes}>
+        <thead>
+          <tr>
+            <th>Process</th>
+            <th>Occurrences</th>
+            <th>Percentage</th>
+            <th>Words</th>
+          </tr>
+        </thead>
+        <tbody>
+          {processAnalysis.processes.map((eachProcess) => (
+            <tr key={eachProcess.id} title={eachProcess.description}>
+              <td>{eachProcess.label}</td>
+              <td>
+                {eachProcess.occurrences.length} / {eachProcess.opportunities}
+              </td>
+              <td>
+                {eachProcess.opportunities
+                  ? `${eachProcess.percentage.toFixed(0)}%`
+                  : "–"}
+              </td>
+              <td className={styles.occurrences}>
+                {eachProcess.occurrences.map((eachOccurrence) => (
+                  <button
+                    key={eachOccurrence.id}
+                    onClick={() => onReplay(eachOccurrence)}
+                    title={`${eachOccurrence.targetForm} → ${eachOccurrence.producedForm}`}
+                  >
+                    {eachOccurrence.word}
+                  </button>
+                ))}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <h3>Errors</h3>
+      <ol className={styles.errors}>
+        {analysis.errors.map((eachError) => (
+          <li key={eachError.id}>
+            <button onClick={() => onReplay(eachError)}>
+              <small>{formatClockTime(eachError.start)}</small>
+              <strong>{eachError.word}</strong>
+              <span className={styles.ipa}>
+                {eachError.target ?? "∅"} → {eachError.produced ?? "∅"}
+              </span>
+              <small>
+                {ERROR_TYPES.find(({ id }) => id === eachError.type).label},{" "}
+                {eachError.position}
+              </small>
+            </button>
+          </li>
+        ))}
+      </ol>
+    </section>
+  );
+};
+
+export default ArticulationReport;
@@ -3,10 +3,33 @@
  *
  * @description Provides audio recording and playback functionality for the
  * entire application. Accomplished by captuing the audio using MediaDevices API,
- * encodes the audio as a Blob object and finally creates an object URL.
+ * encodes the audio as a Blob object and finally creates an object URL. When a
+ * user is signed in, the recording is also saved on this device and uploaded
+ * to their account as soon as they are online. While recording, the audio is
+ * autosaved every second, so a recording interrupted by a crash or a closed
+ * tab is offered for recovery the next time the recorder opens. A recording
+ * can be paused and resumed, and its length excludes the pauses, which are
+ * kept as markers of the session. The microphone and its voice processing are
+ * chosen per user, and a live meter shows the input level. Moments of the
+ * session are flagged from the marker toolbar or its hotkeys without stopping.
+ * A finished recording is downloaded in its recorded format or as WAV.
+ * Recording can stop by itself after a long silence, and the silence before
+ * and after the speech is trimmed before it is transcribed.
  *
  * @requires react
  * @requires react-icons
+ * @requires context/AuthContext
+ * @requires services/storage/offlineStore
+ * @requires services/storage/recordingAutosave
+ * @requires services/recording/recordingClock
+ * @requires services/recording/audioInput
+ * @requires services/recording/sessionMarkers
+ * @requires services/recording/audioEncoding
+ * @requires services/recording/voiceActivity
+ * @requires hooks/local-collection/useLocalCollection
+ * @requires InputSettings
+ * @requires LevelMeter
+ * @requires RecordingDownload
  * @requires record.module.scss
  *
  * @exports MakeRecording
@@ -15,7 +38,52 @@
 import React, { useState, useEffect, useRef } from "react";
 import styles from "./record.module.scss";
 import MediaPlayer from "../media-player/MediaPlayer";
-import { FaMicrophoneAlt } from "react-icons/fa";
+import InputSettings from "../input-settings/InputSettings";
+import LevelMeter from "../level-meter/LevelMeter";
+import RecordingDownload from "../recording-download/RecordingDownload";
+import { FaMicrophoneAlt, FaPause, FaPlay } from "react-icons/fa";
+import { useAuth } from "../../context/AuthContext";
+import { saveRecordingOffline } from "../../services/storage/offlineStore";
+import {
+  AUTOSAVE_INTERVAL,
+  createRecordingAutosave,
+  listUnfinishedRecordings,
+  recoverRecording,
+  discardRecording,
+} from "../../services/storage/recordingAutosave";
+import { createRecordingClock } from "../../services/recording/recordingClock";
+import useLocalCollection from "../../hooks/local-collection/useLocalCollection";
+import {
+  AUDIO_INPUT_COLLECTION,
+  getInputSettings,
+  saveInputSettings,
+  openInputStream,
+  setInputStatus,
+} from "../../services/recording/audioInput";
+import {
+  MARKER_TYPES,
+  describeMarker,
+} from "../../services/recording/sessionMarkers";
+import { chooseRecorderMimeType } from "../../services/recording/audioEncoding";
+import {
+  createSilenceDetector,
+  trimSilence,
+} from "../../services/recording/voiceActivity";
+
+/**
+ * @function formatElapsed
+ *
+ * @description Formats a length of recorded time as minutes and seconds.
+ *
+ * @param {number} seconds the length in seconds
+ *
+ * @returns {string} the formatted length, such as 4:05
+ */
+const formatElapsed = (seconds) =>
+  `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(
+    2,
+    "0"
+  )}`;
 
 /**
  * @component
@@ -27,19 +95,45 @@ import { FaMicrophoneAlt } from "react-icons/fa";
  * function has many performance improvements, that help with both memory
  * consumption and rerendering.
  *
+ * @param {string|null} client the client the recording is attached to
+ * @param {Function} setShowOptions updates the options shared with the transcriber
+ * @param {React.RefObject<HTMLAudioElement>} playbackRef optional audio element
+ * reference shared with the parent so it can seek the playback
+ *
  * @returns {JSX.Element} representing an audio recorder
  */
-const MakeRecording = ({ setShowOptions }) => {
-  const audioRef = useRef();
+const MakeRecording = ({ client = null, setShowOptions, playbackRef }) => {
+  const ownAudioRef = useRef();
+  const audioRef = playbackRef ?? ownAudioRef;
   const mediaRecorderRef = useRef();
+  const clockRef = useRef(null);
+  const autosaveRef = useRef(null);
+  const testStreamRef = useRef(null);
+  const stopSilenceDetectorRef = useRef(null);
+  const { currentUser } = useAuth();
+  useLocalCollection(AUDIO_INPUT_COLLECTION);
+  const inputSettings = getInputSettings(currentUser?.uid ?? null);
 
   const [error, setError] = useState(null);
+  const [saveStatus, setSaveStatus] = useState(null);
+  const [trimNotice, setTrimNotice] = useState(null);
+  const [unfinishedRecordings, setUnfinishedRecordings] = useState([]);
+  const [elapsed, setElapsed] = useState(0);
+  const [inputStream, setInputStream] = useState(null);
+  const [hasInputAccess, setHasInputAccess] = useState(false);
+  const [inputNotice, setInputNotice] = useState(null);
+  const [liveMarkers, setLiveMarkers] = useState([]);
   const [recordingState, setRecordingState] = useState({
     isRecording: false,
+    isPaused: false,
     audioBlob: null,
     audioBlobURL: null,
     currentTime: 0,
     recordingDuration: 0,
+    recordedAt: null,
+    recordedClient: null,
+    markers: [],
+    trimStart: 0,
     saveRecording: false,
   });
 
@@ -53,9 +147,252 @@ const MakeRecording = ({ setShowOptions }) => {
       ...prevState,
       isRecording: false,
     }));
+    setInputStatus({
+      state: error.name === "NotAllowedError" ? "unavailable" : "idle",
+    });
     setError(`Failed to start recording: ${error.message}`);
   };
 
+  /**
+   * @function openMicrophone
+   *
+   * @description Opens the chosen microphone, telling the clinician when it
+   * is gone and the default microphone is used instead.
+   *
+   * @returns {Promise<InputStream>} the open stream
+   */
+  const openMicrophone = async () => {
+    const input = await openInputStream(inputSettings);
+
+    setError(null);
+    setHasInputAccess(true);
+    setInputNotice(
+      input.isFallback
+        ? `The chosen microphone was not found, using ${input.label}`
+        : null
+    );
+    return input;
+  };
+
+  /**
+   * @function stopTest
+   *
+   * @description Closes the microphone opened to test the input level.
+   */
+  const stopTest = () => {
+    testStreamRef.current?.getTracks().forEach((track) => track.stop());
+    testStreamRef.current = null;
+  };
+
+  /**
+   * @callback handleToggleTest
+   *
+   * @description Opens the microphone to show its level before recording, or
+   * closes it again.
+   */
+  const handleToggleTest = async () => {
+    if (testStreamRef.current) {
+      stopTest();
+      setInputStream(null);
+      setInputStatus({ state: "idle" });
+      return;
+    }
+
+    try {
+      const { stream, label } = await openMicrophone();
+      testStreamRef.current = stream;
+      setInputStream(stream);
+      setInputStatus({ state: "testing", label });
+    } catch (testError) {
+      handleError(testError);
+    }
+  };
+
+  /**
+   * @callback handleInputSettingsChange
+   *
+   * @description Remembers changed input settings for the signed in user. A
+   * running test is closed, so the next one uses the new settings.
+   *
+   * @param {Partial<InputSettings>} changes the changed settings
+   */
+  const handleInputSettingsChange = (changes) => {
+    saveInputSettings(currentUser?.uid ?? null, changes);
+
+    if (testStreamRef.current) {
+      stopTest();
+      setInputStream(null);
+      setInputStatus({ state: "idle" });
+    }
+  };
+
+  /**
+   * @function saveToAccount
+   *
+   * @description Saves a finished recording on this device, queued for the
+   * account of the signed in user, and shares its identifier with the
+   * transcriber, so the transcript is linked to it.
+   *
+   * @param {object} recording the finished recording
+   * @param {string} recording.id identifier of the recording
+   * @param {Blob} recording.blob the recorded audio
+   * @param {number} recording.duration the length of the recording in seconds
+   * @param {string|null} recording.client the client it is attached to
+   * @param {SessionMarker[]} [recording.markers] the markers of the session
+   * @param {string} [recording.startedAt] ISO timestamp of when recording
+   * started
+   *
+   * @returns {Promise<void>} resolves once saved, rejects if saving failed
+   */
+  const saveToAccount = ({
+    id,
+    blob,
+    duration,
+    client: recordedClient,
+    markers,
+  }) => {
+    if (!currentUser) return Promise.resolve();
+
+    setShowOptions((prevOptions) => ({ ...prevOptions, recordingId: id }));
+    return saveRecordingOffline(
+      { id, blob, client: recordedClient, duration, markers },
+      currentUser.uid
+    )
+      .then(() =>
+        setSaveStatus(
+          navigator.onLine
+            ? "Recording saved, uploading it to your account..."
+            : "Recording saved on this device, it will be uploaded once online"
+        )
+      )
+      .catch((saveError) => {
+        setSaveStatus(`Could not save the recording: ${saveError.message}`);
+        throw saveError;
+      });
+  };
+
+  /**
+   * @function completeRecording
+   *
+   * @description Makes a finished or recovered recording available for
+   * playback and transcription, and saves it. When the user chose to, its
+   * leading and trailing silence is trimmed from the audio that is
+   * transcribed, while the recording is played back and saved untouched. The
+   * recording is transcribed as it is if trimming fails.
+   *
+   * @param {object} recording the finished recording
+   * @param {string} recording.id identifier of the recording
+   * @param {Blob} recording.blob the recorded audio
+   * @param {number} recording.duration the length of the recording in seconds
+   * @param {string|null} recording.client the client it is attached to
+   * @param {SessionMarker[]} [recording.markers] the markers of the session
+   * @param {string} [recording.startedAt] ISO timestamp of when recording
+   * started
+   *
+   * @returns {Promise<void>} resolves once saved, rejects if saving failed
+   */
+  const completeRecording = async (recording) => {
+    let transcribed = { ...recording, start: 0 };
+
+    if (inputSettings.trimSilence) {
+      setTrimNotice("Trimming silence...");
+
+      try {
+        const { trimmed, ...trimmedRecording } = await trimSilence(recording);
+        transcribed = trimmedRecording;
+        setTrimNotice(
+          trimmed ? `Trimmed ${Math.round(trimmed)} seconds of silence.` : null
+        );
+      } catch (trimError) {
+        setTrimNotice(`Could not trim the silence: ${trimError.message}`);
+      }
+    }
+
+    setRecordingState((prevState) => ({
+      ...prevState,
+      audioBlob: recording.blob,
+      audioBlobURL: URL.createObjectURL(recording.blob),
+      recordingDuration: recording.duration,
+      recordedAt: recording.startedAt ?? new Date().toISOString(),
+      recordedClient: recording.client ?? null,
+      markers: recording.markers ?? [],
+      trimStart: transcribed.start,
+    }));
+
+    setShowOptions((prevOptions) => ({
+      ...prevOptions,
+      file: transcribed.blob,
+      recordingId: null,
+      markers: transcribed.markers ?? [],
+      trimStart: transcribed.start,
+    }));
+
+    return saveToAccount(recording);
+  };
+
+  /**
+   * @callback handleDiscard
+   *
+   * @description Deletes an unfinished recording.
+   *
+   * @param {string} id identifier of the unfinished recording
+   */
+  const handleDiscard = (id) => {
+    setUnfinishedRecordings((prevRecordings) =>
+      prevRecordings.filter((eachRecording) => eachRecording.id !== id)
+    );
+    return discardRecording(id);
+  };
+
+  /**
+   * @callback handleRecover
+   *
+   * @description Restores an unfinished recording from its autosaved chunks,
+   * as if it was just stopped.
+   *
+   * @param {string} id identifier of the unfinished recording
+   */
+  const handleRecover = (id) => {
+    recoverRecording(id)
+      .then((recording) => completeRecording(recording))
+      .then(() => handleDiscard(id))
+      .catch((recoverError) =>
+        setSaveStatus(
+          `Could not recover the recording: ${recoverError.message}`
+        )
+      );
+  };
+
+  /**
+   * @function readProgress
+   *
+   * @description Reads the recorded length and the markers of the session
+   * from its clock.
+   *
+   * @param {RecordingClock} clock the clock of the recording
+   *
+   * @returns {RecordingProgress} the progress of the recording
+   */
+  const readProgress = (clock) => ({
+    duration: Math.floor(clock.getElapsed() / 1000),
+    markers: clock.getMarkers(),
+  });
+
+  /**
+   * @stateUpdaterFunction
+   *
+   * @description Tasked with updating the components recording state by using
+   * its previous state, and specifically updating isRecording to false.
+   */
+  const stopRecording = () => {
+    setRecordingState((prevState) => ({
+      ...prevState,
+      isRecording: false,
+      isPaused: false,
+    }));
+    mediaRecorderRef.current?.stop();
+  };
+
   /* ! DELETE */
   const handleFileChange = (event) => {
     const file = event.target.files[0];
@@ -75,50 +412,255 @@ const MakeRecording = ({ setShowOptions }) => {
    * @description Requests access to the users microphone and allows them to
    * record audio. This is accomplished by creating an audioStream and
    * mediaRecorder which allows the user to record audio. The audio is then
-   * captured, chunked and assigned to an object URL [blob:http:]
+   * captured, chunked and assigned to an object URL [blob:http:]. Every chunk
+   * is autosaved as it arrives, and the autosave is removed once the finished
+   * recording is saved. If saving fails, the autosave is kept and offered
+   * for recovery instead.
    */
   const startRecording = async () => {
     try {
-      const audioStream = await navigator.mediaDevices.getUserMedia({
-        audio: { capture: true },
-      });
+      stopTest();
+      const { stream: audioStream, label } = await openMicrophone();
 
+      const id = crypto.randomUUID();
+      const startedAt = new Date().toISOString();
       const capturedRecordings = [];
-      const mediaRecorder = new MediaRecorder(audioStream);
-      let startTime = Date.now();
+      const mimeType = chooseRecorderMimeType();
+      const mediaRecorder = new MediaRecorder(
+        audioStream,
+        mimeType ? { mimeType } : undefined
+      );
+      const autosave = createRecordingAutosave({
+        id,
+        userId: currentUser?.uid ?? null,
+        client,
+        mimeType: mediaRecorder.mimeType || mimeType,
+      });
+      const clock = createRecordingClock();
+
+      setTrimNotice(null);
+      if (inputSettings.autoStop) {
+        stopSilenceDetectorRef.current = createSilenceDetector(audioStream, {
+          getTime: clock.getElapsed,
+          silenceAfter: inputSettings.silenceSeconds * 1000,
+          onSilence: () => {
+            stopRecording();
+            setInputNotice(
+              `Recording stopped after ${inputSettings.silenceSeconds} seconds of silence`
+            );
+          },
+        });
+      }
 
       mediaRecorder.ondataavailable = ({ data }) => {
         capturedRecordings.push(data);
+        autosave.saveChunk(data, readProgress(clock));
       };
 
       mediaRecorder.onstop = () => {
-        const blob = new Blob(capturedRecordings);
-
-        setRecordingState((prevState) => ({
-          ...prevState,
-          audioBlob: blob,
-          audioBlobURL: URL.createObjectURL(blob),
-          recordingDuration: Math.floor((Date.now() - startTime) / 1000),
-        }));
-
-        setShowOptions((prevOptions) => ({
-          ...prevOptions,
-          file: blob,
-        }));
+        clock.stop();
+        stopSilenceDetectorRef.current?.();
+        stopSilenceDetectorRef.current = null;
+        audioStream.getTracks().forEach((track) => track.stop());
+        setInputStream(null);
+        setInputStatus({ state: "idle" });
+
+        const blob = new Blob(capturedRecordings, {
+          type:
+            mediaRecorder.mimeType ||
+            mimeType ||
+            capturedRecordings[0]?.type ||
+            "audio/webm",
+        });
+        const { duration, markers } = readProgress(clock);
+
+        completeRecording({ id, blob, duration, client, markers, startedAt })
+          .then(autosave.finish, () =>
+            autosave
+              .release()
+              .then(() => listUnfinishedRecordings(currentUser?.uid ?? null))
+              .then(setUnfinishedRecordings)
+          )
+          .catch((releaseError) =>
+            console.error("Failed to keep the recording:", releaseError)
+          );
       };
 
+      setElapsed(0);
+      setLiveMarkers([]);
+      setInputStream(audioStream);
+      setInputStatus({ state: "recording", label });
       setRecordingState((prevState) => ({
         ...prevState,
         isRecording: true,
+        isPaused: false,
       }));
 
-      mediaRecorder?.start();
+      mediaRecorder?.start(AUTOSAVE_INTERVAL);
       mediaRecorderRef.current = mediaRecorder;
+      clockRef.current = clock;
+      autosaveRef.current = autosave;
     } catch (error) {
       handleError(error);
     }
   };
 
+  /**
+   * @callback handleTogglePause
+   *
+   * @description Pauses the recording, or resumes it when it is paused. The
+   * pause is saved straight away, since no audio arrives while paused.
+   */
+  const handleTogglePause = () => {
+    const mediaRecorder = mediaRecorderRef.current;
+    const clock = clockRef.current;
+    if (!mediaRecorder || !clock) return;
+
+    if (clock.isPaused()) {
+      mediaRecorder.resume();
+      clock.resume();
+    } else {
+      mediaRecorder.pause();
+      clock.pause();
+    }
+
+    autosaveRef.current?.saveProgress(readProgress(clock));
+    setInputStatus({ state: clock.isPaused() ? "paused" : "recording" });
+    setElapsed(clock.getElapsed() / 1000);
+    setRecordingState((prevState) => ({
+      ...prevState,
+      isPaused: clock.isPaused(),
+    }));
+  };
+
+  /**
+   * @callback handleAddMarker
+   *
+   * @description Flags the current moment of the recording. The marker is
+   * saved straight away, so it survives a crash.
+   *
+   * @param {string} type the kind of marker, one of the MARKER_TYPES
+   * @param {string} [label] the note of the marker
+   */
+  const handleAddMarker = (type, label) => {
+    const clock = clockRef.current;
+    if (!clock) return;
+
+    const marker = clock.addMarker({ type, label: label?.trim() });
+    autosaveRef.current?.saveProgress(readProgress(clock));
+    setLiveMarkers((prevMarkers) => [...prevMarkers, marker]);
+  };
+
+  /**
+   * @useEffect
+   *
+   * @description useEffect that flags moments from the keyboard while
+   * recording. Keys typed into a field, or pressed with a modifier, are left
+   * alone.
+   */
+  useEffect(() => {
+    if (!recordingState.isRecording) return undefined;
+
+    const handleKeyDown = (event) => {
+      const { tagName, isContentEditable } = event.target;
+      if (
+        event.altKey ||
+        event.ctrlKey ||
+        event.metaKey ||
+        event.repeat ||
+        isContentEditable ||
+        ["INPUT", "TEXTAREA", "SELECT"].includes(tagName)
+      ) {
+        return;
+      }
+
+      const markerType = MARKER_TYPES.find(
+        ({ hotkey }) => hotkey && hotkey === event.key
+      );
+      if (!markerType) return;
+
+      event.preventDefault();
+      handleAddMarker(markerType.id);
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [recordingState.isRecording]);
+
+  /**
+   * @useEffect
+   *
+   * @description useEffect that updates the elapsed recording time while
+   * recording, and stops updating it while paused
+   */
+  useEffect(() => {
+    if (!recordingState.isRecording || recordingState.isPaused) {
+      return undefined;
+    }
+
+    const interval = setInterval(
+      () => setElapsed(clockRef.current.getElapsed() / 1000),
+      250
+    );
+    return () => clearInterval(interval);
+  }, [recordingState.isRecording, recordingState.isPaused]);
+
+  /**
+   * @useEffect
+   *
+   * @description useEffect that closes a microphone test when the recorder
+   * unmounts
+   */
+  useEffect(
+    () => () => {
+      if (!testStreamRef.current) return;
+
+      stopTest();
+      setInputStatus({ state: "idle" });
+    },
+    []
+  );
+
+  /**
+   * @useEffect
+   *
+   * @description useEffect that finds the recordings of the signed in user
+   * that were interrupted before they were stopped
+   */
+  useEffect(() => {
+    let isCurrent = true;
+
+    listUnfinishedRecordings(currentUser?.uid ?? null)
+      .then((recordings) => {
+        if (isCurrent) setUnfinishedRecordings(recordings);
+      })
+      .catch((listError) =>
+        console.error("Failed to find unfinished recordings:", listError)
+      );
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [currentUser?.uid]);
+
+  /**
+   * @useEffect
+   *
+   * @description useEffect that asks for confirmation before the page is
+   * closed or reloaded while recording
+   */
+  useEffect(() => {
+    if (!recordingState.isRecording) return undefined;
+
+    const handleBeforeUnload = (event) => {
+      event.preventDefault();
+      event.returnValue = "";
+    };
+
+    window.addEventListener("beforeunload", handleBeforeUnload);
+    return () => window.removeEventListener("beforeunload", handleBeforeUnload);
+  }, [recordingState.isRecording]);
+
   /**
    * @useEffect
    *
@@ -134,27 +676,73 @@ const MakeRecording = ({ setShowOptions }) => {
   }, [recordingState.isRecording]);
 
   /**
-   * @stateUpdaterFunction
+   * @useEffect
    *
-   * @description Tasked with updating the components recording state by using
-   * its previous state, and specifically updating isRecording to false.
+   * @description useEffect hook that shares the current playback time with the
+   * transcriber so it can highlight the word being played. The time is
+   * shared from where the transcribed audio starts, after trimmed silence.
    */
-  const stopRecording = () => {
-    setRecordingState((prevState) => ({
-      ...prevState,
-      isRecording: false,
+  useEffect(() => {
+    setShowOptions((prevOptions) => ({
+      ...prevOptions,
+      currentTime: Math.max(
+        0,
+        recordingState.currentTime - recordingState.trimStart
+      ),
     }));
-    mediaRecorderRef.current?.stop();
-  };
+  }, [recordingState.currentTime, recordingState.trimStart]);
 
   return (
     <div className={styles.recordingContainer}>
       {recordingState.isRecording ? (
-        <RecordingInProgress stopRecording={stopRecording} />
+        <RecordingInProgress
+          elapsed={elapsed}
+          isPaused={recordingState.isPaused}
+          onTogglePause={handleTogglePause}
+          stopRecording={stopRecording}
+          markers={liveMarkers}
+          onAddMarker={handleAddMarker}
+        />
       ) : (
         <NotListening startRecording={startRecording} />
       )}
 
+      <InputSettings
+        settings={inputSettings}
+        onChange={handleInputSettingsChange}
+        hasAccess={hasInputAccess}
+        disabled={recordingState.isRecording}
+      />
+
+      {!recordingState.isRecording && (
+        <button onClick={handleToggleTest} className={styles.testButton}>
+          {inputStream ? "Stop microphone test" : "Test microphone"}
+        </button>
+      )}
+
+      {inputStream && <LevelMeter stream={inputStream} />}
+      {inputNotice && <p>{inputNotice}</p>}
+      {error && <p className={styles.error}>{error}</p>}
+
+      {!recordingState.isRecording && (
+        <RecoveryPrompt
+          recordings={unfinishedRecordings}
+          onRecover={handleRecover}
+          onDiscard={handleDiscard}
+        />
+      )}
+
+      {trimNotice && <p>{trimNotice}</p>}
+      {saveStatus && <p>{saveStatus}</p>}
+
+      {!recordingState.isRecording && recordingState.audioBlob && (
+        <RecordingDownload
+          blob={recordingState.audioBlob}
+          client={recordingState.recordedClient}
+          date={recordingState.recordedAt}
+        />
+      )}
+
       {recordingState.audioBlobURL && (
         <audio
           ref={audioRef}
@@ -169,6 +757,7 @@ const MakeRecording = ({ setShowOptions }) => {
         audioBlobURL={recordingState.audioBlobURL}
         audioRef={audioRef}
         recordingDuration={recordingState.recordingDuration}
+        markers={recordingState.markers}
         currentTime={recordingState.currentTime}
         setTime={setRecordingState}
       />
@@ -180,30 +769,162 @@ const MakeRecording = ({ setShowOptions }) => {
  * @component
  *
  * @description Responsible for rendering the animated jumping ellipsis that
- * play when the user is actively recording.
+ * play when the user is actively recording, along with the recorded time,
+ * the button pausing the recording and the marker toolbar.
  *
+ * @param {number} elapsed the recorded time in seconds, excluding pauses
+ * @param {boolean} isPaused whether the recording is paused
+ * @param {Function} onTogglePause pauses or resumes the recording
  * @param {boolean} stopRecording the current state of stopRecording
+ * @param {SessionMarker[]} markers the markers flagged so far
+ * @param {(type: string, label?: string) => void} onAddMarker flags the
+ * current moment
  *
  * @returns {JSX.Element} resembling the animated ellipsis to signal the
  * application is currently recording
  */
-const RecordingInProgress = ({ stopRecording }) => (
+const RecordingInProgress = ({
+  elapsed,
+  isPaused,
+  onTogglePause,
+  stopRecording,
+  markers,
+  onAddMarker,
+}) => (
   <div>
     <p>
-      Listening
-      <span className={styles.dotsContainer}>
-        {[...Array(3)].map((_, i) => (
-          <span key={i} className={styles.dots}></span>
-        ))}
-      </span>
+      {isPaused ? (
+        "Paused"
+      ) : (
+        <>
+          Listening
+          <span className={styles.dotsContainer}>
+            {[...Array(3)].map((_, i) => (
+              <span key={i} className={styles.dots}></span>
+            ))}
+          </span>
+        </>
+      )}
     </p>
 
-    <button onClick={stopRecording}>
+    <time className={styles.elapsed}>{formatElapsed(elapsed)}</time>
+
+    <button
+      onClick={onTogglePause}
+      className={styles.pauseButton}
+      aria-label={isPaused ? "Resume recording" : "Pause recording"}
+    >
+      {isPaused ? <FaPlay /> : <FaPause />}
+    </button>
+
+    <button onClick={stopRecording} aria-label="Stop recording">
       <FaMicrophoneAlt className={`${styles.isRec}`} />
     </button>
+
+    <MarkerToolbar markers={markers} onAddMarker={onAddMarker} />
   </div>
 );
 
+/**
+ * @component
+ *
+ * @description Responsible for rendering the buttons flagging the current
+ * moment of the recording, each with its hotkey, and a field for a free
+ * note. The last flagged moment is repeated so the clinician sees it was
+ * taken.
+ *
+ * @param {SessionMarker[]} markers the markers flagged so far
+ * @param {(type: string, label?: string) => void} onAddMarker flags the
+ * current moment
+ *
+ * @returns {JSX.Element} representing the marker toolbar
+ */
+const MarkerToolbar = ({ markers, onAddMarker }) => {
+  const [note, setNote] = useState("");
+  const lastMarker = markers.at(-1);
+
+  /**
+   * @callback handleAddNote
+   *
+   * @description Flags the current moment with the typed note.
+   *
+   * @param {React.FormEvent} event the submitted form
+   */
+  const handleAddNote = (event) => {
+    event.preventDefault();
+    if (!note.trim()) return;
+
+    onAddMarker("note", note);
+    setNote("");
+  };
+
+  return (
+    <div className={styles.markerToolbar}>
+      {MARKER_TYPES.filter(({ hotkey }) => hotkey).map((eachType) => (
+        <button
+          key={eachType.id}
+          onClick={() => onAddMarker(eachType.id)}
+          title={`Press ${eachType.hotkey}`}
+        >
+          <kbd>{eachType.hotkey}</kbd> {eachType.label}
+        </button>
+      ))}
+
+      <form onSubmit={handleAddNote}>
+        <input
+          value={note}
+          onChange={(event) => setNote(event.target.value)}
+          placeholder="Note, such as error on /r/"
+          aria-label="Marker note"
+        />
+        <button type="submit">Add</button>
+      </form>
+
+      {lastMarker && (
+        <p>
+          {markers.length} marker{markers.length === 1 ? "" : "s"} · last:{" "}
+          {describeMarker(lastMarker)} at{" "}
+          {formatElapsed(lastMarker.time / 1000)}
+        </p>
+      )}
+    </div>
+  );
+};
+
+/**
+ * @component
+ *
+ * @description Responsible for rendering the recordings that were interrupted
+ * before they were stopped, offering to recover or discard each.
+ *
+ * @param {UnfinishedRecording[]} recordings the unfinished recordings
+ * @param {(id: string) => void} onRecover recovers a recording
+ * @param {(id: string) => void} onDiscard discards a recording
+ *
+ * @returns {JSX.Element} representing the recovery prompt
+ */
+const RecoveryPrompt = ({ recordings, onRecover, onDiscard }) => {
+  if (!recordings.length) return null;
+
+  return (
+    <div className={styles.recovery} role="alert">
+      <h3>Unfinished recordings</h3>
+      <ul>
+        {recordings.map((eachRecording) => (
+          <li key={eachRecording.id}>
+            <span>
+              Started {new Date(eachRecording.startedAt).toLocaleString()} ·{" "}
+              {formatElapsed(eachRecording.duration)}
+            </span>
+            <button onClick={() => onRecover(eachRecording.id)}>Recover</button>
+            <button onClick={() => onDiscard(eachRecording.id)}>Discard</button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
 /**
  * @component
  *
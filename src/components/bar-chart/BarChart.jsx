@@ -0,0 +1,59 @@
+/**
+ * @file BarChart.jsx
+ *
+ * @description This component is responsible for rendering a small
+ * horizontal bar chart, used by the analytics reports to compare a measure
+ * across speakers or duration ranges.
+ *
+ * @requires react
+ * @requires bar-chart.module.scss
+ *
+ * @exports BarChart
+ */
+
+import React from "react";
+import styles from "./bar-chart.module.scss";
+
+/**
+ * @typedef {Object} Bar
+ *
+ * @property {string} label the name of the bar
+ * @property {number} value the value of the bar
+ */
+
+/**
+ * @component BarChart
+ *
+ * @description Responsible for rendering one labelled bar per value, scaled
+ * against the largest value.
+ *
+ * @param {string} title the title of the chart
+ * @param {Bar[]} bars the bars of the chart
+ * @param {(value: number) => string} formatValue formats a value for display
+ *
+ * @returns {JSX.Element} representing the bar chart
+ */
+const BarChart = ({ title, bars, formatValue = String }) => {
+  const max = Math.max(...bars.map(({ value }) => value), 0);
+
+  return (
+    <figure className={styles.barChart}>
+      <figcaption>{title}</figcaption>
+
+      {bars.map((eachBar) => (
+        <div key={eachBar.label} className={styles.row}>
+          <span className={styles.label}>{eachBar.label}</span>
+          <span className={styles.track}>
+            <span
+              className={styles.bar}
+              style={{ width: max ? `${(eachBar.value / max) * 100}%` : 0 }}
+            />
+          </span>
+          <span className={styles.value}>{formatValue(eachBar.value)}</span>
+        </div>
+      ))}
+    </figure>
+  );
+};
+
+export default BarChart;
@@ -0,0 +1,189 @@
+/**
+ * @file ChapterPanel.jsx
+ *
+ * @description This component is responsible for rendering the collapsible
+ * sidebar of chapters detected in a transcript. Clicking a chapter seeks the
+ * playback to it, the chapter currently playing is highlighted, and each
+ * chapter can be corrected by the clinician.
+ *
+ * @requires react
+ * @requires react-icons
+ * @requires services/transcription
+ * @requires chapter-panel.module.scss
+ *
+ * @exports ChapterPanel
+ */
+
+import React, { useState } from "react";
+import styles from "./chapter-panel.module.scss";
+import { BiEdit } from "react-icons/bi";
+import { HiOutlineArrowNarrowRight } from "react-icons/hi";
+import { formatClockTime } from "../../services/transcription/transcriptTime";
+import { findChapterIndexAtTime } from "../../services/transcription/chapters";
+import { updateChapter } from "../../services/transcription/transcriptEdits";
+
+/**
+ * @component ChapterPanel
+ *
+ * @description Responsible for rendering the list of chapters.
+ *
+ * @param {Transcript} transcript the transcript whose chapters are shown
+ * @param {number} currentTime the current playback time in seconds
+ * @param {(chapter: TranscriptChapter) => void} onSelect called when a chapter
+ * is clicked
+ * @param {(edit: (transcript: Transcript) => Transcript) => void} onEdit
+ * applies an edit to the transcript
+ *
+ * @returns {JSX.Element} representing the chapter sidebar
+ */
+const ChapterPanel = ({ transcript, currentTime, onSelect, onEdit }) => {
+  const [isCollapsed, setIsCollapsed] = useState(false);
+  const [editingIndex, setEditingIndex] = useState(null);
+
+  const activeIndex = findChapterIndexAtTime(
+    transcript.chapters,
+    currentTime * 1_000
+  );
+
+  if (!transcript.chapters.length) return null;
+
+  return (
+    <aside
+      className={
+        isCollapsed
+          ? `${styles.chapterPanel} ${styles.collapsed}`
+          : styles.chapterPanel
+      }
+    >
+      <header>
+        {!isCollapsed && <h3>Chapters</h3>}
+        <button
+          onClick={() => setIsCollapsed((prev) => !prev)}
+          aria-label={isCollapsed ? "Expand chapters" : "Collapse chapters"}
+          className={isCollapsed ? styles.isFlipped : ""}
+        >
+          <HiOutlineArrowNarrowRight />
+        </button>
+      </header>
+
+      {!isCollapsed && (
+        <ol>
+          {transcript.chapters.map((eachChapter, chapterIndex) => (
+            <li
+              key={eachChapter.index}
+              className={
+                chapterIndex === activeIndex
+                  ? `${styles.chapter} ${styles.activeChapter}`
+                  : styles.chapter
+              }
+            >
+              {editingIndex === eachChapter.index ? (
+                <ChapterEditor
+                  chapter={eachChapter}
+                  onSave={(changes) => {
+                    onEdit((prevTranscript) =>
+                      updateChapter(prevTranscript, eachChapter.index, changes)
+                    );
+                    setEditingIndex(null);
+                  }}
+                  onCancel={() => setEditingIndex(null)}
+                />
+              ) : (
+                <>
+                  <button
+                    className={styles.summary}
+                    onClick={() => onSelect(eachChapter)}
+                  >
+                    <small>
+                      Chapter {chapterIndex + 1} ·{" "}
+                      {formatClockTime(eachChapter.start)} –{" "}
+                      {formatClockTime(eachChapter.end)}
+                    </small>
+                    <strong>{eachChapter.headline}</strong>
+                    <span>{eachChapter.gist}</span>
+                  </button>
+                  <button
+                    onClick={() => setEditingIndex(eachChapter.index)}
+                    aria-label="Edit chapter"
+                    className={styles.editButton}
+                  >
+                    <BiEdit />
+                  </button>
+                </>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+    </aside>
+  );
+};
+
+/**
+ * @component ChapterEditor
+ *
+ * @description Responsible for rendering the form that edits the headline,
+ * gist and summary of a chapter.
+ *
+ * @param {TranscriptChapter} chapter the chapter being edited
+ * @param {(changes: object) => void} onSave called with the edited fields
+ * @param {() => void} onCancel called when editing is abandoned
+ *
+ * @returns {JSX.Element} representing the chapter form
+ */
+const ChapterEditor = ({ chapter, onSave, onCancel }) => {
+  const [draft, setDraft] = useState({
+    headline: chapter.headline,
+    gist: chapter.gist,
+    summary: chapter.summary,
+  });
+
+  /**
+   * @setStateFunction handleChange
+   *
+   * @description State updater function that updates a field of the draft
+   *
+   * @param {Event} event the change event of the field
+   */
+  const handleChange = (event) => {
+    const { name, value } = event.target;
+    setDraft((prevDraft) => ({ ...prevDraft, [name]: value }));
+  };
+
+  return (
+    <form
+      className={styles.editor}
+      onSubmit={(event) => {
+        event.preventDefault();
+        onSave(draft);
+      }}
+    >
+      <input
+        name="headline"
+        value={draft.headline}
+        onChange={handleChange}
+        aria-label="Chapter headline"
+      />
+      <input
+        name="gist"
+        value={draft.gist}
+        onChange={handleChange}
+        aria-label="Chapter gist"
+      />
+      <textarea
+        name="summary"
+        value={draft.summary}
+        onChange={handleChange}
+        aria-label="Chapter summary"
+      />
+      <div>
+        <button type="submit">Save</button>
+        <button type="button" onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default ChapterPanel;
@@ -0,0 +1,180 @@
+/**
+ * @file ClientForm.jsx
+ *
+ * @description This component is responsible for rendering the form that
+ * creates or edits the record of a client.
+ *
+ * @requires react
+ * @requires client-form.module.scss
+ *
+ * @exports ClientForm
+ */
+
+import React, { useState } from "react";
+import styles from "./client-form.module.scss";
+
+/**
+ * @function toFormValues
+ *
+ * @description Reads the details of a client into the values of the form,
+ * with the goals on one line each.
+ *
+ * @param {Client} [client] the edited client, undefined for a new client
+ *
+ * @returns {object} the values of the form fields
+ */
+const toFormValues = (client) => ({
+  name: client?.name ?? "",
+  initials: client?.initials ?? "",
+  dateOfBirth: client?.dateOfBirth ?? "",
+  diagnosis: client?.diagnosis ?? "",
+  goals: client?.goals.join("\n") ?? "",
+  guardianName: client?.guardian.name ?? "",
+  guardianPhone: client?.guardian.phone ?? "",
+  guardianEmail: client?.guardian.email ?? "",
+});
+
+/**
+ * @component ClientForm
+ *
+ * @description Responsible for rendering the fields of a client record.
+ *
+ * @param {Client} [client] the edited client, undefined for a new client
+ * @param {(details: ClientDetails) => void} onSubmit called with the entered
+ * details
+ * @param {() => void} onCancel called when the form is dismissed
+ *
+ * @returns {JSX.Element} representing the client form
+ */
+const ClientForm = ({ client, onSubmit, onCancel }) => {
+  const [values, setValues] = useState(() => toFormValues(client));
+
+  /**
+   * @setStateFunction handleChange
+   *
+   * @description State updater function that records the value of a field
+   *
+   * @param {React.ChangeEvent<HTMLInputElement>} event the change of a field,
+   * named after its value
+   */
+  const handleChange = (event) => {
+    const { name, value } = event.target;
+    setValues((prevValues) => ({ ...prevValues, [name]: value }));
+  };
+
+  /**
+   * @callback handleSubmit
+   *
+   * @description Submits the entered details. A client needs a name or
+   * initials, which the form enforces.
+   *
+   * @param {React.FormEvent} event the submission of the form
+   */
+  const handleSubmit = (event) => {
+    event.preventDefault();
+
+    onSubmit({
+      name: values.name.trim(),
+      initials: values.initials.trim().toUpperCase(),
+      dateOfBirth: values.dateOfBirth,
+      diagnosis: values.diagnosis.trim(),
+      goals: values.goals
+        .split("\n")
+        .map((eachGoal) => eachGoal.trim())
+        .filter(Boolean),
+      guardian: {
+        name: values.guardianName.trim(),
+        phone: values.guardianPhone.trim(),
+        email: values.guardianEmail.trim(),
+      },
+    });
+  };
+
+  return (
+    <form className={styles.clientForm} onSubmit={handleSubmit}>
+      <label>
+        Name
+        <input
+          name="name"
+          value={values.name}
+          onChange={handleChange}
+          required={!values.initials.trim()}
+        />
+      </label>
+      <label>
+        Initials
+        <input
+          name="initials"
+          value={values.initials}
+          onChange={handleChange}
+          maxLength={4}
+        />
+      </label>
+      <label>
+        Date of birth
+        <input
+          type="date"
+          name="dateOfBirth"
+          value={values.dateOfBirth}
+          onChange={handleChange}
+        />
+      </label>
+      <label>
+        Diagnosis
+        <input
+          name="diagnosis"
+          value={values.diagnosis}
+          onChange={handleChange}
+        />
+      </label>
+      <label className={styles.wide}>
+        Goals, one per line
+        <textarea
+          name="goals"
+          value={values.goals}
+          onChange={handleChange}
+          rows={4}
+        />
+      </label>
+
+      <fieldset>
+        <legend>Guardian</legend>
+        <label>
+          Name
+          <input
+            name="guardianName"
+            value={values.guardianName}
+            onChange={handleChange}
+          />
+        </label>
+        <label>
+          Phone
+          <input
+            type="tel"
+            name="guardianPhone"
+            value={values.guardianPhone}
+            onChange={handleChange}
+          />
+        </label>
+        <label>
+          Email
+          <input
+            type="email"
+            name="guardianEmail"
+            value={values.guardianEmail}
+            onChange={handleChange}
+          />
+        </label>
+      </fieldset>
+
+      <span className={styles.actions}>
+        <button type="submit">{client ? "Save" : "Add client"}</button>
+        <button type="button" onClick={onCancel}>
+          Cancel
+        </button>
+      </span>
+    </form>
+  );
+};
+
+export default ClientForm;
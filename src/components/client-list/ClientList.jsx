@@ -0,0 +1,140 @@
+/**
+ * @file ClientList.jsx
+ *
+ * @description This component is responsible for rendering the clients of
+ * the clinician, with a search to find one and a form to add a new client.
+ *
+ * @requires react
+ * @requires react-router-dom
+ * @requires context/AuthContext
+ * @requires hooks/local-collection/useLocalCollection
+ * @requires hooks/clients/useClients
+ * @requires services/clients/clients
+ * @requires services/transcription/savedTranscripts
+ * @requires ClientForm
+ * @requires client-list.module.scss
+ *
+ * @exports ClientList
+ */
+
+import React, { useState, useMemo } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import styles from "./client-list.module.scss";
+import { useAuth } from "../../context/AuthContext";
+import useLocalCollection from "../../hooks/local-collection/useLocalCollection";
+import useClients from "../../hooks/clients/useClients";
+import { createClient } from "../../services/clients/clients";
+import {
+  SAVED_TRANSCRIPTS_COLLECTION,
+  listSavedTranscripts,
+} from "../../services/transcription/savedTranscripts";
+import ClientForm from "../client-form/ClientForm";
+
+/**
+ * @component ClientList
+ *
+ * @description Responsible for rendering the list of clients.
+ *
+ * @returns {JSX.Element} representing the client list
+ */
+const ClientList = () => {
+  const navigate = useNavigate();
+  const { currentUser } = useAuth();
+  const { clients, isLoading } = useClients();
+  const savedTranscripts = useLocalCollection(SAVED_TRANSCRIPTS_COLLECTION);
+  const [query, setQuery] = useState("");
+  const [isAdding, setIsAdding] = useState(false);
+  const [error, setError] = useState(null);
+
+  const sessionCounts = useMemo(
+    () =>
+      listSavedTranscripts(currentUser?.uid ?? null, savedTranscripts).reduce(
+        (counts, { client }) =>
+          counts.set(client, (counts.get(client) ?? 0) + 1),
+        new Map()
+      ),
+    [savedTranscripts, currentUser]
+  );
+
+  const matchingClients = useMemo(() => {
+    const search = query.trim().toLowerCase();
+
+    return clients
+      .filter((eachClient) =>
+        [eachClient.name, eachClient.initials, eachClient.diagnosis].some(
+          (field) => field.toLowerCase().includes(search)
+        )
+      )
+      .sort((a, b) =>
+        (a.name || a.initials).localeCompare(b.name || b.initials)
+      );
+  }, [clients, query]);
+
+  /**
+   * @callback handleCreate
+   *
+   * @description Creates the entered client and opens its record.
+   *
+   * @param {ClientDetails} details the entered details
+   */
+  const handleCreate = (details) => {
+    setError(null);
+    createClient(details, currentUser?.uid ?? null)
+      .then((client) => navigate(`/clients/${client.id}`))
+      .catch((createError) =>
+        setError(`Could not add the client: ${createError.message}`)
+      );
+  };
+
+  return (
+    <div className={styles.clientList}>
+      <header>
+        <h1>Clients</h1>
+        <input
+          type="search"
+          value={query}
+          onChange={(event) => setQuery(event.target.value)}
+          placeholder="Search clients..."
+          aria-label="Search clients"
+        />
+        {!isAdding && (
+          <button onClick={() => setIsAdding(true)}>New client</button>
+        )}
+      </header>
+
+      {error && <p className={styles.error}>{error}</p>}
+
+      {isAdding && (
+        <ClientForm
+          onSubmit={handleCreate}
+          onCancel={() => setIsAdding(false)}
+        />
+      )}
+
+      {matchingClients.length ? (
+        <ul>
+          {matchingClients.map((eachClient) => (
+            <li key={eachClient.id}>
+              <Link to={`/clients/${eachClient.id}`}>
+                <strong>{eachClient.name || eachClient.initials}</strong>
+                <small>{eachClient.name && eachClient.initials}</small>
+                <span>{eachClient.diagnosis}</span>
+                <small>{sessionCounts.get(eachClient.id) ?? 0} sessions</small>
+              </Link>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        !isLoading && (
+          <p className={styles.empty}>
+            {clients.length
+              ? "No client matches the search."
+              : "Add a client to keep their recordings and analyses together."}
+          </p>
+        )
+      )}
+    </div>
+  );
+};
+
+export default ClientList;
@@ -0,0 +1,273 @@
+/**
+ * @file ClientRecord.jsx
+ *
+ * @description This component is responsible for rendering the record of a
+ * client: their details, treatment goals, guardian contact and the history
+ * of their sessions. Every session links to its transcript and analytics.
+ *
+ * @requires react
+ * @requires react-router-dom
+ * @requires context/AuthContext
+ * @requires hooks/local-collection/useLocalCollection
+ * @requires hooks/clients/useClients
+ * @requires services/clients
+ * @requires services/transcription
+ * @requires services/analysis/sessionAnalyses
+ * @requires ClientForm
+ * @requires client-record.module.scss
+ *
+ * @exports ClientRecord
+ */
+
+import React, { useState, useMemo } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import styles from "./client-record.module.scss";
+import { useAuth } from "../../context/AuthContext";
+import useLocalCollection from "../../hooks/local-collection/useLocalCollection";
+import useClients from "../../hooks/clients/useClients";
+import {
+  formatClientAge,
+  updateClient,
+  removeClient,
+} from "../../services/clients/clients";
+import { buildSessionHistory } from "../../services/clients/sessionHistory";
+import {
+  SAVED_TRANSCRIPTS_COLLECTION,
+  listSavedTranscripts,
+} from "../../services/transcription/savedTranscripts";
+import {
+  PENDING_JOBS_COLLECTION,
+  listPendingJobs,
+} from "../../services/transcription/pendingJobs";
+import {
+  SESSION_ANALYSES_COLLECTION,
+  listSessionAnalyses,
+} from "../../services/analysis/sessionAnalyses";
+import ClientForm from "../client-form/ClientForm";
+
+/**
+ * @component ClientRecord
+ *
+ * @description Responsible for rendering the record of one client.
+ *
+ * @param {string} clientId identifier of the client
+ *
+ * @returns {JSX.Element} representing the client record
+ */
+const ClientRecord = ({ clientId }) => {
+  const navigate = useNavigate();
+  const { currentUser } = useAuth();
+  const { clients, isLoading } = useClients();
+  const transcripts = useLocalCollection(SAVED_TRANSCRIPTS_COLLECTION);
+  const jobs = useLocalCollection(PENDING_JOBS_COLLECTION);
+  const analyses = useLocalCollection(SESSION_ANALYSES_COLLECTION);
+  const [isEditing, setIsEditing] = useState(false);
+  const [error, setError] = useState(null);
+
+  const client = clients.find(({ id }) => id === clientId);
+  const sessions = useMemo(
+    () =>
+      buildSessionHistory(clientId, {
+        transcripts: listSavedTranscripts(
+          currentUser?.uid ?? null,
+          transcripts
+        ),
+        jobs: listPendingJobs(currentUser?.uid ?? null, jobs),
+        analyses: listSessionAnalyses(currentUser?.uid ?? null, analyses),
+      }),
+    [clientId, transcripts, jobs, analyses, currentUser]
+  );
+
+  /**
+   * @callback handleUpdate
+   *
+   * @description Saves the edited details of the client.
+   *
+   * @param {ClientDetails} details the edited details
+   */
+  const handleUpdate = (details) => {
+    setError(null);
+    updateClient(clientId, details)
+      .then(() => setIsEditing(false))
+      .catch((updateError) =>
+        setError(`Could not save the client: ${updateError.message}`)
+      );
+  };
+
+  /**
+   * @callback handleRemove
+   *
+   * @description Removes the client after confirming, keeping its sessions
+   * detached from it.
+   */
+  const handleRemove = () => {
+    if (
+      !window.confirm(
+        "Remove this client? Their recordings and transcripts are kept."
+      )
+    ) {
+      return;
+    }
+
+    setError(null);
+    removeClient(client, currentUser?.uid ?? null)
+      .then(() => navigate("/clients"))
+      .catch((removeError) =>
+        setError(`Could not remove the client: ${removeError.message}`)
+      );
+  };
+
+  if (isLoading) return null;
+
+  if (!client) {
+    return (
+      <div className={styles.clientRecord}>
+        <p>
+          This client does not exist. <Link to="/clients">Back to clients</Link>
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className={styles.clientRecord}>
+      <header>
+        <Link to="/clients">Clients</Link>
+        <h1>{client.name || client.initials}</h1>
+        {!isEditing && (
+          <span className={styles.actions}>
+            <Link to={`/start-recording?client=${client.id}`}>
+              New recording
+            </Link>
+            <button onClick={() => setIsEditing(true)}>Edit</button>
+            <button onClick={handleRemove}>Remove</button>
+          </span>
+        )}
+      </header>
+
+      {error && <p className={styles.error}>{error}</p>}
+
+      {isEditing ? (
+        <ClientForm
+          client={client}
+          onSubmit={handleUpdate}
+          onCancel={() => setIsEditing(false)}
+        />
+      ) : (
+        <>
+          <dl className={styles.details}>
+            <div>
+              <dt>Initials</dt>
+              <dd>{client.initials || "–"}</dd>
+            </div>
+            <div>
+              <dt>Date of birth</dt>
+              <dd>
+                {client.dateOfBirth
+                  ? `${new Date(
+                      `${client.dateOfBirth}T00:00`
+                    ).toLocaleDateString()} (${formatClientAge(
+                      client.dateOfBirth
+                    )})`
+                  : "–"}
+              </dd>
+            </div>
+            <div>
+              <dt>Diagnosis</dt>
+              <dd>{client.diagnosis || "–"}</dd>
+            </div>
+            <div>
+              <dt>Guardian</dt>
+              <dd>
+                {[client.guardian.name, client.guardian.phone]
+                  .filter(Boolean)
+                  .join(", ") || "–"}
+                {client.guardian.email && (
+                  <>
+                    <br />
+                    <a href={`mailto:${client.guardian.email}`}>
+                      {client.guardian.email}
+                    </a>
+                  </>
+                )}
+              </dd>
+            </div>
+          </dl>
+
+          <h2>Goals</h2>
+          {client.goals.length ? (
+            <ol className={styles.goals}>
+              {client.goals.map((eachGoal, index) => (
+                <li key={index}>{eachGoal}</li>
+              ))}
+            </ol>
+          ) : (
+            <p className={styles.empty}>No goals recorded yet.</p>
+          )}
+        </>
+      )}
+
+      <h2>Sessions</h2>
+      {sessions.length ? (
+        <table className={styles.sessions}>
+          <thead>
+            <tr>
+              <th>Recorded</th>
+              <th>Recording</th>
+              <th>Transcript</th>
+              <th>Analyses</th>
+            </tr>
+          </thead>
+          <tbody>
+            {sessions.map((eachSession) => (
+              <tr key={eachSession.id}>
+                <td>
+                  <time dateTime={eachSession.recordedAt}>
+                    {new Date(eachSession.recordedAt).toLocaleString()}
+                  </time>
+                </td>
+                <td>{eachSession.fileName}</td>
+                <td>
+                  {eachSession.status === "completed" ? (
+                    <>
+                      <Link
+                        to={`/start-recording?transcript=${eachSession.id}`}
+                      >
+                        {eachSession.words} words
+                      </Link>
+                      {eachSession.editedAt && (
+                        <small>
+                          Edited{" "}
+                          {new Date(eachSession.editedAt).toLocaleString()}
+                        </small>
+                      )}
+                    </>
+                  ) : (
+                    <small>{eachSession.error ?? "Transcribing..."}</small>
+                  )}
+                </td>
+                <td>
+                  {eachSession.status === "completed" && (
+                    <Link to={`/display-analytics?session=${eachSession.id}`}>
+                      {eachSession.analyses.length
+                        ? eachSession.analyses
+                            .map(({ label }) => label)
+                            .join(", ")
+                        : "Analyze"}
+                    </Link>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <p className={styles.empty}>
+          Recordings attached to this client will be listed here.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ClientRecord;
@@ -2,9 +2,11 @@
  * @file Dashboard.jsx
  *
  * @description This component is responsible for rendering the content on the
- * dashboard.
+ * dashboard. The In-Progress and Downloads buttons list the items kept in the
+ * offline store.
  *
  * @requires react
+ * @requires react-router-dom
  * @requires react-icons
  * @requires dashboard.module.scss
  *
@@ -12,8 +14,10 @@
  */
 
 import React, { useState } from "react";
+import { useNavigate } from "react-router-dom";
 import styles from "./dashboard.module.scss";
 import DisplayModal from "../modal/DisplayModal";
+import OfflineItems from "../offline-items/OfflineItems";
 import Widgets from "../widgets/metrics/MetricWidgets";
 
 import { BiEdit } from "react-icons/bi";
@@ -22,17 +26,19 @@ import { GiNotebook } from "react-icons/gi";
 import { IoMdMicrophone } from "react-icons/io";
 import { BsTrash, BsPersonVcard } from "react-icons/bs";
 
+/**
+ * Maps each view of the offline store onto the title of its modal.
+ */
+const OFFLINE_VIEW_TITLES = {
+  inProgress: "In-Progress",
+  downloads: "Downloads",
+};
+
 /**
  * Defines an object of various templates the modal can have dependent on which
  * button invokes it.
  */
 const modalTemplate = {
-  clients: {
-    content: "Client-Title",
-    body: "Client-Body",
-    icon: "",
-    key: 1,
-  },
   transcript: {
     content: "Transcript-Title",
     body: "Client-Body",
@@ -105,7 +111,9 @@ const FolderModals = () => {
  * @returns {JSX.Element} representing the contents of the dashboard
  */
 const Dashboard = () => {
+  const navigate = useNavigate();
   const [isModalOpen, setIsModalOpen] = useState(false);
+  const [offlineView, setOfflineView] = useState(null);
 
   /**
    * @callback handleSetModal
@@ -121,7 +129,7 @@ const Dashboard = () => {
       <Widgets />
       <h2> Quick Access {isModalOpen} </h2>
       <div className={styles.btnContainers}>
-        <button onClick={handleSetModal}>
+        <button onClick={() => navigate("/clients")}>
           <BsPersonVcard />
           <span>Folders</span>
         </button>
@@ -136,12 +144,12 @@ const Dashboard = () => {
           <span>Recordings</span>
         </button>
 
-        <button onClick={handleSetModal}>
+        <button onClick={() => setOfflineView("inProgress")}>
           <BiEdit />
           <span>In-Progress</span>
         </button>
 
-        <button onClick={handleSetModal}>
+        <button onClick={() => setOfflineView("downloads")}>
           <HiDownload />
           <span>Downloads</span>
         </button>
@@ -154,6 +162,14 @@ const Dashboard = () => {
 
       <DisplayModal isOpen={isModalOpen} onRequestClose={handleSetModal} />
 
+      <DisplayModal
+        isOpen={Boolean(offlineView)}
+        onRequestClose={() => setOfflineView(null)}
+        title={OFFLINE_VIEW_TITLES[offlineView]}
+      >
+        {offlineView && <OfflineItems view={offlineView} />}
+      </DisplayModal>
+
       <div>
         <h2>Transcript Previews</h2>
 
@@ -0,0 +1,222 @@
+/**
+ * @file DisfluencyReport.jsx
+ *
+ * @description This component is responsible for rendering the disfluency
+ * report of a transcript: the counts and rates of every speaker, and the list
+ * of detected events the clinician confirms or rejects. The reviewed report
+ * can be saved with the session.
+ *
+ * @requires react
+ * @requires react-icons
+ * @requires context/AuthContext
+ * @requires services/analysis
+ * @requires disfluency-report.module.scss
+ *
+ * @exports DisfluencyReport
+ * @exports DisfluencyReview
+ */
+
+import React, { useState, useEffect, useMemo } from "react";
+import styles from "./disfluency-report.module.scss";
+import { useAuth } from "../../context/AuthContext";
+import { HiCheck, HiX } from "react-icons/hi";
+import {
+  DISFLUENCY_TYPES,
+  getDisfluencyStatus,
+  summarizeDisfluencies,
+} from "../../services/analysis/disfluency";
+import {
+  findSessionAnalysis,
+  saveSessionAnalysis,
+} from "../../services/analysis/sessionAnalyses";
+import { getSpeakerLabel } from "../../services/transcription/speakers";
+import { formatClockTime } from "../../services/transcription/transcriptTime";
+
+/**
+ * @component DisfluencyReport
+ *
+ * @description Responsible for rendering the collapsible disfluency report.
+ *
+ * @param {Transcript} transcript the analyzed transcript
+ * @param {DisfluencyEvent[]} events the detected events
+ * @param {Object<string, string>} reviews maps event identifiers onto
+ * confirmed or rejected
+ * @param {(eventId: string, status: string) => void} onReview records the
+ * review of an event
+ * @param {(event: DisfluencyEvent) => void} onSelect called when an event is
+ * clicked
+ *
+ * @returns {JSX.Element} representing the disfluency report
+ */
+const DisfluencyReport = ({
+  transcript,
+  events,
+  reviews,
+  onReview,
+  onSelect,
+}) => {
+  const { currentUser } = useAuth();
+  const userId = currentUser?.uid ?? null;
+  const [isOpen, setIsOpen] = useState(false);
+  const [savedAt, setSavedAt] = useState(null);
+
+  const summaries = useMemo(
+    () => summarizeDisfluencies(transcript, events, reviews),
+    [transcript, events, reviews]
+  );
+
+  /**
+   * @useEffect
+   *
+   * @description useEffect that shows when the report of a newly opened
+   * transcript was last saved
+   */
+  useEffect(() => {
+    setSavedAt(
+      findSessionAnalysis(transcript.id, "disfluency", userId)?.savedAt ?? null
+    );
+  }, [transcript.id, userId]);
+
+  /**
+   * @function handleSave
+   *
+   * @description Saves the reviews and the resulting summary with the session.
+   */
+  const handleSave = () => {
+    saveSessionAnalysis(
+      transcript.id,
+      "disfluency",
+      {
+        reviews,
+        summaries,
+      },
+      userId
+    );
+    setSavedAt(new Date().toISOString());
+  };
+
+  return (
+    <section className={styles.disfluencyReport}>
+      <header>
+        <button
+          onClick={() => setIsOpen((prev) => !prev)}
+          aria-expanded={isOpen}
+          className={styles.toggle}
+        >
+          <h3>Disfluencies</h3>
+          <small>{events.length} detected</small>
+        </button>
+
+        {isOpen && (
+          <span className={styles.save}>
+            {savedAt && (
+              <small>Saved {new Date(savedAt).toLocaleString()}</small>
+            )}
+            <button onClick={handleSave}>Save report</button>
+          </span>
+        )}
+      </header>
+
+      {isOpen && (
+        <>
+          <table className={styles.summary}>
+            <thead>
+              <tr>
+                <th>Speaker</th>
+                {DISFLUENCY_TYPES.map((eachType) => (
+                  <th key={eachType.id} title={eachType.label}>
+                    {eachType.abbreviation}
+                  </th>
+                ))}
+                <th>Words</th>
+                <th>Syllables</th>
+                <th>%SS</th>
+                <th>Per 100 words</th>
+              </tr>
+            </thead>
+            <tbody>
+              {summaries.map((eachSummary) => (
+                <tr key={eachSummary.speaker}>
+                  <td>{getSpeakerLabel(transcript, eachSummary.speaker)}</td>
+                  {DISFLUENCY_TYPES.map((eachType) => (
+                    <td key={eachType.id}>{eachSummary.counts[eachType.id]}</td>
+                  ))}
+                  <td>{eachSummary.words}</td>
+                  <td>{eachSummary.syllables}</td>
+                  <td>{eachSummary.percentSyllablesStuttered.toFixed(1)}</td>
+                  <td>{eachSummary.disfluenciesPer100Words.toFixed(1)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <ol className={styles.events}>
+            {events.map((eachEvent) => {
+              const status = getDisfluencyStatus(reviews, eachEvent);
+              const type = DISFLUENCY_TYPES.find(
+                ({ id }) => id === eachEvent.type
+              );
+
+              return (
+                <li key={eachEvent.id} className={styles[status]}>
+                  <button
+                    onClick={() => onSelect(eachEvent)}
+                    className={styles.event}
+                  >
+                    <small>{formatClockTime(eachEvent.start)}</small>
+                    <strong>{type.label}</strong>
+                    <span>{eachEvent.text}</span>
+                    <small>
+                      {getSpeakerLabel(transcript, eachEvent.speaker)}
+                    </small>
+                  </button>
+                  <DisfluencyReview
+                    status={status}
+                    onReview={(nextStatus) =>
+                      onReview(eachEvent.id, nextStatus)
+                    }
+                  />
+                </li>
+              );
+            })}
+          </ol>
+        </>
+      )}
+    </section>
+  );
+};
+
+/**
+ * @component DisfluencyReview
+ *
+ * @description Responsible for rendering the confirm and reject buttons of an
+ * event. Pressing the button of the current status again returns the event
+ * to pending.
+ *
+ * @param {string} status one of pending, confirmed or rejected
+ * @param {(status: string) => void} onReview records the new status
+ *
+ * @returns {JSX.Element} representing the review buttons
+ */
+export const DisfluencyReview = ({ status, onReview }) => (
+  <span className={styles.review}>
+    <button
+      onClick={() => onReview(status === "confirmed" ? "pending" : "confirmed")}
+      aria-pressed={status === "confirmed"}
+      aria-label="Confirm disfluency"
+      className={styles.confirm}
+    >
+      <HiCheck />
+    </button>
+    <button
+      onClick={() => onReview(status === "rejected" ? "pending" : "rejected")}
+      aria-pressed={status === "rejected"}
+      aria-label="Reject disfluency"
+      className={styles.reject}
+    >
+      <HiX />
+    </button>
+  </span>
+);
+
+export default DisfluencyReport;
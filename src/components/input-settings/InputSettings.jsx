@@ -0,0 +1,156 @@
+/**
+ * @file InputSettings.jsx
+ *
+ * @description This component is responsible for rendering the choice of
+ * microphone, of the voice processing the browser applies to it and of how
+ * silence is handled.
+ *
+ * @requires react
+ * @requires services/recording/audioInput
+ * @requires input-settings.module.scss
+ *
+ * @exports InputSettings
+ */
+
+import React, { useEffect, useState } from "react";
+import styles from "./input-settings.module.scss";
+import {
+  PROCESSING_OPTIONS,
+  listInputDevices,
+} from "../../services/recording/audioInput";
+
+/**
+ * @component InputSettings
+ *
+ * @description Responsible for rendering the microphone picker, the
+ * processing options and the silence options. The microphones are listed
+ * again whenever one is plugged in or out, and once access is granted, since
+ * browsers only name them from then on. When they cannot be listed, the
+ * clinician is told so.
+ *
+ * @param {InputSettings} settings the current input settings
+ * @param {(changes: Partial<InputSettings>) => void} onChange called with
+ * every changed setting
+ * @param {boolean} hasAccess whether microphone access was granted
+ * @param {boolean} disabled whether the settings can be changed
+ *
+ * @returns {JSX.Element} representing the input settings
+ */
+const InputSettings = ({ settings, onChange, hasAccess, disabled = false }) => {
+  const [devices, setDevices] = useState([]);
+  const [listError, setListError] = useState(null);
+
+  /**
+   * @useEffect
+   *
+   * @description useEffect that lists the microphones, and lists them again
+   * whenever the connected devices change
+   */
+  useEffect(() => {
+    if (!navigator.mediaDevices?.enumerateDevices) return undefined;
+
+    let isCurrent = true;
+
+    const listDevices = () =>
+      listInputDevices()
+        .then((inputDevices) => {
+          if (!isCurrent) return;
+          setDevices(inputDevices);
+          setListError(null);
+        })
+        .catch((error) => {
+          if (isCurrent) {
+            setListError(`Could not list the microphones: ${error.message}`);
+          }
+        });
+
+    listDevices();
+    navigator.mediaDevices.addEventListener("devicechange", listDevices);
+
+    return () => {
+      isCurrent = false;
+      navigator.mediaDevices.removeEventListener("devicechange", listDevices);
+    };
+  }, [hasAccess]);
+
+  const isChosenMissing =
+    settings.deviceId &&
+    devices.length > 0 &&
+    !devices.some(({ deviceId }) => deviceId === settings.deviceId);
+
+  return (
+    <fieldset className={styles.inputSettings} disabled={disabled}>
+      <label>
+        Microphone
+        <select
+          value={settings.deviceId ?? ""}
+          onChange={(event) =>
+            onChange({ deviceId: event.target.value || null })
+          }
+        >
+          <option value="">System default</option>
+          {devices
+            .filter(({ deviceId }) => deviceId && deviceId !== "default")
+            .map((eachDevice) => (
+              <option key={eachDevice.deviceId} value={eachDevice.deviceId}>
+                {eachDevice.label}
+              </option>
+            ))}
+          {isChosenMissing && (
+            <option value={settings.deviceId}>Disconnected microphone</option>
+          )}
+        </select>
+      </label>
+
+      {PROCESSING_OPTIONS.map((eachOption) => (
+        <label key={eachOption.id} className={styles.option}>
+          <input
+            type="checkbox"
+            checked={settings[eachOption.id]}
+            onChange={(event) =>
+              onChange({ [eachOption.id]: event.target.checked })
+            }
+          />
+          {eachOption.label}
+        </label>
+      ))}
+
+      <label className={styles.option}>
+        <input
+          type="checkbox"
+          checked={settings.autoStop}
+          onChange={(event) => onChange({ autoStop: event.target.checked })}
+        />
+        Stop after
+        <input
+          type="number"
+          min="5"
+          max="600"
+          value={settings.silenceSeconds}
+          onChange={(event) =>
+            onChange({
+              silenceSeconds: Math.max(5, Number(event.target.value) || 5),
+            })
+          }
+          disabled={!settings.autoStop}
+          aria-label="Seconds of silence before recording stops"
+          className={styles.seconds}
+        />
+        s of silence
+      </label>
+
+      <label className={styles.option}>
+        <input
+          type="checkbox"
+          checked={settings.trimSilence}
+          onChange={(event) => onChange({ trimSilence: event.target.checked })}
+        />
+        Trim silence before transcribing
+      </label>
+
+      {listError && <p className={styles.error}>{listError}</p>}
+    </fieldset>
+  );
+};
+
+export default InputSettings;
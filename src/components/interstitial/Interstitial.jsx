@@ -5,34 +5,107 @@
  * screen that asks the user what they would like to do on the recording screen.
  *
  * @requires react
+ * @requires react-router-dom
+ * @requires hooks/clients/useClients
+ * @requires services/clients/clients
+ * @requires services/storage/offlineStore
  * @requires interstitial.module.scss
  *
  * @exports Interstitial
  */
-import React, { useState } from "react";
+import React, { useState, useRef } from "react";
+import { Link, useSearchParams } from "react-router-dom";
 import { BsSoundwave } from "react-icons/bs";
 import { AiOutlineRead } from "react-icons/ai";
 import { MdOutlineLiveTv } from "react-icons/md";
 import styles from "./interstitial.module.scss";
+import useClients from "../../hooks/clients/useClients";
+import { getClientName } from "../../services/clients/clients";
+import { STORES } from "../../services/storage/indexedDB";
+import { findOfflineRecord } from "../../services/storage/offlineStore";
 
 import Uploader from "../uploader/Uploader";
 import Transcriber from "../transcriber/Transcriber";
 import AudioRecorder from "../audio-recorder/AudioRecorder";
+import PendingTranscriptions from "../pending-transcriptions/PendingTranscriptions";
 
 /**
  * @component Interstitial
  *
- * @description responsible for rendering the transitional screen
+ * @description responsible for rendering the transitional screen. The
+ * client search parameter preselects the client a new recording is attached
+ * to, and the transcript search parameter opens a saved transcript directly.
  *
  * @returns {JSX.Element} Resembling an interstitial screen
  */
 const Interstitial = () => {
-  const [selectedOption, setSelectedOption] = useState("");
-  const [showOptions, setShowOptions] = useState({
+  const audioRef = useRef();
+  const [searchParams] = useSearchParams();
+  const [selectedOption, setSelectedOption] = useState(() =>
+    searchParams.get("transcript") ? "View Transcript" : ""
+  );
+  const [showOptions, setShowOptions] = useState(() => ({
     option: false,
     currentTime: 0,
     file: false,
-  });
+    transcriptId: searchParams.get("transcript"),
+    providerName: undefined,
+    speakersExpected: null,
+    client: searchParams.get("client"),
+    recordingId: null,
+    markers: [],
+    trimStart: 0,
+  }));
+
+  /**
+   * @setStateFunction handleOpenTranscript
+   *
+   * @description State updater function that opens a previously submitted
+   * transcription job from the pending transcriptions tray, with the markers
+   * of its recording when it was recorded on this device
+   *
+   * @param {PendingJob} job the job to open
+   */
+  const handleOpenTranscript = (job) => {
+    setSelectedOption("View Transcript");
+    setShowOptions((prevOptions) => ({
+      ...prevOptions,
+      file: false,
+      transcriptId: job.id,
+      providerName: job.provider,
+      client: job.client,
+      recordingId: job.recordingId ?? null,
+      markers: [],
+      trimStart: null,
+    }));
+
+    if (!job.recordingId) return;
+
+    findOfflineRecord(STORES.recordings, job.recordingId)
+      .then((recording) =>
+        setShowOptions((prevOptions) =>
+          prevOptions.transcriptId === job.id
+            ? { ...prevOptions, markers: recording?.markers ?? [] }
+            : prevOptions
+        )
+      )
+      .catch(() => {});
+  };
+
+  /**
+   * @callback handleSeek
+   *
+   * @description Seeks the recorded audio to the given time, used when a word
+   * of the transcript is clicked. The time is counted from where the
+   * transcribed audio starts, after any silence trimmed from the recording
+   *
+   * @param {number} seconds the time to seek the playback to
+   */
+  const handleSeek = (seconds) => {
+    if (audioRef.current) {
+      audioRef.current.currentTime = seconds + (showOptions.trimStart ?? 0);
+    }
+  };
 
   /**
    * @component handlePageRender
@@ -43,14 +116,40 @@ const Interstitial = () => {
   const handlePageRender = () => {
     switch (selectedOption) {
       case "Record Audio":
-        return <AudioRecorder setShowOptions={setShowOptions} />;
+        return (
+          <>
+            <ClientSelect
+              value={showOptions.client}
+              setShowOptions={setShowOptions}
+            />
+            <SpeakersExpected
+              value={showOptions.speakersExpected}
+              setShowOptions={setShowOptions}
+            />
+            <AudioRecorder
+              client={showOptions.client}
+              setShowOptions={setShowOptions}
+              playbackRef={audioRef}
+            />
+          </>
+        );
       case "Upload to View":
         return <Uploader />;
       case "Record w/ Live Transcription":
         return <h2>Feature Coming Soon!</h2>;
+      case "View Transcript":
+        return null;
 
       default:
-        return <InterstitialOptions setSelectedOption={setSelectedOption} />;
+        return (
+          <>
+            <InterstitialOptions setSelectedOption={setSelectedOption} />
+            <PendingTranscriptions
+              apiToken={import.meta.env.VITE_AUTHORIZATION_1}
+              onOpen={handleOpenTranscript}
+            />
+          </>
+        );
     }
   };
 
@@ -59,11 +158,19 @@ const Interstitial = () => {
       <h1>{selectedOption ? "" : "What Would You Like To Do?"}</h1>
       {handlePageRender()}
 
-      {showOptions.file ? (
+      {showOptions.file || showOptions.transcriptId ? (
         <Transcriber
           apiToken={import.meta.env.VITE_AUTHORIZATION_1}
           fileData={showOptions.file}
+          transcriptId={showOptions.transcriptId}
+          providerName={showOptions.providerName}
+          client={showOptions.client}
+          recordingId={showOptions.recordingId}
+          trimStart={showOptions.trimStart}
+          options={{ speakersExpected: showOptions.speakersExpected }}
           currentTime={showOptions.currentTime}
+          markers={showOptions.markers}
+          onSeek={handleSeek}
         />
       ) : (
         ""
@@ -139,4 +246,77 @@ const InterstitialOptions = ({ setSelectedOption }) => {
   );
 };
 
+/**
+ * @component SpeakersExpected
+ *
+ * @description responsible for rendering the select that tells the
+ * transcription service how many speakers to expect in the recording, which
+ * improves how accurately it separates them
+ *
+ * @param {number|null} value the number of expected speakers, null to detect it
+ * @param {Function} setShowOptions updates the options passed to the transcriber
+ *
+ * @returns {JSX.Element} resembling the expected speakers select
+ */
+const SpeakersExpected = ({ value, setShowOptions }) => (
+  <label className={styles.speakersExpected}>
+    Expected speakers
+    <select
+      value={value ?? ""}
+      onChange={(event) =>
+        setShowOptions((prevOptions) => ({
+          ...prevOptions,
+          speakersExpected: Number(event.target.value) || null,
+        }))
+      }
+    >
+      <option value="">Detect automatically</option>
+      {[1, 2, 3, 4, 5, 6].map((eachCount) => (
+        <option key={eachCount} value={eachCount}>
+          {eachCount}
+        </option>
+      ))}
+    </select>
+  </label>
+);
+
+/**
+ * @component ClientSelect
+ *
+ * @description responsible for rendering the select that attaches the new
+ * recording to one of the clinician's clients, so it is listed in the
+ * client's session history
+ *
+ * @param {string|null} value identifier of the selected client, null for none
+ * @param {Function} setShowOptions updates the options passed to the transcriber
+ *
+ * @returns {JSX.Element} resembling the client select
+ */
+const ClientSelect = ({ value, setShowOptions }) => {
+  const { clients } = useClients();
+
+  return (
+    <label className={styles.clientSelect}>
+      Client
+      <select
+        value={value ?? ""}
+        onChange={(event) =>
+          setShowOptions((prevOptions) => ({
+            ...prevOptions,
+            client: event.target.value || null,
+          }))
+        }
+      >
+        <option value="">No client</option>
+        {clients.map((eachClient) => (
+          <option key={eachClient.id} value={eachClient.id}>
+            {getClientName(eachClient.id, clients)}
+          </option>
+        ))}
+      </select>
+      <Link to="/clients">Manage clients</Link>
+    </label>
+  );
+};
+
 export default Interstitial;
@@ -0,0 +1,254 @@
+/**
+ * @file LanguageSampleReport.jsx
+ *
+ * @description This component is responsible for rendering the language
+ * sample analysis of a session: MLU, lexical diversity and Brown's stage of
+ * the client, with the utterances they were computed from. The clinician can
+ * choose the exclusion rules, include or exclude single utterances, save the
+ * analysis with the session and export it.
+ *
+ * @requires react
+ * @requires context/AuthContext
+ * @requires utils/downloadBlob
+ * @requires services/analysis
+ * @requires services/export/analysisReports
+ * @requires services/transcription
+ * @requires language-sample.module.scss
+ *
+ * @exports LanguageSampleReport
+ */
+
+import React, { useState, useEffect, useMemo } from "react";
+import styles from "./language-sample.module.scss";
+import { useAuth } from "../../context/AuthContext";
+import downloadBlob from "../../utils/downloadBlob";
+import {
+  EXCLUSION_RULES,
+  DEFAULT_LANGUAGE_SAMPLE_SETTINGS,
+  findClientSpeaker,
+  analyzeLanguageSample,
+} from "../../services/analysis/languageSample";
+import {
+  findSessionAnalysis,
+  saveSessionAnalysis,
+} from "../../services/analysis/sessionAnalyses";
+import { toLanguageSampleCSV } from "../../services/export/analysisReports";
+import { getSpeakerLabel } from "../../services/transcription/speakers";
+import { formatClockTime } from "../../services/transcription/transcriptTime";
+
+/**
+ * Maps each reason an utterance is excluded onto the text shown for it.
+ */
+const EXCLUSION_LABELS = {
+  unintelligible: "Unintelligible",
+  imitation: "Imitation",
+  empty: "No countable words",
+  manual: "Excluded by you",
+};
+
+/**
+ * @component LanguageSampleReport
+ *
+ * @description Responsible for rendering the language sample analysis of a
+ * transcript.
+ *
+ * @param {Transcript} transcript the analyzed transcript
+ * @param {string} sessionName the name of the session, used for exports
+ *
+ * @returns {JSX.Element} representing the language sample report
+ */
+const LanguageSampleReport = ({ transcript, sessionName }) => {
+  const { currentUser } = useAuth();
+  const userId = currentUser?.uid ?? null;
+  const [speaker, setSpeaker] = useState(() => findClientSpeaker(transcript));
+  const [rules, setRules] = useState(DEFAULT_LANGUAGE_SAMPLE_SETTINGS.rules);
+  const [overrides, setOverrides] = useState({});
+  const [savedAt, setSavedAt] = useState(null);
+
+  /**
+   * @useEffect
+   *
+   * @description useEffect that restores the saved choices of the clinician
+   * whenever another session is analyzed
+   */
+  useEffect(() => {
+    const saved = findSessionAnalysis(transcript.id, "languageSample", userId);
+
+    setSpeaker(saved?.data.speaker ?? findClientSpeaker(transcript));
+    setRules(saved?.data.rules ?? DEFAULT_LANGUAGE_SAMPLE_SETTINGS.rules);
+    setOverrides(saved?.data.overrides ?? {});
+    setSavedAt(saved?.savedAt ?? null);
+  }, [transcript.id, userId]);
+
+  const analysis = useMemo(
+    () =>
+      analyzeLanguageSample(transcript, {
+        speaker,
+        settings: { rules },
+        overrides,
+      }),
+    [transcript, speaker, rules, overrides]
+  );
+  const { summary } = analysis;
+
+  /**
+   * @setStateFunction handleToggleUtterance
+   *
+   * @description State updater function that includes an excluded utterance
+   * or excludes an included one, overriding the exclusion rules
+   *
+   * @param {SampleUtterance} utterance the utterance to toggle
+   */
+  const handleToggleUtterance = (utterance) => {
+    setOverrides((prevOverrides) => ({
+      ...prevOverrides,
+      [utterance.id]: utterance.exclusion ? "include" : "exclude",
+    }));
+  };
+
+  /**
+   * @function handleSave
+   *
+   * @description Saves the choices of the clinician and the resulting
+   * measures with the session.
+   */
+  const handleSave = () => {
+    saveSessionAnalysis(
+      transcript.id,
+      "languageSample",
+      {
+        speaker,
+        rules,
+        overrides,
+        summary,
+      },
+      userId
+    );
+    setSavedAt(new Date().toISOString());
+  };
+
+  /**
+   * @function handleExport
+   *
+   * @description Downloads the analysis as a CSV file.
+   */
+  const handleExport = () => {
+    const csv = toLanguageSampleCSV(analysis, {
+      session: sessionName,
+      speaker: getSpeakerLabel(transcript, speaker),
+    });
+
+    downloadBlob(
+      new Blob([csv], { type: "text/csv;charset=utf-8" }),
+      `language-sample-${transcript.id}.csv`
+    );
+  };
+
+  const measures = [
+    ["MLU (words)", summary.mluWords.toFixed(2)],
+    ["MLU (morphemes)", summary.mluMorphemes.toFixed(2)],
+    ["Total words (NTW)", summary.totalWords],
+    ["Different words (NDW)", summary.differentWords],
+    ["Type-token ratio", summary.typeTokenRatio.toFixed(2)],
+    ["Moving-average TTR", summary.movingAverageTTR.toFixed(2)],
+    [
+      "Brown's stage",
+      summary.brownStage
+        ? `${summary.brownStage.stage} (${summary.brownStage.ages})`
+        : "Below stage I",
+    ],
+    ["Utterances", `${summary.utterances} (${summary.excluded} excluded)`],
+  ];
+
+  return (
+    <section className={styles.languageSample}>
+      <header>
+        <h2>Language Sample</h2>
+        <span className={styles.actions}>
+          {savedAt && <small>Saved {new Date(savedAt).toLocaleString()}</small>}
+          <button onClick={handleSave}>Save analysis</button>
+          <button onClick={handleExport}>Export CSV</button>
+        </span>
+      </header>
+
+      <div className={styles.options}>
+        <label>
+          Speaker
+          <select
+            value={speaker ?? ""}
+            onChange={(event) => setSpeaker(event.target.value)}
+          >
+            {transcript.speakers.map((eachSpeaker) => (
+              <option key={eachSpeaker.id} value={eachSpeaker.id}>
+                {getSpeakerLabel(transcript, eachSpeaker.id)}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        {EXCLUSION_RULES.map((eachRule) => (
+          <label key={eachRule.id}>
+            <input
+              type="checkbox"
+              checked={rules[eachRule.id]}
+              onChange={(event) =>
+                setRules((prevRules) => ({
+                  ...prevRules,
+                  [eachRule.id]: event.target.checked,
+                }))
+              }
+            />
+            Exclude {eachRule.label.toLowerCase()}
+          </label>
+        ))}
+      </div>
+
+      <dl className={styles.measures}>
+        {measures.map(([label, value]) => (
+          <div key={label}>
+            <dt>{label}</dt>
+            <dd>{value}</dd>
+          </div>
+        ))}
+      </dl>
+
+      <table className={styles.utterances}>
+        <thead>
+          <tr>
+            <th>Time</th>
+            <th>Utterance</th>
+            <th>Words</th>
+            <th>Morphemes</th>
+            <th>Included</th>
+          </tr>
+        </thead>
+        <tbody>
+          {analysis.utterances.map((eachUtterance) => (
+            <tr
+              key={eachUtterance.id}
+              className={eachUtterance.exclusion ? styles.excluded : undefined}
+            >
+              <td>{formatClockTime(eachUtterance.start)}</td>
+              <td>{eachUtterance.text}</td>
+              <td>{eachUtterance.words.length}</td>
+              <td>{eachUtterance.morphemes}</td>
+              <td>
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={!eachUtterance.exclusion}
+                    onChange={() => handleToggleUtterance(eachUtterance)}
+                  />
+                  {eachUtterance.exclusion &&
+                    EXCLUSION_LABELS[eachUtterance.exclusion]}
+                </label>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </section>
+  );
+};
+
+export default LanguageSampleReport;
@@ -0,0 +1,106 @@
+/**
+ * @file LevelMeter.jsx
+ *
+ * @description This component is responsible for rendering the live input
+ * level of the microphone, so the clinician can tell it picks the client up,
+ * along with an indicator that lights up when the input clips.
+ *
+ * @requires react
+ * @requires services/recording
+ * @requires level-meter.module.scss
+ *
+ * @exports LevelMeter
+ */
+
+import React, { useEffect, useRef, useState } from "react";
+import styles from "./level-meter.module.scss";
+import { createLevelMeter } from "../../services/recording/levelMeter";
+import { setInputStatus } from "../../services/recording/audioInput";
+
+const FLOOR_DB = -60;
+const CLIP_HOLD = 1_000;
+
+/**
+ * @function toMeterWidth
+ *
+ * @description Maps a level onto the width of the meter on a decibel scale,
+ * which follows how loud the input sounds.
+ *
+ * @param {number} level the level, from 0 to 1
+ *
+ * @returns {number} the width of the meter in percent
+ */
+const toMeterWidth = (level) => {
+  const decibels = 20 * Math.log10(Math.max(level, 1e-6));
+  return Math.min(100, Math.max(0, (1 - decibels / FLOOR_DB) * 100));
+};
+
+/**
+ * @component LevelMeter
+ *
+ * @description Responsible for measuring a stream and rendering its level.
+ * The bar is updated on every animation frame without rerendering, while a
+ * clip keeps the indicator lit for a moment so it is noticed.
+ *
+ * @param {MediaStream} stream the audio stream to measure
+ *
+ * @returns {JSX.Element} representing the level meter
+ */
+const LevelMeter = ({ stream }) => {
+  const levelRef = useRef(null);
+  const peakRef = useRef(null);
+  const [isClipping, setIsClipping] = useState(false);
+
+  /**
+   * @useEffect
+   *
+   * @description useEffect that measures the stream for as long as it is
+   * rendered, and shares whether the input clips
+   */
+  useEffect(() => {
+    let clippedAt = 0;
+
+    const stopMeter = createLevelMeter(
+      stream,
+      ({ level, peak, isClipping: hasClipped }) => {
+        if (levelRef.current) {
+          levelRef.current.style.width = `${toMeterWidth(level)}%`;
+        }
+        if (peakRef.current) {
+          peakRef.current.style.left = `${toMeterWidth(peak)}%`;
+        }
+
+        if (hasClipped) clippedAt = performance.now();
+        const isHeld = performance.now() - clippedAt < CLIP_HOLD;
+
+        setIsClipping(isHeld);
+        setInputStatus({ isClipping: isHeld });
+      }
+    );
+
+    return () => {
+      stopMeter();
+      setInputStatus({ isClipping: false });
+    };
+  }, [stream]);
+
+  return (
+    <div className={styles.levelMeter}>
+      <div className={styles.track} role="meter" aria-label="Input level">
+        <div ref={levelRef} className={styles.level} />
+        <div ref={peakRef} className={styles.peak} />
+      </div>
+
+      <span
+        className={
+          isClipping ? `${styles.clip} ${styles.isClipping}` : styles.clip
+        }
+        title="Lights up when the input is too loud"
+      >
+        Clip
+      </span>
+    </div>
+  );
+};
+
+export default LevelMeter;
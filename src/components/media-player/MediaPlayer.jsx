@@ -2,39 +2,48 @@
  * @file MediaRecorder.jsx
  *
  * @description This file is responsible for rendering the media player that
- * allow the user to fast-forward, rewind, play, pause, and download the audio.
+ * allow the user to skip back and forward, seek, play, pause and slow down
+ * the audio. The markers flagged while recording are shown on its timeline.
  *
  * @requires react
  * @requires react-icons
  * @requires player.module.scss
+ * @requires services/recording/sessionMarkers
  *
  * @exports MediaPlayerUI
  */
 
-import React, { useState, useCallback, useEffect } from "react";
+import React, { useState, useCallback, useEffect, useRef } from "react";
 import styles from "./player.module.scss";
 import { FcVideoFile } from "react-icons/fc";
-import { AiOutlineFastForward } from "react-icons/ai";
+import { AiOutlineFastBackward, AiOutlineFastForward } from "react-icons/ai";
 import { FaPlayCircle, FaPauseCircle } from "react-icons/fa";
 import {
   BsVolumeDownFill,
   BsFillVolumeUpFill,
   BsFillVolumeMuteFill,
 } from "react-icons/bs";
+import { describeMarker } from "../../services/recording/sessionMarkers";
+
+const PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5, 2];
+const SKIP_SECONDS = [2, 5, 10, 15];
 
 /**
  * @component MediaPlayerUI
  *
  * @description Responsible for rendering the audio player UI that provides
- * the interface for the user to interact with the audio player.
+ * the interface for the user to interact with the audio player. The progress
+ * bar seeks when clicked or dragged, and the audio can be slowed down to half
+ * speed without lowering its pitch.
  *
  * @param {string} audioBlobURL The URL of an audio blob
  * @param {React.RefObject<HTMLAudioElement>} audioRef Audio element reference
- * @param {number | string} recordingDuration The total duration in milliseconds
- * of the audio file
+ * @param {number | string} recordingDuration The total duration in seconds
+ * of the audio file, shown until the audio reports its own
  * @param {{number}} currentTime The current time of the audio file
  * @param {(time: number) => void} setTime Function to set the current time of
  * an audio file
+ * @param {SessionMarker[]} markers The markers flagged while recording
  *
  * @returns The media player component that resembles an audio player
  */
@@ -44,20 +53,48 @@ const MediaPlayerUI = ({
   recordingDuration,
   currentTime,
   setTime,
+  markers = [],
 }) => {
   const [title, setTitle] = useState("Set Audio Name");
   const [isPlaying, setIsPlaying] = useState(false);
+  const [mediaDuration, setMediaDuration] = useState(null);
+  const [playbackRate, setPlaybackRate] = useState(1);
+  const [skipSeconds, setSkipSeconds] = useState(5);
+  const progressRef = useRef(null);
+  const isDraggingRef = useRef(false);
+
+  const duration = mediaDuration ?? (Number(recordingDuration) || 0);
+
+  /**
+   * @callback getAudio
+   *
+   * @description handles finding the audio being played, creating it the
+   * first time it is needed
+   *
+   * @returns {HTMLAudioElement|null} the audio, null without a recording
+   */
+  const getAudio = useCallback(() => {
+    if (!audioBlobURL) return null;
+
+    audioRef.current ??= new Audio(audioBlobURL);
+    return audioRef.current;
+  }, [audioBlobURL]);
 
   /**
    * @useEffect
    *
    * @description useEffect hook that handles updating the progress counter and
-   * ensures that the correct icon is displayed
-   *
-   * @throws {Error} An error that
+   * ensures that the correct icon is displayed. The duration is read from the
+   * metadata of the audio. Recorded WebM files report an unknown duration
+   * until they were seeked to their end, so they are seeked there once and
+   * back.
    */
   useEffect(() => {
-    const audio = audioRef.current || new Audio(audioBlobURL);
+    const audio = getAudio();
+    setMediaDuration(null);
+    if (!audio) return undefined;
+
+    let isMeasuring = false;
 
     /**
      * @callback handleTimestampUpdate
@@ -65,12 +102,33 @@ const MediaPlayerUI = ({
      * @description handles updating the current time state to its current value
      */
     const handleTimestampUpdate = () => {
+      if (isMeasuring) return;
+
       setTime((prevState) => ({
         ...prevState,
         currentTime: audio.currentTime,
       }));
     };
 
+    /**
+     * @callback handleDurationChange
+     *
+     * @description handles updating the duration once the audio knows it
+     */
+    const handleDurationChange = () => {
+      if (Number.isFinite(audio.duration)) {
+        setMediaDuration(audio.duration);
+
+        if (isMeasuring) {
+          isMeasuring = false;
+          audio.currentTime = 0;
+        }
+      } else if (audio.duration === Infinity && !isMeasuring) {
+        isMeasuring = true;
+        audio.currentTime = Number.MAX_SAFE_INTEGER;
+      }
+    };
+
     /**
      * @callback handleAudioEnded
      *
@@ -87,14 +145,40 @@ const MediaPlayerUI = ({
     };
 
     audio.addEventListener("timeupdate", handleTimestampUpdate);
+    audio.addEventListener("loadedmetadata", handleDurationChange);
+    audio.addEventListener("durationchange", handleDurationChange);
     audio.addEventListener("ended", handleAudioEnded);
+    if (audio.readyState >= HTMLMediaElement.HAVE_METADATA) {
+      handleDurationChange();
+    }
 
     return () => {
       audio.removeEventListener("timeupdate", handleTimestampUpdate);
+      audio.removeEventListener("loadedmetadata", handleDurationChange);
+      audio.removeEventListener("durationchange", handleDurationChange);
       audio.removeEventListener("ended", handleAudioEnded);
     };
   }, [audioBlobURL]);
 
+  /**
+   * @useEffect
+   *
+   * @description useEffect hook that applies the playback speed, keeping the
+   * pitch of the voice when it is slowed down or sped up
+   */
+  useEffect(() => {
+    const audio = getAudio();
+    if (!audio) return;
+
+    Object.assign(audio, {
+      playbackRate,
+      defaultPlaybackRate: playbackRate,
+      preservesPitch: true,
+      mozPreservesPitch: true,
+      webkitPreservesPitch: true,
+    });
+  }, [audioBlobURL, playbackRate]);
+
   /**
    * @callback playRecording
    *
@@ -102,19 +186,83 @@ const MediaPlayerUI = ({
    * and controls weather the audio should be playing or paused
    */
   const playRecording = useCallback(() => {
-    if (!audioBlobURL) return;
-    setIsPlaying((prev) => !prev);
-
-    const audio = audioRef.current || new Audio(audioBlobURL);
+    const audio = getAudio();
+    if (!audio) return;
 
     if (audio.paused) {
       audio.play();
+      setIsPlaying(true);
     } else {
-      setIsPlaying();
       audio.pause();
+      setIsPlaying(false);
     }
-    audioRef.current = audio;
-  }, [audioBlobURL]);
+  }, [getAudio]);
+
+  /**
+   * @callback seekTo
+   *
+   * @description handles moving the playback to a time in the audio
+   *
+   * @param {number} seconds the time to move to
+   */
+  const seekTo = (seconds) => {
+    const audio = getAudio();
+    if (!audio) return;
+
+    audio.currentTime = Math.min(Math.max(seconds, 0), duration || 0);
+
+    setTime((prevState) => ({
+      ...prevState,
+      currentTime: audio.currentTime,
+    }));
+  };
+
+  /**
+   * @callback seekToPointer
+   *
+   * @description handles seeking to the point of the progress bar under the
+   * pointer
+   *
+   * @param {React.PointerEvent} event the pointer event
+   */
+  const seekToPointer = (event) => {
+    const { left, width } = progressRef.current.getBoundingClientRect();
+    seekTo(((event.clientX - left) / width) * duration);
+  };
+
+  /**
+   * @callback handlePointerDown
+   *
+   * @description handles starting to seek, the progress bar follows the
+   * pointer until it is released
+   *
+   * @param {React.PointerEvent} event the pointer event
+   */
+  const handlePointerDown = (event) => {
+    if (!audioBlobURL || !duration) return;
+
+    isDraggingRef.current = true;
+    event.currentTarget.setPointerCapture(event.pointerId);
+    seekToPointer(event);
+  };
+
+  /**
+   * @callback handleProgressKeyDown
+   *
+   * @description handles seeking from the keyboard, the arrow keys skip back
+   * and forward
+   *
+   * @param {React.KeyboardEvent} event the keyboard event
+   */
+  const handleProgressKeyDown = (event) => {
+    const step = { ArrowLeft: -skipSeconds, ArrowRight: skipSeconds }[
+      event.key
+    ];
+    if (!step) return;
+
+    event.preventDefault();
+    seekTo(currentTime + step);
+  };
 
   /**
    * Callback function that takes in the time, and formats it to resemble the
@@ -146,8 +294,12 @@ const MediaPlayerUI = ({
       <span className={styles.initialTime}>{formatTime(currentTime)}</span>
 
       <div className={styles.audioControls}>
-        <button>
-          <AiOutlineFastForward />
+        <button
+          onClick={() => seekTo(currentTime - skipSeconds)}
+          aria-label={`Back ${skipSeconds} seconds`}
+          title={`Back ${skipSeconds} seconds`}
+        >
+          <AiOutlineFastBackward />
         </button>
 
         {/* Play | Pause Conditional Rendering Logic */}
@@ -161,23 +313,99 @@ const MediaPlayerUI = ({
           </button>
         )}
 
-        <button>
+        <button
+          onClick={() => seekTo(currentTime + skipSeconds)}
+          aria-label={`Forward ${skipSeconds} seconds`}
+          title={`Forward ${skipSeconds} seconds`}
+        >
           <AiOutlineFastForward />
         </button>
 
         <div className={styles.progress}>
-          <div className={`${styles.progressBar} ${styles.progressMoved}`}>
+          <div
+            ref={progressRef}
+            className={`${styles.progressBar} ${styles.progressMoved}`}
+            role="slider"
+            tabIndex={0}
+            aria-label="Seek"
+            aria-valuemin={0}
+            aria-valuemax={Math.floor(duration)}
+            aria-valuenow={Math.floor(currentTime)}
+            aria-valuetext={formatTime(currentTime)}
+            onPointerDown={handlePointerDown}
+            onPointerMove={(event) =>
+              isDraggingRef.current && seekToPointer(event)
+            }
+            onPointerUp={() => {
+              isDraggingRef.current = false;
+            }}
+            onPointerCancel={() => {
+              isDraggingRef.current = false;
+            }}
+            onKeyDown={handleProgressKeyDown}
+          >
             <div
               className={`${styles.progressAnimation} ${styles.isActive}`}
               style={{
-                width: `${(currentTime / recordingDuration) * 100}%`,
+                width: `${
+                  duration ? Math.min(currentTime / duration, 1) * 100 : 0
+                }%`,
               }}
             />
           </div>
+
+          {duration > 0 &&
+            markers.map((eachMarker) => (
+              <button
+                key={eachMarker.id}
+                className={`${styles.marker} ${styles[eachMarker.type] ?? ""}`}
+                style={{
+                  left: `${Math.min(
+                    (eachMarker.time / 1000 / duration) * 100,
+                    100
+                  )}%`,
+                }}
+                title={`${describeMarker(eachMarker)} at ${formatTime(
+                  eachMarker.time / 1000
+                )}`}
+                aria-label={describeMarker(eachMarker)}
+                onClick={() => seekTo(eachMarker.time / 1000)}
+              />
+            ))}
         </div>
       </div>
 
-      <span className={styles.finalTime}>{formatTime(recordingDuration)}</span>
+      <span className={styles.finalTime}>{formatTime(duration)}</span>
+
+      <section className={styles.playbackOptions}>
+        <label>
+          Speed
+          <select
+            value={playbackRate}
+            onChange={(event) => setPlaybackRate(Number(event.target.value))}
+          >
+            {PLAYBACK_RATES.map((eachRate) => (
+              <option key={eachRate} value={eachRate}>
+                {eachRate}x
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <label>
+          Skip
+          <select
+            value={skipSeconds}
+            onChange={(event) => setSkipSeconds(Number(event.target.value))}
+          >
+            {SKIP_SECONDS.map((eachSeconds) => (
+              <option key={eachSeconds} value={eachSeconds}>
+                {eachSeconds}s
+              </option>
+            ))}
+          </select>
+        </label>
+      </section>
 
       <VolumeControl />
     </aside>
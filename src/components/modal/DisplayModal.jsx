@@ -19,30 +19,42 @@ import Modal from "react-modal";
 Modal.setAppElement(document.body);
 
 /**
- * Defines a template modal that will be displayed when a button is clicked
+ * Defines a template modal that will be displayed when a button is clicked.
+ * The content passed as children replaces the file system template.
  *
  * @param {isOpen} param represents the current state of the modal
+ * @param {string} title represents the heading of the modal
+ * @param {React.ReactNode} children represents the content of the modal
  *
  * @returns a modal with the specified template state
  */
-const DisplayModal = ({ isOpen, onRequestClose }) => {
+const DisplayModal = ({
+  isOpen,
+  onRequestClose,
+  title = "Your File System",
+  children,
+}) => {
   return (
     <div className={styles.modalContainer}>
       <Modal
         isOpen={isOpen}
         onRequestClose={onRequestClose}
-        contentLabel="File System Modal"
+        contentLabel={title}
         overlayClassName={styles.modalWrapper}
         aria-labelledby="modal-title"
         aria-describedby="modal-description"
       >
-        <h2>Your File System</h2>
+        <h2>{title}</h2>
 
-        <label>File System</label>
+        {children ?? (
+          <>
+            <label>File System</label>
 
-        <br />
+            <br />
 
-        <button>Submit</button>
+            <button>Submit</button>
+          </>
+        )}
 
         <br />
 
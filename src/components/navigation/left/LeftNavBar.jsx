@@ -13,12 +13,14 @@ import React, { useState } from "react";
 import styles from "./left-nav.module.scss";
 import { useNavigate, Link } from "react-router-dom";
 import { useAuth } from "../../../context/AuthContext";
+import SyncStatus from "../../sync-status/SyncStatus";
+import useAudioInputStatus from "../../../hooks/audio-input/useAudioInputStatus";
 
 import { FiLogOut } from "react-icons/fi";
 import { CgScreen } from "react-icons/cg";
 import { FiSettings } from "react-icons/fi";
-import { BsToggle2On } from "react-icons/bs";
-import { CiMicrophoneOn } from "react-icons/ci";
+import { BsToggle2On, BsPersonVcard } from "react-icons/bs";
+import { CiMicrophoneOn, CiMicrophoneOff } from "react-icons/ci";
 import { RxDividerVertical } from "react-icons/rx";
 import { GiArchiveResearch } from "react-icons/gi";
 import { FcVoicePresentation } from "react-icons/fc";
@@ -61,12 +63,18 @@ const APPLICATION_PAGES = [
   },
   {
     id: 4,
+    icon: <BsPersonVcard />,
+    name: "Clients",
+    path: "/clients",
+  },
+  {
+    id: 5,
     icon: <FcVoicePresentation />,
     name: "Support / FAQ",
     path: "/support-FAQ",
   },
   {
-    id: 5,
+    id: 6,
     icon: <FiSettings />,
     name: "Settings",
     path: "/settings",
@@ -97,6 +105,7 @@ const LeftNavBar = () => {
       <Branding onCollapse={handleCollapse} isCollapsed={isCollapsed} />
       {!isCollapsed && <TranscriptSearch />}
       {!isCollapsed && <NavigationList />}
+      <SyncStatus isCompact={isCollapsed} />
       {!isCollapsed && <AudioControls />}
       {!isCollapsed && <LogOut />}
     </div>
@@ -182,10 +191,43 @@ const NavigationList = () => {
   );
 };
 
+/**
+ * Maps each state of the microphone onto the description shown when hovering
+ * over its icon.
+ */
+const MICROPHONE_STATES = {
+  idle: "Microphone ready",
+  testing: "Testing",
+  recording: "Recording",
+  paused: "Paused",
+  unavailable: "Microphone access was denied",
+};
+
+/**
+ * This component is responsible for rendering the audio controls, whose
+ * microphone icon reflects the microphone in use and whether it records.
+ *
+ * @returns {JSX.Element} representing the audio controls
+ */
 const AudioControls = () => {
+  const { state, label, isClipping } = useAudioInputStatus();
+  const description =
+    state === "unavailable" || !label
+      ? MICROPHONE_STATES[state]
+      : `${MICROPHONE_STATES[state]}: ${label}`;
+
   return (
     <div className={styles.miniAudioContainer}>
-      <CiMicrophoneOn />
+      <span
+        className={`${styles.microphone} ${styles[state]} ${
+          isClipping ? styles.clipping : ""
+        }`}
+        title={isClipping ? `${description}, input is clipping` : description}
+        aria-label={description}
+        role="status"
+      >
+        {state === "unavailable" ? <CiMicrophoneOff /> : <CiMicrophoneOn />}
+      </span>
       <CgScreen />
       <BsToggle2On />
     </div>
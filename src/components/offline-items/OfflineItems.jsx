@@ -0,0 +1,250 @@
+/**
+ * @file OfflineItems.jsx
+ *
+ * @description This component is responsible for rendering the items kept in
+ * the offline store of the signed in user. The in-progress view lists the
+ * work waiting to be synced, and lets the clinician resolve items that were
+ * changed on another device in the meantime. The downloads view lists every
+ * recording, transcript and document saved on this device.
+ *
+ * @requires react
+ * @requires context/AuthContext
+ * @requires hooks/repository/useRepository
+ * @requires hooks/offline-store/useOfflineStore
+ * @requires hooks/audioDownload/useAudioDownloader
+ * @requires hooks/clients/useClients
+ * @requires services/storage
+ * @requires services/export
+ * @requires services/clients/clients
+ * @requires utils/downloadBlob
+ * @requires offline-items.module.scss
+ *
+ * @exports OfflineItems
+ */
+
+import React, { useState } from "react";
+import styles from "./offline-items.module.scss";
+import { useAuth } from "../../context/AuthContext";
+import useRepository from "../../hooks/repository/useRepository";
+import useOfflineStore from "../../hooks/offline-store/useOfflineStore";
+import useAudioDownloader from "../../hooks/audioDownload/useAudioDownloader";
+import useClients from "../../hooks/clients/useClients";
+import { STORES } from "../../services/storage/indexedDB";
+import { SYNC_OPERATIONS } from "../../services/storage/offlineStore";
+import { resolveConflict } from "../../services/storage/syncQueue";
+import { exportTranscript } from "../../services/export";
+import { htmlToDocx } from "../../services/export/docx";
+import { getClientName } from "../../services/clients/clients";
+import downloadBlob from "../../utils/downloadBlob";
+
+const OPERATION_LABELS = {
+  uploadRecording: "Recording upload",
+  saveTranscript: "Transcript",
+  saveDocument: "Document",
+  submitTranscription: "Transcription request",
+  detachClient: "Client removal",
+};
+
+/**
+ * @function getItemName
+ *
+ * @description Finds the name an item is listed under.
+ *
+ * @param {object} [item] the item
+ *
+ * @returns {string} the file name, title or client name of the item
+ */
+const getItemName = (item) =>
+  item?.fileName ??
+  item?.title ??
+  item?.details?.fileName ??
+  item?.details?.clientName ??
+  "Untitled";
+
+/**
+ * @component OfflineItems
+ *
+ * @description Responsible for listing the in-progress or downloadable items
+ * of the offline store.
+ *
+ * @param {string} view inProgress or downloads
+ *
+ * @returns {JSX.Element} representing the list of items
+ */
+const OfflineItems = ({ view }) => {
+  const { currentUser } = useAuth();
+  const repository = useRepository();
+  const [error, setError] = useState(null);
+  const { downloadRecording, error: encodingError } = useAudioDownloader();
+  const { clients } = useClients();
+
+  const stores = {
+    [STORES.recordings]: useOfflineStore(STORES.recordings),
+    [STORES.transcripts]: useOfflineStore(STORES.transcripts),
+    [STORES.documents]: useOfflineStore(STORES.documents),
+    [STORES.syncQueue]: useOfflineStore(STORES.syncQueue),
+  };
+  const ownItems = (store) =>
+    stores[store].filter(({ userId }) => userId === currentUser?.uid);
+
+  /**
+   * @callback handleResolve
+   *
+   * @description Keeps either copy of a conflicting item.
+   *
+   * @param {string} store the store of the item
+   * @param {string} id identifier of the item
+   * @param {string} keep local or remote
+   */
+  const handleResolve = (store, id, keep) => {
+    setError(null);
+    resolveConflict({ store, id, keep, repository }).catch((resolveError) =>
+      setError(`Could not resolve the conflict: ${resolveError.message}`)
+    );
+  };
+
+  /**
+   * @callback handleDownload
+   *
+   * @description Downloads an item in a format that opens outside the
+   * application: the recorded audio in the chosen output format, a
+   * transcript or a document as a Word document.
+   *
+   * @param {string} store the store of the item
+   * @param {OfflineRecord} item the item to download
+   */
+  const handleDownload = async (store, item) => {
+    setError(null);
+
+    try {
+      if (store === STORES.recordings) {
+        await downloadRecording({
+          blob: item.blob,
+          client: item.client,
+          date: item.updatedAt,
+        });
+      } else if (store === STORES.transcripts) {
+        const { blob, fileName } = await exportTranscript(
+          "docx",
+          item.transcript,
+          { title: item.fileName }
+        );
+        downloadBlob(blob, fileName);
+      } else {
+        downloadBlob(
+          await htmlToDocx(item.title, item.content),
+          `${item.title}.docx`
+        );
+      }
+    } catch (downloadError) {
+      setError(`Could not download the file: ${downloadError.message}`);
+    }
+  };
+
+  if (view === "inProgress") {
+    const entries = ownItems(STORES.syncQueue).sort((a, b) =>
+      a.queuedAt.localeCompare(b.queuedAt)
+    );
+
+    return (
+      <div className={styles.offlineItems}>
+        {error && <p className={styles.error}>{error}</p>}
+        {!entries.length && <p>Everything is synced to your account.</p>}
+
+        <ul>
+          {entries.map((eachEntry) => {
+            const store = SYNC_OPERATIONS[eachEntry.kind];
+            const item =
+              store === STORES.syncQueue
+                ? eachEntry
+                : stores[store].find(({ id }) => id === eachEntry.itemId);
+
+            return (
+              <li key={eachEntry.id}>
+                <p>
+                  <strong>{getItemName(item)}</strong>
+                  <small>
+                    {OPERATION_LABELS[eachEntry.kind]} · queued{" "}
+                    {new Date(eachEntry.queuedAt).toLocaleString()}
+                  </small>
+                  {item?.conflict ? (
+                    <small>
+                      Changed on another device since it was last synced
+                    </small>
+                  ) : (
+                    eachEntry.lastError && (
+                      <small>
+                        Failed {eachEntry.attempts} time
+                        {eachEntry.attempts === 1 ? "" : "s"}:{" "}
+                        {eachEntry.lastError}
+                      </small>
+                    )
+                  )}
+                </p>
+
+                {item?.conflict && (
+                  <div>
+                    <button
+                      onClick={() => handleResolve(store, item.id, "local")}
+                    >
+                      Keep mine
+                    </button>
+                    <button
+                      disabled={!repository}
+                      onClick={() => handleResolve(store, item.id, "remote")}
+                    >
+                      Use theirs
+                    </button>
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+    );
+  }
+
+  const downloads = [
+    STORES.recordings,
+    STORES.transcripts,
+    STORES.documents,
+  ].flatMap((eachStore) =>
+    ownItems(eachStore).map((eachItem) => ({
+      store: eachStore,
+      item: eachItem,
+    }))
+  );
+  downloads.sort((a, b) => b.item.updatedAt.localeCompare(a.item.updatedAt));
+
+  return (
+    <div className={styles.offlineItems}>
+      {(error || encodingError) && (
+        <p className={styles.error}>{error ?? encodingError}</p>
+      )}
+      {!downloads.length && <p>Nothing is saved on this device yet.</p>}
+
+      <ul>
+        {downloads.map(({ store, item }) => (
+          <li key={`${store}:${item.id}`}>
+            <p>
+              <strong>{getItemName(item)}</strong>
+              <small>
+                {store.replace(/s$/, "")}
+                {item.client && ` · ${getClientName(item.client, clients)}`} ·
+                saved {new Date(item.updatedAt).toLocaleString()}
+                {!item.syncedAt && " · not uploaded yet"}
+              </small>
+            </p>
+
+            <button onClick={() => handleDownload(store, item)}>
+              Download
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default OfflineItems;
@@ -0,0 +1,165 @@
+/**
+ * @file PendingTranscriptions.jsx
+ *
+ * @description This component is responsible for rendering the tray of
+ * transcription jobs the signed in user submitted from this browser. Jobs that are still
+ * processing are polled by the tray, including those left processing when the
+ * page was closed, and completed jobs can be opened again.
+ *
+ * @requires react
+ * @requires react-icons
+ * @requires context/AuthContext
+ * @requires hooks/clients/useClients
+ * @requires services/transcription
+ * @requires services/clients/clients
+ * @requires pending-transcriptions.module.scss
+ *
+ * @exports PendingTranscriptions
+ */
+
+import React, { useEffect, useMemo, useRef } from "react";
+import styles from "./pending-transcriptions.module.scss";
+import { FcClock, FcOk, FcHighPriority } from "react-icons/fc";
+import { useAuth } from "../../context/AuthContext";
+import useLocalCollection from "../../hooks/local-collection/useLocalCollection";
+import useClients from "../../hooks/clients/useClients";
+import {
+  createTranscriptionProvider,
+  pollTranscriptionJob,
+} from "../../services/transcription";
+import {
+  PENDING_JOBS_COLLECTION,
+  listPendingJobs,
+  updatePendingJob,
+  removePendingJob,
+  claimPendingJob,
+  releasePendingJob,
+  isPendingJobClaimed,
+} from "../../services/transcription/pendingJobs";
+import { getClientName } from "../../services/clients/clients";
+
+const STATUS_ICONS = {
+  processing: <FcClock />,
+  completed: <FcOk />,
+  error: <FcHighPriority />,
+};
+
+/**
+ * @component PendingTranscriptions
+ *
+ * @description Responsible for resuming and listing the persisted
+ * transcription jobs.
+ *
+ * @param {string} apiToken representing the api token for the transcription service
+ * @param {(job: PendingJob) => void} onOpen called when a completed job is opened
+ *
+ * @returns {JSX.Element} representing the pending transcriptions tray
+ */
+const PendingTranscriptions = ({ apiToken, onOpen }) => {
+  const { currentUser } = useAuth();
+  const userId = currentUser?.uid ?? null;
+  const allJobs = useLocalCollection(PENDING_JOBS_COLLECTION);
+  const jobs = useMemo(
+    () => listPendingJobs(userId, allJobs),
+    [userId, allJobs]
+  );
+  const { clients } = useClients();
+  const controllerRef = useRef(null);
+
+  /**
+   * @useEffect
+   *
+   * @description useEffect that aborts every job this tray polls when it
+   * unmounts or the api token changes
+   */
+  useEffect(() => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    return () => controller.abort();
+  }, [apiToken]);
+
+  /**
+   * @useEffect
+   *
+   * @description Resumes polling every job of the user that is still
+   * processing, unless this page is already polling it. This covers jobs left
+   * processing when the page was last closed, and jobs submitted later, such as recordings
+   * queued while offline. A job naming a provider that no longer exists is
+   * marked as failed rather than breaking the page.
+   */
+  useEffect(() => {
+    const controller = controllerRef.current;
+    const resumableJobs = listPendingJobs(userId).filter(
+      ({ id, status }) => status === "processing" && !isPendingJobClaimed(id)
+    );
+
+    resumableJobs.forEach((eachJob) => {
+      claimPendingJob(eachJob.id);
+
+      Promise.resolve()
+        .then(() =>
+          pollTranscriptionJob({
+            provider: createTranscriptionProvider({
+              apiToken,
+              provider: eachJob.provider,
+            }),
+            transcriptId: eachJob.id,
+            signal: controller.signal,
+          })
+        )
+        .then(() =>
+          updatePendingJob(eachJob.id, {
+            status: "completed",
+            completedAt: new Date().toISOString(),
+          })
+        )
+        .catch((error) => {
+          if (controller.signal.aborted) return;
+          updatePendingJob(eachJob.id, {
+            status: "error",
+            error: error.message,
+          });
+        })
+        .finally(() => releasePendingJob(eachJob.id));
+    });
+  }, [jobs, apiToken, userId]);
+
+  if (!jobs.length) return null;
+
+  return (
+    <aside className={styles.tray}>
+      <h3>Pending Transcriptions</h3>
+
+      <ul>
+        {jobs.map((eachJob) => (
+          <li key={eachJob.id} className={styles.job}>
+            <i>{STATUS_ICONS[eachJob.status]}</i>
+
+            <p>
+              {eachJob.fileName}
+              {eachJob.client && ` · ${getClientName(eachJob.client, clients)}`}
+              <br />
+              <time dateTime={eachJob.submittedAt}>
+                {new Date(eachJob.submittedAt).toLocaleString()}
+              </time>
+              {eachJob.error && <small>{eachJob.error}</small>}
+            </p>
+
+            {eachJob.status === "completed" && (
+              <button onClick={() => onOpen(eachJob)}>Open</button>
+            )}
+
+            {eachJob.status !== "processing" && (
+              <button onClick={() => removePendingJob(eachJob.id)}>
+                Dismiss
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </aside>
+  );
+};
+
+export default PendingTranscriptions;
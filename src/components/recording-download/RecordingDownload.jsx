@@ -0,0 +1,106 @@
+/**
+ * @file RecordingDownload.jsx
+ *
+ * @description This component is responsible for rendering the choice of the
+ * format a recording is downloaded in, and the button downloading it.
+ *
+ * @requires react
+ * @requires context/AuthContext
+ * @requires hooks/local-collection/useLocalCollection
+ * @requires hooks/audioDownload/useAudioDownloader
+ * @requires services/recording/audioEncoding
+ * @requires recording-download.module.scss
+ *
+ * @exports RecordingDownload
+ */
+
+import React from "react";
+import styles from "./recording-download.module.scss";
+import { useAuth } from "../../context/AuthContext";
+import useLocalCollection from "../../hooks/local-collection/useLocalCollection";
+import useAudioDownloader from "../../hooks/audioDownload/useAudioDownloader";
+import {
+  AUDIO_FORMATS,
+  AUDIO_OUTPUT_COLLECTION,
+  SAMPLE_RATES,
+  getOutputSettings,
+  saveOutputSettings,
+} from "../../services/recording/audioEncoding";
+
+/**
+ * @component RecordingDownload
+ *
+ * @description Responsible for rendering the output format, the sample rate
+ * of WAV files and the download button of a recording. The chosen output is
+ * remembered for the user's next downloads.
+ *
+ * @param {Blob} blob the recorded audio
+ * @param {string|null} client the client the recording belongs to
+ * @param {Date|string} date when it was recorded
+ *
+ * @returns {JSX.Element} representing the download of a recording
+ */
+const RecordingDownload = ({ blob, client = null, date }) => {
+  const { currentUser } = useAuth();
+  const { downloadRecording, isEncoding, error } = useAudioDownloader();
+
+  useLocalCollection(AUDIO_OUTPUT_COLLECTION);
+  const settings = getOutputSettings(currentUser?.uid ?? null);
+
+  /**
+   * @callback handleChange
+   *
+   * @description Remembers a changed output setting.
+   *
+   * @param {Partial<OutputSettings>} changes the changed setting
+   */
+  const handleChange = (changes) =>
+    saveOutputSettings(currentUser?.uid ?? null, changes);
+
+  return (
+    <div className={styles.recordingDownload}>
+      <label>
+        Format
+        <select
+          value={settings.format}
+          onChange={(event) => handleChange({ format: event.target.value })}
+        >
+          {AUDIO_FORMATS.map((eachFormat) => (
+            <option key={eachFormat.id} value={eachFormat.id}>
+              {eachFormat.label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      {settings.format === "wav" && (
+        <label>
+          Sample rate
+          <select
+            value={settings.sampleRate}
+            onChange={(event) =>
+              handleChange({ sampleRate: Number(event.target.value) })
+            }
+          >
+            {SAMPLE_RATES.map((eachRate) => (
+              <option key={eachRate} value={eachRate}>
+                {eachRate / 1_000} kHz
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      <button
+        onClick={() => downloadRecording({ blob, client, date }, settings)}
+        disabled={isEncoding}
+      >
+        {isEncoding ? "Encoding..." : "Download recording"}
+      </button>
+
+      {error && <p className={styles.error}>{error}</p>}
+    </div>
+  );
+};
+
+export default RecordingDownload;
@@ -0,0 +1,150 @@
+/**
+ * @file SpeakerPanel.jsx
+ *
+ * @description This component is responsible for rendering the panel that
+ * lets the clinician correct the speakers of a diarized transcript by renaming
+ * them, assigning their roles, and merging speakers that were split in two.
+ *
+ * @requires react
+ * @requires services/transcription/transcriptEdits
+ * @requires speaker-panel.module.scss
+ *
+ * @exports SpeakerPanel
+ */
+
+import React, { useState } from "react";
+import styles from "./speaker-panel.module.scss";
+import {
+  SPEAKER_ROLES,
+  renameSpeaker,
+  setSpeakerRole,
+  mergeSpeakers,
+} from "../../services/transcription/transcriptEdits";
+
+/**
+ * @component SpeakerPanel
+ *
+ * @description Responsible for rendering one row of controls per speaker.
+ *
+ * @param {Transcript} transcript the transcript whose speakers are edited
+ * @param {(edit: (transcript: Transcript) => Transcript) => void} onEdit
+ * applies an edit to the transcript
+ *
+ * @returns {JSX.Element} representing the speaker panel
+ */
+const SpeakerPanel = ({ transcript, onEdit }) => {
+  const [mergeTargets, setMergeTargets] = useState({});
+
+  /**
+   * @function countWords
+   *
+   * @description Counts the words attributed to a speaker.
+   *
+   * @param {string} speakerId the identifier of the speaker
+   *
+   * @returns {number} the number of words the speaker said
+   */
+  const countWords = (speakerId) =>
+    transcript.words.filter(({ speaker }) => speaker === speakerId).length;
+
+  /**
+   * @function handleMerge
+   *
+   * @description Merges a speaker into the speaker selected next to it.
+   *
+   * @param {string} speakerId the identifier of the speaker being merged away
+   */
+  const handleMerge = (speakerId) => {
+    const intoId = mergeTargets[speakerId];
+
+    if (intoId) {
+      onEdit((prevTranscript) =>
+        mergeSpeakers(prevTranscript, speakerId, intoId)
+      );
+    }
+  };
+
+  return (
+    <section className={styles.speakerPanel}>
+      <h3>Speakers</h3>
+
+      {transcript.speakers.map((eachSpeaker) => {
+        const otherSpeakers = transcript.speakers.filter(
+          ({ id }) => id !== eachSpeaker.id
+        );
+
+        return (
+          <div key={eachSpeaker.id} className={styles.speaker}>
+            <input
+              type="text"
+              value={eachSpeaker.label}
+              aria-label={`Name of speaker ${eachSpeaker.id}`}
+              onChange={(event) =>
+                onEdit((prevTranscript) =>
+                  renameSpeaker(
+                    prevTranscript,
+                    eachSpeaker.id,
+                    event.target.value
+                  )
+                )
+              }
+            />
+
+            <select
+              value={eachSpeaker.role ?? ""}
+              aria-label={`Role of ${eachSpeaker.label}`}
+              onChange={(event) =>
+                onEdit((prevTranscript) =>
+                  setSpeakerRole(
+                    prevTranscript,
+                    eachSpeaker.id,
+                    event.target.value || null
+                  )
+                )
+              }
+            >
+              <option value="">No role</option>
+              {SPEAKER_ROLES.map((eachRole) => (
+                <option key={eachRole.id} value={eachRole.id}>
+                  {eachRole.label}
+                </option>
+              ))}
+            </select>
+
+            <small>{countWords(eachSpeaker.id)} words</small>
+
+            {otherSpeakers.length > 0 && (
+              <span className={styles.merge}>
+                <select
+                  value={mergeTargets[eachSpeaker.id] ?? ""}
+                  aria-label={`Merge ${eachSpeaker.label} into`}
+                  onChange={(event) =>
+                    setMergeTargets((prevTargets) => ({
+                      ...prevTargets,
+                      [eachSpeaker.id]: event.target.value,
+                    }))
+                  }
+                >
+                  <option value="">Merge into…</option>
+                  {otherSpeakers.map((eachOther) => (
+                    <option key={eachOther.id} value={eachOther.id}>
+                      {eachOther.label}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => handleMerge(eachSpeaker.id)}
+                  disabled={!mergeTargets[eachSpeaker.id]}
+                >
+                  Merge
+                </button>
+              </span>
+            )}
+          </div>
+        );
+      })}
+    </section>
+  );
+};
+
+export default SpeakerPanel;
@@ -0,0 +1,80 @@
+/**
+ * @file SyncStatus.jsx
+ *
+ * @description This component is responsible for rendering whether the work
+ * saved in this browser reached the user's account. It keeps the offline
+ * store syncing for as long as it is mounted.
+ *
+ * @requires react
+ * @requires react-icons
+ * @requires hooks/offline-sync/useOfflineSync
+ * @requires sync-status.module.scss
+ *
+ * @exports SyncStatus
+ */
+
+import React from "react";
+import styles from "./sync-status.module.scss";
+import useOfflineSync from "../../hooks/offline-sync/useOfflineSync";
+import { FcApproval, FcSynchronize, FcHighPriority } from "react-icons/fc";
+import { MdCloudOff } from "react-icons/md";
+
+/**
+ * @function describeSync
+ *
+ * @description Describes the state of the sync in a few words.
+ *
+ * @param {OfflineSyncState} sync the state of the sync
+ *
+ * @returns {{ icon: JSX.Element, label: string }} what to render
+ */
+const describeSync = ({ isOnline, isSyncing, pending, failed, conflicts }) => {
+  if (conflicts) {
+    return {
+      icon: <FcHighPriority />,
+      label: `${conflicts} conflict${conflicts === 1 ? "" : "s"} to resolve`,
+    };
+  }
+  if (!isOnline) {
+    return {
+      icon: <MdCloudOff />,
+      label: pending ? `Offline · ${pending} waiting` : "Offline",
+    };
+  }
+  if (isSyncing) return { icon: <FcSynchronize />, label: "Syncing…" };
+  if (failed) {
+    return { icon: <FcHighPriority />, label: `${failed} failed, retrying` };
+  }
+  if (pending) return { icon: <FcSynchronize />, label: `${pending} waiting` };
+
+  return { icon: <FcApproval />, label: "All changes saved" };
+};
+
+/**
+ * @component SyncStatus
+ *
+ * @description Responsible for syncing the offline store and rendering its
+ * state. It stays mounted while the navigation is collapsed, showing only
+ * its icon, so the store keeps syncing.
+ *
+ * @param {boolean} isCompact whether to leave out the label
+ *
+ * @returns {JSX.Element} representing the sync status
+ */
+const SyncStatus = ({ isCompact = false }) => {
+  const sync = useOfflineSync();
+  const { icon, label } = describeSync(sync);
+
+  return (
+    <p
+      className={styles.syncStatus}
+      role="status"
+      title={sync.lastError ?? label}
+    >
+      {icon}
+      {isCompact ? null : <span>{label}</span>}
+    </p>
+  );
+};
+
+export default SyncStatus;
@@ -2,20 +2,44 @@
  * @file TextEditor.jsx
  *
  * @description Responsible for displaying a WYSIWYG text editor that allows
- * users to save the content of the editor along with a title.
+ * users to save the content of the editor along with a title. Documents are
+ * saved on this device and uploaded to the account of the signed in user once
+ * online, and the document search parameter reopens a saved document.
  *
  * @requires react
+ * @requires react-router-dom
  * @requires react-icons
  * @requires tinymce/tinymce-react
+ * @requires services/export/docx
+ * @requires context/AuthContext
+ * @requires hooks/repository/useRepository
+ * @requires services/storage
  * @requires text-editor.module.scss
  *
  * @exports TextEditor
  */
 
-import React, { useCallback, useMemo, useState } from "react";
+import React, {
+  useCallback,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+import { useSearchParams } from "react-router-dom";
 import styles from "./editor.module.scss";
 import { Editor } from "@tinymce/tinymce-react";
 import { FcCalendar, FcClock } from "react-icons/fc";
+import downloadBlob from "../../utils/downloadBlob";
+import { htmlToDocx } from "../../services/export/docx";
+import { useAuth } from "../../context/AuthContext";
+import useRepository from "../../hooks/repository/useRepository";
+import { STORES } from "../../services/storage/indexedDB";
+import {
+  findOfflineRecord,
+  saveDocumentOffline,
+  storeRemoteCopy,
+} from "../../services/storage/offlineStore";
 
 const PLUGIN_OPTIONS = [
   "preview",
@@ -82,6 +106,73 @@ const TextEditor = () => {
   const [isEditing, setIsEditing] = useState(false);
   const [title, setTitle] = useState("Transcript Editor");
   const [newTitle, setNewTitle] = useState(title);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [saveStatus, setSaveStatus] = useState(null);
+  const [downloadError, setDownloadError] = useState(null);
+  const { currentUser } = useAuth();
+  const repository = useRepository();
+  const documentId = searchParams.get("document");
+  const openedDocumentRef = useRef(null);
+
+  /**
+   * @useEffect
+   *
+   * @description useEffect that opens the saved document named by the
+   * document search parameter, unless it is the document being edited. The
+   * copy on this device is opened when there is one, since it holds changes
+   * not uploaded yet, otherwise the document is loaded from the account and
+   * kept on this device.
+   */
+  useEffect(() => {
+    if (!documentId || !repository) return undefined;
+    if (documentId === openedDocumentRef.current) return undefined;
+
+    openedDocumentRef.current = documentId;
+
+    let isCurrent = true;
+
+    /**
+     * @function loadDocument
+     *
+     * @description Loads the document from this device, or else from the
+     * account.
+     *
+     * @returns {Promise<EditedDocument|null>} the document, if it was saved
+     */
+    const loadDocument = async () => {
+      const localCopy = await findOfflineRecord(STORES.documents, documentId);
+      if (localCopy) return localCopy;
+
+      const remoteCopy = await repository.loadDocument(documentId);
+      if (remoteCopy) {
+        const { updatedAt, ...savedDocument } = remoteCopy;
+        await storeRemoteCopy(
+          STORES.documents,
+          savedDocument,
+          updatedAt,
+          currentUser.uid
+        );
+      }
+      return remoteCopy;
+    };
+
+    loadDocument()
+      .then((savedDocument) => {
+        if (!isCurrent || !savedDocument) return;
+
+        setTitle(savedDocument.title);
+        setNewTitle(savedDocument.title);
+        setContent(savedDocument.content);
+      })
+      .catch((error) => {
+        if (isCurrent)
+          setSaveStatus(`Could not open the document: ${error.message}`);
+      });
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [documentId, repository]);
 
   /**
    * Callback function that handles the click-to-edit title
@@ -116,30 +207,45 @@ const TextEditor = () => {
   }, [title]);
 
   /**
-   * Callback function that handles the save document feature
-   * When the document is saved, the contents of it is printed to the console
-   *
-   * ! Replace the console.log with the insertion to the DB logic
+   * Callback function that handles the save document feature. The document is
+   * saved on this device and queued for the account of the signed in user,
+   * and its identifier is kept in the search parameters so later saves update
+   * it.
    */
-  const handleDocumentSave = () => {};
+  const handleDocumentSave = () => {
+    if (!currentUser) {
+      setSaveStatus("Sign in to save documents");
+      return;
+    }
+
+    setSaveStatus("Saving...");
+    saveDocumentOffline(
+      { id: documentId ?? undefined, title, content },
+      currentUser.uid
+    )
+      .then(({ id, updatedAt }) => {
+        setSaveStatus(`Saved ${new Date(updatedAt).toLocaleTimeString()}`);
+        if (id !== documentId) {
+          openedDocumentRef.current = id;
+          setSearchParams({ document: id }, { replace: true });
+        }
+      })
+      .catch((error) => setSaveStatus(`Could not save: ${error.message}`));
+  };
 
   /**
    * Callback function that handles the ability for the document to be
-   * downloaded to the users computer locally.
-   *
-   * type: "text/plain;charset=utf-8" - Represents the .doc and .txt extensions
+   * downloaded to the users computer locally as a Word document (.docx). A
+   * document that cannot be built is reported next to the button.
    */
-  const handleDownloadDocument = () => {
-    const filename = `${title}.doc`;
-    const fileContent = `${title}\n\n${content}`;
-    const blob = new Blob([fileContent], {
-      type: "text/jsx;charset=utf-8",
-    });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement("a");
-    Object.assign(link, { href: url, download: filename });
-    link.click();
-    URL.revokeObjectURL(url);
+  const handleDownloadDocument = async () => {
+    try {
+      const blob = await htmlToDocx(title, content);
+      downloadBlob(blob, `${title}.docx`);
+      setDownloadError(null);
+    } catch (error) {
+      setDownloadError(`Failed to download document: ${error.message}`);
+    }
   };
 
   const { formattedDate, formattedTime } = setCurrentDate();
@@ -203,9 +309,11 @@ const TextEditor = () => {
         <button onClick={handleDocumentSave} className={styles.button}>
           Save Document
         </button>
+        {saveStatus && <span>{saveStatus}</span>}
         <button onClick={handleDownloadDocument} className={styles.button}>
           Download Document
         </button>
+        {downloadError && <span className={styles.error}>{downloadError}</span>}
       </footer>
     </div>
   );
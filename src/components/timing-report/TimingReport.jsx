@@ -0,0 +1,235 @@
+/**
+ * @file TimingReport.jsx
+ *
+ * @description This component is responsible for rendering the timing
+ * analysis of a session as charts: speaking and articulation rates per
+ * speaker, the distribution of pause durations, and the turn latency between
+ * speakers. The pause threshold can be changed, saved with the session, and
+ * the analysis exported.
+ *
+ * @requires react
+ * @requires context/AuthContext
+ * @requires utils/downloadBlob
+ * @requires services/analysis
+ * @requires services/export/analysisReports
+ * @requires services/transcription
+ * @requires BarChart
+ * @requires timing-report.module.scss
+ *
+ * @exports TimingReport
+ */
+
+import React, { useState, useEffect, useMemo } from "react";
+import styles from "./timing-report.module.scss";
+import { useAuth } from "../../context/AuthContext";
+import downloadBlob from "../../utils/downloadBlob";
+import BarChart from "../bar-chart/BarChart";
+import {
+  DEFAULT_PAUSE_THRESHOLD,
+  analyzeTiming,
+} from "../../services/analysis/timing";
+import {
+  findSessionAnalysis,
+  saveSessionAnalysis,
+} from "../../services/analysis/sessionAnalyses";
+import { toTimingCSV } from "../../services/export/analysisReports";
+import { getSpeakerLabel } from "../../services/transcription/speakers";
+
+/**
+ * @function formatRange
+ *
+ * @description Formats the duration range of a pause bin.
+ *
+ * @param {DurationBin} bin the bin
+ *
+ * @returns {string} the range, like 500–1000 ms
+ */
+const formatRange = ({ min, max }) =>
+  max === Infinity ? `≥ ${min} ms` : `${min}–${max} ms`;
+
+/**
+ * @component TimingReport
+ *
+ * @description Responsible for rendering the timing analysis of a transcript.
+ *
+ * @param {Transcript} transcript the analyzed transcript
+ * @param {string} sessionName the name of the session, used for exports
+ *
+ * @returns {JSX.Element} representing the timing report
+ */
+const TimingReport = ({ transcript, sessionName }) => {
+  const { currentUser } = useAuth();
+  const userId = currentUser?.uid ?? null;
+  const [pauseThreshold, setPauseThreshold] = useState(DEFAULT_PAUSE_THRESHOLD);
+  const [savedAt, setSavedAt] = useState(null);
+
+  /**
+   * @useEffect
+   *
+   * @description useEffect that restores the saved pause threshold whenever
+   * another session is analyzed
+   */
+  useEffect(() => {
+    const saved = findSessionAnalysis(transcript.id, "timing", userId);
+
+    setPauseThreshold(saved?.data.pauseThreshold ?? DEFAULT_PAUSE_THRESHOLD);
+    setSavedAt(saved?.savedAt ?? null);
+  }, [transcript.id, userId]);
+
+  const analysis = useMemo(
+    () => analyzeTiming(transcript, { pauseThreshold }),
+    [transcript, pauseThreshold]
+  );
+
+  /**
+   * @function speakerBars
+   *
+   * @description Builds a bar for every speaker from one of its measures.
+   *
+   * @param {(timing: SpeakerTiming) => number} measure reads the measure
+   *
+   * @returns {Bar[]} the bars of the speakers
+   */
+  const speakerBars = (measure) =>
+    analysis.speakers.map((eachSpeaker) => ({
+      label: getSpeakerLabel(transcript, eachSpeaker.speaker),
+      value: measure(eachSpeaker),
+    }));
+
+  /**
+   * @function handleSave
+   *
+   * @description Saves the pause threshold and the resulting measures with
+   * the session.
+   */
+  const handleSave = () => {
+    saveSessionAnalysis(
+      transcript.id,
+      "timing",
+      {
+        pauseThreshold,
+        speakers: analysis.speakers,
+        turns: analysis.turns,
+      },
+      userId
+    );
+    setSavedAt(new Date().toISOString());
+  };
+
+  /**
+   * @function handleExport
+   *
+   * @description Downloads the analysis as a CSV file.
+   */
+  const handleExport = () => {
+    const csv = toTimingCSV(analysis, transcript, { session: sessionName });
+
+    downloadBlob(
+      new Blob([csv], { type: "text/csv;charset=utf-8" }),
+      `timing-${transcript.id}.csv`
+    );
+  };
+
+  return (
+    <section className={styles.timingReport}>
+      <header>
+        <h2>Timing</h2>
+        <span className={styles.actions}>
+          {savedAt && <small>Saved {new Date(savedAt).toLocaleString()}</small>}
+          <button onClick={handleSave}>Save analysis</button>
+          <button onClick={handleExport}>Export CSV</button>
+        </span>
+      </header>
+
+      <label className={styles.threshold}>
+        Pause threshold
+        <input
+          type="range"
+          min={100}
+          max={2_000}
+          step={50}
+          value={pauseThreshold}
+          onChange={(event) => setPauseThreshold(Number(event.target.value))}
+        />
+        <output>{pauseThreshold} ms</output>
+      </label>
+
+      <div className={styles.charts}>
+        <BarChart
+          title="Words per minute"
+          bars={speakerBars(({ wordsPerMinute }) => wordsPerMinute)}
+          formatValue={(value) => value.toFixed(0)}
+        />
+        <BarChart
+          title="Syllables per minute"
+          bars={speakerBars(({ syllablesPerMinute }) => syllablesPerMinute)}
+          formatValue={(value) => value.toFixed(0)}
+        />
+        <BarChart
+          title="Articulation rate (syllables per second, pauses excluded)"
+          bars={speakerBars(({ articulationRate }) => articulationRate)}
+          formatValue={(value) => value.toFixed(2)}
+        />
+        <BarChart
+          title="Mean turn latency"
+          bars={analysis.turns.map((eachTurn) => ({
+            label: `${getSpeakerLabel(
+              transcript,
+              eachTurn.from
+            )} → ${getSpeakerLabel(transcript, eachTurn.to)}`,
+            value: eachTurn.latency.mean,
+          }))}
+          formatValue={(value) => `${Math.round(value)} ms`}
+        />
+      </div>
+
+      <h3>Pauses</h3>
+      <div className={styles.charts}>
+        {analysis.speakers.map((eachSpeaker) => (
+          <div key={eachSpeaker.speaker} className={styles.pauses}>
+            <BarChart
+              title={`${getSpeakerLabel(transcript, eachSpeaker.speaker)}: ${
+                eachSpeaker.pauses.count
+              } pauses`}
+              bars={eachSpeaker.pauseDistribution.map((eachBin) => ({
+                label: formatRange(eachBin),
+                value: eachBin.count,
+              }))}
+            />
+            <small>
+              Mean {Math.round(eachSpeaker.pauses.mean)} ms · Median{" "}
+              {Math.round(eachSpeaker.pauses.median)} ms · Longest{" "}
+              {eachSpeaker.pauses.max} ms
+            </small>
+          </div>
+        ))}
+      </div>
+
+      <table className={styles.turns}>
+        <thead>
+          <tr>
+            <th>Turn</th>
+            <th>Turns</th>
+            <th>Median latency</th>
+            <th>Overlaps</th>
+          </tr>
+        </thead>
+        <tbody>
+          {analysis.turns.map((eachTurn) => (
+            <tr key={`${eachTurn.from}-${eachTurn.to}`}>
+              <td>
+                {getSpeakerLabel(transcript, eachTurn.from)} →{" "}
+                {getSpeakerLabel(transcript, eachTurn.to)}
+              </td>
+              <td>{eachTurn.latency.count}</td>
+              <td>{Math.round(eachTurn.latency.median)} ms</td>
+              <td>{eachTurn.overlaps}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </section>
+  );
+};
+
+export default TimingReport;
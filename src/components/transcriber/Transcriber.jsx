@@ -6,13 +6,91 @@
  * the actively playing word.
  *
  * @requires React
- * @requires axios
+ * @requires react-router-dom
+ * @requires services/transcription
+ * @requires services/phonetics
+ * @requires context/AuthContext
+ * @requires services/storage/offlineStore
+ * @requires services/recording/sessionMarkers
+ * @requires transcriber.module.scss
+ * @requires ExportMenu
+ * @requires SpeakerPanel
+ * @requires ChapterPanel
+ * @requires DisfluencyReport
  *
  * @exports Transcriber
  */
 
-import React, { useState, useEffect } from "react";
-import axios from "axios";
+import React, { useState, useEffect, useMemo, useRef } from "react";
+import { Link } from "react-router-dom";
+import styles from "./transcriber.module.scss";
+import {
+  createTranscriptionProvider,
+  runTranscriptionJob,
+  pollTranscriptionJob,
+} from "../../services/transcription";
+import {
+  savePendingJob,
+  updatePendingJob,
+  removePendingJob,
+  claimPendingJob,
+  releasePendingJob,
+} from "../../services/transcription/pendingJobs";
+import {
+  findSavedTranscript,
+  saveTranscript,
+} from "../../services/transcription/savedTranscripts";
+import {
+  findWordIndexAtTime,
+  formatClockTime,
+} from "../../services/transcription/transcriptTime";
+import {
+  reassignUtterance,
+  updateWordPhonetic,
+} from "../../services/transcription/transcriptEdits";
+import { loadPronunciationDictionary } from "../../services/phonetics/pronunciationDictionary";
+import {
+  addPhoneticTier,
+  hasPhoneticTier,
+} from "../../services/phonetics/phoneticTier";
+import ExportMenu from "../transcript-export/ExportMenu";
+import SpeakerPanel from "../speaker-panel/SpeakerPanel";
+import ChapterPanel from "../chapter-panel/ChapterPanel";
+import DisfluencyReport, {
+  DisfluencyReview,
+} from "../disfluency-report/DisfluencyReport";
+import {
+  DISFLUENCY_TYPES,
+  detectDisfluencies,
+  getDisfluencyStatus,
+} from "../../services/analysis/disfluency";
+import { findSessionAnalysis } from "../../services/analysis/sessionAnalyses";
+import { useAuth } from "../../context/AuthContext";
+import {
+  saveTranscriptOffline,
+  queueTranscription,
+} from "../../services/storage/offlineStore";
+import {
+  alignMarkers,
+  describeMarker,
+} from "../../services/recording/sessionMarkers";
+
+/**
+ * Maps each status reported by the transcription job onto the message shown
+ * to the user.
+ */
+const STATUS_MESSAGES = {
+  uploading: "Uploading Your Audio",
+  submitting: "Submitting Your Audio",
+  queued: "Your Transcript Is Queued",
+  processing: "Your Transcript Is Processing",
+  retrying: "Connection Interrupted, Retrying",
+  completed: "✅ Transcription Completed!",
+  cancelled: "Transcription Cancelled",
+  queuedOffline: "You Are Offline, Your Audio Will Be Submitted Once Online",
+};
+
+const OFFLINE_SAVE_DELAY = 2_000;
 
 /**
  * @component Transcriber
@@ -22,212 +100,403 @@ import axios from "axios";
  *
  * @param {string} apiToken representing the api toekn for the transcription service
  * @param {string} fileData representing the audio file path to be transcribed
+ * @param {string} transcriptId representing a submitted job to open instead of
+ * transcribing fileData
+ * @param {string} providerName representing the provider the job was submitted to
+ * @param {string} client representing the client the recording belongs to
+ * @param {string} recordingId representing the saved recording that is
+ * transcribed, if it was saved to the user's account
+ * @param {number|null} trimStart representing the seconds of silence trimmed
+ * from the start of the recording before it was transcribed, null when
+ * unknown
+ * @param {object} options representing the transcription options used when
+ * submitting fileData, such as speakersExpected
  * @param {number} currentTime representing the current time in the audio playback
+ * @param {SessionMarker[]} markers representing the markers flagged while
+ * recording, shown next to the closest word
+ * @param {(seconds: number) => void} onSeek seeks the audio playback, called
+ * when a word is clicked
  *
  * @returns {JSX.Element} representing the audio file transcripion component
  */
-const Transcriber = ({ apiToken, fileData, currentTime }) => {
-  const [summary, setSummary] = useState(null);
-  const [transcript, setTranscript] = useState([]);
-  const [timestamps, setTimestamps] = useState([]);
+const Transcriber = ({
+  apiToken,
+  fileData,
+  transcriptId,
+  providerName,
+  client = null,
+  recordingId = null,
+  trimStart = null,
+  options,
+  currentTime,
+  markers = [],
+  onSeek = () => {},
+}) => {
+  const [transcript, setTranscript] = useState(null);
   const [status, setStatus] = useState("Initializing Connection");
-  const [activeWordIndex, setActiveWordIndex] = useState(0);
+  const [isRunning, setIsRunning] = useState(false);
+  const [disfluencyReviews, setDisfluencyReviews] = useState({});
+  const [showPhonetics, setShowPhonetics] = useState(false);
+  const [phoneticStatus, setPhoneticStatus] = useState(null);
+  const [offlineSaveError, setOfflineSaveError] = useState(null);
+  const [localSaveError, setLocalSaveError] = useState(null);
+  const { currentUser } = useAuth();
+  const jobRef = useRef({ controller: null, transcriptId: null });
+  const optionsRef = useRef(options);
+  optionsRef.current = options;
+
+  const { provider, providerError } = useMemo(() => {
+    try {
+      return {
+        provider: createTranscriptionProvider({
+          apiToken,
+          provider: providerName,
+        }),
+        providerError: null,
+      };
+    } catch (error) {
+      return { provider: null, providerError: error.message };
+    }
+  }, [apiToken, providerName]);
+  const wordRefs = useRef([]);
+
+  const activeWordIndex = useMemo(
+    () => findWordIndexAtTime(transcript?.words ?? [], currentTime * 1_000),
+    [transcript, currentTime]
+  );
+
+  const disfluencies = useMemo(
+    () => (transcript ? detectDisfluencies(transcript) : []),
+    [transcript]
+  );
+
+  const disfluenciesByWord = useMemo(
+    () =>
+      new Map(
+        disfluencies.flatMap((eachEvent) =>
+          eachEvent.words.map((wordIndex) => [wordIndex, eachEvent])
+        )
+      ),
+    [disfluencies]
+  );
+
+  const markersByWord = useMemo(
+    () => alignMarkers(markers, transcript?.words ?? []),
+    [markers, transcript]
+  );
 
   /**
    * @useEffect
    *
-   * @description useEffect that applies side effects when timestamps or
-   * currentTime changes, it enumerates through each timestamp
+   * @description useEffect that saves the transcript whenever it completes or
+   * the clinician corrects it. Saving waits for a pause in the corrections,
+   * so typing does not write the whole transcript on every key stroke. A save
+   * that fails, such as when the storage of the browser is full, is shown.
    */
   useEffect(() => {
-    const index = timestamps.findIndex(
-      ({ start, end }) => start <= currentTime && end >= currentTime
-    );
+    if (!transcript) return undefined;
+
+    const timeout = setTimeout(() => {
+      try {
+        saveTranscript(
+          transcript,
+          { fileName: fileData?.name, client, recordingId, trimStart },
+          currentUser?.uid ?? null
+        );
+        setLocalSaveError(null);
+      } catch (error) {
+        setLocalSaveError(error.message);
+      }
+    }, 500);
 
-    setActiveWordIndex(index !== -1 ? index : activeWordIndex);
-  }, [timestamps, currentTime]);
+    return () => clearTimeout(timeout);
+  }, [transcript, fileData, client, recordingId, trimStart, currentUser]);
 
   /**
-   * @function downloadTranscript
+   * @useEffect
    *
-   * @description responsible for downloading the transcript when its recieved
-   * by the application
+   * @description useEffect that saves the transcript to the offline store of
+   * the signed in user, linked to its recording, from where it is uploaded to
+   * their account. Corrections are saved after a longer pause than the local
+   * save, since every upload writes the whole transcript.
+   */
+  useEffect(() => {
+    if (!transcript || !currentUser) return undefined;
+
+    const timeout = setTimeout(() => {
+      saveTranscriptOffline(transcript, currentUser.uid, {
+        fileName: fileData?.name,
+        client,
+        recordingId,
+      })
+        .then(() => setOfflineSaveError(null))
+        .catch((error) => setOfflineSaveError(error.message));
+    }, OFFLINE_SAVE_DELAY);
+
+    return () => clearTimeout(timeout);
+  }, [transcript, currentUser, recordingId]);
+
+  /**
+   * @useEffect
    *
-   * @param {string} transcript representing the transcript of the audio file
-   * that was uploaded
+   * @description useEffect that restores the saved disfluency reviews
+   * whenever a different transcript is opened
    */
-  const downloadTranscript = (transcript) => {
-    const blob = new Blob([transcript.join("\n")], {
-      type: "text/plain;charset=utf-8;",
-    });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement("a");
-    link.href = url;
-    link.download = "transcript.txt";
-    link.style.visibility = "hidden";
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-  };
+  useEffect(() => {
+    if (!transcript) return;
+
+    setDisfluencyReviews(
+      findSessionAnalysis(transcript.id, "disfluency", currentUser?.uid ?? null)
+        ?.data.reviews ?? {}
+    );
+    setShowPhonetics(hasPhoneticTier(transcript));
+  }, [transcript?.id, currentUser]);
 
   /**
    * @useEffect
    *
-   * @description Initializes an instance of the axios library with the API
-   * configuration that is used to make HTTP requests
+   * @description useEffect that scrolls the actively spoken word into view
+   * whenever playback moves on to another word
    */
   useEffect(() => {
-    const client = axios.create({
-      baseURL: "https://api.assemblyai.com/v2",
-      headers: {
-        Authorization: apiToken,
-      },
+    wordRefs.current[activeWordIndex]?.scrollIntoView({
+      behavior: "smooth",
+      block: "nearest",
     });
+  }, [activeWordIndex]);
+
+  /**
+   * @useEffect
+   *
+   * @description Runs the transcription job through the configured provider
+   * whenever a new audio file is received, or reopens a previously submitted
+   * job. Submitted jobs are persisted so they can be resumed after a reload.
+   * A job whose transcript was already saved opens the saved copy, so the
+   * clinician's corrections are kept. A job naming a provider that no longer
+   * exists shows an error instead. Audio received while offline is queued
+   * in the offline store and submitted once online. The job is aborted when
+   * the component unmounts or the file changes, so stale jobs never write
+   * state.
+   */
+  useEffect(() => {
+    const savedTranscript =
+      transcriptId &&
+      findSavedTranscript(transcriptId, currentUser?.uid ?? null);
+
+    if (savedTranscript) {
+      setTranscript(savedTranscript.transcript);
+      setStatus(STATUS_MESSAGES.completed);
+      setIsRunning(false);
+      return undefined;
+    }
+
+    if (!provider) {
+      setStatus(`Could not open the transcript: ${providerError}`);
+      setIsRunning(false);
+      return undefined;
+    }
+
+    if (!transcriptId && !navigator.onLine && currentUser) {
+      setIsRunning(false);
+      queueTranscription(
+        {
+          id: crypto.randomUUID(),
+          blob: fileData,
+          fileName: fileData.name ?? "Recording",
+          client,
+          recordingId,
+          provider: provider.name,
+          options: optionsRef.current,
+        },
+        currentUser.uid
+      )
+        .then(() => setStatus(STATUS_MESSAGES.queuedOffline))
+        .catch((error) =>
+          setStatus(`Could not queue the audio: ${error.message}`)
+        );
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    jobRef.current = { controller, transcriptId: transcriptId ?? null };
+    setIsRunning(true);
+
+    const onStatus = (jobStatus) => setStatus(STATUS_MESSAGES[jobStatus]);
 
     /**
-     * @function uploadFile
+     * @function handleSubmitted
      *
-     * @description The method is responsible for uploading the audio file to the transcription
-     * service.
+     * @description Persists the job as soon as the provider assigns it an
+     * identifier.
      *
-     * @returns {Promise<string|null>} The URL of the uploaded audio file, or null
-     * if there was an error.
-     *
-     * @throws {Error} representing if there was an error uploading the audio file
+     * @param {string} submittedId the identifier of the submitted job
      */
-    const uploadFile = async () => {
-      const url = "/upload";
+    const handleSubmitted = (submittedId) => {
+      jobRef.current.transcriptId = submittedId;
+      claimPendingJob(submittedId);
+      savePendingJob({
+        id: submittedId,
+        userId: currentUser?.uid ?? null,
+        provider: provider.name,
+        fileName: fileData.name ?? "Recording",
+        client,
+      });
+    };
 
-      try {
-        const response = await client.post(url, fileData, {
-          headers: {
-            "Content-Type": "application/octet-stream",
-          },
+    if (transcriptId) claimPendingJob(transcriptId);
+
+    const job = transcriptId
+      ? pollTranscriptionJob({
+          provider,
+          transcriptId,
+          signal: controller.signal,
+          onStatus,
+          settings: { initialDelay: 500 },
+        })
+      : runTranscriptionJob({
+          provider,
+          fileData,
+          options: optionsRef.current,
+          signal: controller.signal,
+          onStatus,
+          onSubmitted: handleSubmitted,
         });
 
-        if (response.status === 200) {
-          return response.data.upload_url;
-        } else {
-          return null;
+    job
+      .then((completedTranscript) => {
+        updatePendingJob(completedTranscript.id, {
+          status: "completed",
+          completedAt: new Date().toISOString(),
+        });
+        setTranscript(completedTranscript);
+      })
+      .catch((error) => {
+        if (controller.signal.aborted) return;
+
+        if (jobRef.current.transcriptId) {
+          updatePendingJob(jobRef.current.transcriptId, {
+            status: "error",
+            error: error.message,
+          });
         }
-      } catch (error) {
-        return null;
-      }
-    };
+        setStatus(
+          `There was an error transcribing the audio: ${error.message}`
+        );
+      })
+      .finally(() => {
+        if (jobRef.current.transcriptId) {
+          releasePendingJob(jobRef.current.transcriptId);
+        }
+        if (!controller.signal.aborted) setIsRunning(false);
+      });
 
-    /**
-     * @function transcribeAudio
-     *
-     * @description callBack function responsible for transcribing the audio
-     * file along with polling the API until the transcription is available.
-     *
-     * @param {string} audioUrl The URL of the audio file to be transcribed.
-     *
-     * @returns {Promise<object>} The audio files full transcription
-     *
-     * @throws {Error} representing if the transcription process fails.
-     */
-    const transcribeAudio = async (audioUrl) => {
-      const url = "/transcript";
-      const modelSelection = {
-        audio_url: audioUrl,
-        /* speakers_expected: 2, */
-        auto_chapters: true,
-        speaker_labels: true,
-        sentiment_analysis: true,
-        entity_detection: true,
-        disfluencies: true,
-      };
+    return () => controller.abort();
+  }, [provider, fileData, transcriptId]);
 
-      try {
-        const response = await client.post(url, modelSelection);
-        const transcriptId = response.data.id;
-        const pollingEndpoint = `/transcript/${transcriptId}`;
-
-        /**
-         * @function pollTranscription
-         *
-         * @description Responsible for inititiating the polling of the API
-         * to check weather or not the transcript is available
-         *
-         * @throws {Error} if the transcription fails
-         *
-         * @throws {Error} if there was an error connecting to the API
-         *
-         * @throws {Error} if the was a 401 response from the server
-         */
-        const pollTranscription = async () => {
-          try {
-            const APIPollingResponse = await client.get(pollingEndpoint);
-            const { status, utterances } = APIPollingResponse.data;
-
-            switch (status) {
-              case "completed":
-                setStatus("✅ Transcription Completed!");
-                const formattedTranscript = utterances.map(
-                  (eachSpeaker) =>
-                    `Speaker ${eachSpeaker.speaker}: ${eachSpeaker.text}`
-                );
-
-                setTranscript(formattedTranscript);
-                downloadTranscript(formattedTranscript);
-
-                const words = utterances.flatMap((utterance) =>
-                  utterance.words.map((word) => ({
-                    ...word,
-                    speaker: utterance.speaker,
-                  }))
-                );
-
-                setTimestamps(words);
-
-                setSummary(APIPollingResponse.data);
-                return;
-
-              case "processing":
-                setStatus("Your Transcript Is Processing");
-                setTimeout(pollTranscription, 3000);
-                break;
-
-              case "error":
-                setStatus("There was an error processing your transcript");
-                throw new Error(
-                  `Transcription failed: ${transcriptionResult.error}`
-                );
-
-              default:
-                setTimeout(pollTranscription, 3000);
-            }
-          } catch (error) {
-            setStatus(
-              "There was an error trying to connect to the Transcriber."
-            );
-          }
-        };
+  /**
+   * @function handleCancel
+   *
+   * @description Stops the running job locally and asks the provider to stop
+   * processing it, so no further transcription minutes are spent on it.
+   */
+  const handleCancel = () => {
+    const { controller, transcriptId: runningId } = jobRef.current;
+
+    controller.abort();
+    setIsRunning(false);
+    setStatus(STATUS_MESSAGES.cancelled);
 
-        setTimeout(pollTranscription, 2000);
+    if (runningId) {
+      removePendingJob(runningId);
+      provider.cancel(runningId).catch(() => {});
+    }
+  };
+
+  /**
+   * @function handleSelectChapter
+   *
+   * @description Seeks the playback to the start of a chapter and scrolls its
+   * first word into view.
+   *
+   * @param {TranscriptChapter} chapter the chapter that was selected
+   */
+  const handleSelectChapter = (chapter) => {
+    const firstWord = transcript.words.findIndex(
+      ({ start }) => start >= chapter.start
+    );
+
+    onSeek(chapter.start / 1_000);
+    wordRefs.current[firstWord]?.scrollIntoView({
+      behavior: "smooth",
+      block: "start",
+    });
+  };
+
+  /**
+   * @setStateFunction handleReviewDisfluency
+   *
+   * @description State updater function that confirms or rejects a detected
+   * disfluency, or returns it to pending
+   *
+   * @param {string} eventId the identifier of the disfluency event
+   * @param {string} reviewStatus one of pending, confirmed or rejected
+   */
+  const handleReviewDisfluency = (eventId, reviewStatus) => {
+    setDisfluencyReviews((prevReviews) => {
+      const nextReviews = { ...prevReviews, [eventId]: reviewStatus };
+
+      if (reviewStatus === "pending") delete nextReviews[eventId];
+      return nextReviews;
+    });
+  };
+
+  /**
+   * @function handleTogglePhonetics
+   *
+   * @description Shows or hides the phonetic tier. The first time it is shown
+   * the pronunciation dictionary is loaded and the target pronunciation of
+   * every word is looked up.
+   */
+  const handleTogglePhonetics = async () => {
+    if (showPhonetics) {
+      setShowPhonetics(false);
+      return;
+    }
+
+    if (!hasPhoneticTier(transcript)) {
+      setPhoneticStatus("Loading the pronunciation dictionary");
+
+      try {
+        const dictionary = await loadPronunciationDictionary();
+        setTranscript((prevTranscript) =>
+          addPhoneticTier(prevTranscript, dictionary)
+        );
       } catch (error) {
-        setStatus("There was an error trying to transcribe the audio ");
+        setPhoneticStatus(
+          `Failed to load the pronunciation dictionary: ${error.message}`
+        );
+        return;
       }
-    };
+    }
 
-    /**
-     * @component displayChapters
-     *
-     * @description Responsible for displaying the chapters that were derived
-     * from the transcript.
-     *
-     * @returns {JSX.Element} representing each chapter of the transcript
-     */
-    const displayChapters = async () => {
-      try {
-        const uploadUrl = await uploadFile();
-        await transcribeAudio(uploadUrl);
-      } catch (error) {}
-    };
+    setPhoneticStatus(null);
+    setShowPhonetics(true);
+  };
 
-    displayChapters();
-  }, [apiToken, fileData]);
+  /**
+   * @function handleSelectDisfluency
+   *
+   * @description Seeks the playback to a disfluency and scrolls it into view.
+   *
+   * @param {DisfluencyEvent} event the disfluency that was selected
+   */
+  const handleSelectDisfluency = (event) => {
+    onSeek(event.start / 1_000);
+    wordRefs.current[event.words[0]]?.scrollIntoView({
+      behavior: "smooth",
+      block: "center",
+    });
+  };
 
   return (
     <>
@@ -235,49 +504,290 @@ const Transcriber = ({ apiToken, fileData, currentTime }) => {
         Status: <strong>{status}</strong>
       </p>
 
-      {transcript.map((eachLine, eachIndex) => {
-        const words = eachLine.split(" ");
-        return (
-          <p key={eachIndex}>
-            {words.map((word, wordIndex) => {
-              const currentWordInfo = timestamps.find(
-                ({ text }) => text.toLowerCase() === word.toLowerCase()
-              );
-
-              if (currentWordInfo) {
-                return (
-                  <span
-                    key={wordIndex}
-                    style={
-                      currentTime * 1000 >= currentWordInfo.start &&
-                      currentTime * 1000 < currentWordInfo.end
-                        ? { color: "red" }
-                        : { color: "white" }
-                    }
-                  >
-                    {word + " "}
-                  </span>
-                );
-              } else {
-                return word + " ";
+      {isRunning && (
+        <button onClick={handleCancel} className={styles.cancelButton}>
+          Cancel transcription
+        </button>
+      )}
+
+      {transcript && (
+        <ExportMenu
+          transcript={transcript}
+          title={`transcript-${transcript.id}`}
+          recordingName={
+            fileData?.name ??
+            findSavedTranscript(transcript.id, currentUser?.uid ?? null)
+              ?.fileName
+          }
+        />
+      )}
+
+      {transcript && (
+        <button
+          onClick={handleTogglePhonetics}
+          aria-pressed={showPhonetics}
+          className={styles.phoneticToggle}
+        >
+          {showPhonetics ? "Hide" : "Show"} phonetic tier
+        </button>
+      )}
+
+      {phoneticStatus && <p>{phoneticStatus}</p>}
+
+      {localSaveError && (
+        <p>Could not save the transcript on this device: {localSaveError}</p>
+      )}
+      {offlineSaveError && (
+        <p>Could not save the transcript: {offlineSaveError}</p>
+      )}
+
+      {transcript && (
+        <Link
+          to={`/display-analytics?session=${transcript.id}`}
+          className={styles.analyticsLink}
+        >
+          View analytics
+        </Link>
+      )}
+
+      {transcript && (
+        <SpeakerPanel transcript={transcript} onEdit={setTranscript} />
+      )}
+
+      {transcript && (
+        <DisfluencyReport
+          transcript={transcript}
+          events={disfluencies}
+          reviews={disfluencyReviews}
+          onReview={handleReviewDisfluency}
+          onSelect={handleSelectDisfluency}
+        />
+      )}
+
+      <div className={styles.transcriptLayout}>
+        <section className={styles.transcript}>
+          {transcript?.utterances.map((eachUtterance) => (
+            <TranscriptUtterance
+              key={eachUtterance.index}
+              utterance={eachUtterance}
+              transcript={transcript}
+              activeWordIndex={activeWordIndex}
+              wordRefs={wordRefs}
+              disfluenciesByWord={disfluenciesByWord}
+              disfluencyReviews={disfluencyReviews}
+              markersByWord={markersByWord}
+              showPhonetics={showPhonetics}
+              onSeek={onSeek}
+              onReviewDisfluency={handleReviewDisfluency}
+              onEditPhonetic={(wordIndex, changes) =>
+                setTranscript((prevTranscript) =>
+                  updateWordPhonetic(prevTranscript, wordIndex, changes)
+                )
               }
-            })}
-          </p>
+              onReassign={(speakerId) =>
+                setTranscript((prevTranscript) =>
+                  reassignUtterance(
+                    prevTranscript,
+                    eachUtterance.index,
+                    speakerId
+                  )
+                )
+              }
+            />
+          ))}
+        </section>
+
+        {transcript && (
+          <ChapterPanel
+            transcript={transcript}
+            currentTime={currentTime}
+            onSelect={handleSelectChapter}
+            onEdit={setTranscript}
+          />
+        )}
+      </div>
+    </>
+  );
+};
+
+/**
+ * @component TranscriptUtterance
+ *
+ * @description Responsible for rendering a single utterance word by word
+ * from its timestamps, highlighting the word currently being played and
+ * seeking the audio to a word when it is clicked. The speaker of the
+ * utterance can be changed from the select in front of it. Detected
+ * disfluencies are marked and can be reviewed after their last word, and the
+ * markers flagged while recording are shown before the closest word. With
+ * the phonetic tier shown, the target and produced forms of every word are
+ * shown under it.
+ *
+ * @param {TranscriptUtterance} utterance the utterance to render
+ * @param {Transcript} transcript the transcript containing the utterance
+ * @param {number} activeWordIndex the index of the word being played
+ * @param {React.MutableRefObject<HTMLElement[]>} wordRefs collects the element
+ * of every rendered word
+ * @param {Map<number, DisfluencyEvent>} disfluenciesByWord maps the index of
+ * every word in a disfluency onto its event
+ * @param {Object<string, string>} disfluencyReviews the reviews of the events
+ * @param {Map<number, SessionMarker[]>} markersByWord maps the index of a word
+ * onto the markers closest to it
+ * @param {boolean} showPhonetics whether the phonetic tier is shown
+ * @param {(seconds: number) => void} onSeek seeks the audio playback
+ * @param {(eventId: string, status: string) => void} onReviewDisfluency
+ * records the review of a disfluency
+ * @param {(wordIndex: number, changes: Partial<WordPhonetic>) => void}
+ * onEditPhonetic corrects the phonetic forms of a word
+ * @param {(speakerId: string) => void} onReassign attributes the utterance to
+ * another speaker
+ *
+ * @returns {JSX.Element} representing a line of the transcript
+ */
+const TranscriptUtterance = ({
+  utterance,
+  transcript,
+  activeWordIndex,
+  wordRefs,
+  disfluenciesByWord,
+  disfluencyReviews,
+  markersByWord,
+  showPhonetics,
+  onSeek,
+  onReviewDisfluency,
+  onEditPhonetic,
+  onReassign,
+}) => (
+  <p>
+    <select
+      value={utterance.speaker}
+      onChange={(event) => onReassign(event.target.value)}
+      aria-label="Speaker of the utterance"
+      className={styles.speakerSelect}
+    >
+      {transcript.speakers.map((eachSpeaker) => (
+        <option key={eachSpeaker.id} value={eachSpeaker.id}>
+          {eachSpeaker.label}
+        </option>
+      ))}
+    </select>
+    {transcript.words
+      .slice(utterance.firstWord, utterance.lastWord)
+      .map((eachWord) => {
+        const disfluency = disfluenciesByWord.get(eachWord.index);
+        const disfluencyStatus =
+          disfluency && getDisfluencyStatus(disfluencyReviews, disfluency);
+        const className = [
+          styles.word,
+          eachWord.index === activeWordIndex && styles.activeWord,
+          disfluency && styles.disfluency,
+          disfluency && styles[disfluencyStatus],
+        ]
+          .filter(Boolean)
+          .join(" ");
+
+        const wordElement = (
+          <span
+            ref={(element) => {
+              wordRefs.current[eachWord.index] = element;
+            }}
+            className={className}
+            title={
+              disfluency &&
+              DISFLUENCY_TYPES.find(({ id }) => id === disfluency.type).label
+            }
+            onClick={() => onSeek(eachWord.start / 1_000)}
+          >
+            {eachWord.text}
+          </span>
+        );
+
+        return (
+          <React.Fragment key={eachWord.index}>
+            {markersByWord.get(eachWord.index)?.map((eachMarker) => (
+              <button
+                key={eachMarker.id}
+                className={`${styles.marker} ${styles[eachMarker.type] ?? ""}`}
+                onClick={() => onSeek(eachMarker.time / 1_000)}
+                title={`${describeMarker(eachMarker)} at ${formatClockTime(
+                  eachMarker.time
+                )}`}
+              >
+                {describeMarker(eachMarker)}
+              </button>
+            ))}
+            {showPhonetics ? (
+              <span className={styles.phoneticWord}>
+                {wordElement}
+                <PhoneticForms
+                  word={eachWord}
+                  onEdit={(changes) => onEditPhonetic(eachWord.index, changes)}
+                />
+              </span>
+            ) : (
+              wordElement
+            )}{" "}
+            {disfluency?.words.at(-1) === eachWord.index && (
+              <span className={styles.disfluencyTag}>
+                <small>
+                  {
+                    DISFLUENCY_TYPES.find(({ id }) => id === disfluency.type)
+                      .abbreviation
+                  }
+                </small>
+                <DisfluencyReview
+                  status={disfluencyStatus}
+                  onReview={(reviewStatus) =>
+                    onReviewDisfluency(disfluency.id, reviewStatus)
+                  }
+                />{" "}
+              </span>
+            )}
+          </React.Fragment>
         );
       })}
+  </p>
+);
 
-      {summary?.chapters?.map((eachChapter, eachIndex) => (
-        <div key={eachIndex}>
-          <h2>Chapter {eachIndex++}:</h2>
-          <p>- Summary: {eachChapter.summary}</p>
-          <p>- Headline: {eachChapter.headline}</p>
-          <p>- Gist: {eachChapter.gist}</p>
-          <p>
-            Start time: {eachChapter.start / 1_000}s || End time:{" "}
-            {eachChapter.end / 1_000}s
-          </p>
-        </div>
-      ))}
+/**
+ * @component PhoneticForms
+ *
+ * @description Responsible for rendering the editable target and produced
+ * forms of a word. The produced form shows the target until the clinician
+ * transcribes something else, and clearing it resets it to the target.
+ *
+ * @param {TranscriptWord} word the word
+ * @param {(changes: Partial<WordPhonetic>) => void} onEdit corrects the
+ * phonetic forms of the word
+ *
+ * @returns {JSX.Element} representing the phonetic forms of a word
+ */
+const PhoneticForms = ({ word, onEdit }) => {
+  const target = word.phonetic?.target ?? "";
+  const produced = word.phonetic?.produced ?? "";
+
+  return (
+    <>
+      <input
+        value={target}
+        size={Math.max(target.length, 3)}
+        onChange={(event) => onEdit({ target: event.target.value || null })}
+        aria-label={`Target pronunciation of ${word.text}`}
+        title="Target form"
+        className={styles.targetForm}
+      />
+      <input
+        value={produced}
+        placeholder={target}
+        size={Math.max(produced.length, target.length, 3)}
+        onChange={(event) => onEdit({ produced: event.target.value || null })}
+        aria-label={`Produced pronunciation of ${word.text}`}
+        title="Produced form"
+        className={
+          produced && produced !== target
+            ? `${styles.producedForm} ${styles.mismatch}`
+            : styles.producedForm
+        }
+      />
     </>
   );
 };
@@ -0,0 +1,160 @@
+/**
+ * @file ExportMenu.jsx
+ *
+ * @description This component is responsible for rendering the menu that
+ * lets the user download a transcript in any of the supported export formats.
+ *
+ * @requires react
+ * @requires react-icons
+ * @requires services/export
+ * @requires export-menu.module.scss
+ *
+ * @exports ExportMenu
+ */
+
+import React, { useState, useEffect } from "react";
+import styles from "./export-menu.module.scss";
+import { HiDownload } from "react-icons/hi";
+import downloadBlob from "../../utils/downloadBlob";
+import { EXPORT_FORMATS, exportTranscript } from "../../services/export";
+import { getSpeakerLabel } from "../../services/transcription/speakers";
+import {
+  PARTICIPANT_ROLES,
+  guessParticipants,
+} from "../../services/export/participants";
+
+/**
+ * @component ExportMenu
+ *
+ * @description Responsible for rendering the export button and the list of
+ * formats it expands into.
+ *
+ * @param {Transcript} transcript the transcript to export
+ * @param {string} title the title used for the document and file name
+ * @param {string} [recordingName] the file name of the transcribed recording,
+ * named in the CHAT header
+ *
+ * @returns {JSX.Element} representing the transcript export menu
+ */
+const ExportMenu = ({ transcript, title = "transcript", recordingName }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [error, setError] = useState(null);
+  const [participants, setParticipants] = useState(() =>
+    guessParticipants(transcript)
+  );
+
+  /**
+   * @useEffect
+   *
+   * @description useEffect that suggests new participant roles whenever a
+   * different transcript is exported
+   */
+  useEffect(() => {
+    setParticipants(guessParticipants(transcript));
+  }, [transcript.id]);
+
+  /**
+   * @useEffect
+   *
+   * @description useEffect that suggests roles for speakers added to the
+   * transcript, keeping the roles already chosen when speakers are renamed
+   */
+  useEffect(() => {
+    setParticipants((prevParticipants) => ({
+      ...guessParticipants(transcript),
+      ...prevParticipants,
+    }));
+  }, [transcript.speakers]);
+
+  /**
+   * @setStateFunction handleParticipantChange
+   *
+   * @description State updater function that assigns a participant role to a
+   * speaker
+   *
+   * @param {string} speakerId the speaker being assigned
+   * @param {string} code the CHAT speaker code of the chosen role
+   */
+  const handleParticipantChange = (speakerId, code) => {
+    setParticipants((prevParticipants) => ({
+      ...prevParticipants,
+      [speakerId]: code,
+    }));
+  };
+
+  /**
+   * @function handleExport
+   *
+   * @description Builds the transcript in the chosen format and downloads it.
+   *
+   * @param {string} formatId the identifier of the chosen format
+   */
+  const handleExport = async (formatId) => {
+    try {
+      const { blob, fileName } = await exportTranscript(formatId, transcript, {
+        title,
+        participants,
+        mediaName: recordingName?.replace(/\.[^.]+$/, ""),
+      });
+
+      downloadBlob(blob, fileName);
+      setError(null);
+      setIsOpen(false);
+    } catch (exportError) {
+      setError(`Failed to export transcript: ${exportError.message}`);
+    }
+  };
+
+  return (
+    <div className={styles.exportMenu}>
+      <button
+        onClick={() => setIsOpen((prev) => !prev)}
+        aria-expanded={isOpen}
+        className={styles.toggle}
+      >
+        <HiDownload />
+        <span>Export</span>
+      </button>
+
+      {isOpen && (
+        <div className={styles.menu}>
+          <fieldset className={styles.participants}>
+            <legend>Speaker roles for CHAT and SALT</legend>
+
+            {transcript.speakers.map((eachSpeaker) => (
+              <label key={eachSpeaker.id}>
+                {getSpeakerLabel(transcript, eachSpeaker.id)}
+                <select
+                  value={participants[eachSpeaker.id] ?? "UNK"}
+                  onChange={(event) =>
+                    handleParticipantChange(eachSpeaker.id, event.target.value)
+                  }
+                >
+                  {PARTICIPANT_ROLES.map((eachRole) => (
+                    <option key={eachRole.code} value={eachRole.code}>
+                      {eachRole.label} ({eachRole.code})
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </fieldset>
+
+          <ul className={styles.formats}>
+            {EXPORT_FORMATS.map((eachFormat) => (
+              <li key={eachFormat.id}>
+                <button onClick={() => handleExport(eachFormat.id)}>
+                  {eachFormat.label} <small>.{eachFormat.extension}</small>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {error && <p className={styles.error}>{error}</p>}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,34 @@
+/**
+ * @customHook useAudioInputStatus
+ *
+ * @description The custom hook is responsible for subscribing a component to
+ * the state of the microphone, rerendering it whenever the microphone starts
+ * or stops recording.
+ *
+ * @requires react
+ * @requires services/recording/audioInput
+ *
+ * @example
+ * const { state, label } = useAudioInputStatus();
+ *
+ * @exports useAudioInputStatus
+ */
+
+import { useSyncExternalStore } from "react";
+import {
+  getInputStatus,
+  subscribeToInputStatus,
+} from "../../services/recording/audioInput";
+
+/**
+ * @function useAudioInputStatus
+ *
+ * @description Responsible for reading the state of the microphone and
+ * keeping it up to date.
+ *
+ * @returns {InputStatus} the current state of the microphone
+ */
+const useAudioInputStatus = () =>
+  useSyncExternalStore(subscribeToInputStatus, getInputStatus);
+
+export default useAudioInputStatus;
@@ -2,49 +2,85 @@
  * @customHook useAudioDownloader
  *
  * @description The custom hook is responsible for providing application wide
- * functionality to download an audio file to the users default download location.
+ * functionality to download a recording to the users default download
+ * location, encoded in the output format the user chose and named after its
+ * client and date.
  *
- * @returns {hook} That represents an audio downloaded
+ * @requires react
+ * @requires context/AuthContext
+ * @requires hooks/clients/useClients
+ * @requires services/clients/clients
+ * @requires services/recording/audioEncoding
+ * @requires utils/downloadBlob
+ *
+ * @example
+ * const { downloadRecording, isEncoding } = useAudioDownloader();
+ * downloadRecording({ blob, client, date: createdAt });
+ *
+ * @exports useAudioDownloader
  */
-import { useEffect, useState } from "react";
+import { useState } from "react";
+import { useAuth } from "../../context/AuthContext";
+import useClients from "../clients/useClients";
+import { getClientName } from "../../services/clients/clients";
+import {
+  buildRecordingFileName,
+  encodeRecording,
+  getOutputSettings,
+} from "../../services/recording/audioEncoding";
+import downloadBlob from "../../utils/downloadBlob";
 
 /**
- * @component useAudioDownloader
+ * @function useAudioDownloader
  *
- * @description Responsible for rendering the useAudioDownloader custom hook
+ * @description Responsible for encoding and downloading recordings.
  *
- * @returns {JSX.Element} That represents
+ * @returns {{ downloadRecording: Function, isEncoding: boolean, error:
+ * string|null }} downloads a recording, with the state of the download
  */
 const useAudioDownloader = () => {
-  const [audioBlobURL, setAudioBlobURL] = useState(null);
+  const { currentUser } = useAuth();
+  const { clients } = useClients();
+  const [isEncoding, setIsEncoding] = useState(false);
+  const [error, setError] = useState(null);
 
   /**
-   * @useEffect
+   * @callback downloadRecording
    *
-   * @description useEffect hook that handles applying side effects when
-   * audioBlobURL changes and when it does downloads the file.
-   */
-  useEffect(() => {
-    if (audioBlobURL) {
-      const link = document.createElement("a");
-      link.href = audioBlobURL;
-      link.download = "NEW!-audio.wav";
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-    }
-  }, [audioBlobURL]);
-
-  /**
-   * @setStateFunction downloadAudio
+   * @description Encodes a recording in the chosen output format and
+   * downloads it.
    *
-   * @description state updater function that handles updating the audioBlobURL
+   * @param {object} recording the recording to download
+   * @param {Blob} recording.blob the recorded audio
+   * @param {string|null} [recording.client] the client it belongs to
+   * @param {Date|string} [recording.date] when it was recorded
+   * @param {OutputSettings} [settings] the output to encode in, the user's
+   * saved choice by default
    */
-  const downloadAudio = (audioBlobURL) => {
-    setAudioBlobURL(audioBlobURL);
+  const downloadRecording = async (
+    { blob, client = null, date },
+    settings = getOutputSettings(currentUser?.uid ?? null)
+  ) => {
+    setIsEncoding(true);
+    setError(null);
+
+    try {
+      const encoded = await encodeRecording(blob, settings);
+      downloadBlob(
+        encoded.blob,
+        buildRecordingFileName(
+          { clientName: getClientName(client, clients), date },
+          encoded.extension
+        )
+      );
+    } catch (encodingError) {
+      setError(`Could not encode the recording: ${encodingError.message}`);
+    } finally {
+      setIsEncoding(false);
+    }
   };
 
-  return downloadAudio;
+  return { downloadRecording, isEncoding, error };
 };
 
 export default useAudioDownloader;
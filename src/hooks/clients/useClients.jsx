@@ -0,0 +1,70 @@
+/**
+ * @customHook useClients
+ *
+ * @description The custom hook is responsible for providing the clients of
+ * the signed in user, kept up to date whenever a client is created, changed
+ * or removed, including in other tabs.
+ *
+ * @requires react
+ * @requires context/AuthContext
+ * @requires services/storage/indexedDB
+ * @requires services/clients/clients
+ *
+ * @example
+ * const { clients, isLoading } = useClients();
+ *
+ * @exports useClients
+ */
+
+import { useEffect, useState } from "react";
+import { useAuth } from "../../context/AuthContext";
+import {
+  STORES,
+  listRecords,
+  subscribeToStore,
+} from "../../services/storage/indexedDB";
+import { listClients } from "../../services/clients/clients";
+
+/**
+ * @function useClients
+ *
+ * @description Responsible for reading the clients of the signed in user.
+ * The clients are read asynchronously, so they are loading until then.
+ *
+ * @returns {{ clients: Client[], isLoading: boolean }} the clients of the
+ * user, and whether they are still being read
+ */
+const useClients = () => {
+  const { currentUser } = useAuth();
+  const userId = currentUser?.uid ?? null;
+  const [clients, setClients] = useState(null);
+
+  /**
+   * @useEffect
+   *
+   * @description useEffect that reads the clients of the user, and reads
+   * them again after every change
+   */
+  useEffect(() => {
+    let isCurrent = true;
+
+    const read = () =>
+      listRecords(STORES.clients)
+        .then((storedClients) => {
+          if (isCurrent) setClients(listClients(userId, storedClients));
+        })
+        .catch((error) => console.error("Failed to read clients:", error));
+
+    read();
+    const unsubscribe = subscribeToStore(STORES.clients, read);
+
+    return () => {
+      isCurrent = false;
+      unsubscribe();
+    };
+  }, [userId]);
+
+  return { clients: clients ?? [], isLoading: clients === null };
+};
+
+export default useClients;
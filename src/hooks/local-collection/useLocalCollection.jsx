@@ -0,0 +1,42 @@
+/**
+ * @customHook useLocalCollection
+ *
+ * @description The custom hook is responsible for subscribing a component to
+ * a collection persisted in localStorage, rerendering it whenever the
+ * collection changes.
+ *
+ * @requires react
+ * @requires services/storage/localCollection
+ *
+ * @example
+ * const jobs = useLocalCollection("transcriptionJobs");
+ *
+ * @exports useLocalCollection
+ */
+
+import { useCallback, useSyncExternalStore } from "react";
+import {
+  readCollection,
+  subscribeToCollection,
+} from "../../services/storage/localCollection";
+
+/**
+ * @function useLocalCollection
+ *
+ * @description Responsible for reading the records of a collection and
+ * keeping them up to date.
+ *
+ * @param {string} name the name of the collection
+ *
+ * @returns {object[]} the current records of the collection
+ */
+const useLocalCollection = (name) => {
+  const subscribe = useCallback(
+    (listener) => subscribeToCollection(name, listener),
+    [name]
+  );
+
+  return useSyncExternalStore(subscribe, () => readCollection(name));
+};
+
+export default useLocalCollection;
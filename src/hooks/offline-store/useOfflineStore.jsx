@@ -0,0 +1,64 @@
+/**
+ * @customHook useOfflineStore
+ *
+ * @description The custom hook is responsible for subscribing a component to
+ * a store persisted in IndexedDB, rerendering it whenever the store changes.
+ *
+ * @requires react
+ * @requires services/storage/indexedDB
+ *
+ * @example
+ * const documents = useOfflineStore(STORES.documents);
+ *
+ * @exports useOfflineStore
+ */
+
+import { useEffect, useState } from "react";
+import {
+  listRecords,
+  subscribeToStore,
+} from "../../services/storage/indexedDB";
+
+/**
+ * @function useOfflineStore
+ *
+ * @description Responsible for reading the records of a store and keeping
+ * them up to date. The records are read asynchronously, so the store reads
+ * as empty until they are loaded.
+ *
+ * @param {string} store the name of the store
+ *
+ * @returns {object[]} the current records of the store
+ */
+const useOfflineStore = (store) => {
+  const [records, setRecords] = useState([]);
+
+  /**
+   * @useEffect
+   *
+   * @description useEffect that reads the store, and reads it again after
+   * every change
+   */
+  useEffect(() => {
+    let isCurrent = true;
+
+    const read = () =>
+      listRecords(store)
+        .then((storedRecords) => {
+          if (isCurrent) setRecords(storedRecords);
+        })
+        .catch((error) => console.error(`Failed to read ${store}:`, error));
+
+    read();
+    const unsubscribe = subscribeToStore(store, read);
+
+    return () => {
+      isCurrent = false;
+      unsubscribe();
+    };
+  }, [store]);
+
+  return records;
+};
+
+export default useOfflineStore;
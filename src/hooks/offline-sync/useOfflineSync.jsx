@@ -0,0 +1,137 @@
+/**
+ * @customHook useOfflineSync
+ *
+ * @description The custom hook is responsible for syncing the offline store
+ * of the signed in user. The queue is replayed whenever something is queued
+ * and whenever the browser comes back online. Operations that failed are
+ * retried periodically.
+ *
+ * @requires react
+ * @requires context/AuthContext
+ * @requires hooks/repository/useRepository
+ * @requires hooks/offline-store/useOfflineStore
+ * @requires services/storage
+ * @requires services/transcription
+ *
+ * @example
+ * const { isOnline, pending, conflicts } = useOfflineSync();
+ *
+ * @exports useOfflineSync
+ */
+
+import { useEffect, useMemo, useState } from "react";
+import { useAuth } from "../../context/AuthContext";
+import useRepository from "../repository/useRepository";
+import useOfflineStore from "../offline-store/useOfflineStore";
+import { STORES } from "../../services/storage/indexedDB";
+import { processSyncQueue } from "../../services/storage/syncQueue";
+import { createTranscriptionProvider } from "../../services/transcription";
+
+const RETRY_DELAY = 30_000;
+
+/**
+ * @function createProvider
+ *
+ * @description Creates the provider a queued transcription is submitted to.
+ *
+ * @param {string} [name] the name of the provider chosen when it was queued
+ *
+ * @returns {TranscriptionProvider} the provider
+ */
+const createProvider = (name) =>
+  createTranscriptionProvider({
+    apiToken: import.meta.env.VITE_AUTHORIZATION_1,
+    provider: name,
+  });
+
+/**
+ * @typedef {Object} OfflineSyncState
+ *
+ * @property {boolean} isOnline whether the browser is online
+ * @property {boolean} isSyncing whether the queue is being replayed
+ * @property {number} pending the number of queued operations
+ * @property {number} failed the number of operations that failed at least
+ * once
+ * @property {number} conflicts the number of items waiting for a conflict to
+ * be resolved
+ * @property {string|null} lastError the reason the last failure failed
+ */
+
+/**
+ * @function useOfflineSync
+ *
+ * @description Responsible for replaying the sync queue and reporting its
+ * state.
+ *
+ * @returns {OfflineSyncState} the state of the sync
+ */
+const useOfflineSync = () => {
+  const { currentUser } = useAuth();
+  const repository = useRepository();
+  const queue = useOfflineStore(STORES.syncQueue);
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [isSyncing, setIsSyncing] = useState(false);
+
+  const entries = useMemo(
+    () => queue.filter(({ userId }) => userId === currentUser?.uid),
+    [queue, currentUser?.uid]
+  );
+
+  /**
+   * @useEffect
+   *
+   * @description useEffect that follows whether the browser is online
+   */
+  useEffect(() => {
+    const handleConnectivity = () => setIsOnline(navigator.onLine);
+
+    window.addEventListener("online", handleConnectivity);
+    window.addEventListener("offline", handleConnectivity);
+
+    return () => {
+      window.removeEventListener("online", handleConnectivity);
+      window.removeEventListener("offline", handleConnectivity);
+    };
+  }, []);
+
+  /**
+   * @useEffect
+   *
+   * @description useEffect that replays the queue as soon as something new
+   * is queued, and retries the failed operations periodically. Entries
+   * waiting for a conflict to be resolved do not trigger a sync.
+   */
+  useEffect(() => {
+    if (!repository || !isOnline || !entries.length) return undefined;
+
+    const sync = () => {
+      setIsSyncing(true);
+      processSyncQueue({
+        userId: currentUser.uid,
+        repository,
+        createProvider,
+      }).finally(() => setIsSyncing(false));
+    };
+
+    if (entries.some(({ attempts, conflict }) => !attempts && !conflict)) {
+      sync();
+    }
+
+    const interval = entries.some(({ attempts }) => attempts > 0)
+      ? setInterval(sync, RETRY_DELAY)
+      : null;
+
+    return () => clearInterval(interval);
+  }, [entries, repository, isOnline]);
+
+  return {
+    isOnline,
+    isSyncing,
+    pending: entries.length,
+    failed: entries.filter(({ attempts }) => attempts > 0).length,
+    conflicts: entries.filter(({ conflict }) => conflict).length,
+    lastError: entries.find(({ lastError }) => lastError)?.lastError ?? null,
+  };
+};
+
+export default useOfflineSync;
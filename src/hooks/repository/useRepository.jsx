@@ -0,0 +1,44 @@
+/**
+ * @customHook useRepository
+ *
+ * @description The custom hook is responsible for providing the Firebase
+ * repository of the signed in user, so components can save recordings,
+ * transcripts and documents without knowing where they are stored.
+ *
+ * @requires react
+ * @requires context/AuthContext
+ * @requires utils/FirebaseContext
+ * @requires services/storage/firebaseRepository
+ *
+ * @example
+ * const repository = useRepository();
+ * repository?.saveDocument({ title, content });
+ *
+ * @exports useRepository
+ */
+
+import { useMemo } from "react";
+import { useAuth } from "../../context/AuthContext";
+import { db, storage } from "../../utils/FirebaseContext";
+import { createUserRepository } from "../../services/storage/firebaseRepository";
+
+/**
+ * @function useRepository
+ *
+ * @description Responsible for creating the repository of the signed in user
+ * whenever another user signs in.
+ *
+ * @returns {UserRepository|null} the repository, null while nobody is signed
+ * in
+ */
+const useRepository = () => {
+  const { currentUser } = useAuth();
+  const userId = currentUser?.uid ?? null;
+
+  return useMemo(
+    () => (userId ? createUserRepository({ db, storage, userId }) : null),
+    [userId]
+  );
+};
+
+export default useRepository;
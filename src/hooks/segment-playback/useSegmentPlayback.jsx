@@ -0,0 +1,73 @@
+/**
+ * @customHook useSegmentPlayback
+ *
+ * @description The custom hook is responsible for playing back a short
+ * segment of an audio element, such as a single word of the transcript, and
+ * pausing once the segment has been played.
+ *
+ * @requires react
+ *
+ * @example
+ * const playSegment = useSegmentPlayback(audioRef);
+ * playSegment(word.start, word.end);
+ *
+ * @exports useSegmentPlayback
+ */
+
+import { useCallback, useEffect, useRef } from "react";
+
+/**
+ * @function useSegmentPlayback
+ *
+ * @description Responsible for providing the function that plays a segment.
+ * Playing another segment replaces the one playing.
+ *
+ * @param {React.MutableRefObject<HTMLAudioElement>} audioRef the audio element
+ * to play the segments of
+ *
+ * @returns {(start: number, end: number) => void} plays the audio between two
+ * times given in milliseconds
+ */
+const useSegmentPlayback = (audioRef) => {
+  const stopRef = useRef(null);
+
+  /**
+   * @useEffect
+   *
+   * @description useEffect that cancels the pause at the end of a segment
+   * when the component unmounts
+   */
+  useEffect(() => () => stopRef.current?.(), []);
+
+  return useCallback(
+    (start, end) => {
+      const audio = audioRef.current;
+      if (!audio) return;
+
+      stopRef.current?.();
+
+      let timeout = null;
+      const stop = () => {
+        clearTimeout(timeout);
+        if (stopRef.current === stop) stopRef.current = null;
+      };
+      stopRef.current = stop;
+
+      audio.currentTime = start / 1_000;
+      audio
+        .play()
+        .then(() => {
+          if (stopRef.current !== stop) return;
+
+          timeout = setTimeout(() => {
+            audio.pause();
+            stop();
+          }, (end - start) / audio.playbackRate);
+        })
+        .catch(stop);
+    },
+    [audioRef]
+  );
+};
+
+export default useSegmentPlayback;
@@ -0,0 +1,42 @@
+/**
+ * @file ClientDetails.jsx
+ *
+ * @description This component is responsible for constructing the page of a
+ * single client from its related components. The client is given by the id
+ * route parameter.
+ *
+ * @requires react
+ * @requires react-router-dom
+ * @requires ClientRecord
+ * @requires LeftNavBar
+ * @requires RightNavBar
+ * @requires client-details.module.scss
+ *
+ * @exports ClientDetails
+ */
+
+import React from "react";
+import { useParams } from "react-router-dom";
+import styles from "./client-details.module.scss";
+import LeftNavBar from "../../components/navigation/left/LeftNavBar";
+import ClientRecord from "../../components/client-record/ClientRecord";
+import RightNavBar from "../../components/navigation/right/RightNavBar";
+
+/**
+ * Renders the record of the client in the route and centers it on the screen
+ *
+ * @returns {JSX.Element} The component representing the client page
+ */
+const ClientDetails = () => {
+  const { id } = useParams();
+
+  return (
+    <div className={styles.clientDetailsContainer}>
+      <LeftNavBar />
+      <ClientRecord clientId={id} />
+      <RightNavBar />
+    </div>
+  );
+};
+
+export default ClientDetails;
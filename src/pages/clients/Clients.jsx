@@ -0,0 +1,37 @@
+/**
+ * @file Clients.jsx
+ *
+ * @description This component is responsible for constructing the Clients
+ * page from its related components.
+ *
+ * @requires react
+ * @requires ClientList
+ * @requires LeftNavBar
+ * @requires RightNavBar
+ * @requires clients.module.scss
+ *
+ * @exports Clients
+ */
+
+import React from "react";
+import styles from "./clients.module.scss";
+import LeftNavBar from "../../components/navigation/left/LeftNavBar";
+import ClientList from "../../components/client-list/ClientList";
+import RightNavBar from "../../components/navigation/right/RightNavBar";
+
+/**
+ * Renders the clients page and centers it on the screen
+ *
+ * @returns {JSX.Element} The component representing the clients page
+ */
+const Clients = () => {
+  return (
+    <div className={styles.clientsContainer}>
+      <LeftNavBar />
+      <ClientList />
+      <RightNavBar />
+    </div>
+  );
+};
+
+export default Clients;
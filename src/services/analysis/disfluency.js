@@ -0,0 +1,454 @@
+/**
+ * @file disfluency.js
+ *
+ * @description Detects disfluency events in a transcript requested with
+ * disfluencies enabled, and summarizes them per speaker. Every detected event
+ * is only a candidate until the clinician reviews it, rejected events are left
+ * out of the summary.
+ *
+ * @requires services/transcription/tokens
+ * @requires syllables
+ *
+ * @exports DISFLUENCY_TYPES
+ * @exports DEFAULT_DISFLUENCY_SETTINGS
+ * @exports detectDisfluencies
+ * @exports getDisfluencyStatus
+ * @exports mapRepeatedCopies
+ * @exports summarizeDisfluencies
+ */
+
+import { classifyToken } from "../transcription/tokens";
+import { countSyllables } from "./syllables";
+
+/**
+ * @typedef {Object} DisfluencyType
+ *
+ * @property {string} id the identifier of the type
+ * @property {string} label the name shown in the report
+ * @property {string} abbreviation the short tag shown in the transcript
+ * @property {boolean} stutterLike whether the type counts towards percent
+ * syllables stuttered
+ */
+
+/** @type {DisfluencyType[]} */
+export const DISFLUENCY_TYPES = [
+  { id: "filler", label: "Fillers", abbreviation: "F", stutterLike: false },
+  {
+    id: "part-word-repetition",
+    label: "Part-word repetitions",
+    abbreviation: "PWR",
+    stutterLike: true,
+  },
+  {
+    id: "whole-word-repetition",
+    label: "Whole-word repetitions",
+    abbreviation: "WWR",
+    stutterLike: true,
+  },
+  {
+    id: "phrase-repetition",
+    label: "Phrase repetitions",
+    abbreviation: "PR",
+    stutterLike: false,
+  },
+  {
+    id: "prolongation",
+    label: "Prolongation candidates",
+    abbreviation: "P",
+    stutterLike: true,
+  },
+  { id: "revision", label: "Revisions", abbreviation: "R", stutterLike: false },
+];
+
+/**
+ * @typedef {Object} DisfluencySettings
+ *
+ * @property {number} prolongationThreshold the duration per syllable in
+ * milliseconds above which a word is a prolongation candidate
+ * @property {number} maxPhraseLength the longest phrase, in words, checked for
+ * repetitions
+ */
+
+/** @type {DisfluencySettings} */
+export const DEFAULT_DISFLUENCY_SETTINGS = {
+  prolongationThreshold: 600,
+  maxPhraseLength: 3,
+};
+
+/**
+ * Reduplicated words, written with a hyphen, that are words in their own
+ * right rather than part-word repetitions.
+ */
+const REDUPLICATIONS = new Set([
+  "bye-bye",
+  "night-night",
+  "choo-choo",
+  "boo-boo",
+  "knock-knock",
+  "pee-pee",
+  "tut-tut",
+  "ha-ha",
+  "din-din",
+  "num-num",
+  "yum-yum",
+  "uh-oh",
+  "uh-huh",
+  "mm-hmm",
+]);
+
+/**
+ * The prefixes written with a hyphen in words such as "re-read" or
+ * "co-counsel", which look like a repeated start of the word.
+ */
+const HYPHENATED_PREFIXES = new Set(["co", "de", "pre", "re"]);
+
+/**
+ * The words that join a word to itself in idioms such as "one by one", "face
+ * to face" or "again and again", which are not revisions.
+ */
+const IDIOM_CONNECTORS = new Set(["by", "to", "in", "and", "after", "upon"]);
+
+/**
+ * @typedef {Object} DisfluencyEvent
+ *
+ * @property {string} id identifier of the event, stable across detections of
+ * the same transcript
+ * @property {string} type the identifier of the disfluency type
+ * @property {string} speaker identifier of the speaker
+ * @property {number[]} words the indexes of the words making up the event
+ * @property {number[]} maze the indexes of the words left out of language
+ * sample counts, like the abandoned copies of a repetition
+ * @property {number} start start time of the event in milliseconds
+ * @property {number} end end time of the event in milliseconds
+ * @property {string} text the words making up the event
+ */
+
+/**
+ * @function createEvent
+ *
+ * @description Builds an event from the tokens it spans.
+ *
+ * @param {string} type the identifier of the disfluency type
+ * @param {object[]} tokens the classified words making up the event
+ * @param {number} [mazeLength] the number of leading words that form the maze
+ *
+ * @returns {DisfluencyEvent} the event
+ */
+const createEvent = (type, tokens, mazeLength = tokens.length) => ({
+  id: `${type}:${tokens[0].word.index}`,
+  type,
+  speaker: tokens[0].word.speaker,
+  words: tokens.map(({ word }) => word.index),
+  maze: tokens.slice(0, mazeLength).map(({ word }) => word.index),
+  start: tokens[0].word.start,
+  end: tokens.at(-1).word.end,
+  text: tokens.map(({ word }) => word.text).join(" "),
+});
+
+/**
+ * @function isPartWordRepetition
+ *
+ * @description Determines whether a hyphenated word repeats the start of its
+ * last part, like "b-b-ball". Every part before the last must be the same
+ * truncated fragment of the last part, so reduplications such as "bye-bye"
+ * and prefixed words such as "re-read" are not counted.
+ *
+ * @param {string} word the word without punctuation, lowercased
+ *
+ * @returns {boolean} true if the word is a part-word repetition
+ */
+const isPartWordRepetition = (word) => {
+  if (REDUPLICATIONS.has(word)) return false;
+
+  const parts = word.split("-");
+  const target = parts.pop();
+
+  return (
+    parts.length > 0 &&
+    !(parts.length === 1 && HYPHENATED_PREFIXES.has(parts[0])) &&
+    parts.every(
+      (eachPart) =>
+        /^[a-z]+$/.test(eachPart) &&
+        eachPart === parts[0] &&
+        eachPart.length < target.length &&
+        target.startsWith(eachPart)
+    )
+  );
+};
+
+/**
+ * @function isSamePhrase
+ *
+ * @description Determines whether two runs of tokens contain the same words.
+ *
+ * @param {object[]} tokens the classified words of the utterance
+ * @param {number} first the position of the first run
+ * @param {number} second the position of the second run
+ * @param {number} length the number of words in each run
+ *
+ * @returns {boolean} true if both runs are plain words and match
+ */
+const isSamePhrase = (tokens, first, second, length) => {
+  if (second + length > tokens.length) return false;
+
+  for (let offset = 0; offset < length; offset += 1) {
+    const a = tokens[first + offset];
+    const b = tokens[second + offset];
+
+    if (a.kind !== "word" || b.kind !== "word" || a.lower !== b.lower) {
+      return false;
+    }
+    if (offset < length - 1 && a.terminator) return false;
+  }
+
+  return true;
+};
+
+/**
+ * @function detectUtteranceDisfluencies
+ *
+ * @description Detects the events of a single utterance. Repetitions and
+ * revisions never span utterances, and a word belongs to one event at most.
+ *
+ * @param {TranscriptWord[]} words the words of the utterance
+ * @param {DisfluencySettings} settings the detection settings
+ *
+ * @returns {DisfluencyEvent[]} the events in playback order
+ */
+const detectUtteranceDisfluencies = (words, settings) => {
+  const tokens = words.map((word) => {
+    const token = classifyToken(word.text);
+    return { ...token, word, lower: token.bare.toLowerCase() };
+  });
+  const events = [];
+  let position = 0;
+
+  while (position < tokens.length) {
+    const token = tokens[position];
+
+    if (token.kind === "filler") {
+      events.push(createEvent("filler", [token]));
+      position += 1;
+      continue;
+    }
+
+    if (token.kind === "fragment") {
+      const target = tokens[position + 1];
+      const span =
+        target?.kind === "word" && target.lower.startsWith(token.lower)
+          ? [token, target]
+          : [token];
+
+      events.push(createEvent("part-word-repetition", span, 1));
+      position += span.length;
+      continue;
+    }
+
+    if (isPartWordRepetition(token.lower)) {
+      events.push(createEvent("part-word-repetition", [token], 0));
+      position += 1;
+      continue;
+    }
+
+    let phraseLength = 0;
+    for (let length = settings.maxPhraseLength; length >= 1; length -= 1) {
+      if (isSamePhrase(tokens, position, position + length, length)) {
+        phraseLength = length;
+        break;
+      }
+    }
+
+    if (phraseLength) {
+      let end = position + phraseLength * 2;
+      while (isSamePhrase(tokens, position, end, phraseLength)) {
+        end += phraseLength;
+      }
+
+      events.push(
+        createEvent(
+          phraseLength === 1 ? "whole-word-repetition" : "phrase-repetition",
+          tokens.slice(position, end),
+          end - position - phraseLength
+        )
+      );
+      position = end;
+      continue;
+    }
+
+    const restart = tokens[position + 2];
+    if (
+      token.kind === "word" &&
+      !token.terminator &&
+      !tokens[position + 1]?.terminator &&
+      !IDIOM_CONNECTORS.has(tokens[position + 1]?.lower) &&
+      restart?.kind === "word" &&
+      restart.lower === token.lower
+    ) {
+      events.push(
+        createEvent("revision", tokens.slice(position, position + 2))
+      );
+      position += 2;
+      continue;
+    }
+
+    const syllables = countSyllables(token.bare);
+    const isStretched = /([a-z])\1\1/i.test(token.bare);
+    if (
+      token.kind === "word" &&
+      syllables &&
+      (isStretched ||
+        (token.word.end - token.word.start) / syllables >
+          settings.prolongationThreshold)
+    ) {
+      events.push(createEvent("prolongation", [token], 0));
+    }
+
+    position += 1;
+  }
+
+  return events;
+};
+
+/**
+ * @function detectDisfluencies
+ *
+ * @description Detects every disfluency event of a transcript.
+ *
+ * @param {Transcript} transcript the transcript to analyze
+ * @param {Partial<DisfluencySettings>} [settings] overrides of the detection
+ * settings
+ *
+ * @returns {DisfluencyEvent[]} the events in playback order
+ */
+export const detectDisfluencies = (transcript, settings = {}) => {
+  const detectionSettings = { ...DEFAULT_DISFLUENCY_SETTINGS, ...settings };
+
+  return transcript.utterances.flatMap((eachUtterance) =>
+    detectUtteranceDisfluencies(
+      transcript.words.slice(eachUtterance.firstWord, eachUtterance.lastWord),
+      detectionSettings
+    )
+  );
+};
+
+/**
+ * @function getDisfluencyStatus
+ *
+ * @description Looks up the review of an event.
+ *
+ * @param {Object<string, string>} reviews maps event identifiers onto
+ * confirmed or rejected
+ * @param {DisfluencyEvent} event the event
+ *
+ * @returns {string} one of pending, confirmed or rejected
+ */
+export const getDisfluencyStatus = (reviews, event) =>
+  reviews[event.id] ?? "pending";
+
+/**
+ * @function mapRepeatedCopies
+ *
+ * @description Lists the abandoned copies of every whole-word and phrase
+ * repetition, so transcripts can code them as retraced. In "I want I want a
+ * cookie" the first "I want" is abandoned.
+ *
+ * @param {DisfluencyEvent[]} events the detected events
+ *
+ * @returns {Map<number, number[]>} maps the index of the first word of every
+ * abandoned copy onto the indexes of its words
+ */
+export const mapRepeatedCopies = (events) =>
+  new Map(
+    events
+      .filter(({ type }) =>
+        ["whole-word-repetition", "phrase-repetition"].includes(type)
+      )
+      .flatMap(({ words, maze }) => {
+        const copyLength = words.length - maze.length;
+
+        return Array.from({ length: maze.length / copyLength }, (_, copy) => {
+          const copyWords = maze.slice(
+            copy * copyLength,
+            (copy + 1) * copyLength
+          );
+          return [copyWords[0], copyWords];
+        });
+      })
+  );
+
+/**
+ * @typedef {Object} SpeakerDisfluencySummary
+ *
+ * @property {string} speaker identifier of the speaker
+ * @property {number} words the number of words, fillers and fragments excluded
+ * @property {number} syllables the number of syllables in those words
+ * @property {Object<string, number>} counts the number of events per type
+ * @property {number} total the number of events
+ * @property {number} stutterLike the number of stuttering-like events
+ * @property {number} confirmed the number of events the clinician confirmed
+ * @property {number} percentSyllablesStuttered stuttering-like events per 100
+ * syllables
+ * @property {number} disfluenciesPer100Words events per 100 words
+ */
+
+/**
+ * @function summarizeDisfluencies
+ *
+ * @description Counts the events of every speaker, leaving out the events the
+ * clinician rejected. Whole-word repetitions only count as stuttering-like
+ * when the repeated word has a single syllable.
+ *
+ * @param {Transcript} transcript the analyzed transcript
+ * @param {DisfluencyEvent[]} events the detected events
+ * @param {Object<string, string>} [reviews] the reviews of the events
+ *
+ * @returns {SpeakerDisfluencySummary[]} the summary of every speaker
+ */
+export const summarizeDisfluencies = (transcript, events, reviews = {}) =>
+  transcript.speakers.map(({ id: speaker }) => {
+    const spokenWords = transcript.words
+      .filter((eachWord) => eachWord.speaker === speaker)
+      .map(({ text }) => classifyToken(text))
+      .filter(({ kind }) => kind === "word");
+    const syllables = spokenWords.reduce(
+      (sum, { bare }) => sum + countSyllables(bare),
+      0
+    );
+    const speakerEvents = events.filter(
+      (eachEvent) =>
+        eachEvent.speaker === speaker &&
+        getDisfluencyStatus(reviews, eachEvent) !== "rejected"
+    );
+
+    const counts = Object.fromEntries(
+      DISFLUENCY_TYPES.map(({ id }) => [
+        id,
+        speakerEvents.filter(({ type }) => type === id).length,
+      ])
+    );
+    const stutterLike = speakerEvents.filter((eachEvent) => {
+      if (eachEvent.type === "whole-word-repetition") {
+        return countSyllables(eachEvent.text.split(" ")[0]) === 1;
+      }
+      return DISFLUENCY_TYPES.find(({ id }) => id === eachEvent.type)
+        .stutterLike;
+    }).length;
+
+    return {
+      speaker,
+      words: spokenWords.length,
+      syllables,
+      counts,
+      total: speakerEvents.length,
+      stutterLike,
+      confirmed: speakerEvents.filter(
+        (eachEvent) => getDisfluencyStatus(reviews, eachEvent) === "confirmed"
+      ).length,
+      percentSyllablesStuttered: syllables
+        ? (stutterLike / syllables) * 100
+        : 0,
+      disfluenciesPer100Words: spokenWords.length
+        ? (speakerEvents.length / spokenWords.length) * 100
+        : 0,
+    };
+  });
@@ -0,0 +1,64 @@
+import { describe, expect, it } from "vitest";
+import { detectDisfluencies } from "./disfluency";
+
+/**
+ * Builds a transcript of a single utterance, with every word lasting 300 ms
+ * so none of them is a prolongation candidate.
+ */
+const toTranscript = (text) => {
+  const words = text.split(" ").map((eachText, index) => ({
+    index,
+    text: eachText,
+    speaker: "A",
+    start: index * 400,
+    end: index * 400 + 300,
+  }));
+
+  return {
+    speakers: [{ id: "A" }],
+    utterances: [
+      { index: 0, speaker: "A", firstWord: 0, lastWord: words.length },
+    ],
+    words,
+  };
+};
+
+const detectTypes = (text) =>
+  detectDisfluencies(toTranscript(text)).map(({ type }) => type);
+
+describe("detectDisfluencies", () => {
+  it("detects part-word repetitions written as fragments or hyphenated", () => {
+    expect(detectTypes("b- ball")).toEqual(["part-word-repetition"]);
+    expect(detectTypes("the b-b-ball")).toEqual(["part-word-repetition"]);
+  });
+
+  it("does not count reduplicated words as part-word repetitions", () => {
+    expect(detectTypes("bye-bye mommy")).toEqual([]);
+    expect(detectTypes("night-night")).toEqual([]);
+    expect(detectTypes("the choo-choo train")).toEqual([]);
+    expect(detectTypes("re-read it")).toEqual([]);
+  });
+
+  it("detects whole-word and phrase repetitions", () => {
+    const [wordRepetition] = detectDisfluencies(toTranscript("the the ball"));
+    expect(wordRepetition).toMatchObject({
+      type: "whole-word-repetition",
+      words: [0, 1],
+      maze: [0],
+    });
+
+    expect(detectTypes("I want I want a cookie")).toEqual([
+      "phrase-repetition",
+    ]);
+  });
+
+  it("detects revisions that restart with the same word", () => {
+    expect(detectTypes("I he I went home")).toEqual(["revision"]);
+  });
+
+  it("does not count idioms repeating a word as revisions", () => {
+    expect(detectTypes("one by one")).toEqual([]);
+    expect(detectTypes("side by side")).toEqual([]);
+    expect(detectTypes("again and again")).toEqual([]);
+  });
+});
@@ -0,0 +1,350 @@
+/**
+ * @file languageSample.js
+ *
+ * @description Language sample analysis of the utterances of one speaker,
+ * usually the client. Computes mean length of utterance in words and in
+ * morphemes, the number of total and different words, type-token ratio,
+ * moving-average type-token ratio and an estimate of Brown's stage. Mazes
+ * such as fillers, part words and abandoned repetitions are left out of every
+ * count, and utterances can be excluded by rule or by the clinician.
+ *
+ * @requires services/transcription/tokens
+ * @requires services/export/participants
+ * @requires disfluency
+ * @requires morphemes
+ *
+ * @exports EXCLUSION_RULES
+ * @exports BROWN_STAGES
+ * @exports DEFAULT_LANGUAGE_SAMPLE_SETTINGS
+ * @exports findClientSpeaker
+ * @exports estimateBrownStage
+ * @exports analyzeLanguageSample
+ */
+
+import { classifyToken, splitIntoSentences } from "../transcription/tokens";
+import { guessParticipants } from "../export/participants";
+import { detectDisfluencies } from "./disfluency";
+import { countMorphemes } from "./morphemes";
+
+const UNINTELLIGIBLE_MARKERS = new Set([
+  "xxx",
+  "xx",
+  "yyy",
+  "unintelligible",
+  "inaudible",
+]);
+
+/**
+ * @typedef {Object} ExclusionRule
+ *
+ * @property {string} id the identifier of the rule
+ * @property {string} label the description shown to the clinician
+ */
+
+/** @type {ExclusionRule[]} */
+export const EXCLUSION_RULES = [
+  {
+    id: "unintelligible",
+    label: "Unintelligible or low confidence utterances",
+  },
+  { id: "imitation", label: "Imitations of the previous speaker" },
+];
+
+/**
+ * @typedef {Object} BrownStage
+ *
+ * @property {string} stage the name of the stage
+ * @property {number} minMlu the lowest MLU in morphemes of the stage
+ * @property {number} maxMlu the MLU in morphemes where the next stage begins
+ * @property {string} ages the typical age range of the stage
+ */
+
+/** @type {BrownStage[]} */
+export const BROWN_STAGES = [
+  { stage: "I", minMlu: 1, maxMlu: 2, ages: "12–26 months" },
+  { stage: "II", minMlu: 2, maxMlu: 2.5, ages: "27–30 months" },
+  { stage: "III", minMlu: 2.5, maxMlu: 3, ages: "31–34 months" },
+  { stage: "IV", minMlu: 3, maxMlu: 3.75, ages: "35–40 months" },
+  { stage: "V", minMlu: 3.75, maxMlu: 4.5, ages: "41–46 months" },
+  { stage: "Post V", minMlu: 4.5, maxMlu: Infinity, ages: "47+ months" },
+];
+
+/**
+ * @typedef {Object} LanguageSampleSettings
+ *
+ * @property {Object<string, boolean>} rules whether each exclusion rule applies
+ * @property {number} minConfidence the mean word confidence below which an
+ * utterance is treated as unintelligible
+ * @property {number} mattrWindow the window size, in words, of the moving
+ * average type-token ratio
+ */
+
+/** @type {LanguageSampleSettings} */
+export const DEFAULT_LANGUAGE_SAMPLE_SETTINGS = {
+  rules: { unintelligible: true, imitation: true },
+  minConfidence: 0.5,
+  mattrWindow: 50,
+};
+
+/**
+ * @function findClientSpeaker
+ *
+ * @description Finds the speaker whose utterances are analyzed: the speaker
+ * with the client role, otherwise the speaker guessed to be the child.
+ *
+ * @param {Transcript} transcript the analyzed transcript
+ *
+ * @returns {string|null} the identifier of the speaker
+ */
+export const findClientSpeaker = (transcript) => {
+  const client = transcript.speakers.find(({ role }) => role === "client");
+  if (client) return client.id;
+
+  const participants = guessParticipants(transcript);
+  return (
+    Object.keys(participants).find((id) => participants[id] === "CHI") ??
+    transcript.speakers[0]?.id ??
+    null
+  );
+};
+
+/**
+ * @function estimateBrownStage
+ *
+ * @description Finds the Brown's stage matching an MLU in morphemes.
+ *
+ * @param {number} mluMorphemes the mean length of utterance in morphemes
+ *
+ * @returns {BrownStage|null} the stage, or null below an MLU of 1
+ */
+export const estimateBrownStage = (mluMorphemes) =>
+  BROWN_STAGES.find(
+    ({ minMlu, maxMlu }) => mluMorphemes >= minMlu && mluMorphemes < maxMlu
+  ) ?? null;
+
+/**
+ * @function movingAverageTTR
+ *
+ * @description Averages the type-token ratio of every window of consecutive
+ * words, which unlike the plain ratio does not fall as the sample grows.
+ *
+ * @param {string[]} tokens the words of the sample, lower cased
+ * @param {number} window the number of words in each window
+ *
+ * @returns {number} the moving-average type-token ratio
+ */
+const movingAverageTTR = (tokens, window) => {
+  if (!tokens.length) return 0;
+  if (tokens.length <= window) return new Set(tokens).size / tokens.length;
+
+  const counts = new Map();
+  let types = 0;
+  let sum = 0;
+
+  tokens.forEach((token, position) => {
+    counts.set(token, (counts.get(token) ?? 0) + 1);
+    if (counts.get(token) === 1) types += 1;
+
+    if (position >= window) {
+      const leaving = tokens[position - window];
+      counts.set(leaving, counts.get(leaving) - 1);
+      if (counts.get(leaving) === 0) types -= 1;
+    }
+    if (position >= window - 1) sum += types / window;
+  });
+
+  return sum / (tokens.length - window + 1);
+};
+
+/**
+ * @function normalizedWords
+ *
+ * @description Lower cases the plain words of a sentence for comparison.
+ *
+ * @param {Sentence} sentence the sentence
+ *
+ * @returns {string[]} the plain words of the sentence
+ */
+const normalizedWords = (sentence) =>
+  sentence.words
+    .map(({ text }) => classifyToken(text))
+    .filter(({ kind }) => kind === "word")
+    .map(({ bare }) => bare.toLowerCase());
+
+/**
+ * @function isImitation
+ *
+ * @description Determines whether a sentence repeats the sentence said just
+ * before it by another speaker: either all of it, or a run of at least two of
+ * its words.
+ *
+ * @param {string[]} words the plain words of the sentence
+ * @param {string[]} previousWords the plain words of the previous sentence
+ *
+ * @returns {boolean} true if the sentence is an imitation
+ */
+const isImitation = (words, previousWords) => {
+  if (!words.length || !previousWords.length) return false;
+  if (words.join(" ") === previousWords.join(" ")) return true;
+
+  return (
+    words.length >= 2 &&
+    ` ${previousWords.join(" ")} `.includes(` ${words.join(" ")} `)
+  );
+};
+
+/**
+ * @typedef {Object} SampleUtterance
+ *
+ * @property {string} id identifier of the utterance, the index of its first
+ * word
+ * @property {string} text the utterance as it was transcribed
+ * @property {number} start start time of the utterance in milliseconds
+ * @property {number} end end time of the utterance in milliseconds
+ * @property {string[]} words the counted words, mazes left out
+ * @property {number} morphemes the number of morphemes in the counted words
+ * @property {string|null} exclusion why the utterance is excluded, one of the
+ * rule identifiers, empty or manual, or null when it is included
+ */
+
+/**
+ * @typedef {Object} LanguageSampleSummary
+ *
+ * @property {number} utterances the number of included utterances
+ * @property {number} excluded the number of excluded utterances
+ * @property {number} totalWords the number of total words, NTW
+ * @property {number} differentWords the number of different words, NDW
+ * @property {number} totalMorphemes the number of morphemes
+ * @property {number} mluWords mean length of utterance in words
+ * @property {number} mluMorphemes mean length of utterance in morphemes
+ * @property {number} typeTokenRatio NDW divided by NTW
+ * @property {number} movingAverageTTR moving-average type-token ratio
+ * @property {BrownStage|null} brownStage the estimated Brown's stage
+ */
+
+/**
+ * @typedef {Object} LanguageSampleAnalysis
+ *
+ * @property {string} speaker identifier of the analyzed speaker
+ * @property {SampleUtterance[]} utterances every utterance of the speaker
+ * @property {LanguageSampleSummary} summary the measures over the included
+ * utterances
+ */
+
+/**
+ * @function analyzeLanguageSample
+ *
+ * @description Analyzes the utterances of one speaker. Utterances are the
+ * sentences of the transcript, as in the CHAT and SALT exports.
+ *
+ * @param {Transcript} transcript the analyzed transcript
+ * @param {object} [options] selects and configures the analysis
+ * @param {string} [options.speaker] the analyzed speaker, the client by default
+ * @param {Partial<LanguageSampleSettings>} [options.settings] overrides of the
+ * analysis settings
+ * @param {Object<string, string>} [options.overrides] maps utterance
+ * identifiers onto include or exclude, set by the clinician
+ *
+ * @returns {LanguageSampleAnalysis} the analysis
+ */
+export const analyzeLanguageSample = (
+  transcript,
+  {
+    speaker = findClientSpeaker(transcript),
+    settings = {},
+    overrides = {},
+  } = {}
+) => {
+  const analysisSettings = {
+    ...DEFAULT_LANGUAGE_SAMPLE_SETTINGS,
+    ...settings,
+    rules: { ...DEFAULT_LANGUAGE_SAMPLE_SETTINGS.rules, ...settings.rules },
+  };
+  const mazeWords = new Set(
+    detectDisfluencies(transcript).flatMap(({ maze }) => maze)
+  );
+  const sentences = splitIntoSentences(transcript);
+
+  const utterances = sentences.flatMap((eachSentence, sentenceIndex) => {
+    if (eachSentence.speaker !== speaker) return [];
+
+    const id = String(eachSentence.words[0].index);
+    const words = eachSentence.words
+      .filter(({ index }) => !mazeWords.has(index))
+      .map(({ text }) => classifyToken(text))
+      .filter(
+        ({ kind, bare }) =>
+          kind === "word" && !UNINTELLIGIBLE_MARKERS.has(bare.toLowerCase())
+      )
+      .map(({ bare }) => bare);
+
+    const hasMarker = eachSentence.words.some(({ text }) =>
+      UNINTELLIGIBLE_MARKERS.has(classifyToken(text).bare.toLowerCase())
+    );
+    const meanConfidence =
+      eachSentence.words.reduce((sum, { confidence }) => sum + confidence, 0) /
+      eachSentence.words.length;
+    const previous = sentences[sentenceIndex - 1];
+
+    let exclusion = null;
+    if (overrides[id] === "exclude") {
+      exclusion = "manual";
+    } else if (overrides[id] !== "include") {
+      if (!words.length) {
+        exclusion = "empty";
+      } else if (
+        analysisSettings.rules.unintelligible &&
+        (hasMarker || meanConfidence < analysisSettings.minConfidence)
+      ) {
+        exclusion = "unintelligible";
+      } else if (
+        analysisSettings.rules.imitation &&
+        previous &&
+        previous.speaker !== speaker &&
+        isImitation(normalizedWords(eachSentence), normalizedWords(previous))
+      ) {
+        exclusion = "imitation";
+      }
+    }
+
+    return [
+      {
+        id,
+        text: eachSentence.words.map(({ text }) => text).join(" "),
+        start: eachSentence.start,
+        end: eachSentence.end,
+        words,
+        morphemes: words.reduce((sum, word) => sum + countMorphemes(word), 0),
+        exclusion,
+      },
+    ];
+  });
+
+  const included = utterances.filter(({ exclusion }) => !exclusion);
+  const tokens = included.flatMap(({ words }) =>
+    words.map((word) => word.toLowerCase())
+  );
+  const totalMorphemes = included.reduce(
+    (sum, { morphemes }) => sum + morphemes,
+    0
+  );
+  const differentWords = new Set(tokens).size;
+  const mluMorphemes = included.length ? totalMorphemes / included.length : 0;
+
+  return {
+    speaker,
+    utterances,
+    summary: {
+      utterances: included.length,
+      excluded: utterances.length - included.length,
+      totalWords: tokens.length,
+      differentWords,
+      totalMorphemes,
+      mluWords: included.length ? tokens.length / included.length : 0,
+      mluMorphemes,
+      typeTokenRatio: tokens.length ? differentWords / tokens.length : 0,
+      movingAverageTTR: movingAverageTTR(tokens, analysisSettings.mattrWindow),
+      brownStage: estimateBrownStage(mluMorphemes),
+    },
+  };
+};
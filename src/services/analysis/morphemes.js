@@ -0,0 +1,141 @@
+/**
+ * @file morphemes.js
+ *
+ * @description Estimates the number of morphemes in a word following Brown's
+ * rules for computing MLU. Bound morphemes are recognized from the spelling
+ * alone: plural, possessive and third person -s, progressive -ing, regular
+ * past -ed and contractions. Irregular forms, compounds, catenatives like
+ * gonna and diminutives count as a single morpheme.
+ *
+ * @exports countMorphemes
+ */
+
+const CONTRACTIONS = /(?:n't|'ll|'re|'ve|'d|'m|'s)$/;
+
+const SINGLE_MORPHEME_WORDS = new Set([
+  "gonna",
+  "wanna",
+  "gotta",
+  "hafta",
+  "doggie",
+  "horsie",
+  "mommy",
+  "daddy",
+  "can't",
+  "won't",
+  "don't",
+]);
+
+const ING_EXCEPTIONS = new Set([
+  "bring",
+  "ceiling",
+  "during",
+  "evening",
+  "king",
+  "morning",
+  "nothing",
+  "ring",
+  "sing",
+  "something",
+  "spring",
+  "sting",
+  "string",
+  "swing",
+  "thing",
+  "anything",
+  "everything",
+  "wing",
+]);
+
+const ED_EXCEPTIONS = new Set([
+  "bed",
+  "bled",
+  "fed",
+  "fled",
+  "hundred",
+  "led",
+  "need",
+  "red",
+  "seed",
+  "shed",
+  "sled",
+  "sped",
+  "speed",
+  "weed",
+  "wed",
+  "feed",
+  "bleed",
+  "breed",
+  "indeed",
+]);
+
+const S_EXCEPTIONS = new Set([
+  "always",
+  "because",
+  "does",
+  "goes",
+  "has",
+  "his",
+  "hers",
+  "its",
+  "ours",
+  "perhaps",
+  "sometimes",
+  "theirs",
+  "this",
+  "thus",
+  "was",
+  "yes",
+  "yours",
+  "bus",
+  "gas",
+  "plus",
+  "christmas",
+  "pajamas",
+  "pants",
+  "scissors",
+  "glasses",
+  "news",
+  "series",
+]);
+
+/**
+ * @function countMorphemes
+ *
+ * @description Estimates the morphemes of a single word.
+ *
+ * @param {string} word the word, surrounding punctuation is ignored
+ *
+ * @returns {number} the estimated number of morphemes, 0 for an empty word
+ */
+export const countMorphemes = (word) => {
+  const lower = word
+    .toLowerCase()
+    .replace(/’/g, "'")
+    .replace(/^[^a-z']+|[^a-z']+$/g, "");
+
+  if (!/[a-z]/.test(lower)) return 0;
+  if (SINGLE_MORPHEME_WORDS.has(lower)) return 1;
+  if (lower.endsWith("s'")) return countMorphemes(lower.slice(0, -1)) + 1;
+
+  if (CONTRACTIONS.test(lower)) {
+    return countMorphemes(lower.replace(CONTRACTIONS, "")) + 1;
+  }
+
+  if (lower.length > 4 && lower.endsWith("ing") && !ING_EXCEPTIONS.has(lower)) {
+    return 2;
+  }
+  if (lower.length > 3 && lower.endsWith("ed") && !ED_EXCEPTIONS.has(lower)) {
+    return 2;
+  }
+  if (
+    lower.length > 3 &&
+    lower.endsWith("s") &&
+    !/(?:ss|us|is)$/.test(lower) &&
+    !S_EXCEPTIONS.has(lower)
+  ) {
+    return 2;
+  }
+
+  return 1;
+};
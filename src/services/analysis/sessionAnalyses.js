@@ -0,0 +1,103 @@
+/**
+ * @file sessionAnalyses.js
+ *
+ * @description Persists the results of the clinical analyses run on a
+ * session, so a report and the clinician's review of it can be reopened with
+ * the transcript. Every session keeps one saved result per kind of analysis
+ * for every user, so the accounts sharing a browser do not see or replace
+ * each other's results.
+ *
+ * @requires services/storage/localCollection
+ *
+ * @exports SESSION_ANALYSES_COLLECTION
+ * @exports listSessionAnalyses
+ * @exports findSessionAnalysis
+ * @exports saveSessionAnalysis
+ */
+
+import {
+  findItem,
+  readCollection,
+  upsertItem,
+} from "../storage/localCollection";
+
+export const SESSION_ANALYSES_COLLECTION = "sessionAnalyses";
+
+/**
+ * @typedef {Object} SessionAnalysis
+ *
+ * @property {string} id identifier combining the user, the session and the
+ * kind
+ * @property {string|null} userId the uid of the user who saved the result,
+ * null when no one was signed in
+ * @property {string} sessionId identifier of the analyzed session
+ * @property {string} kind the kind of analysis, like disfluency
+ * @property {object} data the saved result of the analysis
+ * @property {string} savedAt ISO timestamp of when the result was saved
+ */
+
+/**
+ * @function analysisId
+ *
+ * @description Builds the identifier a result is stored under.
+ *
+ * @param {string} sessionId identifier of the analyzed session
+ * @param {string} kind the kind of analysis
+ * @param {string|null} userId the uid of the signed in user
+ *
+ * @returns {string} the identifier of the result
+ */
+const analysisId = (sessionId, kind, userId) =>
+  `${userId ?? "anonymous"}:${sessionId}:${kind}`;
+
+/**
+ * @function listSessionAnalyses
+ *
+ * @description Lists the saved results of a user.
+ *
+ * @param {string|null} userId the uid of the signed in user
+ * @param {SessionAnalysis[]} [analyses] every saved result, read from
+ * storage by default
+ *
+ * @returns {SessionAnalysis[]} the results of the user
+ */
+export const listSessionAnalyses = (
+  userId,
+  analyses = readCollection(SESSION_ANALYSES_COLLECTION)
+) => analyses.filter((eachAnalysis) => eachAnalysis.userId === userId);
+
+/**
+ * @function findSessionAnalysis
+ *
+ * @description Finds the saved result of an analysis of a session.
+ *
+ * @param {string} sessionId identifier of the analyzed session
+ * @param {string} kind the kind of analysis
+ * @param {string|null} userId the uid of the signed in user
+ *
+ * @returns {SessionAnalysis|undefined} the saved result, if any
+ */
+export const findSessionAnalysis = (sessionId, kind, userId) =>
+  findItem(SESSION_ANALYSES_COLLECTION, analysisId(sessionId, kind, userId));
+
+/**
+ * @function saveSessionAnalysis
+ *
+ * @description Saves the result of an analysis of a session, replacing the
+ * previously saved result of the same kind.
+ *
+ * @param {string} sessionId identifier of the analyzed session
+ * @param {string} kind the kind of analysis
+ * @param {object} data the result of the analysis
+ * @param {string|null} userId the uid of the signed in user
+ */
+export const saveSessionAnalysis = (sessionId, kind, data, userId) => {
+  upsertItem(SESSION_ANALYSES_COLLECTION, {
+    id: analysisId(sessionId, kind, userId),
+    userId,
+    sessionId,
+    kind,
+    data,
+    savedAt: new Date().toISOString(),
+  });
+};
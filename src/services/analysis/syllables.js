@@ -0,0 +1,33 @@
+/**
+ * @file syllables.js
+ *
+ * @description Estimates the number of syllables in an English word from its
+ * spelling. The estimate counts groups of vowels and corrects for the most
+ * common silent endings, which is accurate enough for rate and percentage
+ * measures over a whole sample.
+ *
+ * @exports countSyllables
+ */
+
+/**
+ * @function countSyllables
+ *
+ * @description Estimates the syllables of a single word.
+ *
+ * @param {string} word the word, punctuation is ignored
+ *
+ * @returns {number} the estimated number of syllables, 0 for an empty word
+ */
+export const countSyllables = (word) => {
+  const letters = word.toLowerCase().replace(/[^a-z]/g, "");
+
+  if (!letters) return 0;
+  if (letters.length <= 3) return 1;
+
+  const trimmed = letters
+    .replace(/(?:[^laeiouy]es|[^laeiouy]ed|[^laeiouy]e)$/, "")
+    .replace(/^y/, "");
+  const vowelGroups = trimmed.match(/[aeiouy]{1,2}/g);
+
+  return Math.max(1, vowelGroups?.length ?? 0);
+};
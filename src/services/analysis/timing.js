@@ -0,0 +1,237 @@
+/**
+ * @file timing.js
+ *
+ * @description Timing analysis of a transcript from its word timestamps.
+ * Reports the speaking rate of every speaker in words and syllables per
+ * minute, the articulation rate once pauses are left out, how long and how
+ * often the speaker paused, and how long speakers took to answer each other.
+ *
+ * @requires services/transcription/tokens
+ * @requires syllables
+ *
+ * @exports DEFAULT_PAUSE_THRESHOLD
+ * @exports analyzeTiming
+ */
+
+import { classifyToken } from "../transcription/tokens";
+import { countSyllables } from "./syllables";
+
+export const DEFAULT_PAUSE_THRESHOLD = 250;
+
+const PAUSE_BIN_EDGES = [500, 1_000, 2_000, 5_000];
+
+/**
+ * @typedef {Object} DurationBin
+ *
+ * @property {number} min the shortest duration of the bin in milliseconds
+ * @property {number} max the duration where the next bin begins, Infinity for
+ * the last bin
+ * @property {number} count the number of durations in the bin
+ */
+
+/**
+ * @typedef {Object} DurationStats
+ *
+ * @property {number} count the number of durations
+ * @property {number} total the sum of the durations in milliseconds
+ * @property {number} mean the mean duration in milliseconds
+ * @property {number} median the median duration in milliseconds
+ * @property {number} max the longest duration in milliseconds
+ */
+
+/**
+ * @function describeDurations
+ *
+ * @description Summarizes a list of durations.
+ *
+ * @param {number[]} durations the durations in milliseconds
+ *
+ * @returns {DurationStats} the summary, all zero for an empty list
+ */
+const describeDurations = (durations) => {
+  const sorted = [...durations].sort((a, b) => a - b);
+  const total = sorted.reduce((sum, duration) => sum + duration, 0);
+  const middle = Math.floor(sorted.length / 2);
+
+  return {
+    count: sorted.length,
+    total,
+    mean: sorted.length ? total / sorted.length : 0,
+    median: !sorted.length
+      ? 0
+      : sorted.length % 2
+      ? sorted[middle]
+      : (sorted[middle - 1] + sorted[middle]) / 2,
+    max: sorted.at(-1) ?? 0,
+  };
+};
+
+/**
+ * @function binPauses
+ *
+ * @description Counts the pauses falling in each duration range, starting at
+ * the pause threshold.
+ *
+ * @param {number[]} pauses the pause durations in milliseconds
+ * @param {number} threshold the shortest pause in milliseconds
+ *
+ * @returns {DurationBin[]} the bins in increasing order
+ */
+const binPauses = (pauses, threshold) => {
+  const edges = [
+    threshold,
+    ...PAUSE_BIN_EDGES.filter((edge) => edge > threshold),
+    Infinity,
+  ];
+
+  return edges.slice(0, -1).map((min, position) => {
+    const max = edges[position + 1];
+
+    return {
+      min,
+      max,
+      count: pauses.filter((pause) => pause >= min && pause < max).length,
+    };
+  });
+};
+
+/**
+ * @typedef {Object} SpeakerTiming
+ *
+ * @property {string} speaker identifier of the speaker
+ * @property {number} words the number of words, fillers and fragments excluded
+ * @property {number} syllables the number of syllables in those words
+ * @property {number} speakingTime the summed length of the speaker's
+ * utterances, and of the silences between their consecutive utterances, in
+ * milliseconds
+ * @property {number} wordsPerMinute words per minute of speaking time
+ * @property {number} syllablesPerMinute syllables per minute of speaking time
+ * @property {number} articulationRate syllables per second once pauses are
+ * left out of the speaking time
+ * @property {DurationStats} pauses the pauses within the speaker's utterances
+ * and between their consecutive utterances
+ * @property {DurationBin[]} pauseDistribution the pauses binned by duration
+ */
+
+/**
+ * @typedef {Object} TurnLatency
+ *
+ * @property {string} from identifier of the speaker ending the turn
+ * @property {string} to identifier of the speaker taking the turn
+ * @property {DurationStats} latency the gaps between the turns, overlapping
+ * turns count as a latency of zero
+ * @property {number} overlaps the number of turns taken before the previous
+ * one ended
+ */
+
+/**
+ * @typedef {Object} TimingAnalysis
+ *
+ * @property {number} pauseThreshold the shortest silence counted as a pause
+ * @property {SpeakerTiming[]} speakers the timing of every speaker
+ * @property {TurnLatency[]} turns the latency between every pair of speakers
+ */
+
+/**
+ * @function analyzeTiming
+ *
+ * @description Computes the timing measures of a transcript. A pause is a
+ * silence at least as long as the threshold between two words of the same
+ * speaker, either within an utterance or between two consecutive utterances
+ * of the speaker. Silences between the utterances of different speakers are
+ * turn latencies instead.
+ *
+ * @param {Transcript} transcript the analyzed transcript
+ * @param {object} [options] configures the analysis
+ * @param {number} [options.pauseThreshold] the shortest pause in milliseconds
+ *
+ * @returns {TimingAnalysis} the analysis
+ */
+export const analyzeTiming = (
+  transcript,
+  { pauseThreshold = DEFAULT_PAUSE_THRESHOLD } = {}
+) => {
+  const utterancesByIndex = new Map(
+    transcript.utterances.map((eachUtterance) => [
+      eachUtterance.index,
+      eachUtterance,
+    ])
+  );
+
+  const speakers = transcript.speakers.map(({ id: speaker }) => {
+    const utterances = transcript.utterances.filter(
+      (eachUtterance) => eachUtterance.speaker === speaker
+    );
+    const continuationGaps = utterances
+      .map((eachUtterance) => {
+        const previous = utterancesByIndex.get(eachUtterance.index - 1);
+        return previous?.speaker === speaker
+          ? Math.max(eachUtterance.start - previous.end, 0)
+          : null;
+      })
+      .filter((gap) => gap !== null);
+    const speakingTime = [
+      ...utterances.map(({ start, end }) => end - start),
+      ...continuationGaps,
+    ].reduce((sum, duration) => sum + duration, 0);
+
+    const pauses = [
+      ...utterances.flatMap(({ firstWord, lastWord }) => {
+        const words = transcript.words.slice(firstWord, lastWord);
+        return words
+          .slice(1)
+          .map(({ start }, position) => start - words[position].end);
+      }),
+      ...continuationGaps,
+    ].filter((gap) => gap >= pauseThreshold);
+    const pauseStats = describeDurations(pauses);
+
+    const spokenWords = utterances
+      .flatMap(({ firstWord, lastWord }) =>
+        transcript.words.slice(firstWord, lastWord)
+      )
+      .map(({ text }) => classifyToken(text))
+      .filter(({ kind }) => kind === "word");
+    const syllables = spokenWords.reduce(
+      (sum, { bare }) => sum + countSyllables(bare),
+      0
+    );
+    const minutes = speakingTime / 60_000;
+    const articulationTime = (speakingTime - pauseStats.total) / 1_000;
+
+    return {
+      speaker,
+      words: spokenWords.length,
+      syllables,
+      speakingTime,
+      wordsPerMinute: minutes ? spokenWords.length / minutes : 0,
+      syllablesPerMinute: minutes ? syllables / minutes : 0,
+      articulationRate: articulationTime > 0 ? syllables / articulationTime : 0,
+      pauses: pauseStats,
+      pauseDistribution: binPauses(pauses, pauseThreshold),
+    };
+  });
+
+  const gaps = new Map();
+  transcript.utterances.forEach((eachUtterance) => {
+    const previous = utterancesByIndex.get(eachUtterance.index - 1);
+    if (!previous || previous.speaker === eachUtterance.speaker) return;
+
+    const key = `${previous.speaker}>${eachUtterance.speaker}`;
+    if (!gaps.has(key)) gaps.set(key, []);
+    gaps.get(key).push(eachUtterance.start - previous.end);
+  });
+
+  const turns = [...gaps].map(([key, eachGaps]) => {
+    const [from, to] = key.split(">");
+
+    return {
+      from,
+      to,
+      latency: describeDurations(eachGaps.map((gap) => Math.max(gap, 0))),
+      overlaps: eachGaps.filter((gap) => gap < 0).length,
+    };
+  });
+
+  return { pauseThreshold, speakers, turns };
+};
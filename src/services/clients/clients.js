@@ -0,0 +1,211 @@
+/**
+ * @file clients.js
+ *
+ * @description Persists the records of the clients a clinician works with, in
+ * IndexedDB, where every client belongs to the user who created it.
+ * Recordings, transcripts and analyses refer to their client by identifier,
+ * so a client's session history is built from them.
+ *
+ * @requires services/storage/indexedDB
+ * @requires services/storage/localCollection
+ * @requires services/storage/offlineStore
+ * @requires services/transcription/savedTranscripts
+ * @requires services/transcription/pendingJobs
+ *
+ * @exports listClients
+ * @exports getClientName
+ * @exports formatClientAge
+ * @exports createClient
+ * @exports updateClient
+ * @exports removeClient
+ */
+
+import {
+  STORES,
+  getRecord,
+  putRecord,
+  deleteRecord,
+} from "../storage/indexedDB";
+import { updateItem } from "../storage/localCollection";
+import { detachClientOffline } from "../storage/offlineStore";
+import {
+  SAVED_TRANSCRIPTS_COLLECTION,
+  listSavedTranscripts,
+} from "../transcription/savedTranscripts";
+import {
+  PENDING_JOBS_COLLECTION,
+  listPendingJobs,
+} from "../transcription/pendingJobs";
+
+/**
+ * @typedef {Object} GuardianContact
+ *
+ * @property {string} name the name of the parent or guardian
+ * @property {string} phone their phone number
+ * @property {string} email their email address
+ */
+
+/**
+ * @typedef {Object} Client
+ *
+ * @property {string} id identifier of the client
+ * @property {string|null} userId the uid of the user the client belongs to,
+ * null when no one was signed in
+ * @property {string} name the full name of the client
+ * @property {string} initials the initials, used where the name should not
+ * be shown
+ * @property {string} dateOfBirth the date of birth as YYYY-MM-DD
+ * @property {string} diagnosis the diagnosis of the client
+ * @property {string[]} goals the treatment goals of the client
+ * @property {GuardianContact} guardian the contact of the parent or guardian
+ * @property {string} createdAt ISO timestamp of when the record was created
+ * @property {string} updatedAt ISO timestamp of the last change
+ */
+
+/**
+ * @typedef {Object} ClientDetails
+ *
+ * @property {string} [name] the full name of the client
+ * @property {string} [initials] the initials of the client
+ * @property {string} [dateOfBirth] the date of birth as YYYY-MM-DD
+ * @property {string} [diagnosis] the diagnosis of the client
+ * @property {string[]} [goals] the treatment goals of the client
+ * @property {GuardianContact} [guardian] the contact of the parent or guardian
+ */
+
+/**
+ * @function listClients
+ *
+ * @description Lists the clients of a user.
+ *
+ * @param {string|null} userId the uid of the signed in user
+ * @param {Client[]} clients the stored clients
+ *
+ * @returns {Client[]} the clients of the user
+ */
+export const listClients = (userId, clients) =>
+  clients.filter((eachClient) => eachClient.userId === userId);
+
+/**
+ * @function getClientName
+ *
+ * @description Reads the display name of a client, its name or else its
+ * initials. Recordings made before client records existed refer to their
+ * client by name, which is returned as it is.
+ *
+ * @param {string|null} clientId identifier of the client
+ * @param {Client[]} clients the clients of the user
+ *
+ * @returns {string} the display name, empty without a client
+ */
+export const getClientName = (clientId, clients) => {
+  if (!clientId) return "";
+
+  const client = clients.find(({ id }) => id === clientId);
+  if (!client) return clientId;
+
+  return client.name || client.initials || "Unnamed client";
+};
+
+/**
+ * @function formatClientAge
+ *
+ * @description Formats the chronological age of a client as years;months,
+ * the way age is reported in speech and language assessments.
+ *
+ * @param {string} dateOfBirth the date of birth as YYYY-MM-DD
+ * @param {Date} [date] the date to give the age at
+ *
+ * @returns {string} the age like 4;7, empty without a date of birth
+ */
+export const formatClientAge = (dateOfBirth, date = new Date()) => {
+  if (!dateOfBirth) return "";
+
+  const [year, month, day] = dateOfBirth.split("-").map(Number);
+  const months = Math.max(
+    0,
+    (date.getFullYear() - year) * 12 +
+      (date.getMonth() + 1 - month) -
+      (date.getDate() < day ? 1 : 0)
+  );
+
+  return `${Math.floor(months / 12)};${months % 12}`;
+};
+
+/**
+ * @function createClient
+ *
+ * @description Creates the record of a new client.
+ *
+ * @param {ClientDetails} details describes the client
+ * @param {string|null} userId the uid of the signed in user
+ *
+ * @returns {Promise<Client>} the created client
+ */
+export const createClient = async (details, userId) => {
+  const now = new Date().toISOString();
+  const client = {
+    id: crypto.randomUUID(),
+    userId,
+    name: "",
+    initials: "",
+    dateOfBirth: "",
+    diagnosis: "",
+    goals: [],
+    ...details,
+    guardian: { name: "", phone: "", email: "", ...details.guardian },
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  await putRecord(STORES.clients, client);
+  return client;
+};
+
+/**
+ * @function updateClient
+ *
+ * @description Records changes to the details of a client.
+ *
+ * @param {string} id identifier of the client
+ * @param {ClientDetails} changes the details to update
+ */
+export const updateClient = async (id, changes) => {
+  const client = await getRecord(STORES.clients, id);
+  if (!client) return;
+
+  await putRecord(STORES.clients, {
+    ...client,
+    ...changes,
+    updatedAt: new Date().toISOString(),
+  });
+};
+
+/**
+ * @function removeClient
+ *
+ * @description Removes the record of a client. The client's recordings,
+ * transcripts and transcription jobs are kept, detached from the removed
+ * client, on this device and in the user's account.
+ *
+ * @param {Client} client the client to remove
+ * @param {string|null} userId the uid of the signed in user
+ */
+export const removeClient = async (client, userId) => {
+  [
+    [SAVED_TRANSCRIPTS_COLLECTION, listSavedTranscripts(userId)],
+    [PENDING_JOBS_COLLECTION, listPendingJobs(userId)],
+  ].forEach(([collection, items]) =>
+    items
+      .filter((eachItem) => eachItem.client === client.id)
+      .forEach((eachItem) =>
+        updateItem(collection, eachItem.id, { client: null })
+      )
+  );
+
+  await detachClientOffline(
+    { id: client.id, name: getClientName(client.id, [client]) },
+    userId
+  );
+  await deleteRecord(STORES.clients, client.id);
+};
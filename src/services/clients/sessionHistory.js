@@ -0,0 +1,98 @@
+/**
+ * @file sessionHistory.js
+ *
+ * @description Builds the session history of a client from the records that
+ * refer to it. A session starts as a submitted transcription job of a
+ * recording, becomes a saved transcript with the clinician's corrections
+ * once it completes, and collects the analyses saved for it.
+ *
+ * @exports ANALYSIS_LABELS
+ * @exports buildSessionHistory
+ */
+
+export const ANALYSIS_LABELS = {
+  disfluency: "Disfluency",
+  languageSample: "Language sample",
+  timing: "Timing",
+  articulation: "Articulation",
+};
+
+/**
+ * @typedef {Object} ClientSession
+ *
+ * @property {string} id identifier of the session, the transcript identifier
+ * @property {string} fileName the name of the recording
+ * @property {string} recordedAt ISO timestamp of when the recording was
+ * submitted, or first saved when it was not submitted from this browser
+ * @property {string} status one of processing, error or completed
+ * @property {string|null} error the reason the transcription failed
+ * @property {string|null} editedAt ISO timestamp of the last saved
+ * correction, null until the transcript is saved
+ * @property {number} words the number of transcribed words
+ * @property {{ kind: string, label: string, savedAt: string }[]} analyses
+ * the analyses saved for the session
+ */
+
+/**
+ * @function buildSessionHistory
+ *
+ * @description Lists the sessions of a client, the most recent first.
+ *
+ * @param {string} clientId identifier of the client
+ * @param {object} records the persisted records
+ * @param {SavedTranscript[]} records.transcripts every saved transcript
+ * @param {PendingJob[]} records.jobs every submitted transcription job
+ * @param {SessionAnalysis[]} records.analyses every saved analysis
+ *
+ * @returns {ClientSession[]} the sessions of the client
+ */
+export const buildSessionHistory = (
+  clientId,
+  { transcripts, jobs, analyses }
+) => {
+  const sessions = new Map();
+
+  jobs
+    .filter(({ client }) => client === clientId)
+    .forEach((eachJob) => {
+      sessions.set(eachJob.id, {
+        id: eachJob.id,
+        fileName: eachJob.fileName,
+        recordedAt: eachJob.submittedAt,
+        status: eachJob.status,
+        error: eachJob.error,
+        editedAt: null,
+        words: 0,
+        analyses: [],
+      });
+    });
+
+  transcripts
+    .filter(({ client }) => client === clientId)
+    .forEach((eachTranscript) => {
+      const job = sessions.get(eachTranscript.id);
+
+      sessions.set(eachTranscript.id, {
+        id: eachTranscript.id,
+        fileName: eachTranscript.fileName,
+        recordedAt: job?.recordedAt ?? eachTranscript.savedAt,
+        status: "completed",
+        error: null,
+        editedAt: eachTranscript.savedAt,
+        words: eachTranscript.transcript.words.length,
+        analyses: [],
+      });
+    });
+
+  analyses.forEach((eachAnalysis) => {
+    sessions.get(eachAnalysis.sessionId)?.analyses.push({
+      kind: eachAnalysis.kind,
+      label: ANALYSIS_LABELS[eachAnalysis.kind] ?? eachAnalysis.kind,
+      savedAt: eachAnalysis.savedAt,
+    });
+  });
+
+  return [...sessions.values()].sort((a, b) =>
+    b.recordedAt.localeCompare(a.recordedAt)
+  );
+};
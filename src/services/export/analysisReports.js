@@ -0,0 +1,231 @@
+/**
+ * @file analysisReports.js
+ *
+ * @description Builds spreadsheet friendly CSV files from the results of the
+ * clinical analyses, so they can be attached to reports or compared across
+ * sessions.
+ *
+ * @requires services/transcription/transcriptTime
+ * @requires services/transcription/speakers
+ *
+ * @exports toCSV
+ * @exports toLanguageSampleCSV
+ * @exports toTimingCSV
+ * @exports toArticulationCSV
+ */
+
+import { formatClockTime } from "../transcription/transcriptTime";
+import { getSpeakerLabel } from "../transcription/speakers";
+
+/**
+ * @function toCSV
+ *
+ * @description Joins rows of values into CSV, quoting values that contain a
+ * separator, a quote or a line break.
+ *
+ * @param {Array<Array<string|number|null>>} rows the rows of the file
+ *
+ * @returns {string} the CSV content
+ */
+export const toCSV = (rows) =>
+  rows
+    .map((eachRow) =>
+      eachRow
+        .map((value) => {
+          const text = String(value ?? "");
+          return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        })
+        .join(",")
+    )
+    .join("\r\n");
+
+/**
+ * @function toLanguageSampleCSV
+ *
+ * @description Builds the CSV of a language sample analysis: the summary
+ * measures followed by every utterance with its counts and exclusion.
+ *
+ * @param {LanguageSampleAnalysis} analysis the analysis to export
+ * @param {object} [options] describes the analyzed session
+ * @param {string} [options.session] the name of the session
+ * @param {string} [options.speaker] the display name of the analyzed speaker
+ *
+ * @returns {string} the CSV content
+ */
+export const toLanguageSampleCSV = (
+  { summary, utterances },
+  { session = "", speaker = "" } = {}
+) =>
+  toCSV([
+    ["Session", session],
+    ["Speaker", speaker],
+    ["Utterances", summary.utterances],
+    ["Excluded utterances", summary.excluded],
+    ["Total words (NTW)", summary.totalWords],
+    ["Different words (NDW)", summary.differentWords],
+    ["Morphemes", summary.totalMorphemes],
+    ["MLU in words", summary.mluWords.toFixed(2)],
+    ["MLU in morphemes", summary.mluMorphemes.toFixed(2)],
+    ["Type-token ratio", summary.typeTokenRatio.toFixed(3)],
+    ["Moving-average TTR", summary.movingAverageTTR.toFixed(3)],
+    ["Brown's stage", summary.brownStage?.stage ?? ""],
+    [],
+    ["Time", "Utterance", "Words", "Morphemes", "Excluded"],
+    ...utterances.map((eachUtterance) => [
+      formatClockTime(eachUtterance.start),
+      eachUtterance.text,
+      eachUtterance.words.length,
+      eachUtterance.morphemes,
+      eachUtterance.exclusion ?? "",
+    ]),
+  ]);
+
+/**
+ * @function toTimingCSV
+ *
+ * @description Builds the CSV of a timing analysis: one row of rates and
+ * pauses per speaker followed by the turn latencies between speakers.
+ *
+ * @param {TimingAnalysis} analysis the analysis to export
+ * @param {Transcript} transcript the analyzed transcript, used for the names
+ * of the speakers
+ * @param {object} [options] describes the analyzed session
+ * @param {string} [options.session] the name of the session
+ *
+ * @returns {string} the CSV content
+ */
+export const toTimingCSV = (
+  { pauseThreshold, speakers, turns },
+  transcript,
+  { session = "" } = {}
+) =>
+  toCSV([
+    ["Session", session],
+    ["Pause threshold (ms)", pauseThreshold],
+    [],
+    [
+      "Speaker",
+      "Words",
+      "Syllables",
+      "Speaking time (s)",
+      "Words per minute",
+      "Syllables per minute",
+      "Articulation rate (syllables/s)",
+      "Pauses",
+      "Mean pause (ms)",
+      "Median pause (ms)",
+      "Longest pause (ms)",
+    ],
+    ...speakers.map((eachSpeaker) => [
+      getSpeakerLabel(transcript, eachSpeaker.speaker),
+      eachSpeaker.words,
+      eachSpeaker.syllables,
+      (eachSpeaker.speakingTime / 1_000).toFixed(1),
+      eachSpeaker.wordsPerMinute.toFixed(1),
+      eachSpeaker.syllablesPerMinute.toFixed(1),
+      eachSpeaker.articulationRate.toFixed(2),
+      eachSpeaker.pauses.count,
+      Math.round(eachSpeaker.pauses.mean),
+      Math.round(eachSpeaker.pauses.median),
+      eachSpeaker.pauses.max,
+    ]),
+    [],
+    [
+      "From",
+      "To",
+      "Turns",
+      "Mean latency (ms)",
+      "Median latency (ms)",
+      "Overlaps",
+    ],
+    ...turns.map((eachTurn) => [
+      getSpeakerLabel(transcript, eachTurn.from),
+      getSpeakerLabel(transcript, eachTurn.to),
+      eachTurn.latency.count,
+      Math.round(eachTurn.latency.mean),
+      Math.round(eachTurn.latency.median),
+      eachTurn.overlaps,
+    ]),
+  ]);
+
+/**
+ * @function toArticulationCSV
+ *
+ * @description Builds the CSV of an articulation analysis: the summary
+ * measures, the error inventory per sound, the phonological processes when
+ * given and every tagged error.
+ *
+ * @param {ArticulationAnalysis} analysis the analysis to export
+ * @param {object} [options] describes the analyzed session
+ * @param {string} [options.session] the name of the session
+ * @param {string} [options.speaker] the display name of the analyzed speaker
+ * @param {ProcessSummary[]} [options.processes] the phonological processes of
+ * the same speaker
+ *
+ * @returns {string} the CSV content
+ */
+export const toArticulationCSV = (
+  analysis,
+  { session = "", speaker = "", processes = [] } = {}
+) =>
+  toCSV([
+    ["Session", session],
+    ["Speaker", speaker],
+    ["Words scored", analysis.words],
+    ["Words transcribed", analysis.transcribedWords],
+    [
+      "Percent Consonants Correct",
+      analysis.percentConsonantsCorrect.toFixed(1),
+    ],
+    ["Percent Phonemes Correct", analysis.percentPhonemesCorrect.toFixed(1)],
+    [],
+    [
+      "Sound",
+      "Opportunities",
+      "Correct",
+      "Substitutions",
+      "Omissions",
+      "Distortions",
+      "Initial errors",
+      "Medial errors",
+      "Final errors",
+      "Substituted with",
+    ],
+    ...analysis.inventory.map((eachSound) => [
+      eachSound.sound,
+      eachSound.opportunities,
+      eachSound.correct,
+      eachSound.errors.substitution,
+      eachSound.errors.omission,
+      eachSound.errors.distortion,
+      `${eachSound.positions.initial.errors}/${eachSound.positions.initial.opportunities}`,
+      `${eachSound.positions.medial.errors}/${eachSound.positions.medial.opportunities}`,
+      `${eachSound.positions.final.errors}/${eachSound.positions.final.opportunities}`,
+      Object.entries(eachSound.substitutes)
+        .map(([produced, count]) => `${produced} (${count})`)
+        .join(" "),
+    ]),
+    [],
+    ...(processes.length
+      ? [
+          ["Process", "Opportunities", "Occurrences", "Percentage", "Words"],
+          ...processes.map((eachProcess) => [
+            eachProcess.label,
+            eachProcess.opportunities,
+            eachProcess.occurrences.length,
+            eachProcess.percentage.toFixed(1),
+            eachProcess.occurrences.map(({ word }) => word).join(" "),
+          ]),
+          [],
+        ]
+      : []),
+    ["Time", "Word", "Type", "Position", "Target", "Produced"],
+    ...analysis.errors.map((eachError) => [
+      formatClockTime(eachError.start),
+      eachError.word,
+      eachError.type,
+      eachError.position,
+      eachError.target ?? "",
+      eachError.produced ?? "",
+    ]),
+  ]);
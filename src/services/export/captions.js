@@ -0,0 +1,139 @@
+/**
+ * @file captions.js
+ *
+ * @description Builds SRT and WebVTT caption files from the word timings of a
+ * normalized transcript. Words are grouped into cues that never span two
+ * utterances and stay short enough to read comfortably. Chapters can also be
+ * exported as a WebVTT chapters track.
+ *
+ * @requires services/transcription/transcriptTime
+ * @requires services/transcription/speakers
+ *
+ * @exports buildCues
+ * @exports toSRT
+ * @exports toWebVTT
+ * @exports toWebVTTChapters
+ */
+
+import { formatTimestamp } from "../transcription/transcriptTime";
+import { getSpeakerLabel } from "../transcription/speakers";
+
+const MAX_CUE_CHARACTERS = 84;
+const MAX_CUE_DURATION = 5_000;
+
+/**
+ * @typedef {Object} Cue
+ *
+ * @property {number} start start time of the cue in milliseconds
+ * @property {number} end end time of the cue in milliseconds
+ * @property {string} speaker display name of the speaker
+ * @property {string} text the words shown by the cue
+ */
+
+/**
+ * @function buildCues
+ *
+ * @description Groups the words of every utterance into caption cues.
+ *
+ * @param {Transcript} transcript the transcript to caption
+ *
+ * @returns {Cue[]} the cues in playback order
+ */
+export const buildCues = (transcript) =>
+  transcript.utterances.flatMap((eachUtterance) => {
+    const speaker = getSpeakerLabel(transcript, eachUtterance.speaker);
+    const words = transcript.words.slice(
+      eachUtterance.firstWord,
+      eachUtterance.lastWord
+    );
+    const cues = [];
+
+    words.forEach((eachWord) => {
+      const cue = cues.at(-1);
+      const fits =
+        cue &&
+        cue.text.length + eachWord.text.length + 1 <= MAX_CUE_CHARACTERS &&
+        eachWord.end - cue.start <= MAX_CUE_DURATION;
+
+      if (fits) {
+        cue.text = `${cue.text} ${eachWord.text}`;
+        cue.end = eachWord.end;
+      } else {
+        cues.push({
+          start: eachWord.start,
+          end: eachWord.end,
+          speaker,
+          text: eachWord.text,
+        });
+      }
+    });
+
+    return cues;
+  });
+
+/**
+ * @function toSRT
+ *
+ * @description Builds a SubRip caption file, prefixing every cue with the
+ * name of its speaker.
+ *
+ * @param {Transcript} transcript the transcript to caption
+ *
+ * @returns {string} the contents of the .srt file
+ */
+export const toSRT = (transcript) =>
+  buildCues(transcript)
+    .map(
+      (eachCue, cueIndex) =>
+        `${cueIndex + 1}\n` +
+        `${formatTimestamp(eachCue.start, ",")} --> ${formatTimestamp(
+          eachCue.end,
+          ","
+        )}\n` +
+        `${eachCue.speaker}: ${eachCue.text}\n`
+    )
+    .join("\n");
+
+/**
+ * @function toWebVTT
+ *
+ * @description Builds a WebVTT caption file, marking the speaker of every cue
+ * with a voice span.
+ *
+ * @param {Transcript} transcript the transcript to caption
+ *
+ * @returns {string} the contents of the .vtt file
+ */
+export const toWebVTT = (transcript) =>
+  [
+    "WEBVTT\n",
+    ...buildCues(transcript).map(
+      (eachCue) =>
+        `${formatTimestamp(eachCue.start)} --> ${formatTimestamp(
+          eachCue.end
+        )}\n` + `<v ${eachCue.speaker}>${eachCue.text}\n`
+    ),
+  ].join("\n");
+
+/**
+ * @function toWebVTTChapters
+ *
+ * @description Builds a WebVTT chapters file, with one cue per chapter titled
+ * by its headline, which media players use for chapter navigation.
+ *
+ * @param {Transcript} transcript the transcript whose chapters are exported
+ *
+ * @returns {string} the contents of the .vtt file
+ */
+export const toWebVTTChapters = (transcript) =>
+  [
+    "WEBVTT\n",
+    ...transcript.chapters.map(
+      (eachChapter, chapterIndex) =>
+        `chapter-${chapterIndex + 1}\n` +
+        `${formatTimestamp(eachChapter.start)} --> ${formatTimestamp(
+          eachChapter.end
+        )}\n` +
+        `${eachChapter.headline}\n`
+    ),
+  ].join("\n");
@@ -0,0 +1,223 @@
+/**
+ * @file chat.js
+ *
+ * @description Builds CHAT (.cha) transcripts, the format of the CHILDES
+ * project read by CLAN. Every sentence becomes an utterance tier with a media
+ * bullet, followed by a %tim dependent tier with its start and end time, and
+ * every chapter starts a gem (@G) named after its headline. The abandoned
+ * copies of repeated words and phrases are coded as retraced with [/].
+ *
+ * @requires services/transcription/tokens
+ * @requires services/transcription/transcriptTime
+ * @requires services/transcription/chapters
+ * @requires services/analysis/disfluency
+ * @requires participants
+ *
+ * @exports toCHAT
+ */
+
+import { classifyToken, splitIntoSentences } from "../transcription/tokens";
+import { formatTimestamp } from "../transcription/transcriptTime";
+import { groupByChapter } from "../transcription/chapters";
+import { detectDisfluencies, mapRepeatedCopies } from "../analysis/disfluency";
+import {
+  guessParticipants,
+  listParticipantRoles,
+  resolveParticipants,
+} from "./participants";
+
+const MEDIA_BULLET = "\u0015";
+const MONTHS = [
+  "JAN",
+  "FEB",
+  "MAR",
+  "APR",
+  "MAY",
+  "JUN",
+  "JUL",
+  "AUG",
+  "SEP",
+  "OCT",
+  "NOV",
+  "DEC",
+];
+
+/**
+ * @function formatCHATDate
+ *
+ * @description Formats a date the way the @Date header expects it.
+ *
+ * @param {Date} date the date to format
+ *
+ * @returns {string} the date formatted as DD-MON-YYYY
+ */
+const formatCHATDate = (date) =>
+  `${String(date.getDate()).padStart(2, "0")}-${
+    MONTHS[date.getMonth()]
+  }-${date.getFullYear()}`;
+
+/**
+ * @function findProperNouns
+ *
+ * @description Collects the words capitalized anywhere but at the start of a
+ * sentence, which are taken to be proper nouns.
+ *
+ * @param {Sentence[]} sentences the sentences of the transcript
+ *
+ * @returns {Set<string>} the proper nouns
+ */
+const findProperNouns = (sentences) =>
+  new Set(
+    sentences.flatMap(({ words }) =>
+      words
+        .slice(1)
+        .map((eachWord) => classifyToken(eachWord.text))
+        .filter(({ kind, bare }) => kind === "word" && /^[A-Z]/.test(bare))
+        .map(({ bare }) => bare)
+    )
+  );
+
+/**
+ * @function toCHATWord
+ *
+ * @description Writes a single word using CHAT notation, marking filled
+ * pauses with &- and part-word fragments with &+. The first word of an
+ * utterance is lowercased, unless it is "I" or a proper noun.
+ *
+ * @param {TranscriptWord} word the word to write
+ * @param {boolean} isFirst whether the word starts the utterance
+ * @param {Set<string>} properNouns the proper nouns of the transcript
+ *
+ * @returns {string} the word in CHAT notation, or an empty string
+ */
+const toCHATWord = (word, isFirst, properNouns) => {
+  const { kind, bare } = classifyToken(word.text);
+
+  if (!bare) return "";
+  if (kind === "filler") return `&-${bare.toLowerCase()}`;
+  if (kind === "fragment") return `&+${bare.toLowerCase()}`;
+
+  return isFirst && !/^I('|$)/.test(bare) && !properNouns.has(bare)
+    ? bare.charAt(0).toLowerCase() + bare.slice(1)
+    : bare;
+};
+
+/**
+ * @function toCHATWords
+ *
+ * @description Writes the words of a sentence using CHAT notation. An
+ * abandoned copy that is repeated within the sentence is followed by [/],
+ * with a copy of several words grouped in angle brackets.
+ *
+ * @param {TranscriptWord[]} words the words of the sentence
+ * @param {Map<number, number[]>} copies the abandoned copies of repetitions
+ * @param {Set<string>} properNouns the proper nouns of the transcript
+ *
+ * @returns {string} the words in CHAT notation
+ */
+const toCHATWords = (words, copies, properNouns) => {
+  const parts = [];
+  let position = 0;
+
+  while (position < words.length) {
+    const start = position;
+    const copy = copies.get(words[start].index);
+    const repeat = words[start + (copy?.length ?? 0)];
+
+    if (copy && repeat?.index === copy.at(-1) + 1) {
+      const retraced = words
+        .slice(start, start + copy.length)
+        .map((eachWord, offset) =>
+          toCHATWord(eachWord, start + offset === 0, properNouns)
+        )
+        .filter(Boolean);
+
+      parts.push(
+        retraced.length > 1
+          ? `<${retraced.join(" ")}> [/]`
+          : `${retraced[0]} [/]`
+      );
+      position += copy.length;
+    } else {
+      parts.push(toCHATWord(words[position], position === 0, properNouns));
+      position += 1;
+    }
+  }
+
+  return parts.filter(Boolean).join(" ");
+};
+
+/**
+ * @function toCHAT
+ *
+ * @description Builds a CHAT transcript from a normalized transcript.
+ *
+ * @param {Transcript} transcript the transcript to export
+ * @param {object} [options] the export options
+ * @param {Object<string, string>} [options.participants] maps each speaker to
+ * a CHAT speaker code, guessed when omitted
+ * @param {string} [options.mediaName] the name of the audio file, without its
+ * extension
+ * @param {Date} [options.date] the date the sample was recorded
+ *
+ * @returns {string} the contents of the .cha file
+ */
+export const toCHAT = (
+  transcript,
+  {
+    participants = guessParticipants(transcript),
+    mediaName,
+    date = new Date(),
+  } = {}
+) => {
+  const codes = resolveParticipants(transcript, participants);
+  const roles = listParticipantRoles(codes);
+  const sentences = splitIntoSentences(transcript);
+  const copies = mapRepeatedCopies(detectDisfluencies(transcript));
+  const properNouns = findProperNouns(sentences);
+
+  const header = [
+    "@UTF8",
+    "@Begin",
+    "@Languages:\teng",
+    `@Participants:\t${roles
+      .map(({ code, chatRole }) => `${code} ${chatRole}`)
+      .join(", ")}`,
+    ...roles.map(
+      ({ code, chatRole }) => `@ID:\teng|slpscribe|${code}|||||${chatRole}|||`
+    ),
+    ...(mediaName ? [`@Media:\t${mediaName}, audio`] : []),
+    `@Date:\t${formatCHATDate(date)}`,
+  ];
+
+  /**
+   * @function toTiers
+   *
+   * @description Writes a sentence as a main tier and its %tim tier.
+   *
+   * @param {Sentence} eachSentence the sentence to write
+   *
+   * @returns {string[]} the lines of the sentence
+   */
+  const toTiers = (eachSentence) => {
+    const words = toCHATWords(eachSentence.words, copies, properNouns);
+    const start = Math.round(eachSentence.start);
+    const end = Math.round(eachSentence.end);
+
+    return [
+      `*${codes[eachSentence.speaker]}:\t${words} ${
+        eachSentence.terminator
+      } ${MEDIA_BULLET}${start}_${end}${MEDIA_BULLET}`,
+      `%tim:\t${formatTimestamp(start)}-${formatTimestamp(end)}`,
+    ];
+  };
+
+  const tiers = groupByChapter(sentences, transcript.chapters).flatMap(
+    ({ chapter, items }) => [
+      ...(chapter ? [`@G:\t${chapter.headline}`] : []),
+      ...items.flatMap(toTiers),
+    ]
+  );
+
+  return [...header, ...tiers, "@End", ""].join("\n");
+};
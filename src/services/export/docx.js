@@ -0,0 +1,300 @@
+/**
+ * @file docx.js
+ *
+ * @description Builds genuine Word documents (Office Open XML) from a
+ * normalized transcript, or from the HTML written in the text editor.
+ *
+ * @requires docx
+ * @requires services/transcription/transcriptTime
+ * @requires services/transcription/speakers
+ * @requires services/transcription/chapters
+ *
+ * @exports transcriptToDocx
+ * @exports htmlToDocx
+ */
+
+import {
+  Document,
+  HeadingLevel,
+  Packer,
+  Paragraph,
+  Table,
+  TableCell,
+  TableRow,
+  TextRun,
+  WidthType,
+} from "docx";
+import { formatClockTime } from "../transcription/transcriptTime";
+import { getSpeakerLabel } from "../transcription/speakers";
+import { groupByChapter } from "../transcription/chapters";
+
+const HEADING_LEVELS = {
+  H1: HeadingLevel.HEADING_1,
+  H2: HeadingLevel.HEADING_2,
+  H3: HeadingLevel.HEADING_3,
+  H4: HeadingLevel.HEADING_4,
+  H5: HeadingLevel.HEADING_5,
+  H6: HeadingLevel.HEADING_6,
+};
+
+/**
+ * The elements that hold a paragraph of their own.
+ */
+const PARAGRAPH_ELEMENTS = ["P", "LI", "PRE", ...Object.keys(HEADING_LEVELS)];
+
+/**
+ * The elements whose children are converted in their place.
+ */
+const CONTAINER_ELEMENTS = [
+  "UL",
+  "OL",
+  "DIV",
+  "SECTION",
+  "ARTICLE",
+  "BLOCKQUOTE",
+];
+
+/**
+ * @function packDocument
+ *
+ * @description Packs the paragraphs of a single section document into a Blob.
+ *
+ * @param {string} title the title stored in the document properties
+ * @param {(Paragraph|Table)[]} paragraphs the content of the document
+ *
+ * @returns {Promise<Blob>} the .docx file
+ */
+const packDocument = (title, paragraphs) =>
+  Packer.toBlob(
+    new Document({
+      title,
+      creator: "SLPScribe",
+      sections: [{ children: paragraphs }],
+    })
+  );
+
+/**
+ * @function toChapterHeading
+ *
+ * @description Builds the heading introducing a chapter, followed by its time
+ * range and gist.
+ *
+ * @param {TranscriptChapter} chapter the chapter being introduced
+ *
+ * @returns {Paragraph[]} the paragraphs introducing the chapter
+ */
+const toChapterHeading = (chapter) => [
+  new Paragraph({ text: chapter.headline, heading: HeadingLevel.HEADING_2 }),
+  new Paragraph({
+    spacing: { after: 120 },
+    children: [
+      new TextRun({
+        text: `${formatClockTime(chapter.start)} – ${formatClockTime(
+          chapter.end
+        )} · ${chapter.gist}`,
+        italics: true,
+        color: "808080",
+      }),
+    ],
+  }),
+];
+
+/**
+ * @function transcriptToDocx
+ *
+ * @description Builds a Word document with one paragraph per utterance, each
+ * prefixed with its start time and speaker, under a heading for each chapter.
+ *
+ * @param {Transcript} transcript the transcript to export
+ * @param {object} [options] the document options
+ * @param {string} [options.title] the heading of the document
+ *
+ * @returns {Promise<Blob>} the .docx file
+ */
+export const transcriptToDocx = (transcript, { title = "Transcript" } = {}) =>
+  packDocument(title, [
+    new Paragraph({ text: title, heading: HeadingLevel.TITLE }),
+    ...groupByChapter(transcript.utterances, transcript.chapters).flatMap(
+      ({ chapter, items }) => [
+        ...(chapter ? toChapterHeading(chapter) : []),
+        ...items.map(
+          (eachUtterance) =>
+            new Paragraph({
+              spacing: { after: 120 },
+              children: [
+                new TextRun({
+                  text: `[${formatClockTime(eachUtterance.start)}] `,
+                  color: "808080",
+                }),
+                new TextRun({
+                  text: `${getSpeakerLabel(
+                    transcript,
+                    eachUtterance.speaker
+                  )}: `,
+                  bold: true,
+                }),
+                new TextRun(eachUtterance.text),
+              ],
+            })
+        ),
+      ]
+    ),
+  ]);
+
+/**
+ * @function toTextRuns
+ *
+ * @description Converts the inline content of an HTML element into text runs,
+ * keeping bold, italic, underline and strikethrough formatting.
+ *
+ * @param {Node} node the node to convert
+ * @param {object} [formatting] the formatting inherited from parent elements
+ *
+ * @returns {TextRun[]} the runs representing the content of the node
+ */
+const toTextRuns = (node, formatting = {}) => {
+  if (node.nodeType === Node.TEXT_NODE) {
+    return node.textContent
+      ? [new TextRun({ text: node.textContent, ...formatting })]
+      : [];
+  }
+
+  if (node.nodeName === "BR") {
+    return [new TextRun({ text: "", break: 1 })];
+  }
+
+  const nodeFormatting = {
+    ...formatting,
+    ...(["STRONG", "B"].includes(node.nodeName) && { bold: true }),
+    ...(["EM", "I"].includes(node.nodeName) && { italics: true }),
+    ...(node.nodeName === "U" && { underline: {} }),
+    ...(["S", "DEL", "STRIKE"].includes(node.nodeName) && { strike: true }),
+  };
+
+  return [...node.childNodes].flatMap((eachChild) =>
+    toTextRuns(eachChild, nodeFormatting)
+  );
+};
+
+/**
+ * @function isBlockElement
+ *
+ * @description Determines whether a node starts a block of its own, rather
+ * than continuing the paragraph of the text around it.
+ *
+ * @param {Node} node the node to inspect
+ *
+ * @returns {boolean} true for paragraphs, headings, list items, tables and
+ * containers
+ */
+const isBlockElement = (node) =>
+  node.nodeType === Node.ELEMENT_NODE &&
+  [...PARAGRAPH_ELEMENTS, ...CONTAINER_ELEMENTS, "TABLE"].includes(
+    node.nodeName
+  );
+
+/**
+ * @function toTable
+ *
+ * @description Converts an HTML table into a table spanning the width of the
+ * page, keeping merged cells.
+ *
+ * @param {HTMLTableElement} table the table to convert
+ * @param {(cell: Element) => Paragraph[]} convertCell converts the content
+ * of a cell
+ *
+ * @returns {Table} the table
+ */
+const toTable = (table, convertCell) =>
+  new Table({
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    rows: [...table.rows].map(
+      (eachRow) =>
+        new TableRow({
+          children: [...eachRow.cells].map((eachCell) => {
+            const paragraphs = convertCell(eachCell);
+
+            return new TableCell({
+              columnSpan: eachCell.colSpan,
+              rowSpan: eachCell.rowSpan,
+              children: paragraphs.length ? paragraphs : [new Paragraph("")],
+            });
+          }),
+        })
+    ),
+  });
+
+/**
+ * @function toParagraphs
+ *
+ * @description Converts the content of an HTML fragment into paragraphs and
+ * tables, descending into lists and containers. Text that is not wrapped in
+ * a block element becomes a paragraph of its own.
+ *
+ * @param {Element} element the element whose children are converted
+ *
+ * @returns {(Paragraph|Table)[]} the blocks representing the fragment
+ */
+const toParagraphs = (element) => {
+  const blocks = [];
+  let inlineNodes = [];
+
+  const flushInlineNodes = () => {
+    if (inlineNodes.some((eachNode) => eachNode.textContent.trim())) {
+      blocks.push(
+        new Paragraph({
+          children: inlineNodes.flatMap((eachNode) => toTextRuns(eachNode)),
+        })
+      );
+    }
+    inlineNodes = [];
+  };
+
+  [...element.childNodes].forEach((eachChild) => {
+    if (!isBlockElement(eachChild)) {
+      if ([Node.TEXT_NODE, Node.ELEMENT_NODE].includes(eachChild.nodeType)) {
+        inlineNodes.push(eachChild);
+      }
+      return;
+    }
+
+    flushInlineNodes();
+
+    if (eachChild.nodeName === "TABLE") {
+      blocks.push(toTable(eachChild, toParagraphs));
+    } else if (CONTAINER_ELEMENTS.includes(eachChild.nodeName)) {
+      blocks.push(...toParagraphs(eachChild));
+    } else {
+      blocks.push(
+        new Paragraph({
+          heading: HEADING_LEVELS[eachChild.nodeName],
+          bullet: eachChild.nodeName === "LI" ? { level: 0 } : undefined,
+          children: toTextRuns(eachChild),
+        })
+      );
+    }
+  });
+
+  flushInlineNodes();
+  return blocks;
+};
+
+/**
+ * @function htmlToDocx
+ *
+ * @description Builds a Word document from the HTML produced by the text
+ * editor, preceded by the title of the document.
+ *
+ * @param {string} title the title of the document
+ * @param {string} html the content of the editor
+ *
+ * @returns {Promise<Blob>} the .docx file
+ */
+export const htmlToDocx = (title, html) => {
+  const body = new DOMParser().parseFromString(html, "text/html").body;
+
+  return packDocument(title, [
+    new Paragraph({ text: title, heading: HeadingLevel.TITLE }),
+    ...toParagraphs(body),
+  ]);
+};
@@ -0,0 +1,140 @@
+/**
+ * @file index.js
+ *
+ * @description Entry point of the transcript exporters. Every export format
+ * is described by the same shape, so the export menu can list them and build
+ * any of them without knowing how the file is produced.
+ *
+ * @requires captions
+ * @requires docx
+ * @requires chat
+ * @requires salt
+ *
+ * @exports EXPORT_FORMATS
+ * @exports exportTranscript
+ */
+
+import { toSRT, toWebVTT, toWebVTTChapters } from "./captions";
+import { transcriptToDocx } from "./docx";
+import { toCHAT } from "./chat";
+import { toSALT } from "./salt";
+
+/**
+ * @typedef {Object} ExportFormat
+ *
+ * @property {string} id the identifier of the format
+ * @property {string} label the name shown in the export menu
+ * @property {string} extension the file extension, without the dot
+ * @property {boolean} [usesParticipants] whether the format needs every
+ * speaker mapped to a participant role
+ * @property {(transcript: Transcript, options: object) => Promise<Blob>} build
+ * creates the exported file
+ */
+
+/**
+ * @function textBlob
+ *
+ * @description Wraps text content in a Blob of the given MIME type.
+ *
+ * @param {string} content the text content
+ * @param {string} type the MIME type of the content
+ *
+ * @returns {Blob} the file content
+ */
+const textBlob = (content, type) =>
+  new Blob([content], { type: `${type};charset=utf-8` });
+
+/** @type {ExportFormat[]} */
+export const EXPORT_FORMATS = [
+  {
+    id: "srt",
+    label: "SRT Captions",
+    extension: "srt",
+    build: async (transcript) =>
+      textBlob(toSRT(transcript), "application/x-subrip"),
+  },
+  {
+    id: "vtt",
+    label: "WebVTT Captions",
+    extension: "vtt",
+    build: async (transcript) => textBlob(toWebVTT(transcript), "text/vtt"),
+  },
+  {
+    id: "vtt-chapters",
+    label: "WebVTT Chapters",
+    extension: "chapters.vtt",
+    build: async (transcript) =>
+      textBlob(toWebVTTChapters(transcript), "text/vtt"),
+  },
+  {
+    id: "json",
+    label: "JSON Transcript",
+    extension: "json",
+    build: async (transcript) =>
+      textBlob(
+        JSON.stringify(
+          {
+            format: "slpscribe-transcript",
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            transcript,
+          },
+          null,
+          2
+        ),
+        "application/json"
+      ),
+  },
+  {
+    id: "docx",
+    label: "Word Document",
+    extension: "docx",
+    build: (transcript, options) => transcriptToDocx(transcript, options),
+  },
+  {
+    id: "chat",
+    label: "CHAT (CLAN)",
+    extension: "cha",
+    usesParticipants: true,
+    build: async (transcript, options) =>
+      textBlob(toCHAT(transcript, options), "text/plain"),
+  },
+  {
+    id: "salt",
+    label: "SALT",
+    extension: "slt",
+    usesParticipants: true,
+    build: async (transcript, options) =>
+      textBlob(toSALT(transcript, options), "text/plain"),
+  },
+];
+
+/**
+ * @function exportTranscript
+ *
+ * @description Builds a transcript in the requested format.
+ *
+ * @param {string} formatId the identifier of the export format
+ * @param {Transcript} transcript the transcript to export
+ * @param {object} [options] options forwarded to the format
+ * @param {string} [options.title] the title of the exported transcript
+ * @param {Object<string, string>} [options.participants] maps each speaker to
+ * a participant role, used by the language sample formats
+ *
+ * @returns {Promise<{ blob: Blob, fileName: string }>} the exported file and
+ * the name it should be saved under
+ */
+export const exportTranscript = async (formatId, transcript, options = {}) => {
+  const format = EXPORT_FORMATS.find(({ id }) => id === formatId);
+
+  if (!format) {
+    throw new Error(`Unknown export format: ${formatId}`);
+  }
+
+  const title = options.title ?? "transcript";
+
+  return {
+    blob: await format.build(transcript, { ...options, title }),
+    fileName: `${title}.${format.extension}`,
+  };
+};
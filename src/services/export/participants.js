@@ -0,0 +1,145 @@
+/**
+ * @file participants.js
+ *
+ * @description Declares the participant roles language sample analysis tools
+ * understand, along with how each role is written in CHAT and SALT files, and
+ * guesses which transcript speaker is the client.
+ *
+ * @exports PARTICIPANT_ROLES
+ * @exports getParticipantRole
+ * @exports listParticipantRoles
+ * @exports resolveParticipants
+ * @exports guessParticipants
+ */
+
+/**
+ * @typedef {Object} ParticipantRole
+ *
+ * @property {string} code the three letter CHAT speaker code
+ * @property {string} chatRole the CHAT role of the participant
+ * @property {string} saltName the SALT speaker name
+ * @property {string} label the name shown to the clinician
+ */
+
+/** @type {ParticipantRole[]} */
+export const PARTICIPANT_ROLES = [
+  { code: "CHI", chatRole: "Target_Child", saltName: "Child", label: "Client" },
+  {
+    code: "INV",
+    chatRole: "Investigator",
+    saltName: "Examiner",
+    label: "Clinician",
+  },
+  { code: "MOT", chatRole: "Mother", saltName: "Mother", label: "Mother" },
+  { code: "FAT", chatRole: "Father", saltName: "Father", label: "Father" },
+  { code: "ADU", chatRole: "Adult", saltName: "Adult", label: "Other adult" },
+  {
+    code: "UNK",
+    chatRole: "Unidentified",
+    saltName: "Unidentified",
+    label: "Unidentified",
+  },
+];
+
+/**
+ * @function getParticipantRole
+ *
+ * @description Finds a participant role by its CHAT speaker code.
+ *
+ * @param {string} code the CHAT speaker code
+ *
+ * @returns {ParticipantRole} the role, or the unidentified role
+ */
+export const getParticipantRole = (code) =>
+  PARTICIPANT_ROLES.find((eachRole) => eachRole.code === code) ??
+  PARTICIPANT_ROLES.at(-1);
+
+/**
+ * @function listParticipantRoles
+ *
+ * @description Lists the distinct roles assigned to the speakers, in the order
+ * they are declared, so the client is always listed first.
+ *
+ * @param {Object<string, string>} participants maps each speaker to a CHAT
+ * speaker code
+ *
+ * @returns {ParticipantRole[]} the roles in use
+ */
+export const listParticipantRoles = (participants) => {
+  const codes = new Set(Object.values(participants));
+  return PARTICIPANT_ROLES.filter(({ code }) => codes.has(code));
+};
+
+/**
+ * @function resolveParticipants
+ *
+ * @description Completes a mapping of speakers onto speaker codes, so every
+ * speaker of the transcript has a code. Speakers left out are unidentified,
+ * which declares the unidentified role whenever it is used.
+ *
+ * @param {Transcript} transcript the transcript whose speakers are mapped
+ * @param {Object<string, string>} participants maps speakers to CHAT speaker
+ * codes
+ *
+ * @returns {Object<string, string>} maps every speaker to a CHAT speaker code
+ */
+export const resolveParticipants = (transcript, participants) => {
+  const speakers = new Set([
+    ...transcript.speakers.map(({ id }) => id),
+    ...transcript.utterances.map(({ speaker }) => speaker),
+  ]);
+
+  return Object.fromEntries(
+    [...speakers].map((eachSpeaker) => [
+      eachSpeaker,
+      participants[eachSpeaker] ?? "UNK",
+    ])
+  );
+};
+
+const CODES_BY_SPEAKER_ROLE = {
+  client: "CHI",
+  clinician: "INV",
+  parent: "MOT",
+  other: "ADU",
+};
+
+/**
+ * @function guessParticipants
+ *
+ * @description Suggests a participant role for every speaker. Speakers the
+ * clinician assigned a role keep it. Otherwise the speaker with the shortest
+ * utterances on average is assumed to be the client and every other speaker
+ * the clinician, which the clinician can then correct.
+ *
+ * @param {Transcript} transcript the transcript whose speakers are mapped
+ *
+ * @returns {Object<string, string>} maps each speaker to a CHAT speaker code
+ */
+export const guessParticipants = (transcript) => {
+  const averageLengths = transcript.speakers.map(({ id }) => {
+    const utterances = transcript.utterances.filter(
+      ({ speaker }) => speaker === id
+    );
+    const wordCount = utterances.reduce(
+      (total, { firstWord, lastWord }) => total + lastWord - firstWord,
+      0
+    );
+
+    return { id, average: wordCount / Math.max(utterances.length, 1) };
+  });
+  const client = averageLengths.reduce(
+    (shortest, eachSpeaker) =>
+      eachSpeaker.average < shortest.average ? eachSpeaker : shortest,
+    averageLengths[0]
+  );
+
+  const hasRoles = transcript.speakers.some(({ role }) => role);
+
+  return Object.fromEntries(
+    transcript.speakers.map(({ id, role }) => {
+      if (hasRoles) return [id, CODES_BY_SPEAKER_ROLE[role] ?? "UNK"];
+      return [id, id === client.id ? "CHI" : "INV"];
+    })
+  );
+};
@@ -0,0 +1,145 @@
+/**
+ * @file salt.js
+ *
+ * @description Builds SALT (.slt) transcripts for Systematic Analysis of
+ * Language Transcripts. Filled pauses, part-word fragments and the abandoned
+ * copies of repeated words and phrases are written as mazes in parentheses,
+ * every utterance is preceded by a timing line, and
+ * every chapter is introduced by a comment line.
+ *
+ * @requires services/transcription/tokens
+ * @requires services/transcription/chapters
+ * @requires services/analysis/disfluency
+ * @requires participants
+ *
+ * @exports toSALT
+ */
+
+import { classifyToken, splitIntoSentences } from "../transcription/tokens";
+import { groupByChapter } from "../transcription/chapters";
+import { detectDisfluencies, mapRepeatedCopies } from "../analysis/disfluency";
+import {
+  getParticipantRole,
+  guessParticipants,
+  listParticipantRoles,
+  resolveParticipants,
+} from "./participants";
+
+/**
+ * @function formatSALTTime
+ *
+ * @description Formats a time the way SALT timing lines expect it.
+ *
+ * @param {number} time the time in milliseconds
+ *
+ * @returns {string} the time formatted as M:SS
+ */
+const formatSALTTime = (time) => {
+  const totalSeconds = Math.floor(time / 1_000);
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(
+    2,
+    "0"
+  )}`;
+};
+
+/**
+ * @function toSALTText
+ *
+ * @description Writes the words of a sentence in SALT notation, merging
+ * consecutive filled pauses, fragments and abandoned copies that are repeated
+ * within the sentence into a single maze.
+ *
+ * @param {TranscriptWord[]} words the words of the sentence
+ * @param {Map<number, number[]>} copies the abandoned copies of repetitions
+ *
+ * @returns {string} the words in SALT notation
+ */
+const toSALTText = (words, copies) => {
+  const parts = [];
+  let maze = [];
+  let mazeEnd = -1;
+
+  const closeMaze = () => {
+    if (maze.length) parts.push(`(${maze.join(" ")})`);
+    maze = [];
+  };
+
+  words.forEach((eachWord, position) => {
+    const { kind, bare } = classifyToken(eachWord.text);
+    const copy = copies.get(eachWord.index);
+
+    if (copy && words[position + copy.length]?.index === copy.at(-1) + 1) {
+      mazeEnd = copy.at(-1);
+    }
+
+    if (!bare) return;
+    if (kind === "word" && eachWord.index > mazeEnd) {
+      closeMaze();
+      parts.push(bare);
+    } else {
+      maze.push(kind === "word" ? bare : bare.toLowerCase());
+    }
+  });
+
+  closeMaze();
+  return parts.join(" ");
+};
+
+/**
+ * @function toSALT
+ *
+ * @description Builds a SALT transcript from a normalized transcript.
+ *
+ * @param {Transcript} transcript the transcript to export
+ * @param {object} [options] the export options
+ * @param {Object<string, string>} [options.participants] maps each speaker to
+ * a CHAT speaker code, guessed when omitted
+ * @param {Date} [options.date] the date the sample was recorded
+ *
+ * @returns {string} the contents of the .slt file
+ */
+export const toSALT = (
+  transcript,
+  { participants = guessParticipants(transcript), date = new Date() } = {}
+) => {
+  const codes = resolveParticipants(transcript, participants);
+  const roles = listParticipantRoles(codes);
+  const copies = mapRepeatedCopies(detectDisfluencies(transcript));
+
+  const header = [
+    `$ ${roles.map(({ saltName }) => saltName).join(", ")}`,
+    "+ Language: English",
+    `+ Doe: ${date.getMonth() + 1}/${date.getDate()}/${date.getFullYear()}`,
+    "+ Context: Con",
+  ];
+
+  /**
+   * @function toLines
+   *
+   * @description Writes a sentence as a timing line and an utterance line.
+   *
+   * @param {Sentence} eachSentence the sentence to write
+   *
+   * @returns {string[]} the lines of the sentence
+   */
+  const toLines = (eachSentence) => {
+    const { saltName } = getParticipantRole(codes[eachSentence.speaker]);
+
+    return [
+      `- ${formatSALTTime(eachSentence.start)}`,
+      `${saltName.charAt(0)} ${toSALTText(eachSentence.words, copies)}${
+        eachSentence.terminator
+      }`,
+    ];
+  };
+
+  const lines = groupByChapter(
+    splitIntoSentences(transcript),
+    transcript.chapters
+  ).flatMap(({ chapter, items }) => [
+    ...(chapter ? [`= Chapter: ${chapter.headline}`] : []),
+    ...items.flatMap(toLines),
+  ]);
+
+  return [...header, ...lines, ""].join("\n");
+};
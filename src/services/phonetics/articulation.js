@@ -0,0 +1,399 @@
+/**
+ * @file articulation.js
+ *
+ * @description Scores articulation from the phonetic tier of a transcript.
+ * The produced form of every word is aligned with its target form, segment
+ * by segment, and every mismatch is tagged as a substitution, an omission, a
+ * distortion or an addition, along with its position in the word. The tags
+ * keep the timestamps of their word, so they can be played back. From the
+ * alignments the Percent Consonants Correct, Percent Phonemes Correct and an
+ * error inventory per sound are computed.
+ *
+ * @requires services/transcription/tokens
+ * @requires ipa
+ * @requires phoneticTier
+ *
+ * @exports ERROR_TYPES
+ * @exports WORD_POSITIONS
+ * @exports alignSegments
+ * @exports tagWordErrors
+ * @exports scoreWords
+ * @exports analyzeArticulation
+ */
+
+import { classifyToken } from "../transcription/tokens";
+import { baseSymbol, isConsonant, isVowel, segmentIPA } from "./ipa";
+import { getProducedForm } from "./phoneticTier";
+
+export const ERROR_TYPES = [
+  { id: "substitution", label: "Substitution" },
+  { id: "omission", label: "Omission" },
+  { id: "distortion", label: "Distortion" },
+  { id: "addition", label: "Addition" },
+];
+
+export const WORD_POSITIONS = ["initial", "medial", "final"];
+
+const INSERTION_COST = 1;
+
+/**
+ * @function substitutionCost
+ *
+ * @description Scores how different two segments are. Segments differing
+ * only in diacritics are cheapest to align, and a consonant is never aligned
+ * with a vowel when an omission and an addition explain the forms as well.
+ *
+ * @param {string} target the target segment
+ * @param {string} produced the produced segment
+ *
+ * @returns {number} the cost of aligning the segments
+ */
+const substitutionCost = (target, produced) => {
+  if (target === produced) return 0;
+  if (baseSymbol(target) === baseSymbol(produced)) return 0.5;
+  if (isConsonant(target) === isConsonant(produced)) return 1;
+
+  return 2.1;
+};
+
+/**
+ * @typedef {Object} AlignedPair
+ *
+ * @property {string|null} target the target segment, null for an addition
+ * @property {string|null} produced the produced segment, null for an omission
+ * @property {number} targetIndex the position of the target segment, or of
+ * the target segment following an addition
+ */
+
+/**
+ * @function alignSegments
+ *
+ * @description Aligns two segment sequences with the lowest total cost.
+ *
+ * @param {string[]} target the target segments
+ * @param {string[]} produced the produced segments
+ *
+ * @returns {AlignedPair[]} the aligned pairs in order
+ */
+export const alignSegments = (target, produced) => {
+  const costs = Array.from({ length: target.length + 1 }, (_, row) =>
+    Array.from({ length: produced.length + 1 }, (__, column) =>
+      row === 0 || column === 0 ? (row + column) * INSERTION_COST : 0
+    )
+  );
+
+  for (let row = 1; row <= target.length; row += 1) {
+    for (let column = 1; column <= produced.length; column += 1) {
+      costs[row][column] = Math.min(
+        costs[row - 1][column - 1] +
+          substitutionCost(target[row - 1], produced[column - 1]),
+        costs[row - 1][column] + INSERTION_COST,
+        costs[row][column - 1] + INSERTION_COST
+      );
+    }
+  }
+
+  const pairs = [];
+  let row = target.length;
+  let column = produced.length;
+
+  while (row > 0 || column > 0) {
+    if (
+      row > 0 &&
+      column > 0 &&
+      costs[row][column] ===
+        costs[row - 1][column - 1] +
+          substitutionCost(target[row - 1], produced[column - 1])
+    ) {
+      pairs.unshift({
+        target: target[row - 1],
+        produced: produced[column - 1],
+        targetIndex: row - 1,
+      });
+      row -= 1;
+      column -= 1;
+    } else if (
+      row > 0 &&
+      costs[row][column] === costs[row - 1][column] + INSERTION_COST
+    ) {
+      pairs.unshift({
+        target: target[row - 1],
+        produced: null,
+        targetIndex: row - 1,
+      });
+      row -= 1;
+    } else {
+      pairs.unshift({
+        target: null,
+        produced: produced[column - 1],
+        targetIndex: row,
+      });
+      column -= 1;
+    }
+  }
+
+  return pairs;
+};
+
+/**
+ * @function findPosition
+ *
+ * @description Finds the position in the word of a target segment.
+ * Consonants before the first vowel are initial and consonants after the last
+ * vowel are final. Vowels are positioned by where they fall in the word.
+ *
+ * @param {string[]} target the target segments of the word
+ * @param {number} index the position of the segment, target.length for an
+ * addition at the end of the word
+ *
+ * @returns {string} one of initial, medial or final
+ */
+const findPosition = (target, index) => {
+  const vowels = target
+    .map((segment, position) => (isVowel(segment) ? position : -1))
+    .filter((position) => position >= 0);
+
+  if (index >= target.length) return "final";
+  if (!vowels.length || isVowel(target[index])) {
+    if (index === 0) return "initial";
+    return index === target.length - 1 ? "final" : "medial";
+  }
+  if (index < vowels[0]) return "initial";
+  return index > vowels.at(-1) ? "final" : "medial";
+};
+
+/**
+ * @typedef {Object} ArticulationError
+ *
+ * @property {string} id identifier of the error, unique in the transcript
+ * @property {string} type one of substitution, omission, distortion or
+ * addition
+ * @property {string|null} target the target segment
+ * @property {string|null} produced the produced segment
+ * @property {string} position one of initial, medial or final
+ * @property {boolean} consonant whether the error affects a consonant
+ * @property {number} wordIndex the index of the word
+ * @property {string} word the word as it was transcribed
+ * @property {number} start start time of the word in milliseconds
+ * @property {number} end end time of the word in milliseconds
+ */
+
+/**
+ * @typedef {Object} WordScore
+ *
+ * @property {TranscriptWord} word the scored word
+ * @property {AlignedPair[]} pairs the aligned segments of the word
+ * @property {ArticulationError[]} errors the errors of the word
+ */
+
+/**
+ * @function tagWordErrors
+ *
+ * @description Aligns the produced form of a word with its target and tags
+ * every mismatch.
+ *
+ * @param {TranscriptWord} word a word with a target form
+ *
+ * @returns {WordScore} the alignment and errors of the word
+ */
+export const tagWordErrors = (word) => {
+  const target = segmentIPA(word.phonetic.target);
+  const pairs = alignSegments(target, segmentIPA(getProducedForm(word)));
+
+  const errors = pairs.flatMap((eachPair, pairIndex) => {
+    if (eachPair.target === eachPair.produced) return [];
+
+    let type = "substitution";
+    if (!eachPair.produced) type = "omission";
+    else if (!eachPair.target) type = "addition";
+    else if (baseSymbol(eachPair.target) === baseSymbol(eachPair.produced)) {
+      type = "distortion";
+    }
+
+    return [
+      {
+        id: `${word.index}:${pairIndex}`,
+        type,
+        target: eachPair.target,
+        produced: eachPair.produced,
+        position: findPosition(target, eachPair.targetIndex),
+        consonant: isConsonant(eachPair.target ?? eachPair.produced),
+        wordIndex: word.index,
+        word: word.text,
+        start: word.start,
+        end: word.end,
+      },
+    ];
+  });
+
+  return { word, pairs, errors };
+};
+
+/**
+ * @function scoreWords
+ *
+ * @description Aligns every scored word of a speaker. Only plain words with
+ * a target form are scored, fillers and part-word fragments are not.
+ *
+ * @param {Transcript} transcript the transcript with its phonetic tier
+ * @param {string|null} speaker the analyzed speaker, every speaker when null
+ *
+ * @returns {WordScore[]} the alignment and errors of every scored word
+ */
+export const scoreWords = (transcript, speaker) =>
+  transcript.words
+    .filter(
+      (eachWord) =>
+        (!speaker || eachWord.speaker === speaker) &&
+        eachWord.phonetic?.target &&
+        classifyToken(eachWord.text).kind === "word"
+    )
+    .map(tagWordErrors);
+
+/**
+ * @typedef {Object} SoundInventory
+ *
+ * @property {string} sound the target segment
+ * @property {boolean} consonant whether the sound is a consonant
+ * @property {number} opportunities how often the sound was targeted
+ * @property {number} correct how often it was produced correctly
+ * @property {Object<string, number>} errors the number of substitutions,
+ * omissions and distortions of the sound
+ * @property {Object<string, { opportunities: number, errors: number }>}
+ * positions the opportunities and errors per word position
+ * @property {Object<string, number>} substitutes how often each segment was
+ * produced in place of the sound
+ */
+
+/**
+ * @typedef {Object} ArticulationAnalysis
+ *
+ * @property {string|null} speaker identifier of the analyzed speaker
+ * @property {number} words the number of scored words
+ * @property {number} transcribedWords the number of scored words with a
+ * transcribed produced form, the other words count as produced correctly
+ * @property {{ total: number, correct: number }} consonants the target
+ * consonants and those produced correctly
+ * @property {{ total: number, correct: number }} phonemes the target phonemes
+ * and those produced correctly
+ * @property {number} percentConsonantsCorrect PCC
+ * @property {number} percentPhonemesCorrect PPC
+ * @property {ArticulationError[]} errors every error in playback order
+ * @property {SoundInventory[]} inventory the inventory of every targeted
+ * sound, consonants first and the most erred sounds first
+ * @property {{ sound: string, count: number }[]} additions how often each
+ * segment was added
+ * @property {WordScore[]} scores the alignment of every scored word
+ */
+
+/**
+ * @function analyzeArticulation
+ *
+ * @description Scores the articulation of one speaker. As in the original
+ * PCC, distortions count as incorrect.
+ *
+ * @param {Transcript} transcript the transcript with its phonetic tier
+ * @param {object} [options] selects the analyzed words
+ * @param {string|null} [options.speaker] the analyzed speaker, every speaker
+ * when null
+ *
+ * @returns {ArticulationAnalysis} the analysis
+ */
+export const analyzeArticulation = (transcript, { speaker = null } = {}) => {
+  const scores = scoreWords(transcript, speaker);
+
+  const consonants = { total: 0, correct: 0 };
+  const phonemes = { total: 0, correct: 0 };
+  const inventory = new Map();
+  const additions = new Map();
+
+  scores.forEach(({ pairs }) => {
+    const target = pairs
+      .filter(({ target: segment }) => segment)
+      .map(({ target: segment }) => segment);
+
+    pairs.forEach((eachPair) => {
+      if (!eachPair.target) {
+        additions.set(
+          eachPair.produced,
+          (additions.get(eachPair.produced) ?? 0) + 1
+        );
+        return;
+      }
+
+      const isCorrect = eachPair.target === eachPair.produced;
+      const consonant = isConsonant(eachPair.target);
+      const position = findPosition(target, eachPair.targetIndex);
+
+      phonemes.total += 1;
+      if (isCorrect) phonemes.correct += 1;
+      if (consonant) {
+        consonants.total += 1;
+        if (isCorrect) consonants.correct += 1;
+      }
+
+      if (!inventory.has(eachPair.target)) {
+        inventory.set(eachPair.target, {
+          sound: eachPair.target,
+          consonant,
+          opportunities: 0,
+          correct: 0,
+          errors: { substitution: 0, omission: 0, distortion: 0 },
+          positions: Object.fromEntries(
+            WORD_POSITIONS.map((eachPosition) => [
+              eachPosition,
+              { opportunities: 0, errors: 0 },
+            ])
+          ),
+          substitutes: {},
+        });
+      }
+
+      const sound = inventory.get(eachPair.target);
+      sound.opportunities += 1;
+      sound.positions[position].opportunities += 1;
+
+      if (isCorrect) {
+        sound.correct += 1;
+        return;
+      }
+
+      sound.positions[position].errors += 1;
+      if (!eachPair.produced) {
+        sound.errors.omission += 1;
+      } else if (
+        baseSymbol(eachPair.target) === baseSymbol(eachPair.produced)
+      ) {
+        sound.errors.distortion += 1;
+      } else {
+        sound.errors.substitution += 1;
+        sound.substitutes[eachPair.produced] =
+          (sound.substitutes[eachPair.produced] ?? 0) + 1;
+      }
+    });
+  });
+
+  return {
+    speaker,
+    words: scores.length,
+    transcribedWords: scores.filter(({ word }) => word.phonetic.produced)
+      .length,
+    consonants,
+    phonemes,
+    percentConsonantsCorrect: consonants.total
+      ? (consonants.correct / consonants.total) * 100
+      : 0,
+    percentPhonemesCorrect: phonemes.total
+      ? (phonemes.correct / phonemes.total) * 100
+      : 0,
+    errors: scores.flatMap(({ errors }) => errors),
+    inventory: [...inventory.values()].sort(
+      (a, b) =>
+        Number(b.consonant) - Number(a.consonant) ||
+        b.opportunities - b.correct - (a.opportunities - a.correct) ||
+        a.sound.localeCompare(b.sound)
+    ),
+    additions: [...additions].map(([sound, count]) => ({ sound, count })),
+    scores,
+  };
+};
@@ -0,0 +1,204 @@
+/**
+ * @file ipa.js
+ *
+ * @description Helpers that read broad and narrow IPA transcriptions as
+ * typed by a clinician. A transcription is split into segments, where
+ * affricates and diphthongs are one segment and diacritics stay attached to
+ * the segment they modify. Common keyboard spellings are normalized, so "r",
+ * "ʧ" and "ɡ" compare equal to "ɹ", "tʃ" and "g".
+ *
+ * @exports IPA_CONSONANTS
+ * @exports IPA_VOWELS
+ * @exports normalizeIPA
+ * @exports segmentIPA
+ * @exports baseSymbol
+ * @exports isConsonant
+ * @exports isVowel
+ */
+
+export const IPA_CONSONANTS = new Set([
+  "p",
+  "b",
+  "t",
+  "d",
+  "k",
+  "g",
+  "ʔ",
+  "c",
+  "ɟ",
+  "q",
+  "ɢ",
+  "f",
+  "v",
+  "θ",
+  "ð",
+  "s",
+  "z",
+  "ʃ",
+  "ʒ",
+  "h",
+  "x",
+  "ɣ",
+  "χ",
+  "ʁ",
+  "ç",
+  "ʝ",
+  "ɸ",
+  "β",
+  "ɬ",
+  "ɮ",
+  "tʃ",
+  "dʒ",
+  "m",
+  "n",
+  "ŋ",
+  "ɲ",
+  "ɱ",
+  "l",
+  "ɫ",
+  "ʎ",
+  "ʟ",
+  "ɹ",
+  "ɻ",
+  "r",
+  "ɾ",
+  "ʀ",
+  "ʙ",
+  "w",
+  "ʍ",
+  "j",
+  "ʋ",
+]);
+
+export const IPA_VOWELS = new Set([
+  "i",
+  "ɪ",
+  "e",
+  "ɛ",
+  "æ",
+  "a",
+  "ɑ",
+  "ɒ",
+  "ɔ",
+  "o",
+  "ʊ",
+  "u",
+  "ʌ",
+  "ə",
+  "ɚ",
+  "ɝ",
+  "ɜ",
+  "ɐ",
+  "ɨ",
+  "ʉ",
+  "ɘ",
+  "ɵ",
+  "y",
+  "ʏ",
+  "ø",
+  "œ",
+  "ɯ",
+  "ɤ",
+  "eɪ",
+  "aɪ",
+  "aʊ",
+  "ɔɪ",
+  "oʊ",
+]);
+
+const MULTI_CHARACTER_SEGMENTS = ["tʃ", "dʒ", "eɪ", "aɪ", "aʊ", "ɔɪ", "oʊ"];
+
+const EQUIVALENT_SYMBOLS = [
+  ["c\u0327", "ç"],
+  ["ɡ", "g"],
+  ["ʧ", "tʃ"],
+  ["ʤ", "dʒ"],
+  ["ɜ\u02de", "ɝ"],
+  ["ə\u02de", "ɚ"],
+  ["r", "ɹ"],
+];
+
+const DIACRITICS = /[\u0300-\u036f\u02b0-\u02ff\u1d2c-\u1d6a\u2071-\u209c]/;
+const IGNORED = /[\s/[\]ˈˌ.|‖-]/g;
+
+/**
+ * @function normalizeIPA
+ *
+ * @description Removes slashes, brackets, stress and syllable marks from a
+ * transcription and replaces keyboard spellings with their IPA symbols.
+ *
+ * @param {string} text the transcription
+ *
+ * @returns {string} the normalized transcription
+ */
+export const normalizeIPA = (text) =>
+  EQUIVALENT_SYMBOLS.reduce(
+    (normalized, [from, to]) => normalized.split(from).join(to),
+    text.normalize("NFD").replace(IGNORED, "")
+  );
+
+/**
+ * @function segmentIPA
+ *
+ * @description Splits a transcription into its segments.
+ *
+ * @param {string} text the transcription
+ *
+ * @returns {string[]} the segments in order
+ */
+export const segmentIPA = (text) => {
+  const normalized = normalizeIPA(text);
+  const segments = [];
+  let position = 0;
+
+  while (position < normalized.length) {
+    const start = position;
+    const multi = MULTI_CHARACTER_SEGMENTS.find((segment) =>
+      normalized.startsWith(segment, start)
+    );
+    const character = multi ?? normalized[position];
+    position += character.length;
+
+    if (DIACRITICS.test(character) && segments.length && !multi) {
+      segments[segments.length - 1] += character;
+    } else {
+      segments.push(character);
+    }
+  }
+
+  return segments;
+};
+
+/**
+ * @function baseSymbol
+ *
+ * @description Removes the diacritics of a segment.
+ *
+ * @param {string} segment the segment
+ *
+ * @returns {string} the segment without diacritics
+ */
+export const baseSymbol = (segment) =>
+  [...segment].filter((character) => !DIACRITICS.test(character)).join("");
+
+/**
+ * @function isConsonant
+ *
+ * @description Determines whether a segment is a consonant.
+ *
+ * @param {string} segment the segment
+ *
+ * @returns {boolean} true for consonants, whatever their diacritics
+ */
+export const isConsonant = (segment) => IPA_CONSONANTS.has(baseSymbol(segment));
+
+/**
+ * @function isVowel
+ *
+ * @description Determines whether a segment is a vowel.
+ *
+ * @param {string} segment the segment
+ *
+ * @returns {boolean} true for vowels and diphthongs, whatever their diacritics
+ */
+export const isVowel = (segment) => IPA_VOWELS.has(baseSymbol(segment));
@@ -0,0 +1,74 @@
+/**
+ * @file phoneticTier.js
+ *
+ * @description Adds the phonetic tier to a transcript: the target
+ * pronunciation of every word, in IPA, next to the form the speaker produced.
+ * Targets the clinician already corrected are never overwritten.
+ *
+ * @requires services/transcription/tokens
+ * @requires pronunciationDictionary
+ *
+ * @exports hasPhoneticTier
+ * @exports addPhoneticTier
+ * @exports getProducedForm
+ */
+
+import { classifyToken } from "../transcription/tokens";
+import { lookupIPA } from "./pronunciationDictionary";
+
+/**
+ * @function hasPhoneticTier
+ *
+ * @description Determines whether the phonetic tier was added to a
+ * transcript.
+ *
+ * @param {Transcript} transcript the transcript
+ *
+ * @returns {boolean} true if any word has phonetic forms
+ */
+export const hasPhoneticTier = (transcript) =>
+  transcript.words.some(({ phonetic }) => phonetic);
+
+/**
+ * @function addPhoneticTier
+ *
+ * @description Looks up the target pronunciation of every word that has no
+ * phonetic forms yet. Part-word fragments get no target, since the intended
+ * word is not known.
+ *
+ * @param {Transcript} transcript the transcript
+ * @param {Object<string, string>} dictionary the loaded pronunciation
+ * dictionary
+ *
+ * @returns {Transcript} the transcript with the phonetic tier
+ */
+export const addPhoneticTier = (transcript, dictionary) => ({
+  ...transcript,
+  words: transcript.words.map((eachWord) => {
+    if (eachWord.phonetic) return eachWord;
+
+    const { kind } = classifyToken(eachWord.text);
+
+    return {
+      ...eachWord,
+      phonetic: {
+        target:
+          kind === "fragment" ? null : lookupIPA(dictionary, eachWord.text),
+        produced: null,
+      },
+    };
+  }),
+});
+
+/**
+ * @function getProducedForm
+ *
+ * @description Reads the form a word was produced as, which is the target
+ * unless the clinician transcribed something else.
+ *
+ * @param {TranscriptWord} word the word
+ *
+ * @returns {string|null} the produced form in IPA
+ */
+export const getProducedForm = (word) =>
+  word.phonetic?.produced ?? word.phonetic?.target ?? null;
@@ -0,0 +1,267 @@
+/**
+ * @file phonologicalProcesses.js
+ *
+ * @description Detects the phonological processes a speaker uses, from the
+ * same alignment of produced and target forms that articulation is scored
+ * on. Every process is counted against its opportunities, the target
+ * patterns it could have applied to, so it can be reported as a percentage
+ * of occurrence.
+ *
+ * @requires ipa
+ * @requires articulation
+ * @requires phoneticTier
+ *
+ * @exports PHONOLOGICAL_PROCESSES
+ * @exports detectWordProcesses
+ * @exports analyzePhonologicalProcesses
+ */
+
+import { baseSymbol, isConsonant, isVowel } from "./ipa";
+import { scoreWords } from "./articulation";
+import { getProducedForm } from "./phoneticTier";
+
+export const PHONOLOGICAL_PROCESSES = [
+  {
+    id: "fronting",
+    label: "Fronting",
+    description: "Velar and palatal sounds made further forward, /k/ → [t]",
+  },
+  {
+    id: "stopping",
+    label: "Stopping",
+    description: "Fricatives and affricates replaced by stops, /s/ → [t]",
+  },
+  {
+    id: "gliding",
+    label: "Gliding",
+    description: "Prevocalic liquids replaced by glides, /ɹ/ → [w]",
+  },
+  {
+    id: "finalConsonantDeletion",
+    label: "Final consonant deletion",
+    description: "Every consonant after the last vowel omitted",
+  },
+  {
+    id: "clusterReduction",
+    label: "Cluster reduction",
+    description: "Some but not all consonants of a cluster omitted",
+  },
+  {
+    id: "weakSyllableDeletion",
+    label: "Weak syllable deletion",
+    description: "Reduced vowels of longer words omitted with their syllable",
+  },
+];
+
+const FRONTED = {
+  k: ["t"],
+  g: ["d"],
+  ŋ: ["n"],
+  ʃ: ["s"],
+  ʒ: ["z"],
+};
+
+const FRICATIVES_AND_AFFRICATES = new Set([
+  "f",
+  "v",
+  "θ",
+  "ð",
+  "s",
+  "z",
+  "ʃ",
+  "ʒ",
+  "tʃ",
+  "dʒ",
+]);
+const STOPS = new Set(["p", "b", "t", "d", "k", "g"]);
+const LIQUIDS = new Set(["l", "ɹ"]);
+const GLIDES = new Set(["w", "j"]);
+const WEAK_VOWELS = new Set(["ə", "ɚ"]);
+
+/**
+ * @typedef {Object} ProcessOccurrence
+ *
+ * @property {string} id identifier of the occurrence, unique in the
+ * transcript
+ * @property {string} process identifier of the phonological process
+ * @property {string} target the affected target segments
+ * @property {string} produced what was produced in their place
+ * @property {number} wordIndex the index of the word
+ * @property {string} word the word as it was transcribed
+ * @property {string} targetForm the target form of the word
+ * @property {string} producedForm the produced form of the word
+ * @property {number} start start time of the word in milliseconds
+ * @property {number} end end time of the word in milliseconds
+ */
+
+/**
+ * @typedef {Object} WordProcesses
+ *
+ * @property {Object<string, number>} opportunities the number of times each
+ * process could have applied to the word
+ * @property {ProcessOccurrence[]} occurrences the processes found in the word
+ */
+
+/**
+ * @function detectWordProcesses
+ *
+ * @description Finds the phonological processes in one aligned word.
+ * Stress is not transcribed, so weak syllables are those with a reduced
+ * vowel in words of more than one syllable.
+ *
+ * @param {WordScore} score the aligned word, as scored by articulation
+ *
+ * @returns {WordProcesses} the opportunities and occurrences in the word
+ */
+export const detectWordProcesses = ({ word, pairs }) => {
+  const opportunities = Object.fromEntries(
+    PHONOLOGICAL_PROCESSES.map(({ id }) => [id, 0])
+  );
+  const occurrences = [];
+
+  const aligned = pairs.filter(({ target }) => target);
+  const target = aligned.map(({ target: segment }) => segment);
+  const produced = aligned.map(({ produced: segment }) =>
+    segment ? baseSymbol(segment) : null
+  );
+  const vowels = target
+    .map((segment, index) => (isVowel(segment) ? index : -1))
+    .filter((index) => index >= 0);
+
+  const addOccurrence = (process, from, to) => {
+    occurrences.push({
+      id: `${process}:${word.index}:${from}`,
+      process,
+      target: target.slice(from, to).join(""),
+      produced: produced.slice(from, to).filter(Boolean).join(""),
+      wordIndex: word.index,
+      word: word.text,
+      targetForm: word.phonetic.target,
+      producedForm: getProducedForm(word),
+      start: word.start,
+      end: word.end,
+    });
+  };
+
+  target.forEach((segment, index) => {
+    const base = baseSymbol(segment);
+
+    if (FRONTED[base]) {
+      opportunities.fronting += 1;
+      if (FRONTED[base].includes(produced[index])) {
+        addOccurrence("fronting", index, index + 1);
+      }
+    }
+
+    if (FRICATIVES_AND_AFFRICATES.has(base)) {
+      opportunities.stopping += 1;
+      if (STOPS.has(produced[index])) {
+        addOccurrence("stopping", index, index + 1);
+      }
+    }
+
+    if (LIQUIDS.has(base) && isVowel(target[index + 1] ?? "")) {
+      opportunities.gliding += 1;
+      if (GLIDES.has(produced[index])) {
+        addOccurrence("gliding", index, index + 1);
+      }
+    }
+
+    if (vowels.length > 1 && WEAK_VOWELS.has(base)) {
+      opportunities.weakSyllableDeletion += 1;
+      if (!produced[index]) {
+        addOccurrence("weakSyllableDeletion", index, index + 1);
+      }
+    }
+  });
+
+  if (!vowels.length) return { opportunities, occurrences };
+
+  const onset = [0, vowels[0]];
+  const coda = [vowels.at(-1) + 1, target.length];
+
+  if (coda[1] > coda[0]) {
+    opportunities.finalConsonantDeletion += 1;
+    if (produced.slice(...coda).every((segment) => !segment)) {
+      addOccurrence("finalConsonantDeletion", ...coda);
+    }
+  }
+
+  [onset, coda].forEach(([from, to]) => {
+    const cluster = target.slice(from, to);
+    if (cluster.length < 2 || !cluster.every(isConsonant)) return;
+
+    const omitted = produced.slice(from, to).filter((segment) => !segment);
+    opportunities.clusterReduction += 1;
+    if (omitted.length && omitted.length < cluster.length) {
+      addOccurrence("clusterReduction", from, to);
+    }
+  });
+
+  return { opportunities, occurrences };
+};
+
+/**
+ * @typedef {Object} ProcessSummary
+ *
+ * @property {string} id identifier of the process
+ * @property {string} label display name of the process
+ * @property {string} description how the process is detected
+ * @property {number} opportunities the number of target patterns it could
+ * have applied to
+ * @property {ProcessOccurrence[]} occurrences where it was found, in playback
+ * order
+ * @property {number} percentage occurrences per 100 opportunities
+ */
+
+/**
+ * @typedef {Object} PhonologicalProcessAnalysis
+ *
+ * @property {string|null} speaker identifier of the analyzed speaker
+ * @property {number} words the number of scored words
+ * @property {ProcessSummary[]} processes the summary of every process
+ */
+
+/**
+ * @function analyzePhonologicalProcesses
+ *
+ * @description Counts the phonological processes of one speaker over every
+ * scored word of the transcript.
+ *
+ * @param {Transcript} transcript the transcript with its phonetic tier
+ * @param {object} [options] selects the analyzed words
+ * @param {string|null} [options.speaker] the analyzed speaker, every speaker
+ * when null
+ *
+ * @returns {PhonologicalProcessAnalysis} the analysis
+ */
+export const analyzePhonologicalProcesses = (
+  transcript,
+  { speaker = null } = {}
+) => {
+  const scores = scoreWords(transcript, speaker);
+  const words = scores.map(detectWordProcesses);
+
+  return {
+    speaker,
+    words: scores.length,
+    processes: PHONOLOGICAL_PROCESSES.map((eachProcess) => {
+      const opportunities = words.reduce(
+        (total, eachWord) => total + eachWord.opportunities[eachProcess.id],
+        0
+      );
+      const occurrences = words.flatMap((eachWord) =>
+        eachWord.occurrences.filter(({ process }) => process === eachProcess.id)
+      );
+
+      return {
+        ...eachProcess,
+        opportunities,
+        occurrences,
+        percentage: opportunities
+          ? (occurrences.length / opportunities) * 100
+          : 0,
+      };
+    }),
+  };
+};
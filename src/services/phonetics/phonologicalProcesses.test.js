@@ -0,0 +1,130 @@
+import { describe, expect, it } from "vitest";
+import {
+  analyzePhonologicalProcesses,
+  detectWordProcesses,
+} from "./phonologicalProcesses";
+import { tagWordErrors } from "./articulation";
+
+/**
+ * Builds a word with a phonetic tier, every word lasting 300 ms.
+ */
+const toWord = ([text, target, produced], index = 0) => ({
+  index,
+  text,
+  speaker: "A",
+  start: index * 400,
+  end: index * 400 + 300,
+  phonetic: { target, produced },
+});
+
+/**
+ * Builds a transcript of a single utterance from its words, each given as
+ * its text, target form and produced form.
+ */
+const toTranscript = (words) => ({
+  speakers: [{ id: "A" }],
+  utterances: [
+    { index: 0, speaker: "A", firstWord: 0, lastWord: words.length },
+  ],
+  words: words.map(toWord),
+});
+
+const detectProcesses = (word) =>
+  detectWordProcesses(tagWordErrors(toWord(word))).occurrences.map(
+    ({ process }) => process
+  );
+
+const findProcess = (analysis, id) =>
+  analysis.processes.find((eachProcess) => eachProcess.id === id);
+
+describe("detectWordProcesses", () => {
+  it("detects fronting", () => {
+    expect(detectProcesses(["cat", "kæt", "tæt"])).toEqual(["fronting"]);
+  });
+
+  it("detects stopping", () => {
+    expect(detectProcesses(["sun", "sʌn", "tʌn"])).toEqual(["stopping"]);
+  });
+
+  it("detects gliding", () => {
+    expect(detectProcesses(["rabbit", "ɹæbɪt", "wæbɪt"])).toEqual(["gliding"]);
+  });
+
+  it("detects final consonant deletion", () => {
+    expect(detectProcesses(["dog", "dɔg", "dɔ"])).toEqual([
+      "finalConsonantDeletion",
+    ]);
+  });
+
+  it("detects cluster reduction", () => {
+    expect(detectProcesses(["stop", "stɑp", "tɑp"])).toEqual([
+      "clusterReduction",
+    ]);
+  });
+
+  it("detects weak syllable deletion", () => {
+    expect(detectProcesses(["banana", "bəˈnænə", "nænə"])).toContain(
+      "weakSyllableDeletion"
+    );
+  });
+
+  it("finds no process in a word produced as targeted", () => {
+    expect(detectProcesses(["cat", "kæt", "kæt"])).toEqual([]);
+  });
+
+  it("does not count a fully omitted cluster as reduced", () => {
+    const { opportunities, occurrences } = detectWordProcesses(
+      tagWordErrors(toWord(["stop", "stɑp", "ɑp"]))
+    );
+
+    expect(opportunities.clusterReduction).toBe(1);
+    expect(occurrences.map(({ process }) => process)).not.toContain(
+      "clusterReduction"
+    );
+  });
+
+  it("counts the opportunities of every process", () => {
+    const { opportunities } = detectWordProcesses(
+      tagWordErrors(toWord(["rabbit", "ɹæbɪt", "ɹæbɪt"]))
+    );
+
+    expect(opportunities).toEqual({
+      fronting: 0,
+      stopping: 0,
+      gliding: 1,
+      finalConsonantDeletion: 1,
+      clusterReduction: 0,
+      weakSyllableDeletion: 0,
+    });
+  });
+});
+
+describe("analyzePhonologicalProcesses", () => {
+  it("reports every process as a percentage of its opportunities", () => {
+    const analysis = analyzePhonologicalProcesses(
+      toTranscript([
+        ["cat", "kæt", "tæt"],
+        ["key", "ki", "ki"],
+      ])
+    );
+
+    expect(analysis.words).toBe(2);
+    expect(findProcess(analysis, "fronting")).toMatchObject({
+      opportunities: 2,
+      percentage: 50,
+    });
+    expect(findProcess(analysis, "fronting").occurrences).toHaveLength(1);
+  });
+
+  it("reports zero when a process had no opportunity", () => {
+    const analysis = analyzePhonologicalProcesses(
+      toTranscript([["bob", "bɑb", "bɑb"]])
+    );
+
+    expect(findProcess(analysis, "gliding")).toMatchObject({
+      opportunities: 0,
+      occurrences: [],
+      percentage: 0,
+    });
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * @file pronunciationDictionary.js
+ *
+ * @description Looks up the expected pronunciation of English words in IPA.
+ * Pronunciations come from the CMU pronouncing dictionary, which ships with
+ * the application and is only loaded the first time it is needed, so it works
+ * offline without weighing down the initial page load. General American
+ * pronunciations are given in broad transcription without stress marks.
+ *
+ * @requires cmu-pronouncing-dictionary
+ *
+ * @exports ARPABET_TO_IPA
+ * @exports arpabetToIPA
+ * @exports loadPronunciationDictionary
+ * @exports lookupIPA
+ */
+
+/**
+ * Maps every ARPAbet phoneme of the CMU dictionary onto its IPA symbol. The
+ * unstressed forms of AH and ER are schwa and schwar.
+ */
+export const ARPABET_TO_IPA = {
+  AA: "ɑ",
+  AE: "æ",
+  AH: "ʌ",
+  AH0: "ə",
+  AO: "ɔ",
+  AW: "aʊ",
+  AY: "aɪ",
+  B: "b",
+  CH: "tʃ",
+  D: "d",
+  DH: "ð",
+  EH: "ɛ",
+  ER: "ɝ",
+  ER0: "ɚ",
+  EY: "eɪ",
+  F: "f",
+  G: "g",
+  HH: "h",
+  IH: "ɪ",
+  IY: "i",
+  JH: "dʒ",
+  K: "k",
+  L: "l",
+  M: "m",
+  N: "n",
+  NG: "ŋ",
+  OW: "oʊ",
+  OY: "ɔɪ",
+  P: "p",
+  R: "ɹ",
+  S: "s",
+  SH: "ʃ",
+  T: "t",
+  TH: "θ",
+  UH: "ʊ",
+  UW: "u",
+  V: "v",
+  W: "w",
+  Y: "j",
+  Z: "z",
+  ZH: "ʒ",
+};
+
+const VOICELESS_ENDINGS = /[ptkfθ]$/;
+const SIBILANT_ENDINGS = /(?:s|z|ʃ|ʒ|tʃ|dʒ)$/;
+
+let dictionaryPromise = null;
+
+/**
+ * @function arpabetToIPA
+ *
+ * @description Converts an ARPAbet pronunciation into IPA.
+ *
+ * @param {string} pronunciation space separated ARPAbet phonemes, with
+ * stress digits on the vowels
+ *
+ * @returns {string} the pronunciation in IPA
+ */
+export const arpabetToIPA = (pronunciation) =>
+  pronunciation
+    .split(" ")
+    .map(
+      (phoneme) =>
+        ARPABET_TO_IPA[phoneme] ?? ARPABET_TO_IPA[phoneme.replace(/\d$/, "")]
+    )
+    .join("");
+
+/**
+ * @function loadPronunciationDictionary
+ *
+ * @description Loads the pronunciation dictionary, once.
+ *
+ * @returns {Promise<Object<string, string>>} maps lower case words onto their
+ * ARPAbet pronunciations
+ */
+export const loadPronunciationDictionary = () => {
+  dictionaryPromise ??= import("cmu-pronouncing-dictionary")
+    .then(({ dictionary }) => dictionary)
+    .catch((error) => {
+      dictionaryPromise = null;
+      throw error;
+    });
+
+  return dictionaryPromise;
+};
+
+/**
+ * @function lookupIPA
+ *
+ * @description Finds the pronunciation of a transcribed word. Words with a
+ * possessive or contracted 's that are missing from the dictionary are built
+ * from the word without it.
+ *
+ * @param {Object<string, string>} dictionary the loaded dictionary
+ * @param {string} word the word as it was transcribed
+ *
+ * @returns {string|null} the pronunciation in IPA, or null for unknown words
+ */
+export const lookupIPA = (dictionary, word) => {
+  const key = word
+    .toLowerCase()
+    .replace(/’/g, "'")
+    .replace(/^[^a-z']+|[^a-z']+$/g, "");
+
+  if (!key) return null;
+  if (dictionary[key]) return arpabetToIPA(dictionary[key]);
+
+  if (key.endsWith("'s") && dictionary[key.slice(0, -2)]) {
+    const base = arpabetToIPA(dictionary[key.slice(0, -2)]);
+
+    if (SIBILANT_ENDINGS.test(base)) return `${base}ɪz`;
+    return VOICELESS_ENDINGS.test(base) ? `${base}s` : `${base}z`;
+  }
+
+  return null;
+};
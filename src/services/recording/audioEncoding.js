@@ -0,0 +1,301 @@
+/**
+ * @file audioEncoding.js
+ *
+ * @description Encodes recordings into the format they are downloaded in:
+ * either the compressed format the browser recorded, or 16-bit PCM WAV
+ * resampled to a chosen rate, which analysis software such as Praat
+ * accepts. The chosen output is remembered per user, and downloads are named
+ * after the client and the time of the recording.
+ *
+ * @requires services/storage/localCollection
+ *
+ * @exports AUDIO_OUTPUT_COLLECTION
+ * @exports AUDIO_FORMATS
+ * @exports SAMPLE_RATES
+ * @exports DEFAULT_OUTPUT_SETTINGS
+ * @exports getOutputSettings
+ * @exports saveOutputSettings
+ * @exports chooseRecorderMimeType
+ * @exports getAudioExtension
+ * @exports buildRecordingFileName
+ * @exports encodeWav
+ * @exports decodeRecording
+ * @exports resample
+ * @exports encodeRecording
+ */
+
+import { findItem, upsertItem } from "../storage/localCollection";
+
+export const AUDIO_OUTPUT_COLLECTION = "audioOutputSettings";
+
+export const AUDIO_FORMATS = [
+  { id: "native", label: "Original (compressed)" },
+  { id: "wav", label: "WAV, 16-bit PCM" },
+];
+
+export const SAMPLE_RATES = [16_000, 22_050, 44_100, 48_000];
+
+/**
+ * The formats a recording is made in, the most widely supported first.
+ */
+const RECORDER_MIME_TYPES = [
+  "audio/webm;codecs=opus",
+  "audio/ogg;codecs=opus",
+  "audio/mp4",
+  "audio/webm",
+];
+
+/**
+ * Maps the MIME types whose subtype is not their usual extension onto it.
+ */
+const EXTENSIONS = {
+  "audio/mp4": "m4a",
+  "audio/x-m4a": "m4a",
+  "audio/mpeg": "mp3",
+  "audio/wave": "wav",
+  "audio/x-wav": "wav",
+};
+
+/**
+ * @typedef {Object} OutputSettings
+ *
+ * @property {string} format the download format, one of the AUDIO_FORMATS
+ * @property {number} sampleRate the sample rate of WAV downloads in Hz
+ */
+
+/** @type {OutputSettings} */
+export const DEFAULT_OUTPUT_SETTINGS = {
+  format: "native",
+  sampleRate: 16_000,
+};
+
+/**
+ * @function getOutputSettings
+ *
+ * @description Reads the output settings of a user.
+ *
+ * @param {string|null} userId the uid of the signed in user
+ *
+ * @returns {OutputSettings} the settings, with defaults for those never set
+ */
+export const getOutputSettings = (userId) => {
+  const { id, ...settings } =
+    findItem(AUDIO_OUTPUT_COLLECTION, userId ?? "anonymous") ?? {};
+
+  return { ...DEFAULT_OUTPUT_SETTINGS, ...settings };
+};
+
+/**
+ * @function saveOutputSettings
+ *
+ * @description Remembers changes to the output settings of a user.
+ *
+ * @param {string|null} userId the uid of the signed in user
+ * @param {Partial<OutputSettings>} changes the changed settings
+ */
+export const saveOutputSettings = (userId, changes) => {
+  upsertItem(AUDIO_OUTPUT_COLLECTION, {
+    ...getOutputSettings(userId),
+    ...changes,
+    id: userId ?? "anonymous",
+  });
+};
+
+/**
+ * @function chooseRecorderMimeType
+ *
+ * @description Chooses the format the browser records in.
+ *
+ * @returns {string} the first supported MIME type, empty to leave the choice
+ * to the browser
+ */
+export const chooseRecorderMimeType = () =>
+  RECORDER_MIME_TYPES.find((mimeType) =>
+    MediaRecorder.isTypeSupported?.(mimeType)
+  ) ?? "";
+
+/**
+ * @function getAudioExtension
+ *
+ * @description Finds the file extension of audio from its MIME type.
+ *
+ * @param {string} contentType the MIME type, such as audio/webm;codecs=opus
+ *
+ * @returns {string} the extension, such as webm
+ */
+export const getAudioExtension = (contentType = "") => {
+  const mimeType = contentType.split(";")[0].trim().toLowerCase();
+  return EXTENSIONS[mimeType] ?? (mimeType.split("/")[1] || "audio");
+};
+
+/**
+ * @function buildRecordingFileName
+ *
+ * @description Names a downloaded recording after its client and the time it
+ * was recorded, such as Jane-Doe_2026-10-19_14-05.wav.
+ *
+ * @param {object} recording describes the recording
+ * @param {string} [recording.clientName] the name of the client it belongs
+ * to
+ * @param {Date|string} [recording.date] when it was recorded, now by default
+ * @param {string} extension the file extension
+ *
+ * @returns {string} the file name
+ */
+export const buildRecordingFileName = (
+  { clientName: name = "", date },
+  extension
+) => {
+  const recordedAt = date ? new Date(date) : new Date();
+  const pad = (value) => String(value).padStart(2, "0");
+  const clientName = name
+    .replace(/[\\/:*?"<>|]/g, "")
+    .trim()
+    .replace(/\s+/g, "-");
+
+  return [
+    clientName || "Recording",
+    `${recordedAt.getFullYear()}-${pad(recordedAt.getMonth() + 1)}-${pad(
+      recordedAt.getDate()
+    )}`,
+    `${pad(recordedAt.getHours())}-${pad(recordedAt.getMinutes())}`,
+  ]
+    .join("_")
+    .concat(`.${extension}`);
+};
+
+/**
+ * @function writeString
+ *
+ * @description Writes the ASCII characters of a WAV header field.
+ *
+ * @param {DataView} view the view of the file
+ * @param {number} offset the position to write at
+ * @param {string} value the characters to write
+ */
+const writeString = (view, offset, value) => {
+  [...value].forEach((character, index) =>
+    view.setUint8(offset + index, character.charCodeAt(0))
+  );
+};
+
+/**
+ * @function encodeWav
+ *
+ * @description Encodes decoded audio as a 16-bit PCM WAV file, with its
+ * channels interleaved.
+ *
+ * @param {AudioBuffer} audioBuffer the decoded audio
+ *
+ * @returns {Blob} the WAV file
+ */
+export const encodeWav = (audioBuffer) => {
+  const { numberOfChannels, sampleRate, length } = audioBuffer;
+  const blockAlign = numberOfChannels * 2;
+  const dataSize = length * blockAlign;
+  const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+  writeString(view, 0, "RIFF");
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(view, 8, "WAVE");
+  writeString(view, 12, "fmt ");
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, numberOfChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, 16, true);
+  writeString(view, 36, "data");
+  view.setUint32(40, dataSize, true);
+
+  const channels = Array.from({ length: numberOfChannels }, (_, channel) =>
+    audioBuffer.getChannelData(channel)
+  );
+
+  for (let index = 0; index < length; index += 1) {
+    channels.forEach((eachChannel, channel) => {
+      const sample = Math.max(-1, Math.min(1, eachChannel[index]));
+      view.setInt16(
+        44 + index * blockAlign + channel * 2,
+        sample < 0 ? sample * 0x8000 : sample * 0x7fff,
+        true
+      );
+    });
+  }
+
+  return new Blob([view], { type: "audio/wav" });
+};
+
+/**
+ * @function decodeRecording
+ *
+ * @description Decodes recorded audio into samples.
+ *
+ * @param {Blob} blob the recorded audio
+ * @param {number} [sampleRate] the sample rate to decode at in Hz
+ *
+ * @returns {Promise<AudioBuffer>} the decoded audio
+ */
+export const decodeRecording = async (blob, sampleRate = 48_000) => {
+  const context = new OfflineAudioContext(1, 1, sampleRate);
+  return context.decodeAudioData(await blob.arrayBuffer());
+};
+
+/**
+ * @function resample
+ *
+ * @description Renders decoded audio, or a part of it, as mono at another
+ * sample rate.
+ *
+ * @param {AudioBuffer} audioBuffer the decoded audio
+ * @param {number} sampleRate the sample rate to render at in Hz
+ * @param {object} [range] the part to render, all of it by default
+ * @param {number} [range.start] where the part starts in seconds
+ * @param {number} [range.end] where the part ends in seconds
+ *
+ * @returns {Promise<AudioBuffer>} the resampled audio
+ */
+export const resample = (
+  audioBuffer,
+  sampleRate,
+  { start = 0, end = audioBuffer.duration } = {}
+) => {
+  const context = new OfflineAudioContext(
+    1,
+    Math.max(1, Math.ceil((end - start) * sampleRate)),
+    sampleRate
+  );
+  const source = context.createBufferSource();
+
+  source.buffer = audioBuffer;
+  source.connect(context.destination);
+  source.start(0, start, end - start);
+
+  return context.startRendering();
+};
+
+/**
+ * @function encodeRecording
+ *
+ * @description Encodes a recording in the chosen output format. WAV files
+ * are mono, since a session is recorded from a single microphone.
+ *
+ * @param {Blob} blob the recorded audio
+ * @param {OutputSettings} settings the chosen output
+ *
+ * @returns {Promise<{ blob: Blob, extension: string }>} the encoded audio and
+ * its file extension
+ */
+export const encodeRecording = async (blob, { format, sampleRate }) => {
+  if (format !== "wav") {
+    return { blob, extension: getAudioExtension(blob.type) };
+  }
+
+  const decoded = await decodeRecording(blob);
+
+  return {
+    blob: encodeWav(await resample(decoded, sampleRate)),
+    extension: "wav",
+  };
+};
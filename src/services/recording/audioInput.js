@@ -0,0 +1,224 @@
+/**
+ * @file audioInput.js
+ *
+ * @description Chooses and opens the microphone a session is recorded with.
+ * The chosen device, the browser's voice processing options and how silence
+ * is handled are remembered per user. The state of the open input is shared with the rest of
+ * the application, so the navigation can show which microphone is recording.
+ *
+ * @requires services/storage/localCollection
+ *
+ * @exports AUDIO_INPUT_COLLECTION
+ * @exports DEFAULT_INPUT_SETTINGS
+ * @exports PROCESSING_OPTIONS
+ * @exports getInputSettings
+ * @exports saveInputSettings
+ * @exports listInputDevices
+ * @exports openInputStream
+ * @exports getInputStatus
+ * @exports setInputStatus
+ * @exports subscribeToInputStatus
+ */
+
+import { findItem, upsertItem } from "../storage/localCollection";
+
+export const AUDIO_INPUT_COLLECTION = "audioInputSettings";
+
+/**
+ * @typedef {Object} InputSettings
+ *
+ * @property {string|null} deviceId the chosen microphone, the system default
+ * when null
+ * @property {boolean} echoCancellation whether the browser cancels echo
+ * @property {boolean} noiseSuppression whether the browser suppresses noise
+ * @property {boolean} autoGainControl whether the browser adjusts the gain
+ * @property {boolean} autoStop whether recording stops after a silence
+ * @property {number} silenceSeconds how long the silence lasts before
+ * recording stops
+ * @property {boolean} trimSilence whether the silence before and after the
+ * speech is trimmed once recorded
+ */
+
+/** @type {InputSettings} */
+export const DEFAULT_INPUT_SETTINGS = {
+  deviceId: null,
+  echoCancellation: true,
+  noiseSuppression: true,
+  autoGainControl: true,
+  autoStop: false,
+  silenceSeconds: 30,
+  trimSilence: true,
+};
+
+export const PROCESSING_OPTIONS = [
+  { id: "echoCancellation", label: "Echo cancellation" },
+  { id: "noiseSuppression", label: "Noise suppression" },
+  { id: "autoGainControl", label: "Automatic gain" },
+];
+
+/**
+ * @function getInputSettings
+ *
+ * @description Reads the input settings of a user.
+ *
+ * @param {string|null} userId the uid of the signed in user
+ *
+ * @returns {InputSettings} the settings, with defaults for those never set
+ */
+export const getInputSettings = (userId) => {
+  const { id, ...settings } =
+    findItem(AUDIO_INPUT_COLLECTION, userId ?? "anonymous") ?? {};
+
+  return { ...DEFAULT_INPUT_SETTINGS, ...settings };
+};
+
+/**
+ * @function saveInputSettings
+ *
+ * @description Remembers changes to the input settings of a user.
+ *
+ * @param {string|null} userId the uid of the signed in user
+ * @param {Partial<InputSettings>} changes the changed settings
+ */
+export const saveInputSettings = (userId, changes) => {
+  upsertItem(AUDIO_INPUT_COLLECTION, {
+    ...getInputSettings(userId),
+    ...changes,
+    id: userId ?? "anonymous",
+  });
+};
+
+/**
+ * @function listInputDevices
+ *
+ * @description Lists the microphones of the computer. Browsers only name
+ * them once microphone access was granted.
+ *
+ * @returns {Promise<{ deviceId: string, label: string }[]>} the microphones
+ */
+export const listInputDevices = async () => {
+  const devices = await navigator.mediaDevices.enumerateDevices();
+
+  return devices
+    .filter(({ kind }) => kind === "audioinput")
+    .map(({ deviceId, label }, index) => ({
+      deviceId,
+      label: label || `Microphone ${index + 1}`,
+    }));
+};
+
+/**
+ * @function buildConstraints
+ *
+ * @description Builds the audio constraints requesting a microphone.
+ *
+ * @param {InputSettings} settings the input settings
+ * @param {boolean} useChosenDevice whether to require the chosen microphone
+ *
+ * @returns {MediaTrackConstraints} the audio constraints
+ */
+const buildConstraints = (
+  { deviceId, echoCancellation, noiseSuppression, autoGainControl },
+  useChosenDevice
+) => ({
+  ...(deviceId && useChosenDevice && { deviceId: { exact: deviceId } }),
+  echoCancellation,
+  noiseSuppression,
+  autoGainControl,
+});
+
+/**
+ * @typedef {Object} InputStream
+ *
+ * @property {MediaStream} stream the open audio stream
+ * @property {string} label the name of the microphone recording it
+ * @property {boolean} isFallback true when the chosen microphone is gone and
+ * the system default was opened instead
+ */
+
+/**
+ * @function openInputStream
+ *
+ * @description Opens the chosen microphone with the chosen processing. When
+ * the chosen microphone was unplugged, the system default is opened instead.
+ *
+ * @param {InputSettings} settings the input settings
+ *
+ * @returns {Promise<InputStream>} the open stream
+ */
+export const openInputStream = async (settings) => {
+  let stream;
+  let isFallback = false;
+
+  try {
+    stream = await navigator.mediaDevices.getUserMedia({
+      audio: buildConstraints(settings, true),
+    });
+  } catch (error) {
+    if (!settings.deviceId || error.name !== "OverconstrainedError") {
+      throw error;
+    }
+
+    stream = await navigator.mediaDevices.getUserMedia({
+      audio: buildConstraints(settings, false),
+    });
+    isFallback = true;
+  }
+
+  return {
+    stream,
+    label: stream.getAudioTracks()[0]?.label || "Default microphone",
+    isFallback,
+  };
+};
+
+/**
+ * @typedef {Object} InputStatus
+ *
+ * @property {string} state idle, testing, recording, paused or unavailable
+ * @property {string|null} label the name of the microphone in use
+ * @property {boolean} isClipping whether the input is currently clipping
+ */
+
+let inputStatus = { state: "idle", label: null, isClipping: false };
+const statusListeners = new Set();
+
+/**
+ * @function getInputStatus
+ *
+ * @description Reads the state of the microphone. The same object is returned
+ * until the state changes, so it can be used as a React snapshot.
+ *
+ * @returns {InputStatus} the state of the microphone
+ */
+export const getInputStatus = () => inputStatus;
+
+/**
+ * @function setInputStatus
+ *
+ * @description Updates the state of the microphone and notifies subscribers.
+ *
+ * @param {Partial<InputStatus>} changes the changed state
+ */
+export const setInputStatus = (changes) => {
+  const next = { ...inputStatus, ...changes };
+  if (Object.keys(next).every((key) => next[key] === inputStatus[key])) return;
+
+  inputStatus = next;
+  statusListeners.forEach((listener) => listener());
+};
+
+/**
+ * @function subscribeToInputStatus
+ *
+ * @description Calls a listener whenever the state of the microphone
+ * changes.
+ *
+ * @param {() => void} listener called after every change
+ *
+ * @returns {() => void} unsubscribes the listener
+ */
+export const subscribeToInputStatus = (listener) => {
+  statusListeners.add(listener);
+  return () => statusListeners.delete(listener);
+};
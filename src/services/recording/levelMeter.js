@@ -0,0 +1,72 @@
+/**
+ * @file levelMeter.js
+ *
+ * @description Measures the input level of an audio stream with the Web
+ * Audio API, for a live meter. The level is the loudness of the last frame
+ * and the peak its loudest sample, so a peak at full scale means the input
+ * clips and the microphone is too close or its gain too high.
+ *
+ * @exports CLIPPING_THRESHOLD
+ * @exports createLevelMeter
+ */
+
+/**
+ * The peak, as a fraction of full scale, from which the input is clipping.
+ */
+export const CLIPPING_THRESHOLD = 0.99;
+
+/**
+ * @typedef {Object} InputLevel
+ *
+ * @property {number} level the RMS loudness of the frame, from 0 to 1
+ * @property {number} peak the loudest sample of the frame, from 0 to 1
+ * @property {boolean} isClipping whether the frame reached full scale
+ */
+
+/**
+ * @function createLevelMeter
+ *
+ * @description Starts measuring a stream, reporting the level of every
+ * animation frame. The stream itself is left open when the meter stops.
+ *
+ * @param {MediaStream} stream the audio stream to measure
+ * @param {(level: InputLevel) => void} onLevel receives every measurement
+ *
+ * @returns {() => void} stops measuring
+ */
+export const createLevelMeter = (stream, onLevel) => {
+  const context = new AudioContext();
+  const source = context.createMediaStreamSource(stream);
+  const analyser = context.createAnalyser();
+  const samples = new Float32Array(2_048);
+  let frame = null;
+
+  analyser.fftSize = samples.length;
+  source.connect(analyser);
+
+  const measure = () => {
+    analyser.getFloatTimeDomainData(samples);
+
+    let sumOfSquares = 0;
+    let peak = 0;
+    for (const eachSample of samples) {
+      sumOfSquares += eachSample * eachSample;
+      peak = Math.max(peak, Math.abs(eachSample));
+    }
+
+    onLevel({
+      level: Math.sqrt(sumOfSquares / samples.length),
+      peak,
+      isClipping: peak >= CLIPPING_THRESHOLD,
+    });
+    frame = requestAnimationFrame(measure);
+  };
+
+  measure();
+
+  return () => {
+    cancelAnimationFrame(frame);
+    source.disconnect();
+    context.close().catch(() => {});
+  };
+};
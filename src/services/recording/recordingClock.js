@@ -0,0 +1,113 @@
+/**
+ * @file recordingClock.js
+ *
+ * @description Measures the length of a recording, which excludes the time it
+ * was paused, and records every pause as a marker of the session, along with
+ * the moments the clinician flags while recording. Marker times are in
+ * milliseconds of recorded audio, like the times of transcript words, so a
+ * marker lines up with the words around it.
+ *
+ * @exports createRecordingClock
+ */
+
+/**
+ * @typedef {Object} SessionMarker
+ *
+ * @property {string} id identifier of the marker
+ * @property {string} type the kind of marker, pause for a paused segment or
+ * one of the MARKER_TYPES flagged by the clinician
+ * @property {string} [label] the note of a flagged moment
+ * @property {number} time the time in the recording in milliseconds
+ * @property {string} at ISO timestamp of when it was added
+ * @property {number} [duration] how long the recording was paused in
+ * milliseconds
+ */
+
+/**
+ * @typedef {Object} RecordingClock
+ *
+ * @property {() => number} getElapsed the recorded time so far in
+ * milliseconds
+ * @property {() => boolean} isPaused whether the recording is paused
+ * @property {() => void} pause pauses the clock and starts a pause marker
+ * @property {() => void} resume resumes the clock and ends the pause marker
+ * @property {() => void} stop stops the clock, ending a pause in progress
+ * @property {(marker: { type: string, label?: string }) => SessionMarker}
+ * addMarker flags the current moment of the recording
+ * @property {() => SessionMarker[]} getMarkers the markers recorded so far
+ */
+
+/**
+ * @function createRecordingClock
+ *
+ * @description Starts the clock of a new recording.
+ *
+ * @param {() => number} [now] reads the current time in milliseconds
+ *
+ * @returns {RecordingClock} the clock
+ */
+export const createRecordingClock = (now = Date.now) => {
+  let elapsed = 0;
+  let runningSince = now();
+  let pausedSince = null;
+  let isStopped = false;
+  const markers = [];
+
+  const getElapsed = () =>
+    elapsed + (pausedSince === null && !isStopped ? now() - runningSince : 0);
+
+  const pause = () => {
+    if (pausedSince !== null || isStopped) return;
+
+    pausedSince = now();
+    elapsed += pausedSince - runningSince;
+    markers.push({
+      id: crypto.randomUUID(),
+      type: "pause",
+      time: elapsed,
+      at: new Date(pausedSince).toISOString(),
+      duration: 0,
+    });
+  };
+
+  const resume = () => {
+    if (pausedSince === null || isStopped) return;
+
+    runningSince = now();
+    markers.at(-1).duration = runningSince - pausedSince;
+    pausedSince = null;
+  };
+
+  const stop = () => {
+    if (isStopped) return;
+
+    if (pausedSince === null) elapsed += now() - runningSince;
+    else markers.at(-1).duration = now() - pausedSince;
+
+    pausedSince = null;
+    isStopped = true;
+  };
+
+  const addMarker = ({ type, label }) => {
+    const marker = {
+      id: crypto.randomUUID(),
+      type,
+      ...(label && { label }),
+      time: getElapsed(),
+      at: new Date(now()).toISOString(),
+    };
+
+    markers.push(marker);
+    return { ...marker };
+  };
+
+  return {
+    getElapsed,
+    isPaused: () => pausedSince !== null,
+    pause,
+    resume,
+    stop,
+    addMarker,
+    getMarkers: () => markers.map((eachMarker) => ({ ...eachMarker })),
+  };
+};
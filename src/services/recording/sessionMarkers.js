@@ -0,0 +1,80 @@
+/**
+ * @file sessionMarkers.js
+ *
+ * @description Describes the markers of a session: the moments the clinician
+ * flags while recording and the pauses of the recording. Markers are kept in
+ * milliseconds of recorded audio, so they are placed on the playback timeline
+ * and next to the transcript word closest to them.
+ *
+ * @requires services/transcription/transcriptTime
+ *
+ * @exports MARKER_TYPES
+ * @exports describeMarker
+ * @exports alignMarkers
+ */
+
+import {
+  findNearestWordIndex,
+  formatClockTime,
+} from "../transcription/transcriptTime";
+
+/**
+ * The moments a clinician flags while recording, each with the key that
+ * flags it.
+ */
+export const MARKER_TYPES = [
+  { id: "error", label: "Error", hotkey: "1" },
+  { id: "cue", label: "Cue given", hotkey: "2" },
+  { id: "correct", label: "Good production", hotkey: "3" },
+  { id: "note", label: "Note", hotkey: null },
+];
+
+/**
+ * @function describeMarker
+ *
+ * @description Describes a marker in a few words, such as Error: /r/.
+ *
+ * @param {SessionMarker} marker the marker
+ *
+ * @returns {string} the description of the marker
+ */
+export const describeMarker = ({ type, label, duration }) => {
+  if (type === "pause") return `Paused for ${formatClockTime(duration)}`;
+
+  const typeLabel =
+    MARKER_TYPES.find(({ id }) => id === type)?.label ?? "Marker";
+  if (type === "note") return label ?? typeLabel;
+
+  return label ? `${typeLabel}: ${label}` : typeLabel;
+};
+
+/**
+ * @function alignMarkers
+ *
+ * @description Places every marker next to the transcript word closest to
+ * it.
+ *
+ * @param {SessionMarker[]} markers the markers of the session
+ * @param {TranscriptWord[]} words the words of the transcript in order
+ *
+ * @returns {Map<number, SessionMarker[]>} maps the index of a word onto the
+ * markers closest to it, in order
+ */
+export const alignMarkers = (markers, words) => {
+  const markersByWord = new Map();
+
+  [...markers]
+    .sort((a, b) => a.time - b.time)
+    .forEach((eachMarker) => {
+      const position = findNearestWordIndex(words, eachMarker.time);
+      if (position === -1) return;
+
+      const wordIndex = words[position].index;
+      markersByWord.set(wordIndex, [
+        ...(markersByWord.get(wordIndex) ?? []),
+        eachMarker,
+      ]);
+    });
+
+  return markersByWord;
+};
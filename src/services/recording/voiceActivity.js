@@ -0,0 +1,214 @@
+/**
+ * @file voiceActivity.js
+ *
+ * @description Tells speech from silence in a recording. While recording, a
+ * detector measures the stream and reports when the session was silent for
+ * too long, so the recording can stop by itself. Once recorded, the silence
+ * before the first and after the last speech is trimmed, which leaves less
+ * audio to transcribe. A frame is speech when it is louder than a threshold
+ * in dBFS.
+ *
+ * Trimming decodes the whole recording at the rate it is transcribed at, so
+ * recordings too long to decode safely are left as they are.
+ *
+ * @requires services/recording/audioEncoding
+ *
+ * @exports SILENCE_THRESHOLD_DB
+ * @exports createSilenceDetector
+ * @exports findSpeechBounds
+ * @exports trimSilence
+ */
+
+import { decodeRecording, encodeWav, resample } from "./audioEncoding";
+
+/**
+ * The loudness in dBFS under which a frame is silent.
+ */
+export const SILENCE_THRESHOLD_DB = -50;
+
+const CHECK_INTERVAL = 250;
+const FRAME_SECONDS = 0.02;
+const TRIM_PADDING_SECONDS = 0.3;
+const MIN_TRIMMED_SECONDS = 1;
+const TRIMMED_SAMPLE_RATE = 16_000;
+const MAX_TRIMMED_SECONDS = 30 * 60;
+
+/**
+ * @function toDecibels
+ *
+ * @description Converts an RMS loudness into dBFS.
+ *
+ * @param {number} rms the RMS loudness, from 0 to 1
+ *
+ * @returns {number} the loudness in dBFS
+ */
+const toDecibels = (rms) => 20 * Math.log10(Math.max(rms, 1e-10));
+
+/**
+ * @function measureDecibels
+ *
+ * @description Measures the loudness of a run of samples.
+ *
+ * @param {Float32Array} samples the samples
+ * @param {number} [from] the first sample
+ * @param {number} [to] the sample after the last
+ *
+ * @returns {number} the loudness in dBFS
+ */
+const measureDecibels = (samples, from = 0, to = samples.length) => {
+  let sumOfSquares = 0;
+  for (let index = from; index < to; index += 1) {
+    sumOfSquares += samples[index] * samples[index];
+  }
+
+  return toDecibels(Math.sqrt(sumOfSquares / Math.max(1, to - from)));
+};
+
+/**
+ * @function createSilenceDetector
+ *
+ * @description Starts listening to a stream for silence. The silence is
+ * timed with the given clock, so the time a recording is paused is not
+ * counted. The stream itself is left open when the detector stops.
+ *
+ * @param {MediaStream} stream the audio stream to listen to
+ * @param {object} options configures the detector
+ * @param {() => number} options.getTime reads the time in milliseconds
+ * @param {number} options.silenceAfter how long the silence lasts before it
+ * is reported, in milliseconds
+ * @param {() => void} options.onSilence called once, when the silence lasted
+ * long enough
+ * @param {number} [options.threshold] the loudness in dBFS under which the
+ * stream is silent
+ *
+ * @returns {() => void} stops listening
+ */
+export const createSilenceDetector = (
+  stream,
+  { getTime, silenceAfter, onSilence, threshold = SILENCE_THRESHOLD_DB }
+) => {
+  const context = new AudioContext();
+  const source = context.createMediaStreamSource(stream);
+  const analyser = context.createAnalyser();
+  const samples = new Float32Array(2_048);
+  let lastSpeechAt = getTime();
+  let hasReported = false;
+
+  analyser.fftSize = samples.length;
+  source.connect(analyser);
+
+  const check = () => {
+    analyser.getFloatTimeDomainData(samples);
+    const time = getTime();
+
+    if (measureDecibels(samples) > threshold) {
+      lastSpeechAt = time;
+    } else if (!hasReported && time - lastSpeechAt >= silenceAfter) {
+      hasReported = true;
+      onSilence();
+    }
+  };
+
+  const interval = setInterval(check, CHECK_INTERVAL);
+
+  return () => {
+    clearInterval(interval);
+    source.disconnect();
+    context.close().catch(() => {});
+  };
+};
+
+/**
+ * @function findSpeechBounds
+ *
+ * @description Finds where speech starts and ends in decoded audio, with a
+ * little of the silence around it kept so no word is cut.
+ *
+ * @param {AudioBuffer} audioBuffer the decoded audio
+ * @param {number} [threshold] the loudness in dBFS under which a frame is
+ * silent
+ *
+ * @returns {{ start: number, end: number }|null} the bounds in seconds, null
+ * when the audio is silent throughout
+ */
+export const findSpeechBounds = (
+  audioBuffer,
+  threshold = SILENCE_THRESHOLD_DB
+) => {
+  const samples = audioBuffer.getChannelData(0);
+  const frameLength = Math.max(
+    1,
+    Math.round(audioBuffer.sampleRate * FRAME_SECONDS)
+  );
+  let first = -1;
+  let last = -1;
+
+  for (let from = 0; from < samples.length; from += frameLength) {
+    const to = Math.min(from + frameLength, samples.length);
+    if (measureDecibels(samples, from, to) <= threshold) continue;
+
+    if (first === -1) first = from;
+    last = to;
+  }
+
+  if (first === -1) return null;
+
+  return {
+    start: Math.max(0, first / audioBuffer.sampleRate - TRIM_PADDING_SECONDS),
+    end: Math.min(
+      audioBuffer.duration,
+      last / audioBuffer.sampleRate + TRIM_PADDING_SECONDS
+    ),
+  };
+};
+
+/**
+ * @typedef {Object} TrimmedRecording
+ *
+ * @property {Blob} blob the audio, a mono WAV file when it was trimmed
+ * @property {number} duration its length in seconds
+ * @property {SessionMarker[]} markers its markers, moved with the audio
+ * @property {number} start where it starts in the recording, in seconds
+ * @property {number} trimmed the seconds of silence removed
+ */
+
+/**
+ * @function trimSilence
+ *
+ * @description Removes the silence before the first and after the last
+ * speech of a recording. The markers are moved with the audio, and those in
+ * the removed silence are kept at its edges. A recording with less silence
+ * than a second, without any speech, or longer than half an hour, is left as
+ * it is.
+ *
+ * @param {object} recording the finished recording
+ * @param {Blob} recording.blob the recorded audio
+ * @param {number} recording.duration its length in seconds
+ * @param {SessionMarker[]} [recording.markers] the markers of the session
+ *
+ * @returns {Promise<TrimmedRecording>} the trimmed recording
+ */
+export const trimSilence = async ({ blob, duration, markers = [] }) => {
+  const untrimmed = { blob, duration, markers, start: 0, trimmed: 0 };
+  if (duration > MAX_TRIMMED_SECONDS) return untrimmed;
+
+  const decoded = await decodeRecording(blob, TRIMMED_SAMPLE_RATE);
+  const bounds = findSpeechBounds(decoded);
+  const trimmed = bounds ? decoded.duration - (bounds.end - bounds.start) : 0;
+
+  if (trimmed < MIN_TRIMMED_SECONDS) return untrimmed;
+
+  const start = bounds.start * 1000;
+  const length = (bounds.end - bounds.start) * 1000;
+
+  return {
+    blob: encodeWav(await resample(decoded, TRIMMED_SAMPLE_RATE, bounds)),
+    duration: Math.floor(length / 1000),
+    markers: markers.map((eachMarker) => ({
+      ...eachMarker,
+      time: Math.min(Math.max(eachMarker.time - start, 0), length),
+    })),
+    start: bounds.start,
+    trimmed,
+  };
+};
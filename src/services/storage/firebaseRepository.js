@@ -0,0 +1,407 @@
+/**
+ * @file firebaseRepository.js
+ *
+ * @description Persists the data of a signed in user in Firebase. Recordings
+ * are uploaded to Storage, while transcripts, edited documents and the
+ * metadata of every recording are kept in Firestore. Everything is stored
+ * under the user's own path, users/{uid}, which the security rules restrict
+ * to that user.
+ *
+ * Firestore documents are limited in size, so the words of a transcript are
+ * stored in chunks in a subcollection of the transcript.
+ *
+ * @requires firebase/firestore
+ * @requires firebase/storage
+ *
+ * @exports createUserRepository
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  orderBy,
+  query,
+  setDoc,
+  where,
+  writeBatch,
+} from "firebase/firestore";
+import { getDownloadURL, ref, uploadBytes } from "firebase/storage";
+
+const WORDS_PER_CHUNK = 2_000;
+
+/**
+ * @function chunkId
+ *
+ * @description Builds the identifier of a chunk of words, padded so the
+ * chunks sort in order.
+ *
+ * @param {number} index the position of the chunk
+ *
+ * @returns {string} the identifier of the chunk
+ */
+const chunkId = (index) => String(index).padStart(4, "0");
+
+/**
+ * @typedef {Object} RecordingRecord
+ *
+ * @property {string} id identifier of the recording
+ * @property {string} path the Storage path of the audio
+ * @property {string} fileName the name of the recording
+ * @property {string} contentType the MIME type of the audio
+ * @property {number} size the size of the audio in bytes
+ * @property {number} duration the length of the recording in seconds
+ * @property {SessionMarker[]} markers the markers of the session, such as
+ * its pauses
+ * @property {string|null} client the client the recording belongs to
+ * @property {string} [transcriptId] the transcript of the recording, once it
+ * is transcribed
+ * @property {string} createdAt ISO timestamp of when it was uploaded
+ */
+
+/**
+ * @typedef {Object} EditedDocument
+ *
+ * @property {string} id identifier of the document
+ * @property {string} title the title of the document
+ * @property {string} content the HTML content of the document
+ * @property {string|null} transcriptId the transcript the document was
+ * edited from
+ * @property {string} updatedAt ISO timestamp of the last save
+ */
+
+/**
+ * @typedef {Object} UserRepository
+ *
+ * @property {(recording: object) => Promise<RecordingRecord>} saveRecording
+ * @property {(id: string) => Promise<string>} getRecordingURL
+ * @property {(transcript: Transcript, details?: object) => Promise<string>}
+ * saveTranscript
+ * @property {(id: string) => Promise<string|null>} getTranscriptVersion
+ * @property {(id: string) => Promise<SavedTranscript|null>} loadTranscript
+ * @property {() => Promise<object[]>} listTranscripts
+ * @property {(document: object) => Promise<EditedDocument>} saveDocument
+ * @property {(id: string) => Promise<string|null>} getDocumentVersion
+ * @property {(id: string) => Promise<EditedDocument|null>} loadDocument
+ * @property {() => Promise<EditedDocument[]>} listDocuments
+ * @property {(clientId: string) => Promise<void>} detachClient
+ */
+
+/**
+ * @function createUserRepository
+ *
+ * @description Creates the repository of a signed in user.
+ *
+ * @param {object} services the Firebase services to store the data in
+ * @param {Firestore} services.db the Firestore instance
+ * @param {FirebaseStorage} services.storage the Storage instance
+ * @param {string} services.userId the uid of the signed in user
+ *
+ * @returns {UserRepository} the repository of the user
+ */
+export const createUserRepository = ({ db, storage, userId }) => {
+  const userCollection = (name) => collection(db, "users", userId, name);
+  const userDoc = (name, id) => doc(db, "users", userId, name, id);
+
+  /**
+   * @function saveRecording
+   *
+   * @description Uploads a recording and records its metadata.
+   *
+   * @param {object} recording the recording to save
+   * @param {string} recording.id identifier of the recording
+   * @param {Blob} recording.blob the recorded audio
+   * @param {string} [recording.fileName] the name of the recording
+   * @param {string|null} [recording.client] the client it belongs to
+   * @param {number} [recording.duration] its length in seconds
+   * @param {SessionMarker[]} [recording.markers] the markers of the session
+   *
+   * @returns {Promise<RecordingRecord>} the saved metadata
+   */
+  const saveRecording = async ({
+    id,
+    blob,
+    fileName = "Recording",
+    client = null,
+    duration = 0,
+    markers = [],
+  }) => {
+    const path = `users/${userId}/recordings/${id}`;
+    const contentType = blob.type || "application/octet-stream";
+
+    await uploadBytes(ref(storage, path), blob, { contentType });
+
+    const record = {
+      id,
+      path,
+      fileName,
+      contentType,
+      size: blob.size,
+      duration,
+      markers,
+      client,
+      createdAt: new Date().toISOString(),
+    };
+
+    await setDoc(userDoc("recordings", id), record, { merge: true });
+    return record;
+  };
+
+  /**
+   * @function getRecordingURL
+   *
+   * @description Finds the URL the audio of a recording is downloaded from.
+   *
+   * @param {string} id identifier of the recording
+   *
+   * @returns {Promise<string>} the download URL
+   */
+  const getRecordingURL = (id) =>
+    getDownloadURL(ref(storage, `users/${userId}/recordings/${id}`));
+
+  /**
+   * @function saveTranscript
+   *
+   * @description Saves a transcript with every correction, keeping the file
+   * name, client and recording of a previous save when they are not given.
+   * Linking a recording also records the transcript on the recording.
+   *
+   * @param {Transcript} transcript the transcript to save
+   * @param {object} [details] describes the recording
+   * @param {string} [details.fileName] the name of the transcribed audio file
+   * @param {string|null} [details.client] the client the recording belongs to
+   * @param {string|null} [details.recordingId] the recording transcribed
+   *
+   * @returns {Promise<string>} ISO timestamp of the save, the version of the
+   * saved transcript
+   */
+  const saveTranscript = async (
+    { words, ...transcript },
+    { fileName, client, recordingId } = {}
+  ) => {
+    const transcriptRef = userDoc("transcripts", transcript.id);
+    const previous = (await getDoc(transcriptRef)).data();
+    const chunks = Array.from(
+      { length: Math.ceil(words.length / WORDS_PER_CHUNK) },
+      (_, index) =>
+        words.slice(index * WORDS_PER_CHUNK, (index + 1) * WORDS_PER_CHUNK)
+    );
+
+    const savedAt = new Date().toISOString();
+    const batch = writeBatch(db);
+
+    batch.set(transcriptRef, {
+      id: transcript.id,
+      fileName: fileName ?? previous?.fileName ?? "Recording",
+      client: client ?? previous?.client ?? null,
+      recordingId: recordingId ?? previous?.recordingId ?? null,
+      savedAt,
+      wordChunks: chunks.length,
+      transcript,
+    });
+
+    chunks.forEach((eachChunk, index) =>
+      batch.set(doc(transcriptRef, "wordChunks", chunkId(index)), {
+        words: eachChunk,
+      })
+    );
+
+    for (
+      let index = chunks.length;
+      index < (previous?.wordChunks ?? 0);
+      index += 1
+    ) {
+      batch.delete(doc(transcriptRef, "wordChunks", chunkId(index)));
+    }
+
+    if (recordingId && recordingId !== previous?.recordingId) {
+      batch.set(
+        userDoc("recordings", recordingId),
+        { transcriptId: transcript.id },
+        { merge: true }
+      );
+    }
+
+    await batch.commit();
+    return savedAt;
+  };
+
+  /**
+   * @function getTranscriptVersion
+   *
+   * @description Reads when a transcript was last saved, without loading it.
+   *
+   * @param {string} id identifier of the transcript
+   *
+   * @returns {Promise<string|null>} ISO timestamp of the last save, null when
+   * it was never saved
+   */
+  const getTranscriptVersion = async (id) =>
+    (await getDoc(userDoc("transcripts", id))).data()?.savedAt ?? null;
+
+  /**
+   * @function loadTranscript
+   *
+   * @description Loads a saved transcript with its words.
+   *
+   * @param {string} id identifier of the transcript
+   *
+   * @returns {Promise<SavedTranscript|null>} the saved transcript, null when
+   * it was never saved
+   */
+  const loadTranscript = async (id) => {
+    const transcriptRef = userDoc("transcripts", id);
+    const snapshot = await getDoc(transcriptRef);
+    if (!snapshot.exists()) return null;
+
+    const { wordChunks, transcript, ...details } = snapshot.data();
+    const chunks = await getDocs(
+      query(collection(transcriptRef, "wordChunks"), orderBy("__name__"))
+    );
+
+    return {
+      ...details,
+      transcript: {
+        ...transcript,
+        words: chunks.docs.flatMap((eachChunk) => eachChunk.data().words),
+      },
+    };
+  };
+
+  /**
+   * @function listTranscripts
+   *
+   * @description Lists the saved transcripts without their words, the most
+   * recently saved first.
+   *
+   * @returns {Promise<object[]>} the file name, client, recording and save
+   * time of every transcript
+   */
+  const listTranscripts = async () => {
+    const snapshot = await getDocs(
+      query(userCollection("transcripts"), orderBy("savedAt", "desc"))
+    );
+
+    return snapshot.docs.map((eachDoc) => {
+      const { transcript, wordChunks, ...details } = eachDoc.data();
+      return details;
+    });
+  };
+
+  /**
+   * @function saveDocument
+   *
+   * @description Saves a document edited in the text editor.
+   *
+   * @param {object} document the document to save
+   * @param {string} [document.id] identifier of the document, a new one is
+   * created when left out
+   * @param {string} document.title the title of the document
+   * @param {string} document.content the HTML content of the document
+   * @param {string|null} [document.transcriptId] the transcript it was
+   * edited from
+   *
+   * @returns {Promise<EditedDocument>} the saved document
+   */
+  const saveDocument = async ({
+    id = crypto.randomUUID(),
+    title,
+    content,
+    transcriptId = null,
+  }) => {
+    const record = {
+      id,
+      title,
+      content,
+      transcriptId,
+      updatedAt: new Date().toISOString(),
+    };
+
+    await setDoc(userDoc("documents", id), record);
+    return record;
+  };
+
+  /**
+   * @function getDocumentVersion
+   *
+   * @description Reads when a document was last saved.
+   *
+   * @param {string} id identifier of the document
+   *
+   * @returns {Promise<string|null>} ISO timestamp of the last save, null when
+   * it was never saved
+   */
+  const getDocumentVersion = async (id) =>
+    (await getDoc(userDoc("documents", id))).data()?.updatedAt ?? null;
+
+  /**
+   * @function loadDocument
+   *
+   * @description Loads a document edited in the text editor.
+   *
+   * @param {string} id identifier of the document
+   *
+   * @returns {Promise<EditedDocument|null>} the document, null when it was
+   * never saved
+   */
+  const loadDocument = async (id) => {
+    const snapshot = await getDoc(userDoc("documents", id));
+    return snapshot.exists() ? snapshot.data() : null;
+  };
+
+  /**
+   * @function listDocuments
+   *
+   * @description Lists the edited documents, the most recently saved first.
+   *
+   * @returns {Promise<EditedDocument[]>} every edited document
+   */
+  const listDocuments = async () => {
+    const snapshot = await getDocs(
+      query(userCollection("documents"), orderBy("updatedAt", "desc"))
+    );
+
+    return snapshot.docs.map((eachDoc) => eachDoc.data());
+  };
+
+  /**
+   * @function detachClient
+   *
+   * @description Detaches the recordings and transcripts of a removed client
+   * from it, keeping them. Their save times are left as they are, so the
+   * change does not conflict with local copies.
+   *
+   * @param {string} clientId identifier of the removed client
+   */
+  const detachClient = async (clientId) => {
+    const snapshots = await Promise.all(
+      ["recordings", "transcripts"].map((name) =>
+        getDocs(query(userCollection(name), where("client", "==", clientId)))
+      )
+    );
+    const batch = writeBatch(db);
+
+    snapshots.forEach((eachSnapshot) =>
+      eachSnapshot.docs.forEach((eachDoc) =>
+        batch.update(eachDoc.ref, { client: null })
+      )
+    );
+
+    await batch.commit();
+  };
+
+  return {
+    saveRecording,
+    getRecordingURL,
+    saveTranscript,
+    getTranscriptVersion,
+    loadTranscript,
+    listTranscripts,
+    saveDocument,
+    getDocumentVersion,
+    loadDocument,
+    listDocuments,
+    detachClient,
+  };
+};
@@ -0,0 +1,230 @@
+/**
+ * @file indexedDB.js
+ *
+ * @description Provides object stores persisted in the browser's IndexedDB,
+ * which unlike localStorage holds audio and large transcripts and is
+ * available without a network. Every write notifies the subscribers of the
+ * store, including other tabs through a broadcast channel, so components
+ * rendering a store stay in sync.
+ *
+ * @exports STORES
+ * @exports getRecord
+ * @exports listRecords
+ * @exports putRecord
+ * @exports updateRecord
+ * @exports deleteRecord
+ * @exports subscribeToStore
+ */
+
+const DATABASE_NAME = "slpscribe";
+const DATABASE_VERSION = 3;
+
+export const STORES = {
+  recordings: "recordings",
+  transcripts: "transcripts",
+  documents: "documents",
+  syncQueue: "syncQueue",
+  unfinishedRecordings: "unfinishedRecordings",
+  recordingChunks: "recordingChunks",
+  clients: "clients",
+};
+
+const listeners = new Map();
+const channel =
+  typeof BroadcastChannel === "undefined"
+    ? null
+    : new BroadcastChannel(`${DATABASE_NAME}.stores`);
+
+let databasePromise = null;
+
+/**
+ * @function notify
+ *
+ * @description Calls every listener subscribed to a store.
+ *
+ * @param {string} store the name of the store that changed
+ */
+const notify = (store) => {
+  listeners.get(store)?.forEach((listener) => listener());
+};
+
+channel?.addEventListener("message", ({ data }) => notify(data));
+
+/**
+ * @function promisify
+ *
+ * @description Resolves with the result of an IndexedDB request.
+ *
+ * @param {IDBRequest} request the request
+ *
+ * @returns {Promise<any>} the result of the request
+ */
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * @function openDatabase
+ *
+ * @description Opens the database once, creating its stores on first use.
+ *
+ * @returns {Promise<IDBDatabase>} the open database
+ */
+const openDatabase = () => {
+  if (!databasePromise) {
+    const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+
+    request.onupgradeneeded = () => {
+      Object.values(STORES)
+        .filter((store) => !request.result.objectStoreNames.contains(store))
+        .forEach((store) =>
+          request.result.createObjectStore(store, { keyPath: "id" })
+        );
+    };
+
+    databasePromise = promisify(request).catch((error) => {
+      databasePromise = null;
+      throw error;
+    });
+  }
+
+  return databasePromise;
+};
+
+/**
+ * @function runRequest
+ *
+ * @description Runs a request against a store in its own transaction.
+ *
+ * @param {string} store the name of the store
+ * @param {IDBTransactionMode} mode readonly or readwrite
+ * @param {(objectStore: IDBObjectStore) => IDBRequest} request builds the
+ * request
+ *
+ * @returns {Promise<any>} the result of the request, once the transaction
+ * completed
+ */
+const runRequest = async (store, mode, request) => {
+  const database = await openDatabase();
+  const transaction = database.transaction(store, mode);
+  const result = promisify(request(transaction.objectStore(store)));
+
+  await new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+
+  return result;
+};
+
+/**
+ * @function getRecord
+ *
+ * @description Finds a record of a store by its identifier.
+ *
+ * @param {string} store the name of the store
+ * @param {string} id the identifier of the record
+ *
+ * @returns {Promise<object|undefined>} the record, if any
+ */
+export const getRecord = (store, id) =>
+  runRequest(store, "readonly", (objectStore) => objectStore.get(id));
+
+/**
+ * @function listRecords
+ *
+ * @description Reads every record of a store, or those whose identifier is
+ * in a range.
+ *
+ * @param {string} store the name of the store
+ * @param {IDBKeyRange} [range] the range of identifiers to read
+ *
+ * @returns {Promise<object[]>} the records, ordered by identifier
+ */
+export const listRecords = (store, range) =>
+  runRequest(store, "readonly", (objectStore) => objectStore.getAll(range));
+
+/**
+ * @function putRecord
+ *
+ * @description Inserts a record, or replaces the record with the same
+ * identifier.
+ *
+ * @param {string} store the name of the store
+ * @param {object} record the record, with an id
+ */
+export const putRecord = async (store, record) => {
+  await runRequest(store, "readwrite", (objectStore) =>
+    objectStore.put(record)
+  );
+  notify(store);
+  channel?.postMessage(store);
+};
+
+/**
+ * @function updateRecord
+ *
+ * @description Reads a record and writes its replacement in a single
+ * transaction, so no other write to the record happens in between. Nothing
+ * is written when the replacement is null.
+ *
+ * @param {string} store the name of the store
+ * @param {string} id the identifier of the record
+ * @param {(current: object|undefined) => object|null} update builds the
+ * record to write from the current one, if any
+ *
+ * @returns {Promise<object|null>} the written record
+ */
+export const updateRecord = async (store, id, update) => {
+  let record = null;
+
+  await runRequest(store, "readwrite", (objectStore) => {
+    const request = objectStore.get(id);
+
+    request.addEventListener("success", () => {
+      record = update(request.result) ?? null;
+      if (record) objectStore.put(record);
+    });
+
+    return request;
+  });
+  notify(store);
+  channel?.postMessage(store);
+
+  return record;
+};
+
+/**
+ * @function deleteRecord
+ *
+ * @description Removes a record from a store, or every record whose
+ * identifier is in a range.
+ *
+ * @param {string} store the name of the store
+ * @param {string|IDBKeyRange} id the identifier of the record, or a range
+ */
+export const deleteRecord = async (store, id) => {
+  await runRequest(store, "readwrite", (objectStore) => objectStore.delete(id));
+  notify(store);
+  channel?.postMessage(store);
+};
+
+/**
+ * @function subscribeToStore
+ *
+ * @description Calls a listener whenever a store changes.
+ *
+ * @param {string} store the name of the store
+ * @param {() => void} listener called after every change
+ *
+ * @returns {() => void} unsubscribes the listener
+ */
+export const subscribeToStore = (store, listener) => {
+  if (!listeners.has(store)) listeners.set(store, new Set());
+  listeners.get(store).add(listener);
+
+  return () => listeners.get(store).delete(listener);
+};
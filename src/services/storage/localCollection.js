@@ -0,0 +1,174 @@
+/**
+ * @file localCollection.js
+ *
+ * @description Provides small collections of records persisted in the
+ * browsers localStorage. Every write notifies the subscribers of the
+ * collection, including other tabs through the storage event, so components
+ * rendering a collection stay in sync.
+ *
+ * @exports readCollection
+ * @exports findItem
+ * @exports upsertItem
+ * @exports updateItem
+ * @exports removeItem
+ * @exports subscribeToCollection
+ */
+
+const STORAGE_PREFIX = "slpscribe";
+const EMPTY_COLLECTION = [];
+
+const cache = new Map();
+const listeners = new Map();
+
+/**
+ * @function storageKey
+ *
+ * @description Builds the localStorage key a collection is stored under.
+ *
+ * @param {string} name the name of the collection
+ *
+ * @returns {string} the namespaced storage key
+ */
+const storageKey = (name) => `${STORAGE_PREFIX}.${name}`;
+
+/**
+ * @function notify
+ *
+ * @description Invalidates the cached copy of a collection and calls every
+ * listener subscribed to it.
+ *
+ * @param {string} name the name of the collection that changed
+ */
+const notify = (name) => {
+  cache.delete(name);
+  listeners.get(name)?.forEach((listener) => listener());
+};
+
+/**
+ * @function readCollection
+ *
+ * @description Reads every record of a collection. The same array is returned
+ * until the collection changes, so it can be used as a React snapshot.
+ *
+ * @param {string} name the name of the collection
+ *
+ * @returns {object[]} the records of the collection
+ */
+export const readCollection = (name) => {
+  if (!cache.has(name)) {
+    try {
+      const stored = localStorage.getItem(storageKey(name));
+      cache.set(name, stored ? JSON.parse(stored) : EMPTY_COLLECTION);
+    } catch (error) {
+      cache.set(name, EMPTY_COLLECTION);
+    }
+  }
+
+  return cache.get(name);
+};
+
+/**
+ * @function writeCollection
+ *
+ * @description Replaces every record of a collection and notifies subscribers.
+ *
+ * @param {string} name the name of the collection
+ * @param {object[]} items the records to store
+ */
+const writeCollection = (name, items) => {
+  localStorage.setItem(storageKey(name), JSON.stringify(items));
+  notify(name);
+};
+
+/**
+ * @function findItem
+ *
+ * @description Finds a single record of a collection by its identifier.
+ *
+ * @param {string} name the name of the collection
+ * @param {string} id the identifier of the record
+ *
+ * @returns {object|undefined} the record, if it exists
+ */
+export const findItem = (name, id) =>
+  readCollection(name).find((eachItem) => eachItem.id === id);
+
+/**
+ * @function upsertItem
+ *
+ * @description Inserts a record, or replaces the record with the same
+ * identifier.
+ *
+ * @param {string} name the name of the collection
+ * @param {object} item the record to store, it must have an id
+ */
+export const upsertItem = (name, item) => {
+  const items = readCollection(name);
+  const exists = items.some(({ id }) => id === item.id);
+
+  writeCollection(
+    name,
+    exists
+      ? items.map((eachItem) => (eachItem.id === item.id ? item : eachItem))
+      : [...items, item]
+  );
+};
+
+/**
+ * @function updateItem
+ *
+ * @description Merges changes into an existing record. Does nothing if the
+ * record does not exist.
+ *
+ * @param {string} name the name of the collection
+ * @param {string} id the identifier of the record
+ * @param {object} changes the fields to update
+ */
+export const updateItem = (name, id, changes) => {
+  const item = findItem(name, id);
+
+  if (item) {
+    upsertItem(name, { ...item, ...changes });
+  }
+};
+
+/**
+ * @function removeItem
+ *
+ * @description Removes a record from a collection.
+ *
+ * @param {string} name the name of the collection
+ * @param {string} id the identifier of the record
+ */
+export const removeItem = (name, id) => {
+  writeCollection(
+    name,
+    readCollection(name).filter((eachItem) => eachItem.id !== id)
+  );
+};
+
+/**
+ * @function subscribeToCollection
+ *
+ * @description Calls the listener whenever the collection changes, in this tab
+ * or in another one.
+ *
+ * @param {string} name the name of the collection
+ * @param {() => void} listener called after every change
+ *
+ * @returns {() => void} unsubscribes the listener
+ */
+export const subscribeToCollection = (name, listener) => {
+  const handleStorage = (event) => {
+    if (event.key === storageKey(name)) notify(name);
+  };
+
+  if (!listeners.has(name)) listeners.set(name, new Set());
+  listeners.get(name).add(listener);
+  window.addEventListener("storage", handleStorage);
+
+  return () => {
+    listeners.get(name).delete(listener);
+    window.removeEventListener("storage", handleStorage);
+  };
+};
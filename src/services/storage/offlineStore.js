@@ -0,0 +1,405 @@
+/**
+ * @file offlineStore.js
+ *
+ * @description Keeps the recordings, transcripts and documents of a user in
+ * IndexedDB, so they are saved without a network, and queues the work that
+ * needs one: uploading to the user's account and submitting recordings for
+ * transcription. The queue is replayed by the sync queue once online.
+ *
+ * Every local copy remembers the remote version it was last synced with.
+ * When the remote copy changed since, on another device, the local copy is
+ * marked as conflicting instead of overwriting it.
+ *
+ * @requires indexedDB
+ *
+ * @exports SYNC_OPERATIONS
+ * @exports findOfflineRecord
+ * @exports storeRemoteCopy
+ * @exports saveRecordingOffline
+ * @exports saveTranscriptOffline
+ * @exports saveDocumentOffline
+ * @exports queueTranscription
+ * @exports detachClientOffline
+ * @exports markSynced
+ * @exports markConflict
+ */
+
+import {
+  STORES,
+  getRecord,
+  listRecords,
+  putRecord,
+  updateRecord,
+} from "./indexedDB";
+
+/**
+ * Maps every queued operation onto the store holding the item it syncs.
+ */
+export const SYNC_OPERATIONS = {
+  uploadRecording: STORES.recordings,
+  saveTranscript: STORES.transcripts,
+  saveDocument: STORES.documents,
+  submitTranscription: STORES.syncQueue,
+  detachClient: STORES.syncQueue,
+};
+
+/**
+ * @typedef {Object} OfflineRecord
+ *
+ * @property {string} id identifier of the item
+ * @property {string} userId the uid of the user the item belongs to
+ * @property {string} updatedAt ISO timestamp of the last local change
+ * @property {string|null} syncedAt ISO timestamp of the last sync
+ * @property {string|null} remoteVersion the save time of the remote copy the
+ * local copy is based on, null before the first sync
+ * @property {{ remoteVersion: string, detectedAt: string }|null} conflict set
+ * when the remote copy changed since the last sync
+ */
+
+/**
+ * @typedef {Object} SyncQueueEntry
+ *
+ * @property {string} id identifier of the entry, one per operation and item
+ * @property {string} kind the queued operation, a key of SYNC_OPERATIONS
+ * @property {string} itemId identifier of the synced item
+ * @property {string} userId the uid of the user the item belongs to
+ * @property {string} queuedAt ISO timestamp of when it was first queued
+ * @property {number} attempts the number of failed attempts
+ * @property {string|null} lastError the reason the last attempt failed
+ * @property {boolean} [conflict] whether the item waits for a conflict to be
+ * resolved
+ * @property {object} [details] what the operation needs beyond the item
+ */
+
+/**
+ * @function enqueue
+ *
+ * @description Queues an operation on an item. An operation already queued
+ * for the item is kept in its place, with its failures reset. The entry is
+ * read and written in one transaction, so a sync updating it meanwhile is not
+ * overwritten.
+ *
+ * @param {string} kind the operation, a key of SYNC_OPERATIONS
+ * @param {string} itemId identifier of the item
+ * @param {string} userId the uid of the user the item belongs to
+ * @param {object} [details] what the operation needs beyond the item
+ */
+const enqueue = async (kind, itemId, userId, details) => {
+  const id = `${kind}:${itemId}`;
+
+  await updateRecord(STORES.syncQueue, id, (queued) => ({
+    id,
+    kind,
+    itemId,
+    userId,
+    queuedAt: queued?.queuedAt ?? new Date().toISOString(),
+    attempts: 0,
+    lastError: null,
+    ...(details && { details }),
+  }));
+};
+
+/**
+ * @function saveLocally
+ *
+ * @description Saves the local copy of an item, keeping its sync state. The
+ * copy is read and written in one transaction, so a sync marking it as
+ * synced meanwhile is not overwritten.
+ *
+ * @param {string} store the store of the item
+ * @param {object} item the fields of the item, with an id
+ * @param {string} userId the uid of the user the item belongs to
+ * @param {(previous?: OfflineRecord) => object} [deriveFields] builds the
+ * fields that depend on the previous copy
+ *
+ * @returns {Promise<OfflineRecord>} the saved record
+ */
+const saveLocally = (store, item, userId, deriveFields = () => ({})) =>
+  updateRecord(store, item.id, (previous) => ({
+    syncedAt: null,
+    remoteVersion: null,
+    conflict: null,
+    ...previous,
+    ...item,
+    ...deriveFields(previous),
+    userId,
+    updatedAt: new Date().toISOString(),
+  }));
+
+/**
+ * @function findOfflineRecord
+ *
+ * @description Finds the local copy of an item.
+ *
+ * @param {string} store the store of the item
+ * @param {string} id identifier of the item
+ *
+ * @returns {Promise<OfflineRecord|undefined>} the local copy, if any
+ */
+export const findOfflineRecord = (store, id) => getRecord(store, id);
+
+/**
+ * @function storeRemoteCopy
+ *
+ * @description Keeps a copy of an item loaded from the user's account, so it
+ * is available offline and later changes are synced against its version.
+ *
+ * @param {string} store the store of the item
+ * @param {object} item the fields of the item, with an id
+ * @param {string} remoteVersion the save time of the loaded copy
+ * @param {string} userId the uid of the signed in user
+ */
+export const storeRemoteCopy = (store, item, remoteVersion, userId) =>
+  putRecord(store, {
+    ...item,
+    userId,
+    updatedAt: remoteVersion,
+    syncedAt: new Date().toISOString(),
+    remoteVersion,
+    conflict: null,
+  });
+
+/**
+ * @function saveRecordingOffline
+ *
+ * @description Saves a recording locally and queues its upload.
+ *
+ * @param {object} recording the recording to save
+ * @param {string} recording.id identifier of the recording
+ * @param {Blob} recording.blob the recorded audio
+ * @param {string} [recording.fileName] the name of the recording
+ * @param {string|null} [recording.client] the client it belongs to
+ * @param {number} [recording.duration] its length in seconds
+ * @param {SessionMarker[]} [recording.markers] the markers of the session
+ * @param {string} userId the uid of the signed in user
+ *
+ * @returns {Promise<OfflineRecord>} the saved recording
+ */
+export const saveRecordingOffline = async (
+  {
+    id,
+    blob,
+    fileName = "Recording",
+    client = null,
+    duration = 0,
+    markers = [],
+  },
+  userId
+) => {
+  const record = await saveLocally(
+    STORES.recordings,
+    {
+      id,
+      blob,
+      fileName,
+      client,
+      duration,
+      markers,
+      contentType: blob.type,
+      size: blob.size,
+    },
+    userId
+  );
+
+  await enqueue("uploadRecording", id, userId);
+  return record;
+};
+
+/**
+ * @function saveTranscriptOffline
+ *
+ * @description Saves a transcript locally and queues its upload, keeping the
+ * file name, client and recording of a previous save when they are not
+ * given.
+ *
+ * @param {Transcript} transcript the transcript to save
+ * @param {string} userId the uid of the signed in user
+ * @param {object} [details] describes the recording
+ * @param {string} [details.fileName] the name of the transcribed audio file
+ * @param {string|null} [details.client] the client the recording belongs to
+ * @param {string|null} [details.recordingId] the recording transcribed
+ */
+export const saveTranscriptOffline = async (
+  transcript,
+  userId,
+  { fileName, client, recordingId } = {}
+) => {
+  await saveLocally(
+    STORES.transcripts,
+    { id: transcript.id, transcript },
+    userId,
+    (previous) => ({
+      fileName: fileName ?? previous?.fileName ?? "Recording",
+      client: client ?? previous?.client ?? null,
+      recordingId: recordingId ?? previous?.recordingId ?? null,
+    })
+  );
+
+  await enqueue("saveTranscript", transcript.id, userId);
+};
+
+/**
+ * @function saveDocumentOffline
+ *
+ * @description Saves a document edited in the text editor locally and
+ * queues its upload.
+ *
+ * @param {object} document the document to save
+ * @param {string} [document.id] identifier of the document, a new one is
+ * created when left out
+ * @param {string} document.title the title of the document
+ * @param {string} document.content the HTML content of the document
+ * @param {string|null} [document.transcriptId] the transcript it was
+ * edited from
+ * @param {string} userId the uid of the signed in user
+ *
+ * @returns {Promise<OfflineRecord>} the saved document
+ */
+export const saveDocumentOffline = async (
+  { id = crypto.randomUUID(), title, content, transcriptId = null },
+  userId
+) => {
+  const record = await saveLocally(
+    STORES.documents,
+    { id, title, content, transcriptId },
+    userId
+  );
+
+  await enqueue("saveDocument", id, userId);
+  return record;
+};
+
+/**
+ * @function queueTranscription
+ *
+ * @description Queues a recording to be submitted for transcription once
+ * online. The audio is kept with the queued submission.
+ *
+ * @param {object} submission the submission
+ * @param {string} submission.id identifier of the submission
+ * @param {Blob} submission.blob the audio to transcribe
+ * @param {string} [submission.fileName] the name of the audio file
+ * @param {string|null} [submission.client] the client it belongs to
+ * @param {string|null} [submission.recordingId] the recording it was saved
+ * as, if any
+ * @param {string} [submission.provider] the name of the provider to use
+ * @param {object} [submission.options] the transcription options
+ * @param {string} userId the uid of the signed in user
+ */
+export const queueTranscription = (
+  {
+    id,
+    blob,
+    fileName = "Recording",
+    client = null,
+    recordingId = null,
+    provider,
+    options = {},
+  },
+  userId
+) =>
+  enqueue("submitTranscription", id, userId, {
+    blob,
+    fileName,
+    client,
+    recordingId,
+    provider,
+    options,
+  });
+
+/**
+ * @function detachClientOffline
+ *
+ * @description Detaches the recordings, transcripts, unfinished recordings
+ * and queued transcriptions of a removed client from it. For a signed in
+ * user the same change is queued for the copies in their account, while the
+ * local copies are not uploaded again, since only their client changed.
+ * Every copy is updated in its own transaction, so a save or sync running
+ * meanwhile is not overwritten.
+ *
+ * @param {object} client the removed client
+ * @param {string} client.id identifier of the client
+ * @param {string} client.name the name the queued change is listed under
+ * @param {string|null} userId the uid of the signed in user
+ */
+export const detachClientOffline = async ({ id, name }, userId) => {
+  const isAttached = (record) =>
+    record.userId === userId &&
+    (record.client ?? record.details?.client) === id;
+
+  await Promise.all(
+    [
+      STORES.recordings,
+      STORES.transcripts,
+      STORES.unfinishedRecordings,
+      STORES.syncQueue,
+    ].map(async (store) => {
+      const attached = (await listRecords(store)).filter(isAttached);
+
+      await Promise.all(
+        attached.map((eachRecord) =>
+          updateRecord(store, eachRecord.id, (current) => {
+            if (!current || !isAttached(current)) return null;
+
+            return current.details
+              ? { ...current, details: { ...current.details, client: null } }
+              : { ...current, client: null };
+          })
+        )
+      );
+    })
+  );
+
+  if (userId) await enqueue("detachClient", id, userId, { clientName: name });
+};
+
+/**
+ * @function markSynced
+ *
+ * @description Records that the local copy of an item was synced, unless it
+ * changed while it was being uploaded. The copy is read and written in one
+ * transaction, so a save landing meanwhile is not overwritten.
+ *
+ * @param {string} store the store of the item
+ * @param {OfflineRecord} synced the local copy that was uploaded
+ * @param {string|null} remoteVersion the save time of the uploaded copy
+ *
+ * @returns {Promise<boolean>} true if the item has no newer local changes
+ */
+export const markSynced = async (store, synced, remoteVersion) => {
+  let isUnchanged = true;
+
+  await updateRecord(store, synced.id, (current) => {
+    if (!current) return null;
+
+    isUnchanged = current.updatedAt === synced.updatedAt;
+    return {
+      ...current,
+      syncedAt: new Date().toISOString(),
+      remoteVersion,
+      conflict: null,
+    };
+  });
+
+  return isUnchanged;
+};
+
+/**
+ * @function markConflict
+ *
+ * @description Marks the local copy of an item as conflicting with a newer
+ * remote copy.
+ *
+ * @param {string} store the store of the item
+ * @param {string} id identifier of the item
+ * @param {string} remoteVersion the save time of the remote copy
+ */
+export const markConflict = (store, id, remoteVersion) =>
+  updateRecord(store, id, (current) =>
+    current
+      ? {
+          ...current,
+          conflict: { remoteVersion, detectedAt: new Date().toISOString() },
+        }
+      : null
+  );
@@ -0,0 +1,282 @@
+/**
+ * @file recordingAutosave.js
+ *
+ * @description Saves a recording to IndexedDB while it is being recorded, one
+ * chunk at a time, so a crashed or closed tab does not lose the session. A
+ * recording that was never finished is left in the store and can be
+ * recovered on the next visit.
+ *
+ * A recording in progress holds a web lock, so another tab does not offer to
+ * recover it while it is still being recorded.
+ *
+ * @requires indexedDB
+ *
+ * @exports AUTOSAVE_INTERVAL
+ * @exports createRecordingAutosave
+ * @exports listUnfinishedRecordings
+ * @exports recoverRecording
+ * @exports discardRecording
+ */
+
+import {
+  STORES,
+  getRecord,
+  listRecords,
+  putRecord,
+  deleteRecord,
+} from "./indexedDB";
+
+/**
+ * The length of every saved chunk in milliseconds, the most a crash can lose.
+ */
+export const AUTOSAVE_INTERVAL = 1_000;
+
+const heldLocks = new Map();
+
+/**
+ * @function lockName
+ *
+ * @description Builds the name of the web lock held while recording.
+ *
+ * @param {string} id identifier of the recording
+ *
+ * @returns {string} the name of the lock
+ */
+const lockName = (id) => `slpscribe.recording.${id}`;
+
+/**
+ * @function chunkRange
+ *
+ * @description Builds the range of identifiers of the chunks of a recording.
+ *
+ * @param {string} id identifier of the recording
+ *
+ * @returns {IDBKeyRange} the range of its chunks
+ */
+const chunkRange = (id) => IDBKeyRange.bound(`${id}:`, `${id}:\uffff`);
+
+/**
+ * @function holdLock
+ *
+ * @description Holds the lock of a recording until it is released.
+ *
+ * @param {string} id identifier of the recording
+ */
+const holdLock = (id) => {
+  navigator.locks?.request(
+    lockName(id),
+    () =>
+      new Promise((release) => {
+        heldLocks.set(id, release);
+      })
+  );
+};
+
+/**
+ * @function releaseLock
+ *
+ * @description Releases the lock of a recording held by this tab.
+ *
+ * @param {string} id identifier of the recording
+ */
+const releaseLock = (id) => {
+  heldLocks.get(id)?.();
+  heldLocks.delete(id);
+};
+
+/**
+ * @function isBeingRecorded
+ *
+ * @description Checks whether a recording is still being recorded, in this
+ * tab or another.
+ *
+ * @param {string} id identifier of the recording
+ *
+ * @returns {Promise<boolean>} true while the recording is in progress
+ */
+const isBeingRecorded = async (id) => {
+  if (heldLocks.has(id)) return true;
+  if (!navigator.locks) return false;
+
+  const { held } = await navigator.locks.query();
+  return held.some(({ name }) => name === lockName(id));
+};
+
+/**
+ * @function discardRecording
+ *
+ * @description Removes an unfinished recording and its saved chunks.
+ *
+ * @param {string} id identifier of the recording
+ */
+export const discardRecording = async (id) => {
+  await deleteRecord(STORES.recordingChunks, chunkRange(id));
+  await deleteRecord(STORES.unfinishedRecordings, id);
+};
+
+/**
+ * @typedef {Object} UnfinishedRecording
+ *
+ * @property {string} id identifier of the recording
+ * @property {string|null} userId the uid of the user who recorded it
+ * @property {string|null} client the client the recording is attached to
+ * @property {string} mimeType the MIME type of the recorded chunks
+ * @property {string} startedAt ISO timestamp of when recording started
+ * @property {number} duration the recorded length in seconds, as of the last
+ * save
+ * @property {SessionMarker[]} markers the markers of the session, as of the
+ * last save
+ */
+
+/**
+ * @typedef {Object} RecordingProgress
+ *
+ * @property {number} duration the recorded length in seconds
+ * @property {SessionMarker[]} markers the markers of the session
+ */
+
+/**
+ * @typedef {Object} RecordingAutosave
+ *
+ * @property {(blob: Blob, progress: RecordingProgress) => void} saveChunk
+ * saves the next chunk with the progress so far
+ * @property {(progress: RecordingProgress) => void} saveProgress saves the
+ * progress between chunks, such as a pause
+ * @property {() => Promise<void>} finish removes the saved chunks once the
+ * recording is safely stored elsewhere
+ * @property {() => Promise<void>} release stops recording into the saved
+ * chunks and keeps them, so the recording can be recovered
+ */
+
+/**
+ * @function createRecordingAutosave
+ *
+ * @description Starts saving a new recording. Chunks are written in the
+ * order they are saved, and finishing waits for the pending writes, so no
+ * chunk is left behind.
+ *
+ * @param {object} recording describes the recording
+ * @param {string} recording.id identifier of the recording
+ * @param {string|null} recording.userId the uid of the signed in user
+ * @param {string|null} recording.client the client it is attached to
+ * @param {string} recording.mimeType the MIME type of the recorder
+ *
+ * @returns {RecordingAutosave} the autosave of the recording
+ */
+export const createRecordingAutosave = ({ id, userId, client, mimeType }) => {
+  let sequence = 0;
+  let writes = putRecord(STORES.unfinishedRecordings, {
+    id,
+    userId,
+    client,
+    mimeType,
+    startedAt: new Date().toISOString(),
+    duration: 0,
+    markers: [],
+  });
+
+  holdLock(id);
+  navigator.storage?.persist?.().catch(() => {});
+
+  /**
+   * @function queueWrite
+   *
+   * @description Runs a write after the pending ones, logging failures so a
+   * full disk does not stop the recording.
+   *
+   * @param {() => Promise<void>} write the write to run
+   */
+  const queueWrite = (write) => {
+    writes = writes
+      .then(write)
+      .catch((error) => console.error("Failed to autosave recording:", error));
+  };
+
+  const writeProgress = async ({ duration, markers }) => {
+    const unfinished = await getRecord(STORES.unfinishedRecordings, id);
+    if (unfinished) {
+      await putRecord(STORES.unfinishedRecordings, {
+        ...unfinished,
+        duration,
+        markers,
+      });
+    }
+  };
+
+  const saveChunk = (blob, progress) => {
+    const index = sequence;
+    sequence += 1;
+
+    queueWrite(async () => {
+      await putRecord(STORES.recordingChunks, {
+        id: `${id}:${String(index).padStart(6, "0")}`,
+        recordingId: id,
+        blob,
+      });
+      await writeProgress(progress);
+    });
+  };
+
+  const saveProgress = (progress) => queueWrite(() => writeProgress(progress));
+
+  const release = async () => {
+    await writes;
+    releaseLock(id);
+  };
+
+  const finish = () => {
+    queueWrite(() => discardRecording(id));
+    return release();
+  };
+
+  return { saveChunk, saveProgress, finish, release };
+};
+
+/**
+ * @function listUnfinishedRecordings
+ *
+ * @description Lists the recordings of a user that were never finished and
+ * are not being recorded anymore, the most recent first.
+ *
+ * @param {string|null} userId the uid of the signed in user
+ *
+ * @returns {Promise<UnfinishedRecording[]>} the recoverable recordings
+ */
+export const listUnfinishedRecordings = async (userId) => {
+  const unfinished = (await listRecords(STORES.unfinishedRecordings)).filter(
+    (eachRecording) => eachRecording.userId === userId
+  );
+  const abandoned = [];
+
+  for (const eachRecording of unfinished) {
+    if (!(await isBeingRecorded(eachRecording.id))) {
+      abandoned.push(eachRecording);
+    }
+  }
+
+  return abandoned.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+};
+
+/**
+ * @function recoverRecording
+ *
+ * @description Rebuilds the audio of an unfinished recording from its saved
+ * chunks.
+ *
+ * @param {string} id identifier of the recording
+ *
+ * @returns {Promise<UnfinishedRecording & { blob: Blob }>} the recording with
+ * its audio
+ */
+export const recoverRecording = async (id) => {
+  const recording = await getRecord(STORES.unfinishedRecordings, id);
+  const chunks = await listRecords(STORES.recordingChunks, chunkRange(id));
+
+  return {
+    ...recording,
+    blob: new Blob(
+      chunks.map((eachChunk) => eachChunk.blob),
+      { type: recording.mimeType }
+    ),
+  };
+};
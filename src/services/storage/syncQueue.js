@@ -0,0 +1,369 @@
+/**
+ * @file syncQueue.js
+ *
+ * @description Replays the operations queued by the offline store against
+ * the user's account and the transcription service, in the order they were
+ * queued. An operation that fails stays queued and is retried on the next
+ * sync. A transcript or document whose remote copy changed since it was last
+ * synced is not uploaded, but left for the clinician to resolve.
+ *
+ * @requires indexedDB
+ * @requires offlineStore
+ * @requires services/transcription/runTranscriptionJob
+ * @requires services/transcription/pendingJobs
+ * @requires services/transcription/savedTranscripts
+ *
+ * @exports processSyncQueue
+ * @exports resolveConflict
+ */
+
+import {
+  STORES,
+  getRecord,
+  listRecords,
+  updateRecord,
+  deleteRecord,
+} from "./indexedDB";
+import { markSynced, markConflict } from "./offlineStore";
+import { submitTranscriptionJob } from "../transcription/runTranscriptionJob";
+import { savePendingJob } from "../transcription/pendingJobs";
+import { saveTranscript } from "../transcription/savedTranscripts";
+
+/**
+ * The sync running for every user. A sync requested while one runs for the
+ * same user is remembered, and the queue is replayed once more after it.
+ */
+const activeSyncs = new Map();
+
+/**
+ * @function completeEntry
+ *
+ * @description Records that an item was synced, and removes its queue entry
+ * unless the item changed while it was uploaded, in which case the entry
+ * stays queued for the newer copy and the queue is replayed once more.
+ *
+ * @param {SyncQueueEntry} entry the synced entry
+ * @param {string} store the store of the item
+ * @param {OfflineRecord} record the local copy that was uploaded
+ * @param {string|null} remoteVersion the save time of the uploaded copy
+ */
+const completeEntry = async (entry, store, record, remoteVersion) => {
+  if (await markSynced(store, record, remoteVersion)) {
+    await deleteRecord(STORES.syncQueue, entry.id);
+  } else {
+    const active = activeSyncs.get(entry.userId);
+    if (active) active.rerun = true;
+  }
+};
+
+/**
+ * @function flagConflict
+ *
+ * @description Flags a queue entry as waiting for a conflict to be resolved,
+ * so it is not retried until then.
+ *
+ * @param {SyncQueueEntry} entry the entry of the conflicting item
+ */
+const flagConflict = (entry) =>
+  updateRecord(STORES.syncQueue, entry.id, (current) =>
+    current && !current.conflict ? { ...current, conflict: true } : null
+  );
+
+/**
+ * @function syncVersioned
+ *
+ * @description Uploads a transcript or document, unless its remote copy
+ * changed since it was last synced.
+ *
+ * @param {SyncQueueEntry} entry the queued entry
+ * @param {string} store the store of the item
+ * @param {(id: string) => Promise<string|null>} getVersion reads the version
+ * of the remote copy
+ * @param {(record: OfflineRecord) => Promise<string>} upload uploads the
+ * local copy and resolves with its new version
+ *
+ * @returns {Promise<boolean>} false if the item conflicts
+ */
+const syncVersioned = async (entry, store, getVersion, upload) => {
+  const record = await getRecord(store, entry.itemId);
+
+  if (!record) {
+    await deleteRecord(STORES.syncQueue, entry.id);
+    return true;
+  }
+  if (record.conflict) {
+    await flagConflict(entry);
+    return false;
+  }
+
+  const remoteVersion = await getVersion(record.id);
+  if (remoteVersion && remoteVersion !== record.remoteVersion) {
+    await markConflict(store, record.id, remoteVersion);
+    await flagConflict(entry);
+    return false;
+  }
+
+  await completeEntry(entry, store, record, await upload(record));
+  return true;
+};
+
+/**
+ * Runs every kind of queued operation. Each resolves with false when the
+ * item conflicts and throws when the operation failed.
+ */
+const OPERATIONS = {
+  uploadRecording: async (entry, { repository }) => {
+    const record = await getRecord(STORES.recordings, entry.itemId);
+
+    if (!record) {
+      await deleteRecord(STORES.syncQueue, entry.id);
+      return true;
+    }
+
+    const { createdAt } = await repository.saveRecording(record);
+    await completeEntry(entry, STORES.recordings, record, createdAt);
+    return true;
+  },
+
+  saveTranscript: (entry, { repository }) =>
+    syncVersioned(
+      entry,
+      STORES.transcripts,
+      repository.getTranscriptVersion,
+      ({ transcript, fileName, client, recordingId }) =>
+        repository.saveTranscript(transcript, {
+          fileName,
+          client,
+          recordingId,
+        })
+    ),
+
+  saveDocument: (entry, { repository }) =>
+    syncVersioned(
+      entry,
+      STORES.documents,
+      repository.getDocumentVersion,
+      async (record) => (await repository.saveDocument(record)).updatedAt
+    ),
+
+  submitTranscription: async (entry, { createProvider }) => {
+    const {
+      blob,
+      fileName,
+      client,
+      recordingId,
+      provider: providerName,
+      options,
+    } = entry.details;
+    const provider = createProvider(providerName);
+    const transcriptId = await submitTranscriptionJob({
+      provider,
+      fileData: blob,
+      options,
+    });
+
+    savePendingJob({
+      id: transcriptId,
+      userId: entry.userId,
+      provider: provider.name,
+      fileName,
+      client,
+      recordingId,
+    });
+    await deleteRecord(STORES.syncQueue, entry.id);
+    return true;
+  },
+
+  detachClient: async (entry, { repository }) => {
+    await repository.detachClient(entry.itemId);
+    await deleteRecord(STORES.syncQueue, entry.id);
+    return true;
+  },
+};
+
+/**
+ * @typedef {Object} SyncSummary
+ *
+ * @property {number} synced the number of operations completed
+ * @property {number} failed the number of operations that failed
+ * @property {number} conflicts the number of items left to resolve
+ */
+
+/**
+ * @function runQueue
+ *
+ * @description Replays the queued operations of a user once.
+ *
+ * @param {object} sync the sync to run
+ * @param {string} sync.userId the uid of the signed in user
+ * @param {UserRepository} sync.repository the repository of the user
+ * @param {(name?: string) => TranscriptionProvider} sync.createProvider
+ * creates the provider a queued transcription is submitted to
+ *
+ * @returns {Promise<SyncSummary>} what the sync did
+ */
+const runQueue = async ({ userId, repository, createProvider }) => {
+  const summary = { synced: 0, failed: 0, conflicts: 0 };
+  const entries = (await listRecords(STORES.syncQueue))
+    .filter((eachEntry) => eachEntry.userId === userId)
+    .sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+
+  for (const eachEntry of entries) {
+    if (!navigator.onLine) break;
+
+    try {
+      const isSynced = await OPERATIONS[eachEntry.kind](eachEntry, {
+        repository,
+        createProvider,
+      });
+
+      if (isSynced) summary.synced += 1;
+      else summary.conflicts += 1;
+    } catch (error) {
+      summary.failed += 1;
+
+      await updateRecord(STORES.syncQueue, eachEntry.id, (current) =>
+        current
+          ? {
+              ...current,
+              attempts: current.attempts + 1,
+              lastError: error.message,
+            }
+          : null
+      );
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * @function processSyncQueue
+ *
+ * @description Replays the queued operations of a user. Only one sync runs at
+ * a time for every user. A sync requested while one runs joins it, and the
+ * queue is replayed once more after it, so operations queued meanwhile are
+ * not left behind.
+ *
+ * @param {object} sync the sync to run
+ * @param {string} sync.userId the uid of the signed in user
+ * @param {UserRepository} sync.repository the repository of the user
+ * @param {(name?: string) => TranscriptionProvider} sync.createProvider
+ * creates the provider a queued transcription is submitted to
+ *
+ * @returns {Promise<SyncSummary>} what the sync did
+ */
+export const processSyncQueue = (sync) => {
+  const active = activeSyncs.get(sync.userId);
+  if (active) {
+    active.sync = sync;
+    active.rerun = true;
+    return active.promise;
+  }
+
+  const state = { sync, rerun: false };
+
+  /**
+   * @function runUntilSettled
+   *
+   * @description Replays the queue until no further sync was requested.
+   * Operations retried in a later replay are only counted once.
+   *
+   * @returns {Promise<SyncSummary>} what the sync did
+   */
+  const runUntilSettled = async () => {
+    let summary = { synced: 0, failed: 0, conflicts: 0 };
+
+    do {
+      state.rerun = false;
+      const { synced, failed, conflicts } = await runQueue(state.sync);
+      summary = { synced: summary.synced + synced, failed, conflicts };
+    } while (state.rerun && navigator.onLine);
+
+    return summary;
+  };
+
+  state.promise = runUntilSettled().finally(() =>
+    activeSyncs.delete(sync.userId)
+  );
+  activeSyncs.set(sync.userId, state);
+
+  return state.promise;
+};
+
+/**
+ * @function resolveConflict
+ *
+ * @description Resolves a conflicting transcript or document, either by
+ * keeping the local copy, which then replaces the remote copy on the next
+ * sync, or by replacing the local copy with the remote one. The local copy
+ * is updated in one transaction, so a save made while the conflict was
+ * shown is kept with the local copy.
+ *
+ * @param {object} conflict the conflict to resolve
+ * @param {string} conflict.store the store of the item
+ * @param {string} conflict.id identifier of the item
+ * @param {string} conflict.keep local or remote
+ * @param {UserRepository} conflict.repository the repository of the user
+ */
+export const resolveConflict = async ({ store, id, keep, repository }) => {
+  const record = await getRecord(store, id);
+  if (!record?.conflict) return;
+
+  const kind = store === STORES.transcripts ? "saveTranscript" : "saveDocument";
+  const entryId = `${kind}:${id}`;
+
+  if (keep === "local") {
+    await updateRecord(store, id, (current) =>
+      current?.conflict
+        ? {
+            ...current,
+            remoteVersion: current.conflict.remoteVersion,
+            conflict: null,
+          }
+        : null
+    );
+    await updateRecord(STORES.syncQueue, entryId, (entry) =>
+      entry ? { ...entry, attempts: 0, conflict: false } : null
+    );
+    return;
+  }
+
+  /**
+   * @function replaceWithRemote
+   *
+   * @description Replaces the local copy with the loaded remote copy.
+   *
+   * @param {object} remote the fields of the remote copy
+   * @param {string} remoteVersion the save time of the remote copy
+   */
+  const replaceWithRemote = (remote, remoteVersion) =>
+    updateRecord(store, id, (current) => ({
+      ...(current ?? record),
+      ...remote,
+      remoteVersion,
+      syncedAt: new Date().toISOString(),
+      conflict: null,
+    }));
+
+  if (store === STORES.transcripts) {
+    const { savedAt, ...remote } = await repository.loadTranscript(id);
+
+    await replaceWithRemote(remote, savedAt);
+    saveTranscript(
+      remote.transcript,
+      {
+        fileName: remote.fileName,
+        client: remote.client,
+        recordingId: remote.recordingId,
+      },
+      record.userId
+    );
+  } else {
+    const { updatedAt, ...remote } = await repository.loadDocument(id);
+
+    await replaceWithRemote(remote, updatedAt);
+  }
+
+  await deleteRecord(STORES.syncQueue, entryId);
+};
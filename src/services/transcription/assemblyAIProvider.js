@@ -0,0 +1,162 @@
+/**
+ * @file assemblyAIProvider.js
+ *
+ * @description Implements the transcription provider interface on top of the
+ * AssemblyAI v2 REST API. Any service that speaks the same `/upload`,
+ * `/transcript` and `/transcript/:id` protocol can reuse this provider by
+ * passing a different base URL.
+ *
+ * @requires axios
+ * @requires normalizeTranscript
+ *
+ * @exports createAssemblyAIProvider
+ */
+
+import axios from "axios";
+import { normalizeAssemblyAITranscript } from "./normalizeTranscript";
+
+export const ASSEMBLY_AI_BASE_URL = "https://api.assemblyai.com/v2";
+
+/**
+ * @function toModelSelection
+ *
+ * @description Maps the provider independent transcription options onto the
+ * request body AssemblyAI expects.
+ *
+ * @param {string} audioUrl the URL of the uploaded audio file
+ * @param {object} options the provider independent transcription options
+ *
+ * @returns {object} representing the body of a `/transcript` request
+ */
+const toModelSelection = (audioUrl, options) => {
+  const modelSelection = {
+    audio_url: audioUrl,
+    auto_chapters: options.autoChapters ?? true,
+    speaker_labels: options.speakerLabels ?? true,
+    sentiment_analysis: options.sentimentAnalysis ?? true,
+    entity_detection: options.entityDetection ?? true,
+    disfluencies: options.disfluencies ?? true,
+  };
+
+  if (options.speakersExpected) {
+    modelSelection.speakers_expected = options.speakersExpected;
+  }
+
+  return modelSelection;
+};
+
+/**
+ * @function createAssemblyAIProvider
+ *
+ * @description Creates a transcription provider that talks to AssemblyAI, or to
+ * any server implementing the same protocol.
+ *
+ * @param {object} config the provider configuration
+ * @param {string} [config.apiToken] the AssemblyAI authorization token
+ * @param {string} [config.baseURL] the root URL of the transcription API
+ * @param {string} [config.name] the name the provider reports itself as
+ *
+ * @returns {TranscriptionProvider} representing the AssemblyAI provider
+ */
+export const createAssemblyAIProvider = ({
+  apiToken,
+  baseURL = ASSEMBLY_AI_BASE_URL,
+  name = "assemblyai",
+} = {}) => {
+  const client = axios.create({
+    baseURL,
+    headers: apiToken ? { Authorization: apiToken } : {},
+  });
+
+  /**
+   * @function upload
+   *
+   * @description Uploads the audio file to the transcription service.
+   *
+   * @param {Blob} fileData the audio file to upload
+   * @param {object} [requestOptions] options forwarded to the request
+   * @param {AbortSignal} [requestOptions.signal] aborts the request
+   *
+   * @returns {Promise<string>} the URL the uploaded audio can be read from
+   */
+  const upload = async (fileData, { signal } = {}) => {
+    const response = await client.post("/upload", fileData, {
+      headers: { "Content-Type": "application/octet-stream" },
+      signal,
+    });
+
+    return response.data.upload_url;
+  };
+
+  /**
+   * @function submit
+   *
+   * @description Submits an uploaded audio file for transcription.
+   *
+   * @param {string} audioUrl the URL returned by upload
+   * @param {object} [options] the provider independent transcription options
+   * @param {object} [requestOptions] options forwarded to the request
+   * @param {AbortSignal} [requestOptions.signal] aborts the request
+   *
+   * @returns {Promise<string>} the identifier of the transcription job
+   */
+  const submit = async (audioUrl, options = {}, { signal } = {}) => {
+    const response = await client.post(
+      "/transcript",
+      toModelSelection(audioUrl, options),
+      { signal }
+    );
+
+    return response.data.id;
+  };
+
+  /**
+   * @function poll
+   *
+   * @description Requests the current state of a transcription job.
+   *
+   * @param {string} transcriptId the identifier of the transcription job
+   * @param {object} [requestOptions] options forwarded to the request
+   * @param {AbortSignal} [requestOptions.signal] aborts the request
+   *
+   * @returns {Promise<TranscriptionJobState>} the state of the job
+   */
+  const poll = async (transcriptId, { signal } = {}) => {
+    const response = await client.get(`/transcript/${transcriptId}`, {
+      signal,
+    });
+    const { status, error } = response.data;
+
+    return {
+      status,
+      error: error ?? null,
+      transcript:
+        status === "completed"
+          ? normalizeAssemblyAITranscript(response.data)
+          : null,
+    };
+  };
+
+  /**
+   * @function cancel
+   *
+   * @description Deletes a transcription job so it is no longer processed or
+   * stored by the service.
+   *
+   * @param {string} transcriptId the identifier of the transcription job
+   *
+   * @returns {Promise<void>} resolves once the job was deleted
+   */
+  const cancel = async (transcriptId) => {
+    await client.delete(`/transcript/${transcriptId}`);
+  };
+
+  return {
+    name,
+    upload,
+    submit,
+    poll,
+    cancel,
+    normalize: normalizeAssemblyAITranscript,
+  };
+};
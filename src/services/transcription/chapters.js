@@ -0,0 +1,54 @@
+/**
+ * @file chapters.js
+ *
+ * @description Helpers that relate the chapters of a normalized transcript to
+ * playback time and to the utterances they contain.
+ *
+ * @exports findChapterIndexAtTime
+ * @exports groupByChapter
+ */
+
+/**
+ * @function findChapterIndexAtTime
+ *
+ * @description Finds the chapter playing at a point in time.
+ *
+ * @param {TranscriptChapter[]} chapters the chapters of the transcript
+ * @param {number} time the playback time in milliseconds
+ *
+ * @returns {number} the index of the chapter, or -1 outside every chapter
+ */
+export const findChapterIndexAtTime = (chapters, time) =>
+  chapters.findIndex(({ start, end }) => start <= time && time < end);
+
+/**
+ * @function groupByChapter
+ *
+ * @description Groups timed items, such as utterances or sentences, under the
+ * chapter they start in. Items before the first chapter are grouped under a
+ * null chapter.
+ *
+ * @param {{ start: number }[]} items the timed items in playback order
+ * @param {TranscriptChapter[]} chapters the chapters of the transcript
+ *
+ * @returns {{ chapter: TranscriptChapter|null, items: object[] }[]} the
+ * non-empty groups in playback order
+ */
+export const groupByChapter = (items, chapters) => {
+  const ordered = [...chapters].sort(
+    (first, second) => first.start - second.start
+  );
+  const groups = [];
+
+  items.forEach((eachItem) => {
+    const chapter =
+      ordered.filter(({ start }) => start <= eachItem.start).at(-1) ?? null;
+
+    if (!groups.length || groups.at(-1).chapter !== chapter) {
+      groups.push({ chapter, items: [] });
+    }
+    groups.at(-1).items.push(eachItem);
+  });
+
+  return groups;
+};
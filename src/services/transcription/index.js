@@ -0,0 +1,79 @@
+/**
+ * @file index.js
+ *
+ * @description Entry point of the transcription provider layer. Every
+ * provider exposes the same interface so the application can swap vendors, or
+ * run against a local stand-in, without changing the components that consume
+ * transcripts.
+ *
+ * @requires assemblyAIProvider
+ * @requires localProvider
+ *
+ * @exports createTranscriptionProvider
+ */
+
+import { createAssemblyAIProvider } from "./assemblyAIProvider";
+import { createLocalProvider } from "./localProvider";
+
+/**
+ * @typedef {Object} TranscriptionJobState
+ *
+ * @property {string} status one of queued, processing, completed or error
+ * @property {string|null} error the message reported by the service on error
+ * @property {Transcript|null} transcript the normalized transcript once completed
+ */
+
+/**
+ * @typedef {Object} TranscriptionProvider
+ *
+ * @property {string} name the name of the provider
+ * @property {(fileData: Blob, requestOptions?: object) => Promise<string>} upload
+ * uploads an audio file and resolves with its URL
+ * @property {(audioUrl: string, options?: object, requestOptions?: object) => Promise<string>} submit
+ * submits an uploaded file and resolves with the job identifier
+ * @property {(transcriptId: string, requestOptions?: object) => Promise<TranscriptionJobState>} poll
+ * resolves with the current state of a job
+ * @property {(transcriptId: string) => Promise<void>} cancel
+ * stops a job from being processed
+ * @property {(response: object) => Transcript} normalize
+ * converts a raw service response into the normalized transcript model
+ */
+
+const PROVIDERS = {
+  assemblyai: ({ apiToken }) => createAssemblyAIProvider({ apiToken }),
+  local: () =>
+    createLocalProvider({
+      baseURL: import.meta.env.VITE_TRANSCRIPTION_LOCAL_URL || undefined,
+    }),
+};
+
+/**
+ * @function createTranscriptionProvider
+ *
+ * @description Creates the transcription provider selected by the
+ * `VITE_TRANSCRIPTION_PROVIDER` environment variable, defaulting to AssemblyAI.
+ *
+ * @param {object} config the provider configuration
+ * @param {string} [config.apiToken] the authorization token of the service
+ * @param {string} [config.provider] overrides the configured provider name
+ *
+ * @returns {TranscriptionProvider} representing the selected provider
+ */
+export const createTranscriptionProvider = ({
+  apiToken,
+  provider = import.meta.env.VITE_TRANSCRIPTION_PROVIDER || "assemblyai",
+} = {}) => {
+  const createProvider = PROVIDERS[provider];
+
+  if (!createProvider) {
+    throw new Error(`Unknown transcription provider: ${provider}`);
+  }
+
+  return createProvider({ apiToken });
+};
+
+export {
+  runTranscriptionJob,
+  pollTranscriptionJob,
+  isAbortError,
+} from "./runTranscriptionJob";
@@ -0,0 +1,30 @@
+/**
+ * @file localProvider.js
+ *
+ * @description Implements the transcription provider interface against a
+ * local HTTP stand-in for the transcription service. The stand-in speaks the
+ * AssemblyAI protocol without authorization, which allows the transcript UI to
+ * be developed and tested fully offline.
+ *
+ * @requires assemblyAIProvider
+ *
+ * @exports createLocalProvider
+ */
+
+import { createAssemblyAIProvider } from "./assemblyAIProvider";
+
+export const LOCAL_BASE_URL = "http://localhost:5050/v2";
+
+/**
+ * @function createLocalProvider
+ *
+ * @description Creates a transcription provider that talks to the local
+ * stand-in server.
+ *
+ * @param {object} config the provider configuration
+ * @param {string} [config.baseURL] the root URL of the local server
+ *
+ * @returns {TranscriptionProvider} representing the local provider
+ */
+export const createLocalProvider = ({ baseURL = LOCAL_BASE_URL } = {}) =>
+  createAssemblyAIProvider({ baseURL, name: "local" });
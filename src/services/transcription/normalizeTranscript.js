@@ -0,0 +1,172 @@
+/**
+ * @file normalizeTranscript.js
+ *
+ * @description Responsible for converting the raw responses returned by a
+ * transcription service into the normalized transcript model that the rest of
+ * the application renders, edits and exports. All times are in milliseconds.
+ *
+ * @exports normalizeAssemblyAITranscript
+ * @exports createEmptyTranscript
+ */
+
+/**
+ * @typedef {Object} TranscriptWord
+ *
+ * @property {number} index position of the word in the transcript
+ * @property {string} text the word as it was transcribed
+ * @property {number} start start time of the word in milliseconds
+ * @property {number} end end time of the word in milliseconds
+ * @property {number} confidence confidence score between 0 and 1
+ * @property {string} speaker identifier of the speaker who said the word
+ * @property {number} utterance index of the utterance containing the word
+ * @property {WordPhonetic} [phonetic] the phonetic forms of the word, once the
+ * phonetic tier was added
+ */
+
+/**
+ * @typedef {Object} WordPhonetic
+ *
+ * @property {string|null} target the expected pronunciation in IPA
+ * @property {string|null} produced the pronunciation the speaker actually
+ * produced in IPA, null when it matches the target
+ */
+
+/**
+ * @typedef {Object} TranscriptUtterance
+ *
+ * @property {number} index position of the utterance in the transcript
+ * @property {string} speaker identifier of the speaker
+ * @property {string} text the text of the utterance
+ * @property {number} start start time of the utterance in milliseconds
+ * @property {number} end end time of the utterance in milliseconds
+ * @property {number} firstWord index of the first word of the utterance
+ * @property {number} lastWord index one past the last word of the utterance
+ */
+
+/**
+ * @typedef {Object} TranscriptSpeaker
+ *
+ * @property {string} id identifier the transcription service assigned
+ * @property {string} label the display name of the speaker
+ * @property {string|null} role the role the clinician assigned to the speaker
+ */
+
+/**
+ * @typedef {Object} TranscriptChapter
+ *
+ * @property {number} index position of the chapter in the transcript
+ * @property {string} headline single sentence summary of the chapter
+ * @property {string} gist few word summary of the chapter
+ * @property {string} summary paragraph summary of the chapter
+ * @property {number} start start time of the chapter in milliseconds
+ * @property {number} end end time of the chapter in milliseconds
+ */
+
+/**
+ * @typedef {Object} Transcript
+ *
+ * @property {string} id identifier of the transcription job
+ * @property {string} text the full text of the transcript
+ * @property {number} duration length of the audio in milliseconds
+ * @property {TranscriptSpeaker[]} speakers every speaker in the transcript
+ * @property {TranscriptUtterance[]} utterances every utterance in order
+ * @property {TranscriptWord[]} words every word in order
+ * @property {TranscriptChapter[]} chapters the auto generated chapters
+ */
+
+/**
+ * @function createEmptyTranscript
+ *
+ * @description Creates a transcript that contains no content, used as the
+ * starting point when normalizing a response.
+ *
+ * @param {string} id identifier of the transcription job
+ *
+ * @returns {Transcript} representing an empty transcript
+ */
+export const createEmptyTranscript = (id) => ({
+  id,
+  text: "",
+  duration: 0,
+  speakers: [],
+  utterances: [],
+  words: [],
+  chapters: [],
+});
+
+/**
+ * @function normalizeAssemblyAITranscript
+ *
+ * @description Converts a completed AssemblyAI transcript response into the
+ * normalized transcript model. When speaker labels were not requested the
+ * response contains no utterances, so every word is attributed to a single
+ * speaker.
+ *
+ * @param {object} response the body of a completed `/transcript/:id` request
+ *
+ * @returns {Transcript} representing the normalized transcript
+ */
+export const normalizeAssemblyAITranscript = (response) => {
+  const transcript = createEmptyTranscript(response.id);
+  const rawUtterances = response.utterances?.length
+    ? response.utterances
+    : [
+        {
+          speaker: "A",
+          text: response.text ?? "",
+          start: response.words?.[0]?.start ?? 0,
+          end: response.words?.at(-1)?.end ?? 0,
+          words: response.words ?? [],
+        },
+      ];
+
+  rawUtterances.forEach((eachUtterance, utteranceIndex) => {
+    const firstWord = transcript.words.length;
+
+    eachUtterance.words.forEach((eachWord) => {
+      transcript.words.push({
+        index: transcript.words.length,
+        text: eachWord.text,
+        start: eachWord.start,
+        end: eachWord.end,
+        confidence: eachWord.confidence ?? 1,
+        speaker: eachUtterance.speaker,
+        utterance: utteranceIndex,
+      });
+    });
+
+    transcript.utterances.push({
+      index: utteranceIndex,
+      speaker: eachUtterance.speaker,
+      text: eachUtterance.text,
+      start: eachUtterance.start,
+      end: eachUtterance.end,
+      firstWord,
+      lastWord: transcript.words.length,
+    });
+
+    if (!transcript.speakers.some(({ id }) => id === eachUtterance.speaker)) {
+      transcript.speakers.push({
+        id: eachUtterance.speaker,
+        label: `Speaker ${eachUtterance.speaker}`,
+        role: null,
+      });
+    }
+  });
+
+  transcript.chapters = (response.chapters ?? []).map(
+    (eachChapter, chapterIndex) => ({
+      index: chapterIndex,
+      headline: eachChapter.headline,
+      gist: eachChapter.gist,
+      summary: eachChapter.summary,
+      start: eachChapter.start,
+      end: eachChapter.end,
+    })
+  );
+
+  transcript.text = response.text ?? "";
+  transcript.duration = Math.round((response.audio_duration ?? 0) * 1_000);
+
+  return transcript;
+};
@@ -0,0 +1,154 @@
+/**
+ * @file pendingJobs.js
+ *
+ * @description Persists the transcription jobs that were submitted from this
+ * browser, so a job survives a page reload and its result can be opened later.
+ * Every job records the user who submitted it, and is only listed for them.
+ * Also tracks which jobs are being polled by this page, so a job is never
+ * polled twice.
+ *
+ * @requires services/storage/localCollection
+ *
+ * @exports PENDING_JOBS_COLLECTION
+ * @exports listPendingJobs
+ * @exports savePendingJob
+ * @exports updatePendingJob
+ * @exports removePendingJob
+ * @exports claimPendingJob
+ * @exports releasePendingJob
+ * @exports isPendingJobClaimed
+ */
+
+import {
+  readCollection,
+  upsertItem,
+  updateItem,
+  removeItem,
+} from "../storage/localCollection";
+
+export const PENDING_JOBS_COLLECTION = "transcriptionJobs";
+
+const claimedJobs = new Set();
+
+/**
+ * @typedef {Object} PendingJob
+ *
+ * @property {string} id the identifier the provider assigned to the job
+ * @property {string|null} userId the uid of the user who submitted the job,
+ * null when no one was signed in
+ * @property {string} provider the name of the provider running the job
+ * @property {string} fileName the name of the transcribed audio file
+ * @property {string|null} client the client the recording belongs to
+ * @property {string|null} recordingId the recording saved to the user's
+ * account, if any
+ * @property {string} submittedAt ISO timestamp of when the job was submitted
+ * @property {string} status one of processing, completed or error
+ * @property {string|null} error the reason the job failed
+ */
+
+/**
+ * @function listPendingJobs
+ *
+ * @description Lists the jobs a user submitted.
+ *
+ * @param {string|null} userId the uid of the signed in user
+ * @param {PendingJob[]} [jobs] the jobs to pick from, all persisted jobs by
+ * default
+ *
+ * @returns {PendingJob[]} the jobs of the user
+ */
+export const listPendingJobs = (
+  userId,
+  jobs = readCollection(PENDING_JOBS_COLLECTION)
+) => jobs.filter((eachJob) => eachJob.userId === userId);
+
+/**
+ * @function savePendingJob
+ *
+ * @description Records a newly submitted job as processing.
+ *
+ * @param {object} job the job that was submitted
+ * @param {string} job.id the identifier the provider assigned to the job
+ * @param {string|null} job.userId the uid of the signed in user
+ * @param {string} job.provider the name of the provider running the job
+ * @param {string} job.fileName the name of the transcribed audio file
+ * @param {string|null} [job.client] the client the recording belongs to
+ * @param {string|null} [job.recordingId] the recording saved to the user's
+ * account, if any
+ */
+export const savePendingJob = ({
+  id,
+  userId,
+  provider,
+  fileName,
+  client = null,
+  recordingId = null,
+}) => {
+  upsertItem(PENDING_JOBS_COLLECTION, {
+    id,
+    userId,
+    provider,
+    fileName,
+    client,
+    recordingId,
+    submittedAt: new Date().toISOString(),
+    status: "processing",
+    error: null,
+  });
+};
+
+/**
+ * @function updatePendingJob
+ *
+ * @description Records a change in the state of a job.
+ *
+ * @param {string} id the identifier of the job
+ * @param {object} changes the fields of the job to update
+ */
+export const updatePendingJob = (id, changes) => {
+  updateItem(PENDING_JOBS_COLLECTION, id, changes);
+};
+
+/**
+ * @function removePendingJob
+ *
+ * @description Forgets a job, used when it is cancelled or dismissed.
+ *
+ * @param {string} id the identifier of the job
+ */
+export const removePendingJob = (id) => {
+  removeItem(PENDING_JOBS_COLLECTION, id);
+};
+
+/**
+ * @function claimPendingJob
+ *
+ * @description Marks a job as being polled by this page.
+ *
+ * @param {string} id the identifier of the job
+ */
+export const claimPendingJob = (id) => {
+  claimedJobs.add(id);
+};
+
+/**
+ * @function releasePendingJob
+ *
+ * @description Marks a job as no longer being polled by this page.
+ *
+ * @param {string} id the identifier of the job
+ */
+export const releasePendingJob = (id) => {
+  claimedJobs.delete(id);
+};
+
+/**
+ * @function isPendingJobClaimed
+ *
+ * @description Determines whether a job is already being polled by this page.
+ *
+ * @param {string} id the identifier of the job
+ *
+ * @returns {boolean} true if the job is being polled
+ */
+export const isPendingJobClaimed = (id) => claimedJobs.has(id);
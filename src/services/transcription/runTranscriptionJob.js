@@ -0,0 +1,391 @@
+/**
+ * @file runTranscriptionJob.js
+ *
+ * @description Drives a transcription job from upload to a settled
+ * transcript through any transcription provider. Polling backs off
+ * exponentially with jitter, transient network and 5xx failures are retried,
+ * the whole job is bounded by a maximum wait, and every step can be aborted
+ * with an AbortSignal.
+ *
+ * @exports submitTranscriptionJob
+ * @exports runTranscriptionJob
+ * @exports pollTranscriptionJob
+ * @exports isAbortError
+ */
+
+/**
+ * @typedef {Object} JobSettings
+ *
+ * @property {number} initialDelay the delay before the first poll or retry in
+ * milliseconds, doubled on every further attempt
+ * @property {number} maxDelay the longest delay between attempts in
+ * milliseconds
+ * @property {number} maxWait how long a job is polled before it times out in
+ * milliseconds
+ * @property {number} maxRetries how often a failed request is retried
+ */
+
+/** @type {JobSettings} */
+const DEFAULT_SETTINGS = {
+  initialDelay: 2_000,
+  maxDelay: 15_000,
+  maxWait: 30 * 60 * 1_000,
+  maxRetries: 4,
+};
+
+/**
+ * @function createAbortError
+ *
+ * @description Creates the error every aborted job rejects with.
+ *
+ * @returns {DOMException} representing an aborted job
+ */
+const createAbortError = () =>
+  new DOMException("The transcription job was cancelled", "AbortError");
+
+/**
+ * @function isAbortError
+ *
+ * @description Determines whether an error was caused by aborting the job,
+ * either by the runner itself or by an in-flight request being cancelled.
+ *
+ * @param {Error} error the error to inspect
+ *
+ * @returns {boolean} true if the job was aborted
+ */
+export const isAbortError = (error) =>
+  error?.name === "AbortError" || error?.name === "CanceledError";
+
+/**
+ * @function isTransientError
+ *
+ * @description Determines whether a failed request is worth retrying, which is
+ * the case for network failures, 5xx responses and 429 responses, which the
+ * service sends when requests are rate limited.
+ *
+ * @param {Error} error the error thrown by the provider
+ *
+ * @returns {boolean} true if the request can be retried
+ */
+const isTransientError = (error) => {
+  if (isAbortError(error)) return false;
+
+  const statusCode = error?.response?.status;
+  return statusCode === undefined || statusCode === 429 || statusCode >= 500;
+};
+
+/**
+ * @function retryAfterDelay
+ *
+ * @description Reads how long the service asked to wait before retrying,
+ * from the Retry-After header of the response, given either in seconds or
+ * as a date.
+ *
+ * @param {Error} error the error thrown by the provider
+ *
+ * @returns {number|null} the delay in milliseconds, null when the service
+ * did not ask for one
+ */
+const retryAfterDelay = (error) => {
+  const retryAfter = error?.response?.headers?.["retry-after"];
+  if (!retryAfter) return null;
+
+  const seconds = Number(retryAfter);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1_000);
+
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * @function describeError
+ *
+ * @description Extracts the most useful message from a provider error,
+ * preferring the message in the response body of the service.
+ *
+ * @param {Error} error the error thrown by the provider
+ *
+ * @returns {string} representing the reason the request failed
+ */
+const describeError = (error) => error?.response?.data?.error ?? error.message;
+
+/**
+ * @function backoffDelay
+ *
+ * @description Calculates the exponential delay before the next attempt, with
+ * up to half of it randomized so concurrent jobs do not poll in lockstep.
+ *
+ * @param {number} attempt the number of attempts made so far
+ * @param {JobSettings} settings the resolved job settings
+ * @param {number} settings.initialDelay the delay before the first attempt in
+ * milliseconds
+ * @param {number} settings.maxDelay the longest delay in milliseconds
+ *
+ * @returns {number} the delay in milliseconds
+ */
+const backoffDelay = (attempt, { initialDelay, maxDelay }) => {
+  const delay = Math.min(maxDelay, initialDelay * 2 ** attempt);
+  return delay / 2 + Math.random() * (delay / 2);
+};
+
+/**
+ * @function wait
+ *
+ * @description Resolves after the given delay, or rejects as soon as the
+ * signal is aborted.
+ *
+ * @param {number} delay the time to wait in milliseconds
+ * @param {AbortSignal} [signal] aborts the wait
+ *
+ * @returns {Promise<void>} resolves once the delay has elapsed
+ */
+const wait = (delay, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    let timeoutId = null;
+
+    const handleAbort = () => {
+      clearTimeout(timeoutId);
+      reject(createAbortError());
+    };
+
+    timeoutId = setTimeout(() => {
+      signal?.removeEventListener("abort", handleAbort);
+      resolve();
+    }, delay);
+
+    signal?.addEventListener("abort", handleAbort, { once: true });
+  });
+
+/**
+ * @function withRetry
+ *
+ * @description Calls a provider method, retrying with backoff while it fails
+ * with a transient error. A rate limited request is retried after the delay
+ * the service asked for, up to the longest delay between attempts and never
+ * past the deadline.
+ *
+ * @param {(requestOptions: object) => Promise<any>} request the provider call
+ * @param {JobSettings} settings the resolved job settings
+ * @param {AbortSignal} [signal] aborts the request and any pending retry
+ * @param {(status: string) => void} onStatus reports that a retry is pending
+ * @param {number} [deadline] the time in milliseconds after which no retry
+ * is made
+ *
+ * @returns {Promise<any>} the result of the first successful call
+ */
+const withRetry = async (
+  request,
+  settings,
+  signal,
+  onStatus,
+  deadline = Infinity
+) => {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await request({ signal });
+    } catch (error) {
+      if (signal?.aborted) throw createAbortError();
+      if (
+        !isTransientError(error) ||
+        attempt >= settings.maxRetries ||
+        Date.now() >= deadline
+      ) {
+        throw new Error(describeError(error));
+      }
+
+      onStatus("retrying");
+      await wait(
+        Math.min(
+          retryAfterDelay(error) ?? backoffDelay(attempt, settings),
+          settings.maxDelay,
+          deadline - Date.now()
+        ),
+        signal
+      );
+    }
+  }
+};
+
+/**
+ * @function pollTranscriptionJob
+ *
+ * @description Polls an already submitted job until it completes, fails or
+ * exceeds the maximum wait.
+ *
+ * @param {object} job the job to poll
+ * @param {TranscriptionProvider} job.provider the provider the job runs on
+ * @param {string} job.transcriptId the identifier of the job
+ * @param {AbortSignal} [job.signal] aborts polling
+ * @param {(status: string) => void} [job.onStatus] reports every status change
+ * @param {Partial<JobSettings>} [job.settings] overrides the backoff and
+ * timeout settings
+ * @param {number} [job.settings.initialDelay] the delay before the first
+ * poll or retry in milliseconds
+ * @param {number} [job.settings.maxDelay] the longest delay between attempts
+ * in milliseconds
+ * @param {number} [job.settings.maxWait] how long the job is polled before it
+ * times out in milliseconds
+ * @param {number} [job.settings.maxRetries] how often a failed request is
+ * retried
+ *
+ * @returns {Promise<Transcript>} the normalized transcript
+ *
+ * @throws {Error} if the service reports an error or the job times out
+ */
+export const pollTranscriptionJob = async ({
+  provider,
+  transcriptId,
+  signal,
+  onStatus = () => {},
+  settings: overrides,
+}) => {
+  const settings = { ...DEFAULT_SETTINGS, ...overrides };
+  const deadline = Date.now() + settings.maxWait;
+
+  for (let attempt = 0; ; attempt += 1) {
+    await wait(backoffDelay(attempt, settings), signal);
+
+    const jobState = await withRetry(
+      (requestOptions) => provider.poll(transcriptId, requestOptions),
+      settings,
+      signal,
+      onStatus,
+      deadline
+    );
+
+    if (jobState.status === "completed") {
+      onStatus("completed");
+      return jobState.transcript;
+    }
+
+    if (jobState.status === "error") {
+      throw new Error(`Transcription failed: ${jobState.error}`);
+    }
+
+    if (Date.now() >= deadline) {
+      throw new Error(
+        `Transcription timed out after ${Math.round(
+          settings.maxWait / 60_000
+        )} minutes`
+      );
+    }
+
+    onStatus(jobState.status);
+  }
+};
+
+/**
+ * @function submitTranscriptionJob
+ *
+ * @description Uploads an audio file and submits it for transcription,
+ * without waiting for the transcript.
+ *
+ * @param {object} job the job to submit
+ * @param {TranscriptionProvider} job.provider the provider to run the job on
+ * @param {Blob} job.fileData the audio file to transcribe
+ * @param {object} [job.options] the provider independent transcription options
+ * @param {AbortSignal} [job.signal] aborts the submission at any step
+ * @param {(status: string) => void} [job.onStatus] reports every status change
+ * @param {Partial<JobSettings>} [job.settings] overrides the backoff settings
+ * @param {number} [job.settings.initialDelay] the delay before the first
+ * retry in milliseconds
+ * @param {number} [job.settings.maxDelay] the longest delay between attempts
+ * in milliseconds
+ * @param {number} [job.settings.maxRetries] how often a failed request is
+ * retried
+ *
+ * @returns {Promise<string>} the identifier the service assigned to the job
+ *
+ * @throws {Error} if the upload or the submission fails
+ */
+export const submitTranscriptionJob = async ({
+  provider,
+  fileData,
+  options,
+  signal,
+  onStatus = () => {},
+  settings: overrides,
+}) => {
+  const settings = { ...DEFAULT_SETTINGS, ...overrides };
+
+  onStatus("uploading");
+  const audioUrl = await withRetry(
+    (requestOptions) => provider.upload(fileData, requestOptions),
+    settings,
+    signal,
+    onStatus
+  );
+
+  onStatus("submitting");
+  return withRetry(
+    (requestOptions) => provider.submit(audioUrl, options, requestOptions),
+    settings,
+    signal,
+    onStatus
+  );
+};
+
+/**
+ * @function runTranscriptionJob
+ *
+ * @description Uploads an audio file, submits it for transcription and polls
+ * until the transcript is available.
+ *
+ * @param {object} job the job to run
+ * @param {TranscriptionProvider} job.provider the provider to run the job on
+ * @param {Blob} job.fileData the audio file to transcribe
+ * @param {object} [job.options] the provider independent transcription options
+ * @param {AbortSignal} [job.signal] aborts the job at any step
+ * @param {(status: string) => void} [job.onStatus] reports every status change
+ * @param {(transcriptId: string) => void} [job.onSubmitted] receives the job
+ * identifier as soon as the service assigns one
+ * @param {Partial<JobSettings>} [job.settings] overrides the backoff and
+ * timeout settings
+ * @param {number} [job.settings.initialDelay] the delay before the first
+ * poll or retry in milliseconds
+ * @param {number} [job.settings.maxDelay] the longest delay between attempts
+ * in milliseconds
+ * @param {number} [job.settings.maxWait] how long the job is polled before it
+ * times out in milliseconds
+ * @param {number} [job.settings.maxRetries] how often a failed request is
+ * retried
+ *
+ * @returns {Promise<Transcript>} the normalized transcript
+ *
+ * @throws {Error} if any step fails or the job times out
+ */
+export const runTranscriptionJob = async ({
+  provider,
+  fileData,
+  options,
+  signal,
+  onStatus = () => {},
+  onSubmitted = () => {},
+  settings: overrides,
+}) => {
+  const settings = { ...DEFAULT_SETTINGS, ...overrides };
+
+  const transcriptId = await submitTranscriptionJob({
+    provider,
+    fileData,
+    options,
+    signal,
+    onStatus,
+    settings,
+  });
+  onSubmitted(transcriptId);
+  onStatus("queued");
+
+  return pollTranscriptionJob({
+    provider,
+    transcriptId,
+    signal,
+    onStatus,
+    settings,
+  });
+};
@@ -0,0 +1,125 @@
+import { afterAll, beforeAll, describe, expect, it } from "vitest";
+import { createMockTranscriptionServer } from "../../../mock-server/transcription/server";
+import { createLocalProvider } from "./localProvider";
+import { runTranscriptionJob } from "./runTranscriptionJob";
+
+const SETTINGS = { initialDelay: 1, maxDelay: 5, maxWait: 5_000 };
+
+describe("runTranscriptionJob against the mock transcription server", () => {
+  const mock = createMockTranscriptionServer({ delay: 0, processingPolls: 2 });
+  let baseURL;
+
+  beforeAll(
+    () =>
+      new Promise((resolve) => {
+        mock.server.listen(0, () => {
+          baseURL = `http://localhost:${mock.server.address().port}/v2`;
+          resolve();
+        });
+      })
+  );
+
+  afterAll(
+    () =>
+      new Promise((resolve) => {
+        mock.server.close(resolve);
+      })
+  );
+
+  it("uploads, polls and normalizes a completed transcript", async () => {
+    const statuses = [];
+
+    const transcript = await runTranscriptionJob({
+      provider: createLocalProvider({ baseURL }),
+      fileData: Buffer.from("audio"),
+      onStatus: (status) => statuses.push(status),
+      settings: SETTINGS,
+    });
+
+    expect(transcript.words.length).toBeGreaterThan(0);
+    expect(transcript.utterances.length).toBeGreaterThan(0);
+    expect(statuses).toContain("processing");
+    expect(statuses.at(-1)).toBe("completed");
+  });
+
+  it("rejects with the error of a failed job", async () => {
+    mock.options.scenario = "error";
+
+    await expect(
+      runTranscriptionJob({
+        provider: createLocalProvider({ baseURL }),
+        fileData: Buffer.from("audio"),
+        settings: SETTINGS,
+      })
+    ).rejects.toThrow(/could not be decoded/);
+
+    mock.options.scenario = "completed";
+  });
+
+  /**
+   * Wraps the local provider so its first upload is rate limited, with the
+   * given Retry-After header.
+   */
+  const rateLimitFirstUpload = (retryAfter) => {
+    const provider = createLocalProvider({ baseURL });
+    const limited = { ...provider, uploads: 0 };
+
+    limited.upload = (...args) => {
+      limited.uploads += 1;
+      if (limited.uploads > 1) return provider.upload(...args);
+
+      const error = new Error("Request failed with status code 429");
+      error.response = { status: 429, headers: { "retry-after": retryAfter } };
+      return Promise.reject(error);
+    };
+
+    return limited;
+  };
+
+  it("retries a rate limited request after the delay the service asked for", async () => {
+    const provider = rateLimitFirstUpload("1");
+    const statuses = [];
+    const startedAt = Date.now();
+
+    const transcript = await runTranscriptionJob({
+      provider,
+      fileData: Buffer.from("audio"),
+      onStatus: (status) => statuses.push(status),
+      settings: { ...SETTINGS, maxDelay: 2_000 },
+    });
+
+    expect(provider.uploads).toBe(2);
+    expect(Date.now() - startedAt).toBeGreaterThanOrEqual(1_000);
+    expect(statuses).toContain("retrying");
+    expect(transcript.words.length).toBeGreaterThan(0);
+  });
+
+  it("waits no longer than the longest delay the service asked for", async () => {
+    const provider = rateLimitFirstUpload("86400");
+    const startedAt = Date.now();
+
+    const transcript = await runTranscriptionJob({
+      provider,
+      fileData: Buffer.from("audio"),
+      settings: SETTINGS,
+    });
+
+    expect(provider.uploads).toBe(2);
+    expect(Date.now() - startedAt).toBeLessThan(1_000);
+    expect(transcript.words.length).toBeGreaterThan(0);
+  });
+
+  it("refuses fixtures outside the fixtures folder", async () => {
+    const response = await fetch(
+      `${baseURL}/transcript?fixture=../../package`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ audio_url: "http://localhost/audio" }),
+      }
+    );
+
+    expect(response.status).toBe(400);
+    expect(mock.jobs.size).toBe(4);
+  });
+});
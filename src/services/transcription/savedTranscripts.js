@@ -0,0 +1,106 @@
+/**
+ * @file savedTranscripts.js
+ *
+ * @description Persists completed transcripts along with the clinician's
+ * corrections, so a session can be reopened and analyzed without asking the
+ * transcription service for it again. Every transcript records the user who
+ * saved it, and is only listed for them.
+ *
+ * @requires services/storage/localCollection
+ *
+ * @exports SAVED_TRANSCRIPTS_COLLECTION
+ * @exports listSavedTranscripts
+ * @exports findSavedTranscript
+ * @exports saveTranscript
+ */
+
+import {
+  findItem,
+  readCollection,
+  upsertItem,
+} from "../storage/localCollection";
+
+export const SAVED_TRANSCRIPTS_COLLECTION = "transcripts";
+
+/**
+ * @typedef {Object} SavedTranscript
+ *
+ * @property {string} id identifier of the transcript
+ * @property {string|null} userId the uid of the user who saved the
+ * transcript, null when no one was signed in
+ * @property {string} fileName the name of the transcribed audio file
+ * @property {string|null} client the client the recording belongs to
+ * @property {string|null} recordingId the recording transcribed, if it was
+ * saved
+ * @property {number} trimStart the seconds of silence trimmed from the start
+ * of the recording before it was transcribed
+ * @property {string} savedAt ISO timestamp of the last save
+ * @property {Transcript} transcript the transcript with every correction
+ */
+
+/**
+ * @function listSavedTranscripts
+ *
+ * @description Lists the transcripts a user saved.
+ *
+ * @param {string|null} userId the uid of the signed in user
+ * @param {SavedTranscript[]} [transcripts] the transcripts to pick from, all
+ * saved transcripts by default
+ *
+ * @returns {SavedTranscript[]} the transcripts of the user
+ */
+export const listSavedTranscripts = (
+  userId,
+  transcripts = readCollection(SAVED_TRANSCRIPTS_COLLECTION)
+) => transcripts.filter((eachTranscript) => eachTranscript.userId === userId);
+
+/**
+ * @function findSavedTranscript
+ *
+ * @description Finds a transcript a user saved by its identifier.
+ *
+ * @param {string} id identifier of the transcript
+ * @param {string|null} userId the uid of the signed in user
+ *
+ * @returns {SavedTranscript|undefined} the saved transcript, if any
+ */
+export const findSavedTranscript = (id, userId) => {
+  const savedTranscript = findItem(SAVED_TRANSCRIPTS_COLLECTION, id);
+  return savedTranscript?.userId === userId ? savedTranscript : undefined;
+};
+
+/**
+ * @function saveTranscript
+ *
+ * @description Saves a transcript, keeping the file name, client and
+ * recording of a previous save when they are not given.
+ *
+ * @param {Transcript} transcript the transcript to save
+ * @param {object} details describes the recording
+ * @param {string} [details.fileName] the name of the transcribed audio file
+ * @param {string|null} [details.client] the client the recording belongs to
+ * @param {string|null} [details.recordingId] the recording transcribed
+ * @param {number|null} [details.trimStart] the seconds of silence trimmed
+ * from the start of the recording
+ * @param {string|null} userId the uid of the signed in user
+ *
+ * @throws {DOMException} if the storage of the browser is full
+ */
+export const saveTranscript = (
+  transcript,
+  { fileName, client, recordingId, trimStart },
+  userId
+) => {
+  const previous = findSavedTranscript(transcript.id, userId);
+
+  upsertItem(SAVED_TRANSCRIPTS_COLLECTION, {
+    id: transcript.id,
+    userId,
+    fileName: fileName ?? previous?.fileName ?? "Recording",
+    client: client ?? previous?.client ?? null,
+    recordingId: recordingId ?? previous?.recordingId ?? null,
+    trimStart: trimStart ?? previous?.trimStart ?? 0,
+    savedAt: new Date().toISOString(),
+    transcript,
+  });
+};
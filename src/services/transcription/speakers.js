@@ -0,0 +1,35 @@
+/**
+ * @file speakers.js
+ *
+ * @description Helpers for looking up the speakers of a normalized transcript.
+ *
+ * @exports getSpeaker
+ * @exports getSpeakerLabel
+ */
+
+/**
+ * @function getSpeaker
+ *
+ * @description Finds a speaker of the transcript by its identifier.
+ *
+ * @param {Transcript} transcript the transcript containing the speaker
+ * @param {string} speakerId the identifier of the speaker
+ *
+ * @returns {TranscriptSpeaker|undefined} the speaker, if it exists
+ */
+export const getSpeaker = (transcript, speakerId) =>
+  transcript.speakers.find(({ id }) => id === speakerId);
+
+/**
+ * @function getSpeakerLabel
+ *
+ * @description Finds the display name of a speaker, falling back to the
+ * identifier the transcription service assigned.
+ *
+ * @param {Transcript} transcript the transcript containing the speaker
+ * @param {string} speakerId the identifier of the speaker
+ *
+ * @returns {string} the display name of the speaker
+ */
+export const getSpeakerLabel = (transcript, speakerId) =>
+  getSpeaker(transcript, speakerId)?.label ?? `Speaker ${speakerId}`;
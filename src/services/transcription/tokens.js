@@ -0,0 +1,109 @@
+/**
+ * @file tokens.js
+ *
+ * @description Helpers that classify the words of a transcript the way
+ * language sample transcription conventions need them: plain words, filled
+ * pauses and part-word fragments, with their punctuation separated out. Also
+ * splits utterances into sentences at their terminal punctuation.
+ *
+ * @exports FILLER_WORDS
+ * @exports classifyToken
+ * @exports splitIntoSentences
+ */
+
+export const FILLER_WORDS = new Set([
+  "um",
+  "umm",
+  "uh",
+  "uhh",
+  "er",
+  "erm",
+  "ah",
+  "hmm",
+  "mm",
+  "eh",
+]);
+
+/**
+ * @typedef {Object} Token
+ *
+ * @property {string} kind one of word, filler or fragment
+ * @property {string} bare the word without punctuation
+ * @property {string|null} terminator the terminal punctuation following the word
+ */
+
+/**
+ * @function classifyToken
+ *
+ * @description Classifies a single transcribed word. Fragments are the partial
+ * words AssemblyAI writes with a trailing hyphen, like "b-" in "b- ball".
+ *
+ * @param {string} text the word as it was transcribed
+ *
+ * @returns {Token} representing the classified word
+ */
+export const classifyToken = (text) => {
+  const terminator = text.match(/[.?!]+$/)?.[0].at(-1) ?? null;
+  const stripped = text.replace(/^[^\w']+|[^\w'-]+$/g, "");
+  const isFragment = /\w-$/.test(stripped);
+  const bare = stripped.replace(/-+$/, "");
+
+  if (isFragment) return { kind: "fragment", bare, terminator };
+  if (FILLER_WORDS.has(bare.toLowerCase())) {
+    return { kind: "filler", bare, terminator };
+  }
+
+  return { kind: "word", bare, terminator };
+};
+
+/**
+ * @typedef {Object} Sentence
+ *
+ * @property {string} speaker identifier of the speaker
+ * @property {number} start start time of the sentence in milliseconds
+ * @property {number} end end time of the sentence in milliseconds
+ * @property {TranscriptWord[]} words the words of the sentence
+ * @property {string} terminator the terminal punctuation of the sentence
+ */
+
+/**
+ * @function splitIntoSentences
+ *
+ * @description Splits every utterance of a transcript into sentences, ending a
+ * sentence at each word followed by terminal punctuation. A sentence without
+ * a terminator is closed with a period.
+ *
+ * @param {Transcript} transcript the transcript to split
+ *
+ * @returns {Sentence[]} the sentences in playback order
+ */
+export const splitIntoSentences = (transcript) =>
+  transcript.utterances.flatMap((eachUtterance) => {
+    const sentences = [];
+    let words = [];
+
+    const closeSentence = (terminator) => {
+      if (!words.length) return;
+
+      sentences.push({
+        speaker: eachUtterance.speaker,
+        start: words[0].start,
+        end: words.at(-1).end,
+        words,
+        terminator,
+      });
+      words = [];
+    };
+
+    transcript.words
+      .slice(eachUtterance.firstWord, eachUtterance.lastWord)
+      .forEach((eachWord) => {
+        words.push(eachWord);
+
+        const { terminator } = classifyToken(eachWord.text);
+        if (terminator) closeSentence(terminator);
+      });
+
+    closeSentence(".");
+    return sentences;
+  });
@@ -0,0 +1,174 @@
+/**
+ * @file transcriptEdits.js
+ *
+ * @description Pure functions that apply the clinicians corrections to a
+ * normalized transcript. Every function returns a new transcript and leaves
+ * the given one untouched, so they can be used directly as React state
+ * updaters.
+ *
+ * @exports SPEAKER_ROLES
+ * @exports renameSpeaker
+ * @exports setSpeakerRole
+ * @exports mergeSpeakers
+ * @exports reassignUtterance
+ * @exports updateChapter
+ * @exports updateWordPhonetic
+ */
+
+export const SPEAKER_ROLES = [
+  { id: "client", label: "Client" },
+  { id: "clinician", label: "Clinician" },
+  { id: "parent", label: "Parent" },
+  { id: "other", label: "Other" },
+];
+
+/**
+ * @function updateSpeaker
+ *
+ * @description Applies changes to a single speaker of the transcript.
+ *
+ * @param {Transcript} transcript the transcript to edit
+ * @param {string} speakerId the identifier of the speaker
+ * @param {object} changes the fields of the speaker to update
+ *
+ * @returns {Transcript} the edited transcript
+ */
+const updateSpeaker = (transcript, speakerId, changes) => ({
+  ...transcript,
+  speakers: transcript.speakers.map((eachSpeaker) =>
+    eachSpeaker.id === speakerId ? { ...eachSpeaker, ...changes } : eachSpeaker
+  ),
+});
+
+/**
+ * @function renameSpeaker
+ *
+ * @description Changes the display name of a speaker.
+ *
+ * @param {Transcript} transcript the transcript to edit
+ * @param {string} speakerId the identifier of the speaker
+ * @param {string} label the new display name
+ *
+ * @returns {Transcript} the edited transcript
+ */
+export const renameSpeaker = (transcript, speakerId, label) =>
+  updateSpeaker(transcript, speakerId, { label });
+
+/**
+ * @function setSpeakerRole
+ *
+ * @description Assigns one of the SPEAKER_ROLES to a speaker.
+ *
+ * @param {Transcript} transcript the transcript to edit
+ * @param {string} speakerId the identifier of the speaker
+ * @param {string|null} role the identifier of the role, or null to clear it
+ *
+ * @returns {Transcript} the edited transcript
+ */
+export const setSpeakerRole = (transcript, speakerId, role) =>
+  updateSpeaker(transcript, speakerId, { role });
+
+/**
+ * @function reassignUtterance
+ *
+ * @description Attributes a single utterance, and each of its words, to
+ * another speaker.
+ *
+ * @param {Transcript} transcript the transcript to edit
+ * @param {number} utteranceIndex the index of the utterance
+ * @param {string} speakerId the identifier of the speaker it belongs to
+ *
+ * @returns {Transcript} the edited transcript
+ */
+export const reassignUtterance = (transcript, utteranceIndex, speakerId) => ({
+  ...transcript,
+  utterances: transcript.utterances.map((eachUtterance) =>
+    eachUtterance.index === utteranceIndex
+      ? { ...eachUtterance, speaker: speakerId }
+      : eachUtterance
+  ),
+  words: transcript.words.map((eachWord) =>
+    eachWord.utterance === utteranceIndex
+      ? { ...eachWord, speaker: speakerId }
+      : eachWord
+  ),
+});
+
+/**
+ * @function mergeSpeakers
+ *
+ * @description Attributes everything said by one speaker to another, then
+ * removes the first speaker. Used when diarization split one person in two.
+ *
+ * @param {Transcript} transcript the transcript to edit
+ * @param {string} fromId the identifier of the speaker being merged away
+ * @param {string} intoId the identifier of the speaker being kept
+ *
+ * @returns {Transcript} the edited transcript
+ */
+export const mergeSpeakers = (transcript, fromId, intoId) => {
+  if (fromId === intoId) return transcript;
+
+  return {
+    ...transcript,
+    speakers: transcript.speakers.filter(({ id }) => id !== fromId),
+    utterances: transcript.utterances.map((eachUtterance) =>
+      eachUtterance.speaker === fromId
+        ? { ...eachUtterance, speaker: intoId }
+        : eachUtterance
+    ),
+    words: transcript.words.map((eachWord) =>
+      eachWord.speaker === fromId ? { ...eachWord, speaker: intoId } : eachWord
+    ),
+  };
+};
+
+/**
+ * @function updateChapter
+ *
+ * @description Applies the clinicians changes to a single chapter, such as a
+ * corrected headline or gist.
+ *
+ * @param {Transcript} transcript the transcript to edit
+ * @param {number} chapterIndex the index of the chapter
+ * @param {object} changes the fields of the chapter to update
+ *
+ * @returns {Transcript} the edited transcript
+ */
+export const updateChapter = (transcript, chapterIndex, changes) => ({
+  ...transcript,
+  chapters: transcript.chapters.map((eachChapter) =>
+    eachChapter.index === chapterIndex
+      ? { ...eachChapter, ...changes }
+      : eachChapter
+  ),
+});
+
+/**
+ * @function updateWordPhonetic
+ *
+ * @description Applies the clinicians changes to the phonetic forms of a
+ * single word, such as the form the client actually produced.
+ *
+ * @param {Transcript} transcript the transcript to edit
+ * @param {number} wordIndex the index of the word
+ * @param {Partial<WordPhonetic>} changes the phonetic forms to update
+ *
+ * @returns {Transcript} the edited transcript
+ */
+export const updateWordPhonetic = (transcript, wordIndex, changes) => ({
+  ...transcript,
+  words: transcript.words.map((eachWord) =>
+    eachWord.index === wordIndex
+      ? {
+          ...eachWord,
+          phonetic: {
+            target: null,
+            produced: null,
+            ...eachWord.phonetic,
+            ...changes,
+          },
+        }
+      : eachWord
+  ),
+});
@@ -0,0 +1,117 @@
+/**
+ * @file transcriptTime.js
+ *
+ * @description Helpers that relate playback time to the words of a normalized
+ * transcript. Transcript times are in milliseconds while audio elements report
+ * seconds, so every helper takes milliseconds.
+ *
+ * @exports findWordIndexAtTime
+ * @exports findNearestWordIndex
+ * @exports formatTimestamp
+ * @exports formatClockTime
+ */
+
+/**
+ * @function findWordIndexAtTime
+ *
+ * @description Finds the word being spoken at a point in time with a binary
+ * search over the ordered word timestamps. Between two words the previous word
+ * is returned so the highlight does not flicker during short pauses.
+ *
+ * @param {TranscriptWord[]} words the words of the transcript in order
+ * @param {number} time the playback time in milliseconds
+ *
+ * @returns {number} the index of the word, or -1 before the first word
+ */
+export const findWordIndexAtTime = (words, time) => {
+  let low = 0;
+  let high = words.length - 1;
+  let found = -1;
+
+  while (low <= high) {
+    const middle = Math.floor((low + high) / 2);
+
+    if (words[middle].start <= time) {
+      found = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+
+  return found;
+};
+
+/**
+ * @function findNearestWordIndex
+ *
+ * @description Finds the word closest to a point in time, the word spoken at
+ * that time or else the word before or after the silence it falls in,
+ * whichever is closer.
+ *
+ * @param {TranscriptWord[]} words the words of the transcript in order
+ * @param {number} time the time in milliseconds
+ *
+ * @returns {number} the index of the word, or -1 without words
+ */
+export const findNearestWordIndex = (words, time) => {
+  if (!words.length) return -1;
+
+  const previous = findWordIndexAtTime(words, time);
+  if (previous === -1) return 0;
+  if (previous === words.length - 1 || time <= words[previous].end) {
+    return previous;
+  }
+
+  return time - words[previous].end <= words[previous + 1].start - time
+    ? previous
+    : previous + 1;
+};
+
+/**
+ * @function formatTimestamp
+ *
+ * @description Formats a time as hours, minutes, seconds and milliseconds, the
+ * notation used by caption formats.
+ *
+ * @param {number} time the time in milliseconds
+ * @param {string} [separator] placed between the seconds and milliseconds
+ *
+ * @returns {string} the time formatted as HH:MM:SS.mmm
+ */
+export const formatTimestamp = (time, separator = ".") => {
+  const totalMilliseconds = Math.max(0, Math.round(time));
+  const hours = Math.floor(totalMilliseconds / 3_600_000);
+  const minutes = Math.floor(totalMilliseconds / 60_000) % 60;
+  const seconds = Math.floor(totalMilliseconds / 1_000) % 60;
+  const milliseconds = totalMilliseconds % 1_000;
+
+  return (
+    [hours, minutes, seconds]
+      .map((eachUnit) => String(eachUnit).padStart(2, "0"))
+      .join(":") +
+    separator +
+    String(milliseconds).padStart(3, "0")
+  );
+};
+
+/**
+ * @function formatClockTime
+ *
+ * @description Formats a time the way it is shown to users, omitting the
+ * hours when they are zero.
+ *
+ * @param {number} time the time in milliseconds
+ *
+ * @returns {string} the time formatted as M:SS or H:MM:SS
+ */
+export const formatClockTime = (time) => {
+  const totalSeconds = Math.max(0, Math.floor(time / 1_000));
+  const hours = Math.floor(totalSeconds / 3_600);
+  const minutes = Math.floor(totalSeconds / 60) % 60;
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+
+  return hours
+    ? `${hours}:${String(minutes).padStart(2, "0")}:${seconds}`
+    : `${minutes}:${seconds}`;
+};
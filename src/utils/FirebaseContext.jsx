@@ -2,17 +2,28 @@
  * @file FirebaseContext.jsx
  *
  * @description Initializes the firebase configuration and sends it to the login
- * screen
+ * screen. Also initializes Firestore and Storage, where the data of every
+ * user is kept. Setting VITE_FIREBASE_EMULATORS to true connects all three
+ * services to the local Firebase emulator suite instead.
  *
  * @requires react
  * @requires firebase/app
  * @requires firebase/auth
+ * @requires firebase/firestore
+ * @requires firebase/storage
  *
- * @export getAuth
+ * @export auth
+ * @export db
+ * @export storage
  */
 import React from "react";
 import { initializeApp } from "firebase/app";
-import { getAuth } from "firebase/auth";
+import { getAuth, connectAuthEmulator } from "firebase/auth";
+import {
+  initializeFirestore,
+  connectFirestoreEmulator,
+} from "firebase/firestore";
+import { getStorage, connectStorageEmulator } from "firebase/storage";
 
 /**
  * Instantiates the configurations for firebase
@@ -30,3 +41,16 @@ const firebaseConfig = {
 const app = initializeApp(firebaseConfig);
 
 export const auth = getAuth(app);
+
+// Transcripts carry optional fields, which are left out instead of rejected.
+export const db = initializeFirestore(app, { ignoreUndefinedProperties: true });
+
+export const storage = getStorage(app);
+
+if (import.meta.env.VITE_FIREBASE_EMULATORS === "true") {
+  const host = import.meta.env.VITE_FIREBASE_EMULATOR_HOST || "127.0.0.1";
+
+  connectAuthEmulator(auth, `http://${host}:9099`, { disableWarnings: true });
+  connectFirestoreEmulator(db, host, 8080);
+  connectStorageEmulator(storage, host, 9199);
+}
@@ -0,0 +1,31 @@
+/**
+ * @file downloadBlob.js
+ *
+ * @description Provides application wide functionality to save a Blob to the
+ * users default download location.
+ *
+ * @exports downloadBlob
+ */
+
+/**
+ * @function downloadBlob
+ *
+ * @description Saves a Blob under the given file name by clicking a temporary
+ * link to an object URL, which is released afterwards.
+ *
+ * @param {Blob} blob the content to download
+ * @param {string} fileName the name the file is saved under
+ */
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+
+  Object.assign(link, { href: url, download: fileName });
+  link.style.visibility = "hidden";
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+export default downloadBlob;